@@ -9,6 +9,9 @@
  * - Validation des fichiers
  * - Checklist des fichiers requis
  * - Parsing et stockage
+ * - Avertissements sur les dates de sprint (libellés vs calendrier)
+ * - Mapping manuel des colonnes (exports localisés, Jira) avec profils
+ * - Export JSON de recherche Jira (remplace les deux CSV)
  *
  * FICHIERS ATTENDUS :
  * - Bugs.csv
@@ -25,11 +28,23 @@
  */
 
 import Component from './Component.js';
-import { parseUnifiedCSV, parseTimeInStatusCSV } from '../services/csvParserV2.js';
+import {
+  parseUnifiedCSV,
+  parseTimeInStatusCSV,
+  inferSprintCalendars,
+  detectSprintDateConflicts,
+  readCSVHeader,
+  detectColumnMapping,
+  getMissingColumns,
+  CANONICAL_FIELDS
+} from '../services/csvParserV2.js';
+import sprintCalendar, { DEFAULT_CALENDAR } from '../services/sprintCalendarService.js';
+import { parseJiraSearchJSON } from '../services/jiraJsonParser.js';
+import storageService from '../services/storageService.js';
 import store from '../core/store.js';
 import eventBus from '../core/eventBus.js';
 import config from '../core/config.js';
-import { isValidCSVFile } from '../utils/validators.js';
+import { isValidCSVFile, isValidJSONFile } from '../utils/validators.js';
 
 // =========================================================================
 // CONFIGURATION
@@ -37,6 +52,9 @@ import { isValidCSVFile } from '../utils/validators.js';
 
 const REQUIRED_FILES = config.csv.requiredFiles;
 
+// Nombre maximum d'avertissements de dates affichés
+const MAX_DATE_WARNINGS = 5;
+
 // =========================================================================
 // CLASSE FILEUPLOADER
 // =========================================================================
@@ -74,7 +92,9 @@ export default class FileUploader extends Component {
       loadedFiles: {},
       isDragging: false,
       isLoading: false,
-      errors: []
+      errors: [],
+      dateConflicts: [],
+      pendingMapping: null
     };
 
     // Initialiser le statut des fichiers requis selon la version
@@ -95,6 +115,14 @@ export default class FileUploader extends Component {
     this._setupDragAndDrop();
   }
 
+  /**
+   * Après re-rendu : restaurer les avertissements de dates
+   */
+  afterUpdate() {
+    this._showDateWarnings(this.state.dateConflicts);
+    this._showMappingStep(this.state.pendingMapping);
+  }
+
   /**
    * Configure le drag & drop
    * @private
@@ -194,6 +222,89 @@ export default class FileUploader extends Component {
     `).join('');
   }
 
+  /**
+   * Affiche les écarts entre les dates des libellés de sprint et le calendrier
+   * @param {Array<Object>} conflicts - Résultat de detectSprintDateConflicts
+   * @private
+   */
+  _showDateWarnings(conflicts) {
+    const container = this.getRef('warnings');
+    if (!container) return;
+
+    if (conflicts.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const hidden = conflicts.length - MAX_DATE_WARNINGS;
+
+    container.innerHTML = `
+      ${conflicts.slice(0, MAX_DATE_WARNINGS).map(conflict => `
+        <div class="file-upload__warning">
+          <span class="file-upload__error-icon">📅</span>
+          <span>${this.escapeHtml(conflict.message)}</span>
+        </div>
+      `).join('')}
+      ${hidden > 0 ? `
+        <div class="file-upload__warning">
+          <span class="file-upload__error-icon">📅</span>
+          <span>... et ${hidden} autre(s) écart(s) de dates</span>
+        </div>
+      ` : ''}
+      <div class="file-upload__warnings-actions">
+        <button class="btn btn--secondary btn--small" data-action="apply-calendar">
+          Appliquer le calendrier détecté
+        </button>
+      </div>
+    `;
+
+    const applyBtn = container.querySelector('[data-action="apply-calendar"]');
+    if (applyBtn) {
+      applyBtn.addEventListener('click', this._handleApplyCalendar.bind(this));
+    }
+  }
+
+  /**
+   * Analyse les métadonnées de sprint du fichier principal
+   * @param {Array<Object>} sprintMetadata
+   * @private
+   */
+  _checkSprintDates(sprintMetadata) {
+    const conflicts = detectSprintDateConflicts(sprintMetadata || []);
+    this.state.dateConflicts = conflicts;
+
+    if (conflicts.length > 0) {
+      console.warn('[FileUploader] Écarts de dates de sprint:', conflicts.map(c => c.message));
+    }
+
+    this._showDateWarnings(conflicts);
+  }
+
+  /**
+   * Applique le calendrier déduit des libellés de sprint
+   * @private
+   */
+  _handleApplyCalendar() {
+    const sprintMetadata = this.state.files.unified?.data?.sprintMetadata || [];
+    const calendars = inferSprintCalendars(sprintMetadata);
+
+    let applied = 0;
+    let skipped = 0;
+
+    Object.entries(calendars).forEach(([team, entries]) => {
+      const result = sprintCalendar.upsertSprints(team || DEFAULT_CALENDAR, entries);
+      applied += result.applied;
+      skipped += result.skipped.length;
+    });
+
+    eventBus.emit('notification:show', {
+      type: skipped > 0 ? 'warning' : 'success',
+      message: `${applied} sprint(s) ajouté(s) au calendrier${skipped > 0 ? `, ${skipped} ignoré(s) (chevauchement)` : ''}`
+    });
+
+    this._checkSprintDates(sprintMetadata);
+  }
+
   /**
    * Met à jour un item de la checklist
    * @param {string} key
@@ -257,6 +368,13 @@ export default class FileUploader extends Component {
     const errors = [];
 
     for (const file of files) {
+      // Export JSON Jira : fournit à la fois les tickets et le Time in Status
+      if (file.name.toLowerCase().endsWith('.json')) {
+        const jiraError = await this._processJiraFile(file);
+        if (jiraError) errors.push(jiraError);
+        continue;
+      }
+
       // Valider le fichier
       const validation = isValidCSVFile(file);
       if (!validation.valid) {
@@ -277,28 +395,17 @@ export default class FileUploader extends Component {
         const content = await this._readFileContent(file);
 
         if (fileType.key === 'unified') {
-          const parsed = parseUnifiedCSV(content);
-          data = { tickets: parsed.tickets, teams: parsed.teams, summary: parsed.summary };
-        } else if (fileType.key === 'timeInStatus') {
-          data = parseTimeInStatusCSV(content);
-        }
+          const columnMapping = this._resolveColumnMapping(content, file.name);
 
-        // Mettre à jour l'état interne (sans re-rendre)
-        this.state.files[fileType.key] = {
-          name: file.name,
-          loaded: true,
-          data
-        };
+          // Colonnes non reconnues : l'étape de mapping prend le relais
+          if (columnMapping === false) continue;
 
-        // Mettre à jour la checklist visuellement
-        this._updateChecklistItem(fileType.key, true);
-
-        // Callback individuel
-        if (this.props.onFileLoaded) {
-          this.props.onFileLoaded(fileType.key, data, file.name);
+          data = this._parseUnified(content, columnMapping);
+        } else if (fileType.key === 'timeInStatus') {
+          data = parseTimeInStatusCSV(content);
         }
 
-        eventBus.emit('file:loaded', { type: fileType.key, data, filename: file.name });
+        this._storeFileData(fileType, data, file.name);
 
       } catch (error) {
         console.error(`[FileUploader] Erreur parsing ${file.name}:`, error);
@@ -314,6 +421,296 @@ export default class FileUploader extends Component {
     this._checkCompletion();
   }
 
+  /**
+   * Parse le fichier unifié
+   * @param {string} content - Contenu du CSV
+   * @param {Object|null} columnMapping - Mapping manuel des colonnes
+   * @returns {Object}
+   * @private
+   */
+  _parseUnified(content, columnMapping = null) {
+    const parsed = parseUnifiedCSV(content, { columnMapping });
+    return {
+      tickets: parsed.tickets,
+      teams: parsed.teams,
+      summary: parsed.summary,
+      sprintMetadata: parsed.sprintMetadata,
+      epics: parsed.epics,
+      backlogChildren: parsed.backlogChildren
+    };
+  }
+
+  /**
+   * Enregistre les données d'un fichier parsé et notifie
+   * @param {Object} fileType - Élément de REQUIRED_FILES
+   * @param {Object} data - Données parsées
+   * @param {string} fileName
+   * @private
+   */
+  _storeFileData(fileType, data, fileName) {
+    // Mettre à jour l'état interne (sans re-rendre)
+    this.state.files[fileType.key] = {
+      name: fileName,
+      loaded: true,
+      data
+    };
+
+    // Mettre à jour la checklist visuellement
+    this._updateChecklistItem(fileType.key, true);
+
+    // Vérifier les dates indiquées dans les libellés de sprint
+    if (fileType.key === 'unified') {
+      this._checkSprintDates(data.sprintMetadata);
+    }
+
+    // Callback individuel
+    if (this.props.onFileLoaded) {
+      this.props.onFileLoaded(fileType.key, data, fileName);
+    }
+
+    eventBus.emit('file:loaded', { type: fileType.key, data, filename: fileName });
+  }
+
+  /**
+   * Traite un export JSON de recherche Jira
+   * @param {File} file
+   * @returns {Promise<string|null>} - Message d'erreur ou null
+   * @private
+   */
+  async _processJiraFile(file) {
+    const validation = isValidJSONFile(file);
+    if (!validation.valid) {
+      return `${file.name}: ${validation.error}`;
+    }
+
+    try {
+      const content = await this._readFileContent(file);
+      const parsed = parseJiraSearchJSON(content);
+
+      if (parsed.unified.tickets.length === 0) {
+        return `${file.name}: Aucun ticket exploitable dans l'export Jira`;
+      }
+
+      const requiredFiles = this._getRequiredFiles();
+      this._storeFileData(requiredFiles.find(f => f.key === 'unified'), parsed.unified, file.name);
+      this._storeFileData(requiredFiles.find(f => f.key === 'timeInStatus'), parsed.timeInStatus, file.name);
+
+      return null;
+    } catch (error) {
+      console.error(`[FileUploader] Erreur import Jira ${file.name}:`, error);
+      return `${file.name}: ${error instanceof SyntaxError ? 'JSON invalide' : error.message}`;
+    }
+  }
+
+  // =========================================================================
+  // MAPPING DES COLONNES
+  // =========================================================================
+
+  /**
+   * Détermine le mapping à utiliser pour le fichier unifié
+   * 1. En-têtes EazyBI reconnus → pas de mapping
+   * 2. Profil enregistré compatible → mapping du profil
+   * 3. Sinon → affichage de l'étape de mapping
+   * @param {string} content - Contenu du CSV
+   * @param {string} fileName
+   * @returns {Object|null|false} - Mapping, null (détection auto) ou false (mapping requis)
+   * @private
+   */
+  _resolveColumnMapping(content, fileName) {
+    const headers = readCSVHeader(content);
+    const detected = detectColumnMapping(headers);
+
+    if (getMissingColumns(headers, detected).length === 0) {
+      return null;
+    }
+
+    const profile = storageService.findColumnMappingProfile(headers);
+    if (profile) {
+      const mapping = { ...detected, ...profile.mapping };
+      if (getMissingColumns(headers, mapping).length === 0) {
+        console.log(`[FileUploader] Profil de mapping "${profile.name}" appliqué à ${fileName}`);
+        eventBus.emit('notification:show', {
+          type: 'info',
+          message: `Profil de colonnes "${profile.name}" appliqué`
+        });
+        return mapping;
+      }
+    }
+
+    this.state.pendingMapping = {
+      fileName,
+      content,
+      headers,
+      mapping: { ...detected, ...(profile?.mapping || {}) }
+    };
+    this._showMappingStep(this.state.pendingMapping);
+
+    return false;
+  }
+
+  /**
+   * Affiche (ou masque) l'étape de mapping des colonnes
+   * @param {Object|null} pending - { fileName, headers, mapping }
+   * @private
+   */
+  _showMappingStep(pending) {
+    const container = this.getRef('mapping');
+    if (!container) return;
+
+    if (!pending) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const { fileName, headers, mapping } = pending;
+    const missing = getMissingColumns(headers, mapping);
+    const profiles = storageService.getColumnMappingProfiles();
+
+    container.innerHTML = `
+      <div class="file-upload__mapping-header">
+        <strong>Colonnes non reconnues dans ${this.escapeHtml(fileName)}</strong>
+        <p class="form-help">
+          Associez les en-têtes du fichier aux champs attendus.
+          ${missing.length > 0 ? `À mapper : ${missing.map(f => this.escapeHtml(f.label)).join(', ')}.` : ''}
+        </p>
+      </div>
+
+      ${profiles.length > 0 ? `
+        <div class="form-group">
+          <label class="form-label" for="mappingProfile">Profil enregistré</label>
+          <select id="mappingProfile" class="select select--sm" data-action="select-mapping-profile">
+            <option value="">— Choisir un profil —</option>
+            ${profiles.map(p => `
+              <option value="${this.escapeHtml(p.name)}">${this.escapeHtml(p.name)}</option>
+            `).join('')}
+          </select>
+        </div>
+      ` : ''}
+
+      <form class="file-upload__mapping-form" data-form="column-mapping">
+        <div class="file-upload__mapping-grid">
+          ${CANONICAL_FIELDS.map(field => `
+            <label class="form-label ${field.required ? 'form-label--required' : ''}" for="mapping-${field.key}">
+              ${this.escapeHtml(field.label)}
+              <span class="file-upload__mapping-example">${this.escapeHtml(field.example)}</span>
+            </label>
+            <select id="mapping-${field.key}" name="${field.key}" class="select select--sm">
+              <option value="">— Non mappé —</option>
+              ${headers.filter(h => h).map(header => `
+                <option value="${this.escapeHtml(header)}" ${mapping[field.key] === header ? 'selected' : ''}>
+                  ${this.escapeHtml(header)}
+                </option>
+              `).join('')}
+            </select>
+          `).join('')}
+        </div>
+        <p class="form-help">Au moins une des deux colonnes sprint doit être mappée.</p>
+
+        <div class="form-group">
+          <label class="form-label" for="mappingProfileName">Enregistrer comme profil (optionnel)</label>
+          <input type="text"
+                 id="mappingProfileName"
+                 name="profileName"
+                 class="input input--sm"
+                 placeholder="Ex : Jira FR" />
+        </div>
+
+        <div class="form-error" data-ref="mappingError"></div>
+
+        <div class="file-upload__mapping-actions">
+          <button type="button" class="btn btn--ghost btn--small" data-action="cancel-mapping">Annuler</button>
+          <button type="submit" class="btn btn--primary btn--small">Importer avec ce mapping</button>
+        </div>
+      </form>
+    `;
+
+    // Bind les événements de l'étape
+    const profileSelect = container.querySelector('[data-action="select-mapping-profile"]');
+    if (profileSelect) {
+      profileSelect.addEventListener('change', this._handleSelectMappingProfile.bind(this));
+    }
+    container.querySelector('[data-form="column-mapping"]')
+      .addEventListener('submit', this._handleSubmitMapping.bind(this));
+    container.querySelector('[data-action="cancel-mapping"]')
+      .addEventListener('click', this._handleCancelMapping.bind(this));
+  }
+
+  /**
+   * Pré-remplit le mapping depuis un profil enregistré
+   * @param {Event} e
+   * @private
+   */
+  _handleSelectMappingProfile(e) {
+    const pending = this.state.pendingMapping;
+    const profile = storageService.getColumnMappingProfiles().find(p => p.name === e.target.value);
+    if (!pending || !profile) return;
+
+    pending.mapping = { ...detectColumnMapping(pending.headers), ...profile.mapping };
+    this._showMappingStep(pending);
+
+    const profileSelect = this.$('[data-action="select-mapping-profile"]');
+    if (profileSelect) profileSelect.value = profile.name;
+    const nameInput = this.$('#mappingProfileName');
+    if (nameInput) nameInput.value = profile.name;
+  }
+
+  /**
+   * Valide le mapping et importe le fichier
+   * @param {Event} e
+   * @private
+   */
+  _handleSubmitMapping(e) {
+    e.preventDefault();
+    const pending = this.state.pendingMapping;
+    if (!pending) return;
+
+    const form = e.currentTarget;
+    const mapping = {};
+    CANONICAL_FIELDS.forEach(field => {
+      const value = form.elements[field.key]?.value;
+      if (value) mapping[field.key] = value;
+    });
+
+    const missing = getMissingColumns(pending.headers, mapping);
+    if (missing.length > 0) {
+      const errorEl = this.getRef('mappingError');
+      if (errorEl) {
+        errorEl.textContent = `Champs obligatoires non mappés : ${missing.map(f => f.label).join(', ')}`;
+      }
+      return;
+    }
+
+    const profileName = form.elements.profileName.value.trim();
+    if (profileName) {
+      storageService.saveColumnMappingProfile(profileName, mapping, pending.headers);
+      eventBus.emit('notification:show', {
+        type: 'success',
+        message: `Profil de colonnes "${profileName}" enregistré`
+      });
+    }
+
+    const fileType = this._getRequiredFiles().find(f => f.key === 'unified');
+    try {
+      const data = this._parseUnified(pending.content, mapping);
+      this.state.pendingMapping = null;
+      this._showMappingStep(null);
+      this._storeFileData(fileType, data, pending.fileName);
+      this._checkCompletion();
+    } catch (error) {
+      console.error(`[FileUploader] Erreur parsing ${pending.fileName}:`, error);
+      this._showErrors([`${pending.fileName}: Erreur de lecture - ${error.message}`]);
+    }
+  }
+
+  /**
+   * Abandonne l'étape de mapping
+   * @private
+   */
+  _handleCancelMapping() {
+    this.state.pendingMapping = null;
+    this._showMappingStep(null);
+  }
+
   /**
    * Identifie le type de fichier basé sur son nom
    * @param {string} filename
@@ -383,6 +780,9 @@ export default class FileUploader extends Component {
         teamsTimeInStatus: tisTeams, // Garder aussi les équipes TiS
         commonTeams: commonTeams,
         summary: unifiedData.summary || null,
+        sprintMetadata: unifiedData.sprintMetadata || [],
+        epics: unifiedData.epics || [],
+        backlogChildren: unifiedData.backlogChildren || [],
         timeInStatus: timeInStatusData // Maintenant un objet avec { tickets, teams, statuses, summary }
       };
 
@@ -409,7 +809,9 @@ export default class FileUploader extends Component {
         loaded: false,
         data: null
       };
-      this.setState({ files: { ...this.state.files } });
+      const dateConflicts = key === 'unified' ? [] : this.state.dateConflicts;
+      const pendingMapping = key === 'unified' ? null : this.state.pendingMapping;
+      this.setState({ files: { ...this.state.files }, dateConflicts, pendingMapping });
     }
   }
 
@@ -427,7 +829,7 @@ export default class FileUploader extends Component {
       };
     });
 
-    this.setState({ files, errors: [] });
+    this.setState({ files, errors: [], dateConflicts: [], pendingMapping: null });
     store.dispatch({ csvData: null, csvLoaded: false });
   }
 
@@ -443,14 +845,14 @@ export default class FileUploader extends Component {
         <div class="file-upload__dropzone" data-ref="dropzone">
           <div class="file-upload__icon">📁</div>
           <p class="file-upload__text">
-            Glissez vos fichiers CSV ici
+            Glissez vos fichiers CSV (ou un export JSON Jira) ici
           </p>
           <p class="file-upload__subtext">ou</p>
           <label class="file-upload__label btn btn--secondary">
             Parcourir
             <input type="file"
                    class="file-upload__input"
-                   accept=".csv"
+                   accept=".csv,.json"
                    multiple
                    data-ref="fileInput" />
           </label>
@@ -463,6 +865,10 @@ export default class FileUploader extends Component {
 
         <div class="file-upload__errors" data-ref="errors"></div>
 
+        <div class="file-upload__warnings" data-ref="warnings"></div>
+
+        <div class="file-upload__mapping" data-ref="mapping"></div>
+
         ${showChecklist ? this._renderChecklist() : ''}
       </div>
     `;
@@ -7,6 +7,8 @@
  * - Admin (préparation)
  * - Review (présentation)
  * - Forecast (projection)
+ * - Portefeuille (toutes les équipes côte à côte)
+ * - Epics (avancement des epics)
  *
  * USAGE :
  *   const nav = new Navigation('#nav-container', {
@@ -38,6 +40,14 @@ const SECTIONS_CONFIG = {
     id: 'forecast',
     label: 'Forecast'
   },
+  portfolio: {
+    id: 'portfolio',
+    label: 'Portefeuille'
+  },
+  epics: {
+    id: 'epics',
+    label: 'Epics'
+  },
   shared: {
     id: 'shared',
     label: 'StarAc',
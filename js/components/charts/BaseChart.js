@@ -14,6 +14,7 @@
 
 import Component from '../Component.js';
 import config from '../../core/config.js';
+import { isLibraryLoaded, getLibraryError } from '../../utils/libraries.js';
 
 // =========================================================================
 // CLASSE BASECHART
@@ -188,9 +189,9 @@ export default class BaseChart extends Component {
       return;
     }
 
-    if (!window.Chart) {
+    if (!isLibraryLoaded('chart')) {
       console.error('[BaseChart] Chart.js non chargé');
-      this.setState({ error: 'Chart.js non chargé' });
+      this.setState({ error: getLibraryError('chart') });
       return;
     }
 
@@ -208,7 +209,8 @@ export default class BaseChart extends Component {
       });
 
       console.log('[BaseChart] Chart créé:', this.chart);
-      this.setState({ isReady: true, error: null });
+      // Pas de setState : le re-rendu remplacerait le canvas du graphique
+      this.state = { ...this.state, isReady: true, error: null };
 
     } catch (error) {
       console.error('[BaseChart] Erreur création:', error);
@@ -0,0 +1,174 @@
+/**
+ * ==========================================================================
+ * CFDCHART.JS - Diagramme de flux cumulé (aires empilées)
+ * ==========================================================================
+ *
+ * Graphique en aires empilées pour afficher :
+ * - Le nombre de tickets par état du workflow, jour par jour
+ * - Les limites de sprint (lignes verticales)
+ * - Les bandes qui s'élargissent (goulots d'étranglement)
+ *
+ * FEATURES :
+ * - Bandes de l'amont (haut) vers l'aval (bas)
+ * - Contour rouge sur les bandes signalées comme goulots
+ * - Tooltip avec le détail de toutes les bandes du jour
+ *
+ * DONNÉES (props.data) :
+ *   {
+ *     labels: ['05/01', '06/01', ...],
+ *     bands: [{ key, label, color, counts: [...], isBottleneck }]  // amont → aval
+ *   }
+ *
+ * ==========================================================================
+ */
+
+import BaseChart from './BaseChart.js';
+import config from '../../core/config.js';
+
+// =========================================================================
+// CLASSE CFDCHART
+// =========================================================================
+
+export default class CFDChart extends BaseChart {
+  /**
+   * @param {string|HTMLElement} container
+   * @param {Object} props
+   * @param {Object} props.data - { labels, bands }
+   * @param {Array} props.boundaries - Limites de sprint [{ index, label }]
+   */
+  constructor(container, props = {}) {
+    super(container, {
+      type: 'line',
+      boundaries: [],
+      ...props
+    });
+  }
+
+  /**
+   * Options par défaut pour le CFD
+   */
+  _getDefaultOptions() {
+    const baseOptions = super._getDefaultOptions();
+
+    return {
+      ...baseOptions,
+      interaction: {
+        mode: 'index',
+        intersect: false
+      },
+      elements: {
+        point: { radius: 0, hoverRadius: 3 },
+        line: { tension: 0 }
+      },
+      scales: {
+        x: {
+          ...baseOptions.scales.x,
+          ticks: {
+            ...baseOptions.scales.x.ticks,
+            maxRotation: 0,
+            autoSkip: true,
+            maxTicksLimit: 12
+          }
+        },
+        y: {
+          ...baseOptions.scales.y,
+          stacked: true,
+          ticks: { ...baseOptions.scales.y.ticks, precision: 0 },
+          title: { display: true, text: 'Tickets' }
+        }
+      },
+      plugins: {
+        ...baseOptions.plugins,
+        legend: {
+          display: true,
+          position: 'top',
+          reverse: true,
+          labels: { boxWidth: 12 }
+        },
+        tooltip: {
+          ...baseOptions.plugins.tooltip,
+          mode: 'index',
+          intersect: false,
+          displayColors: true,
+          itemSort: (a, b) => b.datasetIndex - a.datasetIndex,
+          callbacks: {
+            label: (context) => `${context.dataset.label}: ${context.parsed.y}`
+          }
+        },
+        annotation: {
+          annotations: this._createBoundaryAnnotations(this.props.boundaries)
+        }
+      }
+    };
+  }
+
+  /**
+   * Crée les lignes verticales de début de sprint
+   * @param {Array} boundaries - [{ index, label }]
+   * @returns {Object}
+   * @private
+   */
+  _createBoundaryAnnotations(boundaries = []) {
+    const annotations = {};
+
+    boundaries.forEach((boundary, index) => {
+      annotations[`sprint${index}`] = {
+        type: 'line',
+        xMin: boundary.index,
+        xMax: boundary.index,
+        borderColor: config.colors.gray[400],
+        borderWidth: 1,
+        borderDash: [4, 4],
+        label: {
+          display: true,
+          content: boundary.label,
+          position: 'start',
+          backgroundColor: config.colors.gray[500],
+          color: '#fff',
+          font: {
+            size: 10
+          }
+        }
+      };
+    });
+
+    return annotations;
+  }
+
+  /**
+   * Traite les données : une aire par bande, l'aval (Terminé) en bas de la pile
+   * @param {Object} data - { labels, bands }
+   * @returns {Object}
+   */
+  _processData(data) {
+    const bands = [...(data.bands || [])].reverse();
+
+    const datasets = bands.map((band, index) => ({
+      label: band.isBottleneck ? `${band.label} ⚠` : band.label,
+      data: band.counts,
+      backgroundColor: band.color,
+      borderColor: band.isBottleneck ? config.colors.danger[600] : band.color,
+      borderWidth: band.isBottleneck ? 2 : 1,
+      fill: index === 0 ? 'origin' : '-1'
+    }));
+
+    return {
+      labels: data.labels,
+      datasets
+    };
+  }
+
+  /**
+   * Met à jour les limites de sprint
+   * @param {Array} boundaries
+   */
+  updateBoundaries(boundaries) {
+    if (!this.chart) return;
+
+    this.chart.options.plugins.annotation = {
+      annotations: this._createBoundaryAnnotations(boundaries)
+    };
+
+    this.chart.update();
+  }
+}
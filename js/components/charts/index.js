@@ -8,3 +8,4 @@ export { default as BaseChart } from './BaseChart.js';
 export { default as BarChart } from './BarChart.js';
 export { default as TrendChart } from './TrendChart.js';
 export { default as DoughnutChart } from './DoughnutChart.js';
+export { default as CFDChart } from './CFDChart.js';
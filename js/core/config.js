@@ -115,18 +115,6 @@ const config = {
     capacity: '#f5c869'       // Yellow
   },
 
-  /**
-   * Couleurs pour Time in Status (donut chart)
-   */
-  statusColors: {
-    'En cours': '#6b9bd2',
-    'Code Review': '#5bb5b0',
-    'A déployer en env de recette': '#f5c869',
-    'A tester': '#a78bda',
-    'A déployer en PROD': '#f5a962',
-    'A valider': '#7bc47f'
-  },
-
   // =========================================================================
   // 2. SEUILS ET LIMITES
   // =========================================================================
@@ -160,6 +148,7 @@ const config = {
   limits: {
     maxGoals: 5,                    // Nombre max de Sprint Goals
     maxSprintHistory: 20,           // Sprints en historique
+    maxForecastRecords: 60,         // Prévisions conservées pour le suivi de fiabilité
     sprintDurationWeeks: 2,         // Durée d'un sprint en semaines
     forecastSprintsCount: 3,        // Sprints pour calcul forecast
     displaySprintsCount: 6          // Sprints affichés dans les graphiques
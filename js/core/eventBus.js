@@ -252,6 +252,7 @@ class EventBus {
  * Navigation :
  * - 'navigate'        : Changement de section { section }
  * - 'section:changed' : Section active changée { from, to }
+ * - 'teams:select'    : Sélection d'équipes demandée (drill-down du Portefeuille) { teams }
  *
  * UI :
  * - 'statsMode:changed': Toggle moyenne/médiane { mode }
@@ -262,6 +263,14 @@ class EventBus {
  * - 'snapshot:saved'   : Snapshot sauvegardé { id, timestamp }
  * - 'snapshot:loaded'  : Snapshot chargé { id }
  * - 'snapshot:deleted' : Snapshot supprimé { id }
+ * - 'snapshot:migrated': Snapshots du localStorage copiés dans IndexedDB { count }
+ *
+ * Chiffrement :
+ * - 'encryption:enabled'      : Chiffrement activé, données chiffrées
+ * - 'encryption:disabled'     : Chiffrement désactivé (données en clair ou effacées)
+ * - 'encryption:unlocked'     : Phrase secrète saisie, données déchiffrées en mémoire
+ * - 'encryption:locked'       : Clé et données déchiffrées oubliées
+ * - 'encryption:lock-request' : Verrouillage demandé (effectué par main.js)
  *
  * Export :
  * - 'pdf:generating'   : Génération PDF en cours
@@ -273,6 +282,20 @@ class EventBus {
  * - 'goal:updated'     : Goal mis à jour { goal }
  * - 'goal:removed'     : Goal supprimé { id }
  *
+ * Calendrier :
+ * - 'calendar:updated' : Calendrier de sprints modifié { team }
+ * - 'capacity:updated' : Congés / jours off du calendrier de capacité modifiés { count }
+ *
+ * Simulation Monte Carlo (simulationRunner.js) :
+ * - 'simulation:started'   : Simulation lancée { runId }
+ * - 'simulation:progress'  : Progression { runId, progress }
+ * - 'simulation:completed' : Simulation terminée { runId, inWorker }
+ * - 'simulation:cancelled' : Simulation annulée par un nouveau lancement { runId }
+ * - 'simulation:error'     : Erreur de simulation { runId, error }
+ *
+ * Suivi des prévisions :
+ * - 'forecast:recorded' : Prévision Forecast / How Many enregistrée { record }
+ *
  * Sprint History :
  * - 'history:added'    : Sprint ajouté à l'historique { sprint }
  * - 'history:updated'  : Sprint mis à jour { sprint }
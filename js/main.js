@@ -8,6 +8,8 @@
  * - Chargement des composants
  * - Gestion de la navigation
  * - Notifications
+ * - Fonctionnement hors ligne (service worker, bibliothèques manquantes)
+ * - Déverrouillage / verrouillage des données chiffrées
  *
  * ==========================================================================
  */
@@ -22,12 +24,16 @@ import router from './core/router.js';
 import Navigation from './components/Navigation.js';
 
 // Pages
-import { AdminPage, ReviewPage, ForecastPage } from './pages/index.js';
+import { AdminPage, ReviewPage, ForecastPage, PortfolioPage, EpicsPage } from './pages/index.js';
 import SharedContributorsPage from './pages/SharedContributorsPage.js';
 import HowManyPage from './pages/HowManyPage.js';
 
 // Services
 import storageService from './services/storageService.js';
+import encryptionService from './services/encryptionService.js';
+
+// Utils
+import { getMissingLibraries } from './utils/libraries.js';
 
 // =========================================================================
 // APPLICATION CLASS
@@ -60,6 +66,9 @@ class App {
     // Initialiser l'état par défaut
     this._initializeStore();
 
+    // Données chiffrées : phrase secrète avant tout accès au stockage
+    await this._unlockStorage();
+
     // Configurer la navigation
     this._setupNavigation();
 
@@ -72,6 +81,12 @@ class App {
     // Charger la page initiale
     this._loadInitialPage();
 
+    // Signaler les bibliothèques externes non chargées (hors ligne)
+    this._checkLibraries();
+
+    // Mettre l'application en cache pour un usage hors ligne
+    this._registerServiceWorker();
+
     // Afficher l'info de démarrage
     this._showStartupInfo();
 
@@ -123,6 +138,9 @@ class App {
       // Sprint Goals
       sprintGoals: [],
 
+      // Plan de capacité du Forecast (disponibilité par contributeur, 0-1)
+      capacityPlan: { sprint: null, availability: {}, newJoiners: [] },
+
       // UI
       currentSection: 'admin',
       isLoading: false
@@ -140,7 +158,7 @@ class App {
     if (!this.containers.nav) return;
 
     this.navigation = new Navigation(this.containers.nav, {
-      sections: ['admin', 'review', 'forecast'],
+      sections: ['admin', 'review', 'forecast', 'portfolio', 'epics'],
       activeSection: 'admin'
     });
 
@@ -156,6 +174,8 @@ class App {
     router.addRoute('/admin', () => this._showPage('admin'));
     router.addRoute('/review', () => this._showPage('review'));
     router.addRoute('/forecast', () => this._showPage('forecast'));
+    router.addRoute('/portfolio', () => this._showPage('portfolio'));
+    router.addRoute('/epics', () => this._showPage('epics'));
     router.addRoute('/shared', () => this._showPage('shared')); // Page secrète StarAc
     router.addRoute('/howmany', () => this._showPage('howmany')); // Page secrète How Many
     router.addRoute('/', () => this._showPage('admin'));
@@ -199,10 +219,111 @@ class App {
     // Gestion du redimensionnement
     window.addEventListener('resize', this._handleResize.bind(this));
 
+    // Verrouillage (bouton visible si le chiffrement est activé)
+    const lockBtn = document.getElementById('lock-btn');
+    if (lockBtn) {
+      lockBtn.hidden = !encryptionService.isEnabled();
+      lockBtn.addEventListener('click', () => this._lock());
+
+      eventBus.on('encryption:enabled', () => { lockBtn.hidden = false; });
+      eventBus.on('encryption:disabled', () => { lockBtn.hidden = true; });
+    }
+
+    // Verrouillage demandé par une page (Préparation)
+    eventBus.on('encryption:lock-request', () => this._lock());
+
     // Konami Codes pour pages secrètes
     this._setupSecretCodes();
   }
 
+  /**
+   * Demande la phrase secrète si les données sont chiffrées
+   * Bloque le démarrage jusqu'au déverrouillage (ou à l'effacement des
+   * données si la phrase est oubliée)
+   * @private
+   * @returns {Promise<void>}
+   */
+  _unlockStorage() {
+    const modal = document.getElementById('unlock-modal');
+    const form = document.getElementById('unlock-form');
+    if (!encryptionService.isLocked() || !modal || !form) {
+      return Promise.resolve();
+    }
+
+    const input = document.getElementById('unlock-passphrase');
+    const errorEl = document.getElementById('unlock-error');
+    const submitBtn = document.getElementById('unlock-submit');
+    const resetBtn = document.getElementById('unlock-reset');
+
+    modal.classList.add('modal-overlay--visible');
+    document.body.style.overflow = 'hidden';
+    input.focus();
+
+    return new Promise((resolve) => {
+      const close = () => {
+        form.removeEventListener('submit', handleSubmit);
+        resetBtn.removeEventListener('click', handleReset);
+        modal.classList.remove('modal-overlay--visible');
+        document.body.style.overflow = '';
+        resolve();
+      };
+
+      const handleSubmit = async (e) => {
+        e.preventDefault();
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Déverrouillage...';
+        errorEl.textContent = '';
+
+        try {
+          await encryptionService.unlock(input.value);
+          input.value = '';
+          close();
+        } catch (error) {
+          errorEl.textContent = error.message;
+          input.select();
+        } finally {
+          submitBtn.disabled = false;
+          submitBtn.textContent = 'Déverrouiller';
+        }
+      };
+
+      const handleReset = async () => {
+        const confirmed = confirm(
+          'Effacer définitivement les données chiffrées (snapshots, préférences, calendriers, congés) ?\n' +
+          'Sans la phrase secrète, elles ne peuvent pas être récupérées.'
+        );
+        if (!confirmed) return;
+
+        await encryptionService.reset();
+        close();
+        this._showNotification({ type: 'warning', message: 'Données chiffrées effacées, chiffrement désactivé' });
+      };
+
+      form.addEventListener('submit', handleSubmit);
+      resetBtn.addEventListener('click', handleReset);
+    });
+  }
+
+  /**
+   * Verrouille les données : vide le store, oublie les données déchiffrées
+   * et la clé, puis recharge la page pour effacer l'état des pages
+   * (la phrase secrète est redemandée au démarrage)
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _lock() {
+    if (this.currentPage) {
+      this.currentPage.unmount();
+      this.currentPage = null;
+    }
+    this.pages = {};
+
+    store.reset();
+    await encryptionService.lock();
+
+    window.location.reload();
+  }
+
   /**
    * Configure les codes secrets pour les pages cachées
    * @private
@@ -347,6 +468,8 @@ class App {
       admin: AdminPage,
       review: ReviewPage,
       forecast: ForecastPage,
+      portfolio: PortfolioPage,
+      epics: EpicsPage,
       shared: SharedContributorsPage,
       howmany: HowManyPage
     };
@@ -405,6 +528,42 @@ class App {
     }
   }
 
+  /**
+   * Signale les bibliothèques externes absentes (ni vendor/, ni CDN)
+   * @private
+   */
+  _checkLibraries() {
+    const missing = getMissingLibraries();
+    if (missing.length === 0) return;
+
+    console.warn('[App] Bibliothèques non chargées:', missing.map(lib => lib.file));
+
+    this._showNotification({
+      type: 'warning',
+      message: `Hors ligne : ${missing.map(lib => lib.label).join(', ')} non chargé(s) – ${missing.map(lib => lib.feature).join(', ')} indisponible(s)`,
+      duration: 10000
+    });
+  }
+
+  /**
+   * Enregistre le service worker (précache de l'application et des bibliothèques)
+   * Indisponible en file:// : l'application fonctionne alors sans cache hors ligne
+   * @private
+   */
+  _registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) {
+      return;
+    }
+
+    navigator.serviceWorker.register('sw.js')
+      .then(registration => {
+        console.log('[App] Service worker enregistré:', registration.scope);
+      })
+      .catch(error => {
+        console.warn('[App] Service worker non enregistré:', error);
+      });
+  }
+
   /**
    * Gère le redimensionnement
    * @private
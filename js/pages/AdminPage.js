@@ -8,7 +8,12 @@
  * - Saisir manuellement les données du sprint
  * - Définir les Sprint Goals
  * - Configurer les Story Points
- * - Gérer les snapshots
+ * - Définir le calendrier des sprints par équipe
+ * - Saisir les congés et jours off (calendrier de capacité, jours fériés inclus)
+ * - Gérer les snapshots (IndexedDB : tickets, Time in Status et métriques inclus)
+ * - Exporter / importer un snapshot en fichier (transmission à un autre poste)
+ * - Comparer deux snapshots (tickets, Story Points, goals, métriques)
+ * - Chiffrer les données enregistrées par phrase secrète (activation, verrouillage)
  *
  * ==========================================================================
  */
@@ -20,8 +25,17 @@ import store from '../core/store.js';
 import eventBus from '../core/eventBus.js';
 import config from '../core/config.js';
 import dataTransformerV2, { getAvailableSprints } from '../services/dataTransformerV2.js';
-import storageService from '../services/storageService.js';
+import snapshotDatabase from '../services/snapshotDatabase.js';
+import encryptionService from '../services/encryptionService.js';
+import { MIN_PASSPHRASE_LENGTH } from '../services/cryptoService.js';
+import { createBundle, getBundleFilename, parseBundle } from '../services/snapshotBundle.js';
+import { compareSnapshots, GOAL_STATUS_LABELS } from '../services/snapshotDiffService.js';
+import sprintCalendar, { DEFAULT_CALENDAR } from '../services/sprintCalendarService.js';
+import capacityCalendar, { WHOLE_TEAM } from '../services/capacityCalendarService.js';
+import workflow, { DEFAULT_WORKFLOW, STATUS_CATEGORIES } from '../services/workflowService.js';
 import { validateSprintInput } from '../utils/validators.js';
+import { getFrenchHolidays } from '../utils/holidays.js';
+import { formatDate } from '../utils/dateUtils.js';
 
 // =========================================================================
 // CLASSE ADMINPAGE
@@ -65,13 +79,38 @@ export default class AdminPage extends Component {
       availableTeams: [],
       selectedTeams: [],
 
+      // Calendrier des sprints (équipe en cours d'édition)
+      calendarTeam: DEFAULT_CALENDAR,
+      calendarError: null,
+
+      // Calendrier de capacité (congés)
+      capacityError: null,
+
+      // Workflow des statuts (équipe en cours d'édition)
+      workflowTeam: DEFAULT_WORKFLOW,
+      workflowError: null,
+
+      // Chiffrement des données
+      encryptionError: null,
+
       // État
       csvLoaded: false,
       errors: {},
       snapshots: [],
+      storageInfo: null,
+      diffSelection: [], // IDs des snapshots à comparer (2 max)
+      snapshotDiff: null,
       isLoading: false
     };
 
+    // Anciens snapshots du localStorage copiés dans IndexedDB
+    this.on('snapshot:migrated', ({ count }) => {
+      eventBus.emit('notification:show', {
+        type: 'info',
+        message: `${count} snapshot(s) migré(s) vers le nouveau stockage`
+      });
+    });
+
     // Charger les snapshots existants
     this._loadSnapshots();
 
@@ -85,6 +124,30 @@ export default class AdminPage extends Component {
         this._updateSaveButton();
       }
     );
+
+    // Calendrier modifié (formulaire ou calendrier détecté dans le CSV)
+    this.on('calendar:updated', () => {
+      this._updateCalendarSection();
+      this._refreshMetrics();
+    });
+
+    // Congés / jours off modifiés (le WIP ignore les jours off d'équipe)
+    this.on('capacity:updated', () => {
+      this._updateCapacitySection();
+      this._refreshMetrics();
+    });
+
+    // Workflow modifié (catégories, couleurs, ordre des statuts)
+    this.on('workflow:updated', () => {
+      this._updateWorkflowSection();
+      this._refreshMetrics();
+    });
+
+    // Drill-down du Portefeuille : la page est démontée à ce moment-là,
+    // l'abonnement doit donc survivre au démontage
+    eventBus.on('teams:select', ({ teams }) => {
+      this._selectTeams(teams);
+    });
   }
 
   /**
@@ -142,12 +205,26 @@ export default class AdminPage extends Component {
   }
 
   /**
-   * Charge les snapshots depuis le localStorage
+   * Charge la liste des snapshots et l'espace de stockage utilisé
    * @private
    */
-  _loadSnapshots() {
-    const snapshots = storageService.listSnapshots();
-    this.state.snapshots = snapshots;
+  async _loadSnapshots() {
+    try {
+      const [snapshots, storageInfo] = await Promise.all([
+        snapshotDatabase.listSnapshots(),
+        snapshotDatabase.getStorageInfo()
+      ]);
+      this.state.snapshots = snapshots;
+      this.state.storageInfo = storageInfo;
+      this.state.diffSelection = this.state.diffSelection.filter(id => snapshots.some(s => s.id === id));
+    } catch (error) {
+      console.error('[AdminPage] Erreur lecture des snapshots:', error);
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: `Snapshots indisponibles: ${error.message}`
+      });
+    }
+
     // Mettre à jour la liste dans le DOM (si monté)
     if (this._isMounted) {
       this._updateSnapshotsList();
@@ -162,42 +239,7 @@ export default class AdminPage extends Component {
     const container = this.$('[data-section="snapshots"] .admin-section__content');
     if (!container) return;
 
-    const snapshots = this.state.snapshots;
-
-    if (snapshots.length === 0) {
-      container.innerHTML = `
-        <div class="empty-state empty-state--small">
-          <p>Aucun snapshot sauvegardé</p>
-        </div>
-      `;
-    } else {
-      container.innerHTML = `
-        <ul class="snapshot-list">
-          ${snapshots.map(snapshot => `
-            <li class="snapshot-item">
-              <div class="snapshot-item__info">
-                <span class="snapshot-item__name">${this.escapeHtml(snapshot.name)}</span>
-                <span class="snapshot-item__date">${snapshot.dateFormatted}</span>
-              </div>
-              <div class="snapshot-item__actions">
-                <button class="btn btn--ghost btn--small"
-                        data-action="load-snapshot"
-                        data-id="${snapshot.id}"
-                        title="Charger">
-                  📥
-                </button>
-                <button class="btn btn--ghost btn--small btn--danger"
-                        data-action="delete-snapshot"
-                        data-id="${snapshot.id}"
-                        title="Supprimer">
-                  🗑️
-                </button>
-              </div>
-            </li>
-          `).join('')}
-        </ul>
-      `;
-    }
+    container.innerHTML = this._renderSnapshots();
 
     // Re-bind les événements pour les boutons de snapshots
     this._bindSnapshotEvents();
@@ -211,9 +253,19 @@ export default class AdminPage extends Component {
     this.$$('[data-action="load-snapshot"]').forEach(btn => {
       btn.addEventListener('click', this._handleLoadSnapshot.bind(this));
     });
+    this.$$('[data-action="export-snapshot"]').forEach(btn => {
+      btn.addEventListener('click', this._handleExportSnapshot.bind(this));
+    });
     this.$$('[data-action="delete-snapshot"]').forEach(btn => {
       btn.addEventListener('click', this._handleDeleteSnapshot.bind(this));
     });
+    this.$$('[data-action="toggle-diff-snapshot"]').forEach(input => {
+      input.addEventListener('change', this._handleToggleDiffSnapshot.bind(this));
+    });
+    this.$('[data-action="compare-snapshots"]')
+      ?.addEventListener('click', this._handleCompareSnapshots.bind(this));
+    this.$('[data-action="close-snapshot-diff"]')
+      ?.addEventListener('click', this._handleCloseSnapshotDiff.bind(this));
   }
 
   /**
@@ -243,6 +295,10 @@ export default class AdminPage extends Component {
         this.state.teamName = '';
       }
 
+      // Calendrier de sprints et workflow : ceux de l'équipe sélectionnée
+      this._syncCalendarTeam();
+      this._syncWorkflowTeam();
+
       console.log('[AdminPage] Équipes chargées:', teams);
 
       // Récupérer les sprints disponibles
@@ -307,6 +363,11 @@ export default class AdminPage extends Component {
       // Mettre à jour la section Story Points (peut maintenant afficher les données auto)
       this._updateStoryPointsSection();
 
+      // Mettre à jour les calendriers et le workflow (nouvelles équipes, contributeurs, statuts détectés)
+      this._updateCalendarSection();
+      this._updateCapacitySection();
+      this._updateWorkflowSection();
+
     } catch (error) {
       console.error('[AdminPage] Erreur transformation:', error);
       eventBus.emit('notification:show', {
@@ -453,19 +514,24 @@ export default class AdminPage extends Component {
   }
 
   /**
-   * Sauvegarde un snapshot
+   * Sauvegarde un snapshot (état du store : tickets, Time in Status, métriques,
+   * saisie manuelle, Sprint Goals, plan de capacité)
    */
-  _saveSnapshot() {
+  async _saveSnapshot() {
     // Lire les valeurs actuelles depuis le DOM (au cas où blur n'a pas eu lieu)
     this._syncFormValuesToState();
     this._syncToStore();
 
-    const state = store.getState();
+    // L'état de l'interface n'est pas sauvegardé
+    const { currentSection, isLoading, ...state } = store.getState();
     const name = `${this.state.sprintName} - ${this.state.teamName}`;
 
     try {
-      storageService.saveSnapshot(name, state);
-      this._loadSnapshots();
+      await snapshotDatabase.saveSnapshot(name, state, {
+        teams: this.state.selectedTeams,
+        sprint: this.state.selectedSprint
+      });
+      await this._loadSnapshots();
 
       eventBus.emit('notification:show', {
         type: 'success',
@@ -501,7 +567,8 @@ export default class AdminPage extends Component {
         sprintName: 'Sprint',
         storyPoints: emptyStoryPoints
       },
-      sprintGoals: []
+      sprintGoals: [],
+      capacityPlan: { sprint: null, availability: {}, newJoiners: [] }
     });
 
     // Réinitialiser l'état local
@@ -556,14 +623,25 @@ export default class AdminPage extends Component {
    * Charge un snapshot
    * @param {string} id
    */
-  _loadSnapshot(id) {
-    // loadSnapshot retourne directement les données, pas l'objet snapshot
-    const data = storageService.loadSnapshot(id);
-    if (data) {
-      // S'assurer que sprintGoals est toujours défini (réinitialiser si absent)
+  async _loadSnapshot(id) {
+    let snapshot = null;
+    try {
+      snapshot = await snapshotDatabase.loadSnapshot(id);
+    } catch (error) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: `Erreur: ${error.message}`
+      });
+      return;
+    }
+
+    if (snapshot) {
+      const { data } = snapshot;
+      // S'assurer que sprintGoals et capacityPlan sont toujours définis (réinitialiser si absents)
       const dataWithGoals = {
         ...data,
-        sprintGoals: data.sprintGoals || []
+        sprintGoals: data.sprintGoals || [],
+        capacityPlan: { sprint: null, availability: {}, newJoiners: [], ...data.capacityPlan }
       };
       store.dispatch(dataWithGoals);
 
@@ -600,22 +678,47 @@ export default class AdminPage extends Component {
         this._updateSaveButton();
       }
 
+      // Restaurer les tickets et la sélection équipes / sprint
+      if (data.rawCsvData) {
+        this._restoreSnapshotSelection(data, snapshot);
+      }
+
       // Mettre à jour le composant SprintGoals directement
       if (this.sprintGoals) {
         this.sprintGoals.setGoals(dataWithGoals.sprintGoals);
       }
 
-      // Récupérer le nom du snapshot pour la notification
-      const snapshots = storageService.listSnapshots();
-      const snapshotInfo = snapshots.find(s => s.id === id);
-
       eventBus.emit('notification:show', {
         type: 'success',
-        message: `Snapshot "${snapshotInfo?.name || 'sans nom'}" chargé`
+        message: `Snapshot "${snapshot.name || 'sans nom'}" chargé`
       });
     }
   }
 
+  /**
+   * Restaure les données brutes et la sélection d'un snapshot
+   * (les métriques sauvegardées sont conservées, sans re-transformation)
+   * @param {Object} data - Données du snapshot
+   * @param {Object} snapshot - Métadonnées { teams, sprint }
+   * @private
+   */
+  _restoreSnapshotSelection(data, snapshot) {
+    this.state.rawCsvData = data.rawCsvData;
+    this.state.availableTeams = data.rawCsvData.teams || [];
+    this.state.selectedTeams = snapshot.teams.filter(team => this.state.availableTeams.includes(team));
+    this.state.availableSprints = getAvailableSprints(data.csvData?.tickets || data.rawCsvData.tickets || []);
+    this.state.selectedSprint = snapshot.sprint;
+
+    this._syncCalendarTeam();
+    this._syncWorkflowTeam();
+
+    this._updateSprintSelector();
+    this._updateStoryPointsSection();
+    this._updateCalendarSection();
+    this._updateCapacitySection();
+    this._updateWorkflowSection();
+  }
+
   /**
    * Met à jour les champs du formulaire dans le DOM
    * @private
@@ -641,9 +744,17 @@ export default class AdminPage extends Component {
    * Supprime un snapshot
    * @param {string} id
    */
-  _deleteSnapshot(id) {
-    storageService.deleteSnapshot(id);
-    this._loadSnapshots();
+  async _deleteSnapshot(id) {
+    try {
+      await snapshotDatabase.deleteSnapshot(id);
+    } catch (error) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: `Erreur: ${error.message}`
+      });
+      return;
+    }
+    await this._loadSnapshots();
 
     eventBus.emit('notification:show', {
       type: 'info',
@@ -651,6 +762,107 @@ export default class AdminPage extends Component {
     });
   }
 
+  /**
+   * Exporte un snapshot dans un fichier JSON
+   * @param {string} id
+   * @private
+   */
+  async _exportSnapshot(id) {
+    try {
+      const snapshot = await snapshotDatabase.loadSnapshot(id);
+      if (!snapshot) return;
+
+      const blob = new Blob([createBundle(snapshot)], { type: 'application/json;charset=utf-8' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = getBundleFilename(snapshot);
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+
+      eventBus.emit('notification:show', {
+        type: 'success',
+        message: `Snapshot "${snapshot.name}" exporté`
+      });
+    } catch (error) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: `Erreur export: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Importe un fichier de snapshot : ajouté à la liste puis chargé
+   * @param {File} file
+   * @private
+   */
+  async _importSnapshot(file) {
+    try {
+      const content = await new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () => reject(new Error('Erreur de lecture du fichier'));
+        reader.readAsText(file);
+      });
+
+      const imported = parseBundle(content);
+      imported.warnings.forEach(message => {
+        eventBus.emit('notification:show', { type: 'warning', message });
+      });
+
+      // Calendriers de l'export : les sprints en chevauchement avec le calendrier local sont ignorés
+      let skipped = 0;
+      Object.entries(imported.sprintCalendars).forEach(([team, entries]) => {
+        skipped += sprintCalendar.upsertSprints(team, entries).skipped.length;
+      });
+      if (skipped > 0) {
+        eventBus.emit('notification:show', {
+          type: 'warning',
+          message: `${skipped} sprint(s) du calendrier importé ignoré(s) (chevauchement avec le calendrier local)`
+        });
+      }
+
+      const meta = await snapshotDatabase.saveSnapshot(imported.name, imported.data, {
+        teams: imported.teams,
+        sprint: imported.sprint
+      });
+      await this._loadSnapshots();
+      await this._loadSnapshot(meta.id);
+    } catch (error) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: `Import impossible: ${error.message}`
+      });
+    }
+  }
+
+  /**
+   * Compare les deux snapshots sélectionnés
+   * @private
+   */
+  async _compareSnapshots() {
+    const { diffSelection } = this.state;
+    if (diffSelection.length !== 2) return;
+
+    try {
+      const [first, second] = await Promise.all(diffSelection.map(id => snapshotDatabase.loadSnapshot(id)));
+      if (!first || !second) return;
+
+      this.state.snapshotDiff = compareSnapshots(first, second);
+    } catch (error) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: `Erreur comparaison: ${error.message}`
+      });
+      return;
+    }
+
+    this._updateSnapshotsList();
+  }
+
   /**
    * Rendu du composant
    */
@@ -712,20 +924,69 @@ export default class AdminPage extends Component {
             </div>
           </section>
 
+          <!-- Calendrier des sprints -->
+          <section class="admin-section admin-section--full" data-section="sprint-calendar">
+            <div class="admin-section__header">
+              <h3 class="admin-section__title">Calendrier des sprints</h3>
+            </div>
+            <div class="admin-section__content">
+              ${this._renderSprintCalendar()}
+            </div>
+          </section>
+
+          <!-- Calendrier de capacité -->
+          <section class="admin-section admin-section--full" data-section="capacity-calendar">
+            <div class="admin-section__header">
+              <h3 class="admin-section__title">Calendrier de capacité</h3>
+            </div>
+            <div class="admin-section__content">
+              ${this._renderCapacityCalendar()}
+            </div>
+          </section>
+
+          <!-- Workflow des statuts -->
+          <section class="admin-section admin-section--full" data-section="workflow">
+            <div class="admin-section__header">
+              <h3 class="admin-section__title">Workflow des statuts</h3>
+            </div>
+            <div class="admin-section__content">
+              ${this._renderWorkflow()}
+            </div>
+          </section>
+
           <!-- Snapshots -->
           <section class="admin-section admin-section--full" data-section="snapshots">
             <div class="admin-section__header">
               <h3 class="admin-section__title">Snapshots</h3>
-              <button class="btn btn--primary btn--small"
-                      data-action="save-snapshot"
-                      ${!csvLoaded && !hasStoryPoints ? 'disabled' : ''}>
-                Sauvegarder
-              </button>
+              <div class="admin-section__actions">
+                <label class="btn btn--secondary btn--small" title="Importer un snapshot exporté (.json)">
+                  Importer
+                  <input type="file"
+                         class="visually-hidden"
+                         accept=".json,application/json"
+                         data-action="import-snapshot" />
+                </label>
+                <button class="btn btn--primary btn--small"
+                        data-action="save-snapshot"
+                        ${!csvLoaded && !hasStoryPoints ? 'disabled' : ''}>
+                  Sauvegarder
+                </button>
+              </div>
             </div>
             <div class="admin-section__content">
               ${this._renderSnapshots()}
             </div>
           </section>
+
+          <!-- Chiffrement des données -->
+          <section class="admin-section admin-section--full" data-section="encryption">
+            <div class="admin-section__header">
+              <h3 class="admin-section__title">Chiffrement des données</h3>
+            </div>
+            <div class="admin-section__content">
+              ${this._renderEncryption()}
+            </div>
+          </section>
         </div>
 
         ${isLoading ? '<div class="admin-page__loader"><div class="loader"></div></div>' : ''}
@@ -933,19 +1194,358 @@ export default class AdminPage extends Component {
     `;
   }
 
+  /**
+   * Rendu de l'éditeur du calendrier des sprints
+   * @returns {string}
+   * @private
+   */
+  _renderSprintCalendar() {
+    const { calendarTeam, calendarError } = this.state;
+    const entries = sprintCalendar.getCalendar(calendarTeam);
+    const suggestion = sprintCalendar.suggestNextSprint(calendarTeam) || { number: '', start: '', end: '' };
+
+    // Équipes éditables : calendrier par défaut + équipes du CSV + équipes déjà configurées
+    const teams = [...new Set([
+      ...this.state.availableTeams,
+      ...sprintCalendar.getCalendarTeams().filter(t => t !== DEFAULT_CALENDAR)
+    ])];
+
+    const formatDay = (isoDate) => sprintCalendar.parseCalendarDate(isoDate)
+      .toLocaleDateString(config.locale, { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const durationDays = (entry) => {
+      const start = sprintCalendar.parseCalendarDate(entry.start);
+      const end = sprintCalendar.parseCalendarDate(entry.end);
+      return Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+    };
+
+    return `
+      <div class="sprint-calendar">
+        <div class="sprint-calendar__toolbar">
+          <label class="form__label" for="calendarTeam">Équipe</label>
+          <select id="calendarTeam"
+                  class="form__input form__select sprint-calendar__team"
+                  data-action="select-calendar-team">
+            <option value="${DEFAULT_CALENDAR}" ${calendarTeam === DEFAULT_CALENDAR ? 'selected' : ''}>
+              Toutes les équipes (par défaut)
+            </option>
+            ${teams.map(team => `
+              <option value="${this.escapeHtml(team)}" ${team === calendarTeam ? 'selected' : ''}>
+                ${this.escapeHtml(team)}
+              </option>
+            `).join('')}
+          </select>
+        </div>
+
+        ${entries.length === 0 ? `
+          <div class="admin-notice admin-notice--info">
+            <span class="admin-notice__icon">💡</span>
+            <span class="admin-notice__text">Aucun sprint défini : convention par défaut (sprints de 2 semaines, Sprint 18 = 2 février 2026).</span>
+          </div>
+        ` : `
+          <table class="sprint-calendar__table">
+            <thead>
+              <tr>
+                <th>Sprint</th>
+                <th>Début</th>
+                <th>Fin</th>
+                <th>Durée</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${entries.map(entry => `
+                <tr>
+                  <td><strong>Sprint ${entry.number}</strong></td>
+                  <td>${formatDay(entry.start)}</td>
+                  <td>${formatDay(entry.end)}</td>
+                  <td>${durationDays(entry)} j</td>
+                  <td class="sprint-calendar__actions">
+                    <button class="btn btn--ghost btn--small btn--danger"
+                            data-action="delete-calendar-sprint"
+                            data-sprint="${entry.number}"
+                            data-start="${entry.start}"
+                            title="Supprimer">
+                      🗑️
+                    </button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+
+        <form class="sprint-calendar__form" data-form="sprint-calendar">
+          <input type="number"
+                 name="calendarNumber"
+                 class="form__input form__input--small"
+                 value="${suggestion.number}"
+                 min="0"
+                 placeholder="N°" />
+          <input type="date"
+                 name="calendarStart"
+                 class="form__input form__input--small"
+                 value="${suggestion.start}" />
+          <input type="date"
+                 name="calendarEnd"
+                 class="form__input form__input--small"
+                 value="${suggestion.end}" />
+          <button type="submit" class="btn btn--secondary btn--small">
+            Ajouter
+          </button>
+        </form>
+        ${calendarError ? `<span class="form__error">${this.escapeHtml(calendarError)}</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu du calendrier de capacité (jours fériés de l'année, congés)
+   * @returns {string}
+   * @private
+   */
+  _renderCapacityCalendar() {
+    const { capacityError } = this.state;
+    const leaves = capacityCalendar.getLeaves();
+    const holidays = getFrenchHolidays(new Date().getFullYear());
+
+    // Contributeurs proposés : assignees du CSV
+    const people = [...new Set(
+      (this.state.rawCsvData?.tickets || []).map(t => t.assignee).filter(Boolean)
+    )].sort((a, b) => a.localeCompare(b));
+
+    const formatDay = (date) => date
+      .toLocaleDateString(config.locale, { weekday: 'short', day: '2-digit', month: '2-digit', year: 'numeric' });
+
+    const workdays = (entry) => capacityCalendar.getWorkdaysInRange(
+      sprintCalendar.parseCalendarDate(entry.start),
+      sprintCalendar.parseCalendarDate(entry.end)
+    ).length;
+
+    return `
+      <div class="sprint-calendar capacity-calendar">
+        <div class="capacity-calendar__holidays">
+          <span class="form__label">Jours fériés ${new Date().getFullYear()}</span>
+          <div class="capacity-calendar__holiday-list">
+            ${holidays.map(h => `
+              <span class="capacity-calendar__holiday" title="${this.escapeHtml(h.label)}">
+                ${h.date.toLocaleDateString(config.locale, { day: '2-digit', month: '2-digit' })} · ${this.escapeHtml(h.label)}
+              </span>
+            `).join('')}
+          </div>
+        </div>
+
+        ${leaves.length === 0 ? `
+          <div class="admin-notice admin-notice--info">
+            <span class="admin-notice__icon">💡</span>
+            <span class="admin-notice__text">Aucun congé saisi : seuls les jours fériés réduisent la capacité des sprints.</span>
+          </div>
+        ` : `
+          <table class="sprint-calendar__table">
+            <thead>
+              <tr>
+                <th>Personne</th>
+                <th>Du</th>
+                <th>Au</th>
+                <th>Jours ouvrés</th>
+                <th>Motif</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              ${leaves.map(entry => `
+                <tr>
+                  <td><strong>${entry.person === WHOLE_TEAM ? 'Toute l\'équipe' : this.escapeHtml(entry.person)}</strong></td>
+                  <td>${formatDay(sprintCalendar.parseCalendarDate(entry.start))}</td>
+                  <td>${formatDay(sprintCalendar.parseCalendarDate(entry.end))}</td>
+                  <td>${entry.person === WHOLE_TEAM ? '' : `${workdays(entry)} j`}</td>
+                  <td>${this.escapeHtml(entry.label || '')}</td>
+                  <td class="sprint-calendar__actions">
+                    <button class="btn btn--ghost btn--small btn--danger"
+                            data-action="delete-leave"
+                            data-leave="${this.escapeHtml(entry.id)}"
+                            title="Supprimer">
+                      🗑️
+                    </button>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        `}
+
+        <form class="capacity-calendar__form" data-form="capacity-leave">
+          <select name="leavePerson" class="form__input form__select form__input--small">
+            <option value="${WHOLE_TEAM}">Toute l'équipe (jour off)</option>
+            ${people.map(person => `
+              <option value="${this.escapeHtml(person)}">${this.escapeHtml(person)}</option>
+            `).join('')}
+          </select>
+          <input type="date"
+                 name="leaveStart"
+                 class="form__input form__input--small" />
+          <input type="date"
+                 name="leaveEnd"
+                 class="form__input form__input--small" />
+          <input type="text"
+                 name="leaveLabel"
+                 class="form__input form__input--small"
+                 placeholder="Motif (optionnel)" />
+          <button type="submit" class="btn btn--secondary btn--small">
+            Ajouter
+          </button>
+        </form>
+        ${capacityError ? `<span class="form__error">${this.escapeHtml(capacityError)}</span>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu de l'éditeur du workflow des statuts
+   * @returns {string}
+   * @private
+   */
+  _renderWorkflow() {
+    const { workflowTeam, workflowError } = this.state;
+    const statuses = workflow.getWorkflow(workflowTeam);
+    const isCustom = workflow.hasCustomWorkflow(workflowTeam);
+    const undeclared = this._getDetectedStatuses()
+      .filter(status => !workflow.findStatus(status, workflowTeam));
+
+    // Équipes éditables : workflow par défaut + équipes du CSV + équipes déjà configurées
+    const teams = [...new Set([
+      ...this.state.availableTeams,
+      ...workflow.getWorkflowTeams().filter(t => t !== DEFAULT_WORKFLOW)
+    ])];
+
+    const categoryOptions = (selected) => Object.entries(STATUS_CATEGORIES).map(([value, label]) => `
+      <option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>
+    `).join('');
+
+    return `
+      <div class="workflow-editor">
+        <div class="workflow-editor__toolbar">
+          <label class="form__label" for="workflowTeam">Équipe</label>
+          <select id="workflowTeam"
+                  class="form__input form__select workflow-editor__team"
+                  data-action="select-workflow-team">
+            <option value="${DEFAULT_WORKFLOW}" ${workflowTeam === DEFAULT_WORKFLOW ? 'selected' : ''}>
+              Toutes les équipes (par défaut)
+            </option>
+            ${teams.map(team => `
+              <option value="${this.escapeHtml(team)}" ${team === workflowTeam ? 'selected' : ''}>
+                ${this.escapeHtml(team)}
+              </option>
+            `).join('')}
+          </select>
+          <div class="workflow-editor__toolbar-actions">
+            ${undeclared.length > 0 ? `
+              <button class="btn btn--secondary btn--small" data-action="import-workflow-statuses">
+                Ajouter les statuts détectés (${undeclared.length})
+              </button>
+            ` : ''}
+            ${isCustom ? `
+              <button class="btn btn--ghost btn--small" data-action="reset-workflow">
+                Réinitialiser
+              </button>
+            ` : ''}
+          </div>
+        </div>
+
+        ${!isCustom ? `
+          <div class="admin-notice admin-notice--info">
+            <span class="admin-notice__icon">💡</span>
+            <span class="admin-notice__text">${workflowTeam === DEFAULT_WORKFLOW
+              ? 'Workflow intégré. Les statuts non listés sont classés d\'après leur nom (« Terminé » → terminé, « Backlog » → exclu, autre → en cours).'
+              : 'Pas de workflow propre à cette équipe : le workflow par défaut s\'applique. Toute modification crée un workflow pour l\'équipe.'}</span>
+          </div>
+        ` : ''}
+
+        <table class="workflow-editor__table">
+          <thead>
+            <tr>
+              <th>Ordre</th>
+              <th>Statut</th>
+              <th>Catégorie</th>
+              <th>Couleur</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${statuses.map((status, index) => `
+              <tr data-status="${this.escapeHtml(status.name)}">
+                <td class="workflow-editor__order">
+                  <button class="btn btn--ghost btn--small"
+                          data-action="move-workflow-status"
+                          data-direction="-1"
+                          title="Monter"
+                          ${index === 0 ? 'disabled' : ''}>↑</button>
+                  <button class="btn btn--ghost btn--small"
+                          data-action="move-workflow-status"
+                          data-direction="1"
+                          title="Descendre"
+                          ${index === statuses.length - 1 ? 'disabled' : ''}>↓</button>
+                </td>
+                <td><strong>${this.escapeHtml(status.name)}</strong></td>
+                <td>
+                  <select class="form__input form__select form__input--small"
+                          data-action="change-status-category">
+                    ${categoryOptions(status.category)}
+                  </select>
+                </td>
+                <td>
+                  <input type="color"
+                         class="workflow-editor__color"
+                         data-action="change-status-color"
+                         value="${status.color}" />
+                </td>
+                <td class="workflow-editor__actions">
+                  <button class="btn btn--ghost btn--small btn--danger"
+                          data-action="delete-workflow-status"
+                          title="Supprimer">
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <form class="workflow-editor__form" data-form="workflow-status">
+          <input type="text"
+                 name="workflowStatusName"
+                 class="form__input form__input--small"
+                 placeholder="Nom du statut Jira" />
+          <select name="workflowStatusCategory" class="form__input form__select form__input--small">
+            ${categoryOptions('in-progress')}
+          </select>
+          <input type="color"
+                 name="workflowStatusColor"
+                 class="workflow-editor__color"
+                 value="#94a3b8" />
+          <button type="submit" class="btn btn--secondary btn--small">
+            Ajouter
+          </button>
+        </form>
+        ${workflowError ? `<span class="form__error">${this.escapeHtml(workflowError)}</span>` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Rendu de la liste des snapshots
    * @returns {string}
    * @private
    */
   _renderSnapshots() {
-    const { snapshots } = this.state;
+    const { snapshots, diffSelection } = this.state;
 
     if (snapshots.length === 0) {
       return `
         <div class="empty-state empty-state--small">
           <p>Aucun snapshot sauvegardé</p>
         </div>
+        ${this._renderStorageInfo()}
       `;
     }
 
@@ -953,9 +1553,17 @@ export default class AdminPage extends Component {
       <ul class="snapshot-list">
         ${snapshots.map(snapshot => `
           <li class="snapshot-item">
+            <input type="checkbox"
+                   class="snapshot-item__select"
+                   data-action="toggle-diff-snapshot"
+                   data-id="${snapshot.id}"
+                   title="Sélectionner pour comparer"
+                   ${diffSelection.includes(snapshot.id) ? 'checked' : ''} />
             <div class="snapshot-item__info">
               <span class="snapshot-item__name">${this.escapeHtml(snapshot.name)}</span>
-              <span class="snapshot-item__date">${snapshot.dateFormatted}</span>
+              <span class="snapshot-item__date">
+                ${snapshot.dateFormatted}${this._renderSnapshotDetails(snapshot)}
+              </span>
             </div>
             <div class="snapshot-item__actions">
               <button class="btn btn--ghost btn--small"
@@ -964,6 +1572,12 @@ export default class AdminPage extends Component {
                       title="Charger">
                 📥
               </button>
+              <button class="btn btn--ghost btn--small"
+                      data-action="export-snapshot"
+                      data-id="${snapshot.id}"
+                      title="Exporter en fichier">
+                📤
+              </button>
               <button class="btn btn--ghost btn--small btn--danger"
                       data-action="delete-snapshot"
                       data-id="${snapshot.id}"
@@ -974,56 +1588,736 @@ export default class AdminPage extends Component {
           </li>
         `).join('')}
       </ul>
+      ${snapshots.length >= 2 ? `
+        <div class="snapshot-compare">
+          <span class="snapshot-compare__hint">Cochez deux snapshots pour les comparer</span>
+          <button class="btn btn--secondary btn--small"
+                  data-action="compare-snapshots"
+                  ${diffSelection.length !== 2 ? 'disabled' : ''}>
+            Comparer
+          </button>
+        </div>
+      ` : ''}
+      ${this._renderSnapshotDiff()}
+      ${this._renderStorageInfo()}
     `;
   }
 
   /**
-   * Définition des événements
-   */
-  events() {
-    return {
-      'blur [data-form="sprint-info"] input': this._handleInputBlur,
-      'blur [data-form="story-points"] input': this._handleInputBlur,
-      'change [data-action="select-sprint"]': this._handleSprintSelect,
-      'click [data-action="toggle-team"]': this._handleToggleTeam,
-      'click [data-action="save-snapshot"]': this._handleSaveSnapshot,
-      'click [data-action="load-snapshot"]': this._handleLoadSnapshot,
-      'click [data-action="delete-snapshot"]': this._handleDeleteSnapshot
-    };
-  }
-
-  /**
-   * Gestionnaire de toggle d'équipe (chips)
-   * @param {Event} e
+   * Rendu de la comparaison de deux snapshots
+   * @returns {string}
    * @private
    */
-  _handleToggleTeam(e) {
-    const team = e.target.dataset.team;
-    if (!team) return;
+  _renderSnapshotDiff() {
+    const diff = this.state.snapshotDiff;
+    if (!diff) return '';
 
-    const { selectedTeams } = this.state;
-    const isSelected = selectedTeams.includes(team);
+    const formatDelta = (delta, unit = '') => delta === null
+      ? '–'
+      : `${delta > 0 ? '+' : ''}${delta}${unit ? ` ${unit}` : ''}`;
+    const formatValue = value => value === null ? '–' : value;
+    const goalLabel = status => GOAL_STATUS_LABELS[status] || GOAL_STATUS_LABELS.null;
+    const { before, after, tickets, storyPoints, goals, metrics } = diff;
 
-    if (isSelected) {
-      // Retirer l'équipe
-      this.state.selectedTeams = selectedTeams.filter(t => t !== team);
-    } else {
-      // Ajouter l'équipe
-      this.state.selectedTeams = [...selectedTeams, team];
-    }
+    return `
+      <div class="snapshot-diff">
+        <div class="snapshot-diff__header">
+          <h4 class="snapshot-diff__title">
+            ${this.escapeHtml(before.name)} <span class="snapshot-diff__date">(${formatDate(before.createdAt, 'short')})</span>
+            →
+            ${this.escapeHtml(after.name)} <span class="snapshot-diff__date">(${formatDate(after.createdAt, 'short')})</span>
+          </h4>
+          <button class="btn btn--ghost btn--small"
+                  data-action="close-snapshot-diff"
+                  title="Fermer la comparaison">
+            ✕
+          </button>
+        </div>
 
-    // Mettre à jour le nom d'équipe affiché
-    this._updateTeamNameFromSelection();
+        <div class="snapshot-diff__grid">
+          <div class="snapshot-diff__block">
+            <h5 class="snapshot-diff__subtitle">Story Points</h5>
+            <table class="snapshot-diff__table">
+              <thead>
+                <tr><th></th><th>Avant</th><th>Après</th><th>Écart</th></tr>
+              </thead>
+              <tbody>
+                ${[['Engagés', storyPoints.committed], ['Livrés', storyPoints.delivered]].map(([label, sp]) => `
+                  <tr>
+                    <td>${label}</td>
+                    <td>${formatValue(sp.before)}</td>
+                    <td>${formatValue(sp.after)}</td>
+                    <td><strong>${formatDelta(sp.delta)}</strong></td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
 
-    // Re-transformer les données avec les équipes filtrées
-    this._applyTeamFilter();
+          <div class="snapshot-diff__block">
+            <h5 class="snapshot-diff__subtitle">Métriques</h5>
+            ${metrics.length === 0 ? `
+              <p class="snapshot-diff__empty">Aucune variation</p>
+            ` : `
+              <table class="snapshot-diff__table">
+                <thead>
+                  <tr><th></th><th>Avant</th><th>Après</th><th>Écart</th></tr>
+                </thead>
+                <tbody>
+                  ${metrics.map(m => `
+                    <tr>
+                      <td>${m.label}</td>
+                      <td>${m.before}</td>
+                      <td>${m.after}</td>
+                      <td class="snapshot-diff__delta snapshot-diff__delta--${m.trend}">${formatDelta(m.delta, m.unit)}</td>
+                    </tr>
+                  `).join('')}
+                </tbody>
+              </table>
+            `}
+          </div>
 
-    // Mettre à jour l'UI des chips
-    this._updateSprintSelector();
-  }
+          <div class="snapshot-diff__block">
+            <h5 class="snapshot-diff__subtitle">Sprint Goals</h5>
+            ${goals.length === 0 ? `
+              <p class="snapshot-diff__empty">Aucun changement</p>
+            ` : `
+              <ul class="snapshot-diff__list">
+                ${goals.map(g => `
+                  <li>
+                    ${this.escapeHtml(g.text)} :
+                    ${g.change === 'added' ? `ajouté (${goalLabel(g.to)})` : ''}
+                    ${g.change === 'removed' ? 'retiré' : ''}
+                    ${g.change === 'status' ? `${goalLabel(g.from)} → <strong>${goalLabel(g.to)}</strong>` : ''}
+                  </li>
+                `).join('')}
+              </ul>
+            `}
+          </div>
+        </div>
 
-  /**
-   * Met à jour le nom d'équipe depuis la sélection
+        ${diff.hasTickets ? `
+          <div class="snapshot-diff__grid">
+            ${this._renderDiffTickets('Changements de statut', tickets.statusChanges,
+              t => `${this.escapeHtml(t.from)} → <strong>${this.escapeHtml(t.to)}</strong>`)}
+            ${this._renderDiffTickets('Changements de sprint', tickets.sprintChanges,
+              t => `${t.from.join(', ') || 'aucun'} → <strong>${t.to.join(', ') || 'aucun'}</strong>`)}
+            ${this._renderDiffTickets(diff.sprint ? `Ajoutés au sprint ${diff.sprint}` : 'Ajoutés', tickets.added,
+              t => this.escapeHtml(t.status))}
+            ${this._renderDiffTickets(diff.sprint ? `Retirés du sprint ${diff.sprint}` : 'Retirés', tickets.removed,
+              t => t.isDeleted ? 'absent de l\'export' : this.escapeHtml(t.status))}
+          </div>
+        ` : `
+          <p class="snapshot-diff__empty">Tickets non comparés : l'un des snapshots ne contient que la saisie manuelle</p>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu d'une liste de tickets de la comparaison
+   * @param {string} title
+   * @param {Array} tickets
+   * @param {Function} describe - ticket => détail HTML
+   * @returns {string}
+   * @private
+   */
+  _renderDiffTickets(title, tickets, describe) {
+    const maxDisplayed = 30;
+
+    return `
+      <div class="snapshot-diff__block">
+        <h5 class="snapshot-diff__subtitle">${title} (${tickets.length})</h5>
+        ${tickets.length === 0 ? `
+          <p class="snapshot-diff__empty">Aucun</p>
+        ` : `
+          <ul class="snapshot-diff__list">
+            ${tickets.slice(0, maxDisplayed).map(t => `
+              <li title="${this.escapeHtml(t.summary)}">
+                <span class="snapshot-diff__key">${this.escapeHtml(t.key)}</span> ${describe(t)}
+              </li>
+            `).join('')}
+            ${tickets.length > maxDisplayed ? `<li class="snapshot-diff__more">… et ${tickets.length - maxDisplayed} autres</li>` : ''}
+          </ul>
+        `}
+      </div>
+    `;
+  }
+
+  /**
+   * Détail d'un snapshot : sprint, équipes, tickets sauvegardés
+   * @param {Object} snapshot - Métadonnées
+   * @returns {string}
+   * @private
+   */
+  _renderSnapshotDetails(snapshot) {
+    const details = [
+      snapshot.sprint ? `Sprint ${snapshot.sprint}` : null,
+      snapshot.teams.length > 1 ? `${snapshot.teams.length} équipes` : snapshot.teams[0],
+      snapshot.ticketCount > 0 ? `${snapshot.ticketCount} tickets` : 'saisie manuelle'
+    ].filter(Boolean);
+
+    return ` · ${this.escapeHtml(details.join(' · '))}`;
+  }
+
+  /**
+   * Espace de stockage utilisé / quota du navigateur
+   * @returns {string}
+   * @private
+   */
+  _renderStorageInfo() {
+    const { storageInfo } = this.state;
+    if (!storageInfo) return '';
+
+    return `
+      <p class="snapshot-storage">
+        Stockage : ${storageInfo.usedFormatted} utilisés sur ${storageInfo.totalFormatted}
+        ${storageInfo.isEstimate ? 'estimés' : 'disponibles'} (${storageInfo.percentage} %)
+      </p>
+    `;
+  }
+
+  /**
+   * Rendu du chiffrement des données enregistrées
+   * @returns {string}
+   * @private
+   */
+  _renderEncryption() {
+    const { encryptionError } = this.state;
+    const error = encryptionError
+      ? `<span class="form__error">${this.escapeHtml(encryptionError)}</span>`
+      : '';
+
+    if (!encryptionService.isSupported()) {
+      return `
+        <div class="admin-notice admin-notice--warning">
+          <span class="admin-notice__icon">⚠️</span>
+          <span class="admin-notice__text">Chiffrement indisponible : ouvrez l'application en HTTPS ou en local (WebCrypto requis).</span>
+        </div>
+      `;
+    }
+
+    if (encryptionService.isEnabled()) {
+      return `
+        <div class="encryption">
+          <div class="admin-notice admin-notice--success">
+            <span class="admin-notice__icon">🔒</span>
+            <span class="admin-notice__text">
+              Snapshots, préférences, calendriers et congés sont chiffrés (AES-GCM) dans ce navigateur.
+              La phrase secrète est demandée à chaque ouverture de l'application.
+            </span>
+          </div>
+          <div class="encryption__actions">
+            <button class="btn btn--primary btn--small" data-action="lock-data">
+              Verrouiller
+            </button>
+            <button class="btn btn--ghost btn--small btn--danger" data-action="disable-encryption">
+              Désactiver le chiffrement
+            </button>
+          </div>
+          ${error}
+        </div>
+      `;
+    }
+
+    return `
+      <div class="encryption">
+        <div class="admin-notice admin-notice--info">
+          <span class="admin-notice__icon">💡</span>
+          <span class="admin-notice__text">
+            Snapshots et préférences (noms des contributeurs inclus) sont enregistrés en clair dans ce navigateur.
+            Une phrase secrète permet de les chiffrer ; sans elle, les données sont irrécupérables.
+          </span>
+        </div>
+        <form class="encryption__form" data-form="enable-encryption">
+          <input type="password"
+                 name="passphrase"
+                 class="form__input form__input--small"
+                 placeholder="Phrase secrète (${MIN_PASSPHRASE_LENGTH} caractères min.)"
+                 autocomplete="new-password"
+                 minlength="${MIN_PASSPHRASE_LENGTH}"
+                 required />
+          <input type="password"
+                 name="passphraseConfirm"
+                 class="form__input form__input--small"
+                 placeholder="Confirmer la phrase secrète"
+                 autocomplete="new-password"
+                 required />
+          <button type="submit" class="btn btn--secondary btn--small">
+            Activer le chiffrement
+          </button>
+        </form>
+        ${error}
+      </div>
+    `;
+  }
+
+  /**
+   * Définition des événements
+   */
+  events() {
+    return {
+      'blur [data-form="sprint-info"] input': this._handleInputBlur,
+      'blur [data-form="story-points"] input': this._handleInputBlur,
+      'change [data-action="select-sprint"]': this._handleSprintSelect,
+      'click [data-action="toggle-team"]': this._handleToggleTeam,
+      'change [data-action="select-calendar-team"]': this._handleSelectCalendarTeam,
+      'submit [data-form="sprint-calendar"]': this._handleAddCalendarSprint,
+      'click [data-action="delete-calendar-sprint"]': this._handleDeleteCalendarSprint,
+      'submit [data-form="capacity-leave"]': this._handleAddLeave,
+      'click [data-action="delete-leave"]': this._handleDeleteLeave,
+      'change [data-action="select-workflow-team"]': this._handleSelectWorkflowTeam,
+      'change [data-action="change-status-category"]': this._handleChangeStatusCategory,
+      'change [data-action="change-status-color"]': this._handleChangeStatusColor,
+      'click [data-action="move-workflow-status"]': this._handleMoveWorkflowStatus,
+      'click [data-action="delete-workflow-status"]': this._handleDeleteWorkflowStatus,
+      'click [data-action="import-workflow-statuses"]': this._handleImportWorkflowStatuses,
+      'click [data-action="reset-workflow"]': this._handleResetWorkflow,
+      'submit [data-form="workflow-status"]': this._handleAddWorkflowStatus,
+      'click [data-action="save-snapshot"]': this._handleSaveSnapshot,
+      'click [data-action="load-snapshot"]': this._handleLoadSnapshot,
+      'click [data-action="export-snapshot"]': this._handleExportSnapshot,
+      'change [data-action="import-snapshot"]': this._handleImportSnapshot,
+      'change [data-action="toggle-diff-snapshot"]': this._handleToggleDiffSnapshot,
+      'click [data-action="compare-snapshots"]': this._handleCompareSnapshots,
+      'click [data-action="close-snapshot-diff"]': this._handleCloseSnapshotDiff,
+      'click [data-action="delete-snapshot"]': this._handleDeleteSnapshot,
+      'submit [data-form="enable-encryption"]': this._handleEnableEncryption,
+      'click [data-action="lock-data"]': this._handleLockData,
+      'click [data-action="disable-encryption"]': this._handleDisableEncryption
+    };
+  }
+
+  /**
+   * Gestionnaire de toggle d'équipe (chips)
+   * @param {Event} e
+   * @private
+   */
+  _handleToggleTeam(e) {
+    const team = e.target.dataset.team;
+    if (!team) return;
+
+    const { selectedTeams } = this.state;
+    const isSelected = selectedTeams.includes(team);
+
+    if (isSelected) {
+      // Retirer l'équipe
+      this.state.selectedTeams = selectedTeams.filter(t => t !== team);
+    } else {
+      // Ajouter l'équipe
+      this.state.selectedTeams = [...selectedTeams, team];
+    }
+
+    // Mettre à jour le nom d'équipe affiché
+    this._updateTeamNameFromSelection();
+
+    // Utiliser le calendrier et le workflow de l'équipe sélectionnée
+    this._syncCalendarTeam();
+    this._syncWorkflowTeam();
+
+    // Re-transformer les données avec les équipes filtrées
+    this._applyTeamFilter();
+
+    // Mettre à jour l'UI des chips
+    this._updateSprintSelector();
+    this._updateCalendarSection();
+    this._updateWorkflowSection();
+  }
+
+  // =========================================================================
+  // CALENDRIER DES SPRINTS
+  // =========================================================================
+
+  /**
+   * Aligne l'équipe active du calendrier sur la sélection d'équipes
+   * Une seule équipe sélectionnée → son calendrier est utilisé et édité
+   * @private
+   */
+  _syncCalendarTeam() {
+    const { selectedTeams } = this.state;
+    const team = selectedTeams.length === 1 ? selectedTeams[0] : null;
+
+    sprintCalendar.setActiveTeam(team);
+    this.state.calendarTeam = team || DEFAULT_CALENDAR;
+    this.state.calendarError = null;
+  }
+
+  /**
+   * Met à jour la section calendrier dans le DOM
+   * @private
+   */
+  _updateCalendarSection() {
+    const container = this.$('[data-section="sprint-calendar"] .admin-section__content');
+    if (!container) return;
+
+    container.innerHTML = this._renderSprintCalendar();
+
+    // Re-bind les événements de la section
+    const select = container.querySelector('[data-action="select-calendar-team"]');
+    if (select) {
+      select.addEventListener('change', this._handleSelectCalendarTeam.bind(this));
+    }
+    const form = container.querySelector('[data-form="sprint-calendar"]');
+    if (form) {
+      form.addEventListener('submit', this._handleAddCalendarSprint.bind(this));
+    }
+    container.querySelectorAll('[data-action="delete-calendar-sprint"]').forEach(btn => {
+      btn.addEventListener('click', this._handleDeleteCalendarSprint.bind(this));
+    });
+  }
+
+  /**
+   * Recalcule les métriques après modification du calendrier ou du workflow
+   * @private
+   */
+  _refreshMetrics() {
+    if (!this.state.rawCsvData) return;
+
+    const { selectedTeams, availableTeams } = this.state;
+    if (selectedTeams.length === 0 && availableTeams.length > 1) return;
+
+    const sprintMetrics = dataTransformerV2.transformAllV2(
+      store.getState().csvData || this.state.rawCsvData,
+      this.state.selectedSprint,
+      selectedTeams
+    );
+
+    store.dispatch({ sprintMetrics });
+  }
+
+  /**
+   * Gestionnaire changement d'équipe éditée
+   * @param {Event} e
+   * @private
+   */
+  _handleSelectCalendarTeam(e) {
+    this.state.calendarTeam = e.target.value || DEFAULT_CALENDAR;
+    this.state.calendarError = null;
+    this._updateCalendarSection();
+  }
+
+  /**
+   * Gestionnaire ajout/modification d'un sprint du calendrier
+   * @param {Event} e
+   * @private
+   */
+  _handleAddCalendarSprint(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const sprintNumber = form.elements.calendarNumber.value;
+
+    // Le rafraîchissement est déclenché par l'événement calendar:updated
+    this.state.calendarError = null;
+    const result = sprintCalendar.upsertSprint(this.state.calendarTeam, {
+      number: sprintNumber,
+      start: form.elements.calendarStart.value,
+      end: form.elements.calendarEnd.value
+    });
+
+    if (!result.valid) {
+      this.state.calendarError = result.error;
+      this._updateCalendarSection();
+      return;
+    }
+
+    eventBus.emit('notification:show', {
+      type: 'success',
+      message: `Sprint ${sprintNumber} enregistré dans le calendrier`
+    });
+  }
+
+  /**
+   * Gestionnaire suppression d'un sprint du calendrier
+   * @param {Event} e
+   * @private
+   */
+  _handleDeleteCalendarSprint(e) {
+    const button = e.target.closest('[data-sprint]');
+    const sprintNumber = parseInt(button?.dataset.sprint, 10);
+    if (isNaN(sprintNumber)) return;
+
+    sprintCalendar.removeSprint(this.state.calendarTeam, sprintNumber, button.dataset.start || null);
+  }
+
+  // =========================================================================
+  // CALENDRIER DE CAPACITÉ
+  // =========================================================================
+
+  /**
+   * Met à jour la section calendrier de capacité dans le DOM
+   * @private
+   */
+  _updateCapacitySection() {
+    const container = this.$('[data-section="capacity-calendar"] .admin-section__content');
+    if (!container) return;
+
+    container.innerHTML = this._renderCapacityCalendar();
+
+    // Re-bind les événements de la section
+    const form = container.querySelector('[data-form="capacity-leave"]');
+    if (form) {
+      form.addEventListener('submit', this._handleAddLeave.bind(this));
+    }
+    container.querySelectorAll('[data-action="delete-leave"]').forEach(btn => {
+      btn.addEventListener('click', this._handleDeleteLeave.bind(this));
+    });
+  }
+
+  /**
+   * Gestionnaire ajout d'un congé / jour off d'équipe
+   * @param {Event} e
+   * @private
+   */
+  _handleAddLeave(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const person = form.elements.leavePerson.value;
+
+    // Le rafraîchissement est déclenché par l'événement capacity:updated
+    this.state.capacityError = null;
+    const result = capacityCalendar.addLeave({
+      person,
+      start: form.elements.leaveStart.value,
+      end: form.elements.leaveEnd.value || form.elements.leaveStart.value,
+      label: form.elements.leaveLabel.value
+    });
+
+    if (!result.valid) {
+      this.state.capacityError = result.error;
+      this._updateCapacitySection();
+      return;
+    }
+
+    eventBus.emit('notification:show', {
+      type: 'success',
+      message: person === WHOLE_TEAM ? 'Jour off d\'équipe enregistré' : `Congé de ${person} enregistré`
+    });
+  }
+
+  /**
+   * Gestionnaire suppression d'un congé
+   * @param {Event} e
+   * @private
+   */
+  _handleDeleteLeave(e) {
+    const id = e.target.closest('[data-leave]')?.dataset.leave;
+    if (!id) return;
+
+    capacityCalendar.removeLeave(id);
+  }
+
+  // =========================================================================
+  // WORKFLOW DES STATUTS
+  // =========================================================================
+
+  /**
+   * Aligne l'équipe éditée du workflow sur la sélection d'équipes
+   * @private
+   */
+  _syncWorkflowTeam() {
+    const { selectedTeams } = this.state;
+    this.state.workflowTeam = selectedTeams.length === 1 ? selectedTeams[0] : DEFAULT_WORKFLOW;
+    this.state.workflowError = null;
+  }
+
+  /**
+   * Liste les statuts rencontrés dans les données chargées
+   * @returns {string[]}
+   * @private
+   */
+  _getDetectedStatuses() {
+    const raw = this.state.rawCsvData;
+    if (!raw) return [];
+
+    const { workflowTeam } = this.state;
+    const tickets = workflowTeam === DEFAULT_WORKFLOW
+      ? raw.tickets || []
+      : (raw.tickets || []).filter(t => t.team === workflowTeam);
+
+    return [...new Set([
+      ...(raw.timeInStatus?.statuses || []),
+      ...tickets.map(t => t.status)
+    ])].filter(Boolean);
+  }
+
+  /**
+   * Met à jour la section workflow dans le DOM
+   * @private
+   */
+  _updateWorkflowSection() {
+    const container = this.$('[data-section="workflow"] .admin-section__content');
+    if (!container) return;
+
+    container.innerHTML = this._renderWorkflow();
+
+    // Re-bind les événements de la section
+    const bindings = [
+      ['change', '[data-action="select-workflow-team"]', this._handleSelectWorkflowTeam],
+      ['change', '[data-action="change-status-category"]', this._handleChangeStatusCategory],
+      ['change', '[data-action="change-status-color"]', this._handleChangeStatusColor],
+      ['click', '[data-action="move-workflow-status"]', this._handleMoveWorkflowStatus],
+      ['click', '[data-action="delete-workflow-status"]', this._handleDeleteWorkflowStatus],
+      ['click', '[data-action="import-workflow-statuses"]', this._handleImportWorkflowStatuses],
+      ['click', '[data-action="reset-workflow"]', this._handleResetWorkflow],
+      ['submit', '[data-form="workflow-status"]', this._handleAddWorkflowStatus]
+    ];
+    bindings.forEach(([eventType, selector, handler]) => {
+      container.querySelectorAll(selector).forEach(el => {
+        el.addEventListener(eventType, handler.bind(this));
+      });
+    });
+  }
+
+  /**
+   * Retourne le statut de la ligne contenant l'élément
+   * @param {HTMLElement} el
+   * @returns {string|null}
+   * @private
+   */
+  _getRowStatus(el) {
+    return el.closest('[data-status]')?.dataset.status || null;
+  }
+
+  /**
+   * Gestionnaire changement d'équipe éditée (workflow)
+   * @param {Event} e
+   * @private
+   */
+  _handleSelectWorkflowTeam(e) {
+    this.state.workflowTeam = e.target.value || DEFAULT_WORKFLOW;
+    this.state.workflowError = null;
+    this._updateWorkflowSection();
+  }
+
+  /**
+   * Gestionnaire changement de catégorie d'un statut
+   * Le rafraîchissement est déclenché par l'événement workflow:updated
+   * @param {Event} e
+   * @private
+   */
+  _handleChangeStatusCategory(e) {
+    const status = this._getRowStatus(e.target);
+    if (!status) return;
+
+    this.state.workflowError = null;
+    workflow.upsertStatus(this.state.workflowTeam, { name: status, category: e.target.value });
+  }
+
+  /**
+   * Gestionnaire changement de couleur d'un statut
+   * @param {Event} e
+   * @private
+   */
+  _handleChangeStatusColor(e) {
+    const status = this._getRowStatus(e.target);
+    if (!status) return;
+
+    this.state.workflowError = null;
+    workflow.upsertStatus(this.state.workflowTeam, { name: status, color: e.target.value });
+  }
+
+  /**
+   * Gestionnaire déplacement d'un statut dans l'ordre du workflow
+   * @param {Event} e
+   * @private
+   */
+  _handleMoveWorkflowStatus(e) {
+    const button = e.target.closest('[data-direction]');
+    const status = this._getRowStatus(e.target);
+    if (!button || !status) return;
+
+    workflow.moveStatus(this.state.workflowTeam, status, parseInt(button.dataset.direction, 10));
+  }
+
+  /**
+   * Gestionnaire suppression d'un statut du workflow
+   * @param {Event} e
+   * @private
+   */
+  _handleDeleteWorkflowStatus(e) {
+    const status = this._getRowStatus(e.target);
+    if (!status) return;
+
+    workflow.removeStatus(this.state.workflowTeam, status);
+  }
+
+  /**
+   * Gestionnaire ajout d'un statut au workflow
+   * @param {Event} e
+   * @private
+   */
+  _handleAddWorkflowStatus(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const name = form.elements.workflowStatusName.value.trim();
+
+    const existing = workflow.getWorkflow(this.state.workflowTeam);
+    const entry = {
+      name,
+      category: form.elements.workflowStatusCategory.value,
+      color: form.elements.workflowStatusColor.value
+    };
+    const validation = workflow.validateStatusEntry(entry, existing);
+
+    this.state.workflowError = null;
+    if (!validation.valid) {
+      this.state.workflowError = validation.error;
+      this._updateWorkflowSection();
+      return;
+    }
+
+    workflow.upsertStatus(this.state.workflowTeam, entry);
+  }
+
+  /**
+   * Gestionnaire ajout des statuts détectés dans les données
+   * @private
+   */
+  _handleImportWorkflowStatuses() {
+    const added = workflow.addDetectedStatuses(this.state.workflowTeam, this._getDetectedStatuses());
+
+    eventBus.emit('notification:show', {
+      type: added > 0 ? 'success' : 'info',
+      message: added > 0
+        ? `${added} statut(s) ajouté(s) au workflow - vérifiez leur catégorie`
+        : 'Tous les statuts détectés sont déjà dans le workflow'
+    });
+  }
+
+  /**
+   * Gestionnaire réinitialisation du workflow de l'équipe éditée
+   * @private
+   */
+  _handleResetWorkflow() {
+    const { workflowTeam } = this.state;
+    const message = workflowTeam === DEFAULT_WORKFLOW
+      ? 'Revenir au workflow intégré ?'
+      : `Supprimer le workflow de ${workflowTeam} et utiliser le workflow par défaut ?`;
+
+    if (!confirm(message)) return;
+
+    this.state.workflowError = null;
+    workflow.resetWorkflow(workflowTeam);
+  }
+
+  /**
+   * Remplace la sélection d'équipes (drill-down depuis le Portefeuille)
+   * @param {string[]} teams
+   * @private
+   */
+  _selectTeams(teams) {
+    if (!this.state.rawCsvData) return;
+
+    this.state.selectedTeams = teams.filter(team => this.state.availableTeams.includes(team));
+
+    this._updateTeamNameFromSelection();
+    this._syncCalendarTeam();
+    this._syncWorkflowTeam();
+    this._applyTeamFilter();
+  }
+
+  /**
+   * Met à jour le nom d'équipe depuis la sélection
    * @private
    */
   _updateTeamNameFromSelection() {
@@ -1169,6 +2463,62 @@ export default class AdminPage extends Component {
     }
   }
 
+  /**
+   * Gestionnaire export snapshot
+   * @param {Event} e
+   * @private
+   */
+  _handleExportSnapshot(e) {
+    const id = e.target.closest('[data-id]')?.dataset.id;
+    if (id) {
+      this._exportSnapshot(id);
+    }
+  }
+
+  /**
+   * Gestionnaire import snapshot (sélection d'un fichier)
+   * @param {Event} e
+   * @private
+   */
+  _handleImportSnapshot(e) {
+    const file = e.target.files?.[0];
+    if (file) {
+      this._importSnapshot(file);
+    }
+    // Permettre de réimporter le même fichier
+    e.target.value = '';
+  }
+
+  /**
+   * Gestionnaire sélection d'un snapshot à comparer (2 au plus : la plus ancienne sélection est retirée)
+   * @param {Event} e
+   * @private
+   */
+  _handleToggleDiffSnapshot(e) {
+    const { id } = e.target.dataset;
+    const selection = this.state.diffSelection.filter(s => s !== id);
+
+    this.state.diffSelection = e.target.checked ? [...selection, id].slice(-2) : selection;
+    this._updateSnapshotsList();
+  }
+
+  /**
+   * Gestionnaire comparaison des snapshots sélectionnés
+   * @private
+   */
+  _handleCompareSnapshots() {
+    this._compareSnapshots();
+  }
+
+  /**
+   * Gestionnaire fermeture de la comparaison
+   * @private
+   */
+  _handleCloseSnapshotDiff() {
+    this.state.snapshotDiff = null;
+    this._updateSnapshotsList();
+  }
+
   /**
    * Gestionnaire suppression snapshot
    * @param {Event} e
@@ -1180,4 +2530,95 @@ export default class AdminPage extends Component {
       this._deleteSnapshot(id);
     }
   }
+
+  // =========================================================================
+  // CHIFFREMENT DES DONNÉES
+  // =========================================================================
+
+  /**
+   * Met à jour la section chiffrement dans le DOM
+   * @private
+   */
+  _updateEncryptionSection() {
+    const container = this.$('[data-section="encryption"] .admin-section__content');
+    if (!container) return;
+
+    container.innerHTML = this._renderEncryption();
+
+    // Re-bind les événements de la section
+    container.querySelector('[data-form="enable-encryption"]')
+      ?.addEventListener('submit', this._handleEnableEncryption.bind(this));
+    container.querySelector('[data-action="lock-data"]')
+      ?.addEventListener('click', this._handleLockData.bind(this));
+    container.querySelector('[data-action="disable-encryption"]')
+      ?.addEventListener('click', this._handleDisableEncryption.bind(this));
+  }
+
+  /**
+   * Gestionnaire activation du chiffrement
+   * @param {Event} e
+   * @private
+   */
+  async _handleEnableEncryption(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const passphrase = form.elements.passphrase.value;
+
+    if (passphrase !== form.elements.passphraseConfirm.value) {
+      this.state.encryptionError = 'Les deux phrases secrètes sont différentes';
+      this._updateEncryptionSection();
+      return;
+    }
+
+    this.state.encryptionError = null;
+    this._showLoader(true);
+
+    try {
+      await encryptionService.enable(passphrase);
+      eventBus.emit('notification:show', {
+        type: 'success',
+        message: 'Chiffrement activé : conservez la phrase secrète, elle est demandée à chaque ouverture'
+      });
+    } catch (error) {
+      console.error('[AdminPage] Erreur activation du chiffrement:', error);
+      this.state.encryptionError = error.message;
+    } finally {
+      this._showLoader(false);
+    }
+
+    this._updateEncryptionSection();
+  }
+
+  /**
+   * Gestionnaire verrouillage (effectué par l'application)
+   * @private
+   */
+  _handleLockData() {
+    eventBus.emit('encryption:lock-request');
+  }
+
+  /**
+   * Gestionnaire désactivation du chiffrement
+   * @private
+   */
+  async _handleDisableEncryption() {
+    if (!confirm('Désactiver le chiffrement ? Les données seront de nouveau enregistrées en clair dans ce navigateur.')) {
+      return;
+    }
+
+    this.state.encryptionError = null;
+    this._showLoader(true);
+
+    try {
+      await encryptionService.disable();
+      eventBus.emit('notification:show', { type: 'info', message: 'Chiffrement désactivé' });
+    } catch (error) {
+      console.error('[AdminPage] Erreur désactivation du chiffrement:', error);
+      this.state.encryptionError = error.message;
+    } finally {
+      this._showLoader(false);
+    }
+
+    this._updateEncryptionSection();
+  }
 }
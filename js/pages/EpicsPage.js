@@ -0,0 +1,557 @@
+/**
+ * ==========================================================================
+ * EPICSPAGE.JS - Page Avancement des epics
+ * ==========================================================================
+ *
+ * Suivi des epics des équipes sélectionnées (colonne Parent / Epic Link) :
+ * - Tableau d'avancement : terminé / en cours / restant par epic,
+ *   en tickets ou en Story Points, fin estimée (P85)
+ * - Détail d'une epic : burn-up par sprint (livré cumulé et périmètre)
+ *   et sprints de fin P50 / P85 / P95 (simulation "When" du How Many)
+ *
+ * Calculs : epicService.js
+ *
+ * ==========================================================================
+ */
+
+import Component from '../components/Component.js';
+import store from '../core/store.js';
+import {
+  getEpicProgress,
+  getEpicBurnup,
+  forecastEpicCompletion,
+  EPIC_PROGRESS_LABELS
+} from '../services/epicService.js';
+import { CONFIG as HOW_MANY_CONFIG } from '../services/howManyService.js';
+import { formatDate } from '../utils/dateUtils.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+const METRICS = {
+  tickets: { label: 'Tickets', unit: 'tickets' },
+  storyPoints: { label: 'Story Points', unit: 'SP' }
+};
+
+const CONFIDENCE_LABELS = { 50: 'Probable (50%)', 85: 'Confiant (85%)', 95: 'Très sûr (95%)' };
+
+// =========================================================================
+// CLASSE EPICSPAGE
+// =========================================================================
+
+export default class EpicsPage extends Component {
+  constructor(container, props = {}) {
+    super(container, props);
+
+    // Graphique burn-up de l'epic sélectionnée
+    this.burnupChart = null;
+
+    // Fins estimées par métrique puis par epic (stables d'un rendu à l'autre)
+    this.forecasts = { tickets: new Map(), storyPoints: new Map() };
+  }
+
+  /**
+   * Initialisation
+   */
+  init() {
+    this.state = {
+      epicData: null,
+      metric: 'tickets',
+      selectedKey: null,
+      isLoading: true,
+      error: null
+    };
+  }
+
+  /**
+   * Après montage : recalcul à chaque affichage (équipes, workflow modifiés entre-temps)
+   */
+  afterMount() {
+    this._loadEpics();
+  }
+
+  /**
+   * Après mise à jour : (re)créer le burn-up
+   */
+  afterUpdate() {
+    this._renderBurnupChart();
+  }
+
+  /**
+   * Avant démontage
+   */
+  beforeUnmount() {
+    this._destroyBurnupChart();
+  }
+
+  /**
+   * Agrège l'avancement des epics (équipes sélectionnées en Préparation)
+   * @private
+   */
+  _loadEpics() {
+    const csvData = store.getState().csvData;
+
+    if (!csvData || !csvData.tickets || csvData.tickets.length === 0) {
+      this.setState({
+        isLoading: false,
+        error: 'Aucune donnée CSV chargée. Retournez sur la page Préparation.'
+      });
+      return;
+    }
+
+    const epicData = getEpicProgress(csvData);
+
+    if (epicData.epics.length === 0) {
+      this.setState({
+        isLoading: false,
+        error: epicData.hasParentLinks
+          ? 'Aucune epic trouvée pour les équipes sélectionnées.'
+          : 'Aucun ticket rattaché à une epic : ajoutez la colonne « Parent » ou « Epic Link » à l\'export.'
+      });
+      return;
+    }
+
+    this.forecasts = { tickets: new Map(), storyPoints: new Map() };
+    this.setState({
+      epicData,
+      selectedKey: epicData.epics[0].key,
+      isLoading: false,
+      error: null
+    });
+  }
+
+  /**
+   * Fin estimée d'une epic pour la métrique active (calculée une seule fois)
+   * @param {Object} epic
+   * @returns {Object} - Résultat de forecastEpicCompletion
+   * @private
+   */
+  _getForecast(epic) {
+    const { metric, epicData } = this.state;
+    const cache = this.forecasts[metric];
+
+    if (!cache.has(epic.key)) {
+      cache.set(epic.key, forecastEpicCompletion(epic, epicData.lastSprint, { metric }));
+    }
+    return cache.get(epic.key);
+  }
+
+  /**
+   * Epic sélectionnée
+   * @returns {Object|null}
+   * @private
+   */
+  _getSelectedEpic() {
+    const { epicData, selectedKey } = this.state;
+    return epicData?.epics.find(epic => epic.key === selectedKey) || null;
+  }
+
+  /**
+   * Libellé d'une epic (clé seule si absente de l'export)
+   * @param {Object} epic
+   * @returns {string}
+   * @private
+   */
+  _getEpicTitle(epic) {
+    const summary = epic.summary.replace(` (${epic.key})`, '');
+    return summary || epic.key;
+  }
+
+  /**
+   * Rendu du composant
+   */
+  render() {
+    const { isLoading, error } = this.state;
+
+    if (isLoading) {
+      return this._renderLoading();
+    }
+
+    if (error) {
+      return this._renderError(error);
+    }
+
+    const epic = this._getSelectedEpic();
+
+    return `
+      <div class="forecast-page epics-page">
+        ${this._renderHeader()}
+
+        <div class="forecast-page__content">
+          <!-- Avancement -->
+          <section class="forecast-section">
+            <div class="forecast-section__header">
+              <h3 class="forecast-section__title">Avancement des epics</h3>
+              <p class="forecast-section__subtitle">
+                Tickets enfants par catégorie de statut • cliquez sur une epic pour le détail
+              </p>
+            </div>
+            <div class="forecast-section__content">
+              ${this._renderMetricToggle()}
+              ${this._renderProgressTable()}
+            </div>
+          </section>
+
+          ${epic ? `
+          <!-- Détail de l'epic sélectionnée -->
+          <section class="forecast-section">
+            <div class="forecast-section__header">
+              <h3 class="forecast-section__title">${this.escapeHtml(epic.key)} — ${this.escapeHtml(this._getEpicTitle(epic))}</h3>
+              <p class="forecast-section__subtitle">
+                ${this.escapeHtml(epic.team || '')}${epic.status ? ` • Statut de l'epic : ${this.escapeHtml(epic.status)}` : ''}
+              </p>
+            </div>
+            <div class="forecast-section__content">
+              ${this._renderEpicDetail(epic)}
+            </div>
+          </section>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu du header
+   * @private
+   */
+  _renderHeader() {
+    const { epicData } = this.state;
+    const openCount = epicData.epics.filter(epic => !epic.isComplete).length;
+
+    return `
+      <header class="forecast-page__header">
+        <div class="forecast-page__header-main">
+          <h1 class="forecast-page__title">Epics</h1>
+          <p class="forecast-page__subtitle">
+            ${epicData.epics.length} epic(s) dont ${openCount} en cours • Dernier sprint : ${epicData.lastSprint ?? '—'}
+          </p>
+        </div>
+      </header>
+    `;
+  }
+
+  /**
+   * Rendu du choix de la métrique
+   * @private
+   */
+  _renderMetricToggle() {
+    const { metric } = this.state;
+
+    return `
+      <div class="epics-options">
+        <div class="toggle-group">
+          ${Object.entries(METRICS).map(([key, m]) => `
+            <button class="toggle-group__btn ${metric === key ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-metric" data-value="${key}">
+              ${m.label}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu d'une barre d'avancement empilée
+   * @param {Object} progress - { done, inProgress, remaining, total }
+   * @returns {string}
+   * @private
+   */
+  _renderProgressBar(progress) {
+    const width = value => progress.total > 0 ? (value / progress.total) * 100 : 0;
+
+    return `
+      <div class="epic-bar" title="${Object.entries(EPIC_PROGRESS_LABELS).map(([key, label]) => `${label} : ${progress[key]}`).join(' • ')}">
+        <span class="epic-bar__segment epic-bar__segment--done" style="width: ${width(progress.done)}%"></span>
+        <span class="epic-bar__segment epic-bar__segment--progress" style="width: ${width(progress.inProgress)}%"></span>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu de la fin estimée (P85) dans le tableau
+   * @param {Object} epic
+   * @returns {string}
+   * @private
+   */
+  _renderForecastCell(epic) {
+    if (epic.isComplete) return '<span class="text-muted">Terminée</span>';
+
+    const forecast = this._getForecast(epic);
+    if (forecast.status === 'done') return '<span class="text-muted">Tout livré</span>';
+    if (forecast.status !== 'forecast') return '<span class="text-muted">—</span>';
+
+    const p85 = forecast.rows.find(row => row.percentile === 85);
+    return p85?.sprintNumber ? `Sprint ${p85.sprintNumber}` : `> ${HOW_MANY_CONFIG.WHEN_MAX_SPRINTS} sprints`;
+  }
+
+  /**
+   * Rendu du tableau d'avancement
+   * @private
+   */
+  _renderProgressTable() {
+    const { epicData, metric, selectedKey } = this.state;
+
+    return `
+      <table class="data-table epics-table">
+        <thead>
+          <tr>
+            <th>Epic</th>
+            <th>Équipe</th>
+            <th>Avancement</th>
+            ${Object.values(EPIC_PROGRESS_LABELS).map(label => `<th class="text-center">${label}</th>`).join('')}
+            <th class="text-center">Fin estimée (P85)</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${epicData.epics.map(epic => {
+            const progress = epic.progress[metric];
+            return `
+              <tr class="epics-table__row ${epic.key === selectedKey ? 'epics-table__row--selected' : ''}"
+                  data-action="select-epic" data-key="${this.escapeHtml(epic.key)}">
+                <td>
+                  <strong>${this.escapeHtml(epic.key)}</strong>
+                  <span class="epics-table__summary">${this.escapeHtml(this._getEpicTitle(epic))}</span>
+                </td>
+                <td>${this.escapeHtml(epic.team || '')}</td>
+                <td>
+                  <div class="epics-table__progress">
+                    ${this._renderProgressBar(progress)}
+                    <span class="epics-table__percent">${progress.percent}%</span>
+                  </div>
+                </td>
+                <td class="text-center">${progress.done}</td>
+                <td class="text-center">${progress.inProgress}</td>
+                <td class="text-center">${progress.remaining}</td>
+                <td class="text-center">${this._renderForecastCell(epic)}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Rendu du détail d'une epic : KPIs, burn-up, fin estimée
+   * @param {Object} epic
+   * @private
+   */
+  _renderEpicDetail(epic) {
+    const { metric } = this.state;
+    const { unit } = METRICS[metric];
+    const progress = epic.progress[metric];
+
+    return `
+      <div class="accuracy-kpis">
+        ${Object.entries(EPIC_PROGRESS_LABELS).map(([key, label]) => `
+          <div class="accuracy-kpi">
+            <span class="accuracy-kpi__value">${progress[key]}</span>
+            <span class="accuracy-kpi__label">${label} (${unit})</span>
+          </div>
+        `).join('')}
+        <div class="accuracy-kpi">
+          <span class="accuracy-kpi__value">${progress.percent}%</span>
+          <span class="accuracy-kpi__label">livré sur ${progress.total} ${unit}</span>
+        </div>
+      </div>
+
+      ${epic.firstSprint ? `
+        <div class="epics-burnup"><canvas id="epic-burnup-chart"></canvas></div>
+      ` : `
+        <p class="accuracy-note">Aucun ticket de l'epic n'est encore passé dans un sprint : pas de burn-up.</p>
+      `}
+
+      ${this._renderForecastTable(epic)}
+    `;
+  }
+
+  /**
+   * Rendu des sprints de fin estimés (simulation "When")
+   * @param {Object} epic
+   * @private
+   */
+  _renderForecastTable(epic) {
+    const { metric, epicData } = this.state;
+    const forecast = this._getForecast(epic);
+
+    if (forecast.status === 'done') {
+      return '<p class="accuracy-note">Tous les tickets de l\'epic sont livrés.</p>';
+    }
+
+    if (forecast.status !== 'forecast') {
+      return `<p class="accuracy-note">Fin estimée indisponible : ${this.escapeHtml(forecast.error)}</p>`;
+    }
+
+    return `
+      <table class="data-table epics-forecast">
+        <thead>
+          <tr>
+            <th>Confiance</th>
+            <th class="text-center">Sprint de fin</th>
+            <th class="text-center">Date de fin</th>
+            <th class="text-center">Durée</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${forecast.rows.map(row => `
+            <tr>
+              <td><strong>${CONFIDENCE_LABELS[row.percentile]}</strong></td>
+              ${row.sprints === null ? `
+                <td class="text-center" colspan="3">Au-delà de ${HOW_MANY_CONFIG.WHEN_MAX_SPRINTS} sprints</td>
+              ` : `
+                <td class="text-center">Sprint ${row.sprintNumber}</td>
+                <td class="text-center">${formatDate(row.endDate, 'long')}</td>
+                <td class="text-center">${row.sprints} sprint${row.sprints > 1 ? 's' : ''}</td>
+              `}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <p class="accuracy-note">
+        Simulation How Many sur le rythme de livraison de l'epic depuis le Sprint ${epic.firstSprint}
+        (${forecast.remaining} ${METRICS[metric].unit} non terminés, périmètre actuel, à partir du Sprint ${epicData.lastSprint + 1})
+      </p>
+    `;
+  }
+
+  /**
+   * Crée le burn-up de l'epic sélectionnée
+   * @private
+   */
+  _renderBurnupChart() {
+    this._destroyBurnupChart();
+
+    const canvas = this.$('#epic-burnup-chart');
+    const epic = this._getSelectedEpic();
+    if (!canvas || !epic || !window.Chart) return;
+
+    const { metric, epicData } = this.state;
+    const burnup = getEpicBurnup(epic, epicData.lastSprint, metric);
+    if (!burnup) return;
+
+    const { unit } = METRICS[metric];
+
+    this.burnupChart = new window.Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: burnup.sprints.map(n => `S${n}`),
+        datasets: [
+          {
+            label: 'Livré (cumul)',
+            data: burnup.done,
+            borderColor: 'rgba(16, 185, 129, 1)',
+            backgroundColor: 'rgba(16, 185, 129, 0.15)',
+            fill: true,
+            pointRadius: 3
+          },
+          {
+            label: 'Périmètre',
+            data: burnup.scope,
+            borderColor: 'rgba(37, 99, 235, 1)',
+            backgroundColor: 'rgba(37, 99, 235, 1)',
+            borderDash: [6, 4],
+            stepped: true,
+            pointRadius: 0
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: { display: true, text: unit }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              title: (items) => `Sprint ${burnup.sprints[items[0].dataIndex]}`,
+              label: (context) => `${context.dataset.label} : ${context.parsed.y} ${unit}`
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Détruit le burn-up
+   * @private
+   */
+  _destroyBurnupChart() {
+    if (this.burnupChart) {
+      this.burnupChart.destroy();
+      this.burnupChart = null;
+    }
+  }
+
+  /**
+   * Rendu du loader
+   * @private
+   */
+  _renderLoading() {
+    return `
+      <div class="forecast-page forecast-page--loading">
+        <div class="loader"></div>
+        <p>Calcul de l'avancement des epics...</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu d'une erreur
+   * @param {string} message
+   * @private
+   */
+  _renderError(message) {
+    return `
+      <div class="forecast-page forecast-page--error">
+        <div class="empty-state">
+          <div class="empty-state__icon">🧭</div>
+          <h3 class="empty-state__title">Pas d'epics à suivre</h3>
+          <p class="empty-state__text">${message}</p>
+          <a href="#admin" class="btn btn--primary">Aller à la préparation</a>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Définition des événements
+   */
+  events() {
+    return {
+      'click [data-action="set-metric"]': this._handleSetMetric,
+      'click [data-action="select-epic"]': this._handleSelectEpic
+    };
+  }
+
+  /**
+   * Gestionnaire choix de la métrique
+   * @param {Event} e
+   * @private
+   */
+  _handleSetMetric(e) {
+    const metric = e.currentTarget.dataset.value;
+    if (metric && metric !== this.state.metric) {
+      this.setState({ metric });
+    }
+  }
+
+  /**
+   * Gestionnaire sélection d'une epic
+   * @param {Event} e
+   * @private
+   */
+  _handleSelectEpic(e) {
+    const selectedKey = e.currentTarget.dataset.key;
+    if (selectedKey && selectedKey !== this.state.selectedKey) {
+      this.setState({ selectedKey });
+    }
+  }
+}
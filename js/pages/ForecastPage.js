@@ -8,6 +8,18 @@
  * - Simulation Monte Carlo
  * - Scénarios de sprint (Pessimiste, Réaliste, Optimiste)
  * - Graphiques de distribution
+ * - Graine affichée : même graine = mêmes scénarios (absences, rechargements)
+ * - Simulation dans un Web Worker : progression affichée, un nouveau
+ *   recalcul (case d'absence) annule le précédent
+ * - Plan de capacité : disponibilité par contributeur (% ou jours d'absence
+ *   sur le prochain sprint), stocké dans le store (store.capacityPlan) donc
+ *   sauvegardé avec le snapshot
+ * - Calendrier de capacité (jours fériés, congés saisis en Préparation) :
+ *   appliqué automatiquement, en plus du plan de capacité
+ * - Nouveaux arrivants sans historique (montée en charge ou clone d'un
+ *   contributeur), conservés dans le plan de capacité
+ * - Fiabilité des prévisions : chaque résultat est enregistré, puis comparé
+ *   au throughput réel du sprint cible une fois celui-ci terminé
  *
  * ==========================================================================
  */
@@ -18,8 +30,11 @@ import store from '../core/store.js';
 import eventBus from '../core/eventBus.js';
 import config from '../core/config.js';
 import forecastDataService from '../services/forecastDataService.js';
+import monteCarloService, { JOINER_PROFILES } from '../services/monteCarloService.js';
+import forecastAccuracyService, { FORECAST_SOURCES } from '../services/forecastAccuracyService.js';
 import pdfExporter from '../services/pdfExporter.js';
 import { formatNumber, formatPercent } from '../utils/formatters.js';
+import { generateSeed, parseSeed } from '../utils/random.js';
 
 // =========================================================================
 // COULEURS POUR LES CONTRIBUTEURS
@@ -46,6 +61,9 @@ export default class ForecastPage extends Component {
   constructor(container, props = {}) {
     super(container, props);
     this.components = {};
+
+    // Graphique prévu / réalisé (section Fiabilité des prévisions)
+    this.accuracyChart = null;
   }
 
   /**
@@ -59,9 +77,18 @@ export default class ForecastPage extends Component {
     this.state = {
       forecastData: null,
       rawTickets: csvData?.tickets || null,
-      excludedContributors: [],
+      // Disponibilité par contributeur (0-1, absent = 0, non listé = 1)
+      availability: { ...(currentState.capacityPlan?.availability || {}) },
+      // Nouveaux arrivants [{ name, profile: 'ramp'|'clone', rampSprint?, cloneOf? }]
+      newJoiners: [...(currentState.capacityPlan?.newJoiners || [])],
+      // Graine Monte Carlo conservée entre deux recalculs (absences, changement de sprint)
+      seed: generateSeed(),
+      // Fiabilité des prévisions : source ('forecast' | 'howmany') et métrique affichées
+      accuracySource: 'forecast',
+      accuracyMetric: 'tickets',
       isExporting: false,
       isLoading: false,
+      isSimulating: false,
       error: null,
       showIndividualSections: false // Caché par défaut (Konami: →→←←)
     };
@@ -76,6 +103,17 @@ export default class ForecastPage extends Component {
       this.setState({ showIndividualSections: false });
     });
 
+    // Progression de la simulation (mise à jour partielle, sans re-render)
+    this.on('simulation:progress', ({ progress }) => {
+      const progressEl = this.getRef('simulation-progress');
+      if (progressEl) progressEl.textContent = `${progress}%`;
+    });
+
+    // Calendrier de capacité modifié (congés saisis en Préparation)
+    this.on('capacity:updated', () => {
+      this._recalculateForecast();
+    });
+
     // Charger les données si déjà présentes
     if (csvData && csvData.tickets && csvData.tickets.length > 0) {
       console.log('[ForecastPage] init - Données CSV déjà présentes, chargement...');
@@ -93,6 +131,21 @@ export default class ForecastPage extends Component {
       }
     );
 
+    // S'abonner au plan de capacité (chargement d'un snapshot, remise à zéro)
+    this.subscribe(
+      state => state.capacityPlan,
+      (capacityPlan) => {
+        const availability = capacityPlan?.availability || {};
+        const newJoiners = capacityPlan?.newJoiners || [];
+        if (JSON.stringify({ availability, newJoiners }) ===
+            JSON.stringify({ availability: this.state.availability, newJoiners: this.state.newJoiners })) return;
+
+        this.state.availability = { ...availability };
+        this.state.newJoiners = [...newJoiners];
+        this._recalculateForecast();
+      }
+    );
+
     // S'abonner aux changements de manualInput (changement de sprint en Review)
     this.subscribe(
       state => state.manualInput?.sprintName,
@@ -120,11 +173,17 @@ export default class ForecastPage extends Component {
 
   /**
    * Charge et calcule les données de forecast
+   * Premier calcul : loader plein écran ; recalcul : scénarios actuels estompés
    * @param {Array} tickets
    * @private
    */
-  _loadForecastData(tickets) {
-    this.setState({ isLoading: true, error: null, rawTickets: tickets });
+  async _loadForecastData(tickets) {
+    this.setState({
+      isLoading: !this.state.forecastData,
+      isSimulating: true,
+      error: null,
+      rawTickets: tickets
+    });
 
     try {
       // Récupérer le sprint actuellement affiché en Review depuis manualInput
@@ -135,16 +194,22 @@ export default class ForecastPage extends Component {
       console.log('[ForecastPage] manualInput.sprintName:', manualInput?.sprintName);
       console.log('[ForecastPage] reviewSprint extrait:', reviewSprint);
 
-      const forecastData = forecastDataService.prepareForecastData(tickets, {
-        excludedContributors: this.state.excludedContributors,
-        reviewSprint: reviewSprint
+      const forecastData = await forecastDataService.prepareForecastDataAsync(tickets, {
+        availability: this.state.availability,
+        newJoiners: this.state.newJoiners,
+        reviewSprint: reviewSprint,
+        seed: this.state.seed
       });
 
+      // Simulation annulée par un recalcul plus récent : c'est lui qui mettra à jour
+      if (forecastData === null) return;
+
       if (!forecastData.isValid) {
         this.setState({
           forecastData: null,
           error: forecastData.error,
-          isLoading: false
+          isLoading: false,
+          isSimulating: false
         });
         return;
       }
@@ -152,6 +217,7 @@ export default class ForecastPage extends Component {
       this.setState({
         forecastData,
         isLoading: false,
+        isSimulating: false,
         error: null
       });
     } catch (error) {
@@ -159,11 +225,86 @@ export default class ForecastPage extends Component {
       this.setState({
         forecastData: null,
         error: error.message,
-        isLoading: false
+        isLoading: false,
+        isSimulating: false
       });
     }
   }
 
+  /**
+   * Enregistre les percentiles simulés du prochain sprint (suivi prévu / réalisé)
+   * Action explicite : les recalculs (absences, disponibilités, graine...) sont
+   * des scénarios, seule la prévision retenue est confrontée au réalisé
+   * @param {Object} forecastData
+   * @param {Array} tickets
+   * @param {boolean} replace - Remplacer la prévision déjà enregistrée
+   * @returns {boolean} - true si la prévision a été enregistrée
+   * @private
+   */
+  _recordForecast(forecastData, tickets, replace) {
+    const { simulation, validation } = forecastData;
+    const team = store.getState().manualInput?.teamName || '';
+    const options = {
+      sprintNumbers: forecastData.sprintNumbers,
+      availability: forecastData.availability,
+      excludedContributors: forecastData.excludedContributors,
+      newJoiners: this.state.newJoiners
+    };
+    const metrics = {
+      tickets: simulation.throughput,
+      ...(validation.hasStoryPoints ? { storyPoints: simulation.storyPoints } : {})
+    };
+
+    return Object.entries(metrics).map(([metric, { p15, p50, p85 }]) =>
+      forecastAccuracyService.recordForecast({
+        source: 'forecast',
+        team,
+        targetSprint: forecastData.nextSprint,
+        metric,
+        percentiles: { p15, p50, p85 },
+        options,
+        seed: forecastData.seed
+      }, tickets, { replace })
+    ).some(Boolean);
+  }
+
+  /**
+   * Rapport de fiabilité de la source et de la métrique affichées
+   * @returns {Object} - Voir forecastAccuracyService.getAccuracyReport
+   * @private
+   */
+  _getAccuracyReport() {
+    const { accuracySource, accuracyMetric, rawTickets } = this.state;
+    const team = store.getState().manualInput?.teamName || '';
+
+    return forecastAccuracyService.getAccuracyReport(accuracySource, team, rawTickets || [], {
+      metric: accuracyMetric
+    });
+  }
+
+  /**
+   * Disponibilité d'un contributeur sur le prochain sprint
+   * @param {string} name
+   * @returns {number} - 0 (absent) à 1 (disponible)
+   * @private
+   */
+  _getAvailability(name) {
+    return this.state.availability[name] ?? 1;
+  }
+
+  /**
+   * Contributeurs absents (disponibilité nulle) et partiellement disponibles
+   * @returns {{ absent: string[], partial: string[] }}
+   * @private
+   */
+  _getCapacitySummary() {
+    const names = Object.keys(this.state.availability);
+    return {
+      absent: names.filter(name => this._getAvailability(name) <= 0),
+      partial: names.filter(name => this._getAvailability(name) > 0 && this._getAvailability(name) < 1)
+    };
+  }
+
   /**
    * Recalcule avec les exclusions
    * @private
@@ -194,10 +335,18 @@ export default class ForecastPage extends Component {
     }
   }
 
+  /**
+   * Après mise à jour : (re)créer le graphique prévu / réalisé
+   */
+  afterUpdate() {
+    this._renderAccuracyChart();
+  }
+
   /**
    * Avant démontage
    */
   beforeUnmount() {
+    this._destroyAccuracyChart();
     Object.values(this.components).forEach(component => {
       if (component && typeof component.unmount === 'function') {
         component.unmount();
@@ -212,7 +361,7 @@ export default class ForecastPage extends Component {
    * Rendu du composant
    */
   render() {
-    const { forecastData, isLoading, error, isExporting, excludedContributors, showIndividualSections } = this.state;
+    const { forecastData, isLoading, isSimulating, error, isExporting, showIndividualSections } = this.state;
 
     if (isLoading) {
       return this._renderLoading();
@@ -238,11 +387,26 @@ export default class ForecastPage extends Component {
               <p class="forecast-section__subtitle">
                 Basée sur ${forecastData.simulation.iterations.toLocaleString()} simulations Monte Carlo
                 <button class="help-btn" data-action="show-monte-carlo-help" title="Qu'est-ce que Monte Carlo ?">?</button>
-                ${excludedContributors.length > 0 ? `<span class="subtitle-warning">(${excludedContributors.length} absence(s) simulée(s))</span>` : ''}
+                ${this._renderCapacityWarning()}
+                ${isSimulating ? `<span class="subtitle-progress">Recalcul… <span data-ref="simulation-progress">0%</span></span>` : ''}
               </p>
             </div>
-            <div class="forecast-section__content">
+            <div class="forecast-section__content ${isSimulating ? 'forecast-section__content--stale' : ''}">
               ${this._renderScenarios()}
+              ${this._renderSeedControl()}
+            </div>
+          </section>
+
+          <!-- Fiabilité des prévisions passées -->
+          <section class="forecast-section forecast-section--accuracy">
+            <div class="forecast-section__header">
+              <h3 class="forecast-section__title">Fiabilité des prévisions</h3>
+              <p class="forecast-section__subtitle">
+                Prévisions enregistrées comparées au throughput réel, une fois leur sprint terminé
+              </p>
+            </div>
+            <div class="forecast-section__content">
+              ${this._renderAccuracy()}
             </div>
           </section>
 
@@ -252,7 +416,7 @@ export default class ForecastPage extends Component {
             <div class="forecast-section__header">
               <h3 class="forecast-section__title">Simuler des absences</h3>
               <p class="forecast-section__subtitle">
-                Cochez les contributeurs absents pour recalculer automatiquement les prévisions
+                Cochez les absents ou saisissez une disponibilité partielle (Sprint ${forecastData.nextSprint} : ${forecastData.nextSprintWorkdays} jours ouvrés${this._renderHolidayList()})
               </p>
             </div>
             <div class="forecast-section__content">
@@ -260,6 +424,19 @@ export default class ForecastPage extends Component {
             </div>
           </section>
 
+          <!-- Nouveaux arrivants (section secrète) -->
+          <section class="forecast-section forecast-section--joiners">
+            <div class="forecast-section__header">
+              <h3 class="forecast-section__title">Nouveaux arrivants</h3>
+              <p class="forecast-section__subtitle">
+                Contributeurs sans historique ajoutés à la simulation du Sprint ${forecastData.nextSprint}
+              </p>
+            </div>
+            <div class="forecast-section__content">
+              ${this._renderJoinersEditor()}
+            </div>
+          </section>
+
           <!-- Contributeurs (section secrète) -->
           <section class="forecast-section forecast-section--contributors">
             <div class="forecast-section__header">
@@ -316,6 +493,38 @@ export default class ForecastPage extends Component {
     `;
   }
 
+  /**
+   * Rendu de l'avertissement absences / disponibilités partielles
+   * @returns {string}
+   * @private
+   */
+  _renderCapacityWarning() {
+    const { absent, partial } = this._getCapacitySummary();
+    const calendarRatio = this.state.forecastData?.nextSprintCapacity?.ratio ?? 1;
+    const parts = [];
+
+    if (calendarRatio < 1) parts.push(`calendrier ${Math.round(calendarRatio * 100)}% des jours ouvrés`);
+    if (absent.length > 0) parts.push(`${absent.length} absence(s) simulée(s)`);
+    if (partial.length > 0) parts.push(`${partial.length} disponibilité(s) partielle(s)`);
+
+    return parts.length > 0 ? `<span class="subtitle-warning">(${parts.join(', ')})</span>` : '';
+  }
+
+  /**
+   * Rendu des jours fériés du prochain sprint (suffixe du sous-titre des absences)
+   * @returns {string}
+   * @private
+   */
+  _renderHolidayList() {
+    const holidays = this.state.forecastData?.nextSprintCapacity?.holidays || [];
+    if (holidays.length === 0) return '';
+
+    const list = holidays.map(h =>
+      `${h.label} ${h.date.toLocaleDateString(config.locale, { day: '2-digit', month: '2-digit' })}`
+    );
+    return `, fériés : ${this.escapeHtml(list.join(', '))}`;
+  }
+
   /**
    * Rendu du header (style harmonisé avec ReviewPage)
    * @returns {string}
@@ -382,13 +591,241 @@ export default class ForecastPage extends Component {
     `;
   }
 
+  /**
+   * Rendu de la graine de simulation (relance avec une graine donnée)
+   * @returns {string}
+   * @private
+   */
+  _renderSeedControl() {
+    const { seed } = this.state;
+
+    return `
+      <div class="forecast-seed">
+        <label class="forecast-seed__label" for="forecastSeed">Graine</label>
+        <input type="text" inputmode="numeric" id="forecastSeed"
+               class="input input--sm forecast-seed__input" value="${seed}">
+        <button class="btn btn--secondary btn--sm" data-action="apply-seed">Relancer</button>
+        <button class="btn btn--link" data-action="new-seed">Nouvelle graine</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu de la fiabilité des prévisions : sélecteurs, indicateurs, taux par niveau, graphique
+   * @returns {string}
+   * @private
+   */
+  _renderAccuracy() {
+    const { accuracySource, accuracyMetric, forecastData, isSimulating } = this.state;
+    const { records, evaluated, pending, calibration } = this._getAccuracyReport();
+    const metrics = forecastData.validation.hasStoryPoints
+      ? { tickets: 'Tickets', storyPoints: 'Story Points' }
+      : { tickets: 'Tickets' };
+    const unit = accuracyMetric === 'storyPoints' ? 'SP' : 'tickets';
+    const signed = value => `${value > 0 ? '+' : ''}${formatNumber(value, 1)}`;
+
+    const toggles = `
+      <div class="accuracy-save">
+        <button class="btn btn--secondary btn--sm" data-action="save-forecast" ${isSimulating ? 'disabled' : ''}>
+          📌 Enregistrer la prévision du Sprint ${forecastData.nextSprint}
+        </button>
+        <span class="accuracy-save__hint">
+          Scénario affiché (absences, disponibilités, graine) retenu pour le suivi prévu / réalisé
+        </span>
+      </div>
+      <div class="accuracy-options">
+        <div class="toggle-group">
+          ${Object.entries(FORECAST_SOURCES).map(([value, label]) => `
+            <button class="toggle-group__btn ${accuracySource === value ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-accuracy-source" data-value="${value}">
+              ${label}
+            </button>
+          `).join('')}
+        </div>
+        <div class="toggle-group">
+          ${Object.entries(metrics).map(([value, label]) => `
+            <button class="toggle-group__btn ${accuracyMetric === value ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-accuracy-metric" data-value="${value}">
+              ${label}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+
+    if (records.length === 0) {
+      return `
+        ${toggles}
+        <p class="accuracy-note">
+          Aucune prévision ${FORECAST_SOURCES[accuracySource]} enregistrée pour cette équipe.
+        </p>
+      `;
+    }
+
+    const pendingNote = pending.length > 0
+      ? `<p class="accuracy-note">En attente du réalisé : ${pending.map(r => `Sprint ${r.targetSprint}`).join(', ')}</p>`
+      : '';
+
+    if (evaluated.length === 0) {
+      return `
+        ${toggles}
+        <p class="accuracy-note">
+          Aucune prévision évaluée : le réalisé d'un sprint est connu quand il est terminé
+          et que le CSV contient ses tickets fermés.
+        </p>
+        ${pendingNote}
+        <div class="accuracy-chart"><canvas id="forecast-accuracy-chart"></canvas></div>
+      `;
+    }
+
+    return `
+      ${toggles}
+      <div class="accuracy-kpis">
+        <div class="accuracy-kpi">
+          <span class="accuracy-kpi__value">${calibration.count}</span>
+          <span class="accuracy-kpi__label">prévision(s) évaluée(s)</span>
+        </div>
+        <div class="accuracy-kpi">
+          <span class="accuracy-kpi__value">${formatNumber(calibration.mae, 1)}</span>
+          <span class="accuracy-kpi__label">${unit} d'erreur moyenne (P50)</span>
+        </div>
+        <div class="accuracy-kpi">
+          <span class="accuracy-kpi__value">${signed(calibration.bias)}</span>
+          <span class="accuracy-kpi__label">${unit} de biais (réalisé − P50)</span>
+        </div>
+        <div class="accuracy-kpi">
+          <span class="accuracy-kpi__value">${calibration.inRangeRate}%</span>
+          <span class="accuracy-kpi__label">dans la fourchette (attendu ${calibration.expectedInRange}%)</span>
+        </div>
+      </div>
+
+      <table class="data-table accuracy-table">
+        <thead>
+          <tr>
+            <th>Niveau</th>
+            <th class="text-center">Atteint attendu</th>
+            <th class="text-center">Atteint observé</th>
+            <th class="text-center">Sprints</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${calibration.levels.map(level => `
+            <tr>
+              <td><strong>${level.label}</strong></td>
+              <td class="text-center">${level.expected}%</td>
+              <td class="text-center">
+                <span class="accuracy-table__rate ${Math.abs(level.hitRate - level.expected) > 20 ? 'accuracy-table__rate--off' : ''}">
+                  ${level.hitRate}%
+                </span>
+              </td>
+              <td class="text-center">${level.hits} / ${calibration.count}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+
+      <div class="accuracy-chart"><canvas id="forecast-accuracy-chart"></canvas></div>
+      ${pendingNote}
+    `;
+  }
+
+  /**
+   * Crée le graphique fourchette prévue / réalisé par sprint cible
+   * @private
+   */
+  _renderAccuracyChart() {
+    this._destroyAccuracyChart();
+
+    const canvas = this.$('#forecast-accuracy-chart');
+    if (!canvas || !window.Chart) return;
+
+    const { records } = this._getAccuracyReport();
+    const unit = this.state.accuracyMetric === 'storyPoints' ? 'SP' : 'tickets';
+
+    this.accuracyChart = new window.Chart(canvas.getContext('2d'), {
+      type: 'bar',
+      data: {
+        labels: records.map(r => `S${r.targetSprint}`),
+        datasets: [
+          {
+            type: 'line',
+            label: 'Réalisé',
+            data: records.map(r => r.actual),
+            borderColor: 'rgba(16, 185, 129, 1)',
+            backgroundColor: 'rgba(16, 185, 129, 1)',
+            pointRadius: 4,
+            spanGaps: true,
+            order: 1
+          },
+          {
+            type: 'line',
+            label: 'P50 prévu',
+            data: records.map(r => r.percentiles?.p50 ?? null),
+            borderColor: 'rgba(37, 99, 235, 1)',
+            backgroundColor: 'rgba(37, 99, 235, 1)',
+            showLine: false,
+            pointStyle: 'line',
+            pointRadius: 10,
+            pointBorderWidth: 2,
+            order: 2
+          },
+          {
+            label: 'Fourchette prévue',
+            data: records.map(r => [r.low, r.high]),
+            backgroundColor: 'rgba(37, 99, 235, 0.2)',
+            borderColor: 'rgba(37, 99, 235, 0.5)',
+            borderWidth: 1,
+            order: 3
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            beginAtZero: true,
+            title: { display: true, text: unit }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              title: (items) => `Sprint ${records[items[0].dataIndex].targetSprint}`,
+              label: (context) => {
+                const record = records[context.dataIndex];
+                if (context.dataset.label === 'Fourchette prévue') {
+                  return `Fourchette prévue : ${record.low} – ${record.high} ${unit}`;
+                }
+                return context.parsed.y === null
+                  ? `${context.dataset.label} : en attente`
+                  : `${context.dataset.label} : ${context.parsed.y} ${unit}`;
+              }
+            }
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Détruit le graphique prévu / réalisé
+   * @private
+   */
+  _destroyAccuracyChart() {
+    if (this.accuracyChart) {
+      this.accuracyChart.destroy();
+      this.accuracyChart = null;
+    }
+  }
+
   /**
    * Rendu du tableau des contributeurs avec scénarios individuels
    * @returns {string}
    * @private
    */
   _renderContributorsTable() {
-    const { forecastData, excludedContributors } = this.state;
+    const { forecastData } = this.state;
     const contributors = forecastData.contributors;
     const hasStoryPoints = forecastData.validation.hasStoryPoints;
 
@@ -415,11 +852,18 @@ export default class ForecastPage extends Component {
           </thead>
           <tbody>
             ${contributors.map((c, idx) => `
-              <tr class="${excludedContributors.includes(c.name) ? 'excluded' : ''}">
+              <tr class="${this._getAvailability(c.name) <= 0 ? 'excluded' : ''}">
                 <td class="contributor-cell">
                   <span class="contributor-color" style="background-color: ${CONTRIBUTOR_COLORS[idx % CONTRIBUTOR_COLORS.length]}"></span>
-                  <span class="contributor-name">${c.name}</span>
-                  <span class="contributor-sprints">${c.sprintsActive}/${c.sprintsAnalyzed} sprints</span>
+                  <span class="contributor-name">${this.escapeHtml(c.name)}</span>
+                  ${c.isNewJoiner ? `
+                    <span class="contributor-joiner" title="${this.escapeHtml(this._describeJoinerProfile(c))}">Nouvel arrivant</span>
+                  ` : `
+                    <span class="contributor-sprints">${c.sprintsActive}/${c.sprintsAnalyzed} sprints</span>
+                  `}
+                  ${this._getAvailability(c.name) > 0 && this._getAvailability(c.name) < 1 ? `
+                    <span class="contributor-availability">${Math.round(this._getAvailability(c.name) * 100)}%</span>
+                  ` : ''}
                 </td>
                 <td class="scenario-cell scenario-cell--warning">${c.throughput.p15}</td>
                 <td class="scenario-cell scenario-cell--primary"><strong>${c.throughput.p50}</strong></td>
@@ -431,7 +875,7 @@ export default class ForecastPage extends Component {
                 ` : ''}
                 <td class="fiability-cell">
                   <span class="badge badge--${c.isReliable ? 'success' : 'warning'}">
-                    ${c.isReliable ? 'Fiable' : 'Limité'}
+                    ${c.isReliable ? 'Fiable' : c.isNewJoiner ? 'Hypothèse' : 'Limité'}
                   </span>
                 </td>
               </tr>
@@ -457,30 +901,60 @@ export default class ForecastPage extends Component {
   }
 
   /**
-   * Rendu du sélecteur d'absences
+   * Rendu du sélecteur d'absences et de disponibilités partielles
    * @returns {string}
    * @private
    */
   _renderAbsenceSelector() {
-    const { forecastData, excludedContributors } = this.state;
+    const { forecastData } = this.state;
     const contributors = forecastData.contributors;
+    const workdays = forecastData.nextSprintWorkdays;
+    const calendar = forecastData.nextSprintCapacity?.contributors || {};
+    const { absent, partial } = this._getCapacitySummary();
 
     return `
       <div class="absence-selector">
         <div class="absence-selector__list">
-          ${contributors.map(c => `
-            <label class="absence-selector__item">
-              <input type="checkbox"
-                     data-action="toggle-absence"
-                     data-contributor="${c.name}"
-                     ${excludedContributors.includes(c.name) ? 'checked' : ''}>
-              <span>${c.name}</span>
-            </label>
-          `).join('')}
+          ${contributors.map(c => {
+            const name = this.escapeHtml(c.name);
+            const availability = this._getAvailability(c.name);
+            const daysOff = Math.round((1 - availability) * workdays * 2) / 2;
+            const leaveDays = calendar[c.name]?.leaveDays || 0;
+
+            return `
+              <div class="absence-selector__item ${availability > 0 && availability < 1 ? 'absence-selector__item--partial' : ''}">
+                <label class="absence-selector__name">
+                  <input type="checkbox"
+                         data-action="toggle-absence"
+                         data-contributor="${name}"
+                         ${availability <= 0 ? 'checked' : ''}>
+                  <span>${name}</span>
+                </label>
+                <span class="absence-selector__capacity">
+                  <input type="number" class="input input--sm absence-selector__input"
+                         min="0" max="100" step="5" value="${Math.round(availability * 100)}"
+                         data-action="set-availability" data-contributor="${name}"
+                         title="Disponibilité sur le sprint (%)">
+                  <span class="absence-selector__unit">%</span>
+                  <input type="number" class="input input--sm absence-selector__input"
+                         min="0" max="${workdays}" step="0.5" value="${daysOff}"
+                         data-action="set-days-off" data-contributor="${name}"
+                         title="Jours d'absence sur les ${workdays} jours ouvrés du sprint">
+                  <span class="absence-selector__unit">j off</span>
+                </span>
+                ${leaveDays > 0 ? `
+                  <span class="absence-selector__leave" title="Congés saisis dans le calendrier de capacité (Préparation)">
+                    📅 ${leaveDays} j congés
+                  </span>
+                ` : ''}
+              </div>
+            `;
+          }).join('')}
         </div>
-        ${excludedContributors.length > 0 ? `
+        ${absent.length > 0 || partial.length > 0 ? `
           <div class="absence-selector__summary">
-            <strong>${excludedContributors.length}</strong> contributeur(s) exclu(s)
+            <strong>${absent.length}</strong> contributeur(s) exclu(s),
+            <strong>${partial.length}</strong> disponibilité(s) partielle(s)
             <button class="btn btn--link" data-action="clear-absences">
               Réinitialiser
             </button>
@@ -490,6 +964,70 @@ export default class ForecastPage extends Component {
     `;
   }
 
+  /**
+   * Décrit le profil d'un nouvel arrivant
+   * @param {Object} joiner - { profile, rampSprint?, cloneOf? } ou statistiques (isNewJoiner)
+   * @returns {string}
+   * @private
+   */
+  _describeJoinerProfile(joiner) {
+    if (joiner.profile === 'clone') {
+      return `${JOINER_PROFILES.clone} de ${joiner.cloneOf || joiner.reference}`;
+    }
+
+    const profile = monteCarloService.CONFIG.RAMP_UP_PROFILE;
+    const rampSprint = Math.min(joiner.rampSprint || 1, profile.length);
+    return `${JOINER_PROFILES.ramp} sprint ${rampSprint} (${Math.round(profile[rampSprint - 1] * 100)}% du médian)`;
+  }
+
+  /**
+   * Rendu de l'éditeur des nouveaux arrivants
+   * @returns {string}
+   * @private
+   */
+  _renderJoinersEditor() {
+    const { forecastData, newJoiners } = this.state;
+    const simulated = new Map((forecastData.newJoiners || []).map(j => [j.name, j]));
+    const references = forecastData.contributors.filter(c => !c.isNewJoiner);
+    const profile = monteCarloService.CONFIG.RAMP_UP_PROFILE;
+
+    return `
+      <div class="joiners-editor">
+        ${newJoiners.length > 0 ? `
+          <ul class="joiners-editor__list">
+            ${newJoiners.map(joiner => {
+              const stats = simulated.get(joiner.name);
+              return `
+                <li class="joiners-editor__item ${stats ? '' : 'joiners-editor__item--invalid'}">
+                  <span class="joiners-editor__name">${this.escapeHtml(joiner.name)}</span>
+                  <span class="joiners-editor__profile">
+                    ${this.escapeHtml(this._describeJoinerProfile(joiner))}
+                    ${stats ? `· réf. ${this.escapeHtml(stats.reference)} · P50 ${stats.throughput.p50} tickets` : '· référence introuvable, ignoré'}
+                  </span>
+                  <button class="btn btn--link" data-action="remove-joiner" data-joiner="${this.escapeHtml(joiner.name)}">
+                    Retirer
+                  </button>
+                </li>
+              `;
+            }).join('')}
+          </ul>
+        ` : ''}
+        <form class="joiners-editor__form" data-form="new-joiner">
+          <input type="text" name="joinerName" class="input input--sm" placeholder="Nom" required>
+          <select name="joinerProfile" class="input input--sm">
+            ${profile.map((factor, index) => `
+              <option value="ramp:${index + 1}">${JOINER_PROFILES.ramp} sprint ${index + 1} (${Math.round(factor * 100)}% du médian)</option>
+            `).join('')}
+            ${references.map(c => `
+              <option value="clone:${this.escapeHtml(c.name)}">${JOINER_PROFILES.clone} de ${this.escapeHtml(c.name)}</option>
+            `).join('')}
+          </select>
+          <button type="submit" class="btn btn--secondary btn--sm">Ajouter</button>
+        </form>
+      </div>
+    `;
+  }
+
   /**
    * Rendu de l'état de chargement
    * @returns {string}
@@ -499,7 +1037,7 @@ export default class ForecastPage extends Component {
     return `
       <div class="forecast-page forecast-page--loading">
         <div class="loader"></div>
-        <p>Calcul des prévisions en cours...</p>
+        <p>Calcul des prévisions en cours... <span data-ref="simulation-progress">0%</span></p>
       </div>
     `;
   }
@@ -556,7 +1094,16 @@ export default class ForecastPage extends Component {
       'click [data-action="export-md"]': this._handleExportMarkdown,
       'click [data-action="go-to-admin"]': this._handleGoToAdmin,
       'change [data-action="toggle-absence"]': this._handleToggleAbsence,
+      'change [data-action="set-availability"]': this._handleSetAvailability,
+      'change [data-action="set-days-off"]': this._handleSetDaysOff,
       'click [data-action="clear-absences"]': this._handleClearAbsences,
+      'submit [data-form="new-joiner"]': this._handleAddJoiner,
+      'click [data-action="remove-joiner"]': this._handleRemoveJoiner,
+      'click [data-action="apply-seed"]': this._handleApplySeed,
+      'click [data-action="new-seed"]': this._handleNewSeed,
+      'click [data-action="set-accuracy-source"]': this._handleSetAccuracySource,
+      'click [data-action="set-accuracy-metric"]': this._handleSetAccuracyMetric,
+      'click [data-action="save-forecast"]': this._handleSaveForecast,
       'click [data-action="show-monte-carlo-help"]': this._handleShowHelp,
       'click [data-action="close-modal"]': this._handleCloseModal,
       'click .modal-overlay': this._handleOverlayClick
@@ -603,8 +1150,9 @@ export default class ForecastPage extends Component {
    * @private
    */
   _handleExportMarkdown() {
-    const { forecastData, excludedContributors } = this.state;
+    const { forecastData } = this.state;
     if (!forecastData) return;
+    const { absent, partial } = this._getCapacitySummary();
 
     const currentState = store.getState();
     const teamName = currentState.manualInput?.teamName || 'Équipe';
@@ -613,10 +1161,28 @@ export default class ForecastPage extends Component {
     let md = `# Forecast Sprint ${forecastData.nextSprint}\n\n`;
     md += `**Équipe:** ${teamName}\n`;
     md += `**Date:** ${new Date().toLocaleDateString('fr-FR')}\n`;
-    md += `**Basé sur:** Sprints ${forecastData.sprintNumbers[0]} à ${forecastData.sprintNumbers[forecastData.sprintNumbers.length - 1]}\n\n`;
+    md += `**Basé sur:** Sprints ${forecastData.sprintNumbers[0]} à ${forecastData.sprintNumbers[forecastData.sprintNumbers.length - 1]}\n`;
+    md += `**Graine:** ${forecastData.seed}\n\n`;
+
+    if (absent.length > 0) {
+      md += `> ⚠️ **Absences simulées:** ${absent.join(', ')}\n\n`;
+    }
+
+    if (partial.length > 0) {
+      const partialList = partial.map(name => `${name} ${Math.round(this._getAvailability(name) * 100)}%`);
+      md += `> **Disponibilités partielles (Sprint ${forecastData.nextSprint}):** ${partialList.join(', ')}\n\n`;
+    }
+
+    if (forecastData.newJoiners?.length > 0) {
+      const joinerList = forecastData.newJoiners.map(j => `${j.name} (${this._describeJoinerProfile(j)})`);
+      md += `> **Nouveaux arrivants:** ${joinerList.join(', ')}\n\n`;
+    }
 
-    if (excludedContributors.length > 0) {
-      md += `> ⚠️ **Absences simulées:** ${excludedContributors.join(', ')}\n\n`;
+    const capacity = forecastData.nextSprintCapacity;
+    if (capacity && capacity.workdays < capacity.weekdays) {
+      const holidays = capacity.holidays.map(h => h.label);
+      md += `> **Calendrier:** ${capacity.workdays}/${capacity.weekdays} jours ouvrés`;
+      md += holidays.length > 0 ? ` (fériés : ${holidays.join(', ')})\n\n` : `\n\n`;
     }
 
     // Vélocité
@@ -633,15 +1199,19 @@ export default class ForecastPage extends Component {
     md += `| Contributeur | Sprints | Tickets (P15/P50/P85) | SP (P15/P50/P85) | Fiabilité |\n`;
     md += `|--------------|---------|----------------------|------------------|----------|\n`;
     forecastData.contributors.forEach(c => {
-      const excluded = excludedContributors.includes(c.name) ? ' *(absent)*' : '';
-      md += `| ${c.name}${excluded} | ${c.sprintsActive}/${c.sprintsAnalyzed} | ${c.throughput.p15} / **${c.throughput.p50}** / ${c.throughput.p85} | ${c.storyPoints.p15} / **${c.storyPoints.p50}** / ${c.storyPoints.p85} | ${c.isReliable ? '✅' : '⚠️'} |\n`;
+      const availability = this._getAvailability(c.name);
+      const excluded = availability <= 0
+        ? ' *(absent)*'
+        : availability < 1 ? ` *(${Math.round(availability * 100)}%)*` : '';
+      const sprints = c.isNewJoiner ? 'nouveau' : `${c.sprintsActive}/${c.sprintsAnalyzed}`;
+      md += `| ${c.name}${excluded} | ${sprints} | ${c.throughput.p15} / **${c.throughput.p50}** / ${c.throughput.p85} | ${c.storyPoints.p15} / **${c.storyPoints.p50}** / ${c.storyPoints.p85} | ${c.isReliable ? '✅' : '⚠️'} |\n`;
     });
     md += `| **ÉQUIPE** | - | ${forecastData.simulation.throughput.p15} / **${forecastData.simulation.throughput.p50}** / ${forecastData.simulation.throughput.p85} | ${forecastData.simulation.storyPoints.p15} / **${forecastData.simulation.storyPoints.p50}** / ${forecastData.simulation.storyPoints.p85} | - |\n`;
     md += `\n`;
 
     // Méthode
     md += `---\n`;
-    md += `*Généré par simulation Monte Carlo (${forecastData.simulation.iterations.toLocaleString()} itérations)*\n`;
+    md += `*Généré par simulation Monte Carlo (${forecastData.simulation.iterations.toLocaleString()} itérations, graine ${forecastData.seed})*\n`;
 
     // Télécharger le fichier
     const blob = new Blob([md], { type: 'text/markdown;charset=utf-8' });
@@ -668,6 +1238,40 @@ export default class ForecastPage extends Component {
     eventBus.emit('navigation:request', { section: 'admin' });
   }
 
+  /**
+   * Met à jour la disponibilité d'un contributeur, sauvegarde le plan et recalcule
+   * @param {string} contributor
+   * @param {number} availability - 0 (absent) à 1 (disponible)
+   * @private
+   */
+  _setAvailability(contributor, availability) {
+    const plan = { ...this.state.availability };
+
+    if (availability >= 1) {
+      delete plan[contributor];
+    } else {
+      plan[contributor] = Math.max(0, Math.round(availability * 100) / 100);
+    }
+
+    this.state.availability = plan;
+    this._saveCapacityPlan();
+    this._recalculateForecast();
+  }
+
+  /**
+   * Enregistre le plan de capacité dans le store (sauvegardé avec le snapshot)
+   * @private
+   */
+  _saveCapacityPlan() {
+    store.dispatch({
+      capacityPlan: {
+        sprint: this.state.forecastData?.nextSprint ?? null,
+        availability: { ...this.state.availability },
+        newJoiners: [...this.state.newJoiners]
+      }
+    });
+  }
+
   /**
    * Gestionnaire toggle absence d'un contributeur
    * @param {Event} e
@@ -675,18 +1279,42 @@ export default class ForecastPage extends Component {
    */
   _handleToggleAbsence(e) {
     const contributor = e.target.dataset.contributor;
-    const isExcluded = e.target.checked;
+    this._setAvailability(contributor, e.target.checked ? 0 : 1);
+  }
 
-    let newExcluded;
-    if (isExcluded) {
-      newExcluded = [...this.state.excludedContributors, contributor];
-    } else {
-      newExcluded = this.state.excludedContributors.filter(c => c !== contributor);
+  /**
+   * Gestionnaire disponibilité en pourcentage
+   * @param {Event} e
+   * @private
+   */
+  _handleSetAvailability(e) {
+    const contributor = e.target.dataset.contributor;
+    const percent = parseFloat(e.target.value);
+
+    if (!Number.isFinite(percent)) {
+      e.target.value = Math.round(this._getAvailability(contributor) * 100);
+      return;
     }
 
-    // Mettre à jour l'état ET recalculer immédiatement
-    this.state.excludedContributors = newExcluded;
-    this._recalculateForecast();
+    this._setAvailability(contributor, Math.min(100, Math.max(0, percent)) / 100);
+  }
+
+  /**
+   * Gestionnaire jours d'absence sur le prochain sprint
+   * @param {Event} e
+   * @private
+   */
+  _handleSetDaysOff(e) {
+    const contributor = e.target.dataset.contributor;
+    const workdays = this.state.forecastData?.nextSprintWorkdays || 0;
+    const daysOff = parseFloat(e.target.value);
+
+    if (!Number.isFinite(daysOff) || workdays === 0) {
+      e.target.value = Math.round((1 - this._getAvailability(contributor)) * workdays * 2) / 2;
+      return;
+    }
+
+    this._setAvailability(contributor, (workdays - Math.min(workdays, Math.max(0, daysOff))) / workdays);
   }
 
   /**
@@ -694,7 +1322,136 @@ export default class ForecastPage extends Component {
    * @private
    */
   _handleClearAbsences() {
-    this.state.excludedContributors = [];
+    this.state.availability = {};
+    this._saveCapacityPlan();
     this._recalculateForecast();
   }
+
+  /**
+   * Gestionnaire ajout d'un nouvel arrivant
+   * @param {Event} e
+   * @private
+   */
+  _handleAddJoiner(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const name = form.elements.joinerName.value.trim();
+    const [profile, value] = form.elements.joinerProfile.value.split(/:(.*)/s);
+
+    const taken = [
+      ...(this.state.forecastData?.contributors || []).map(c => c.name),
+      ...this.state.newJoiners.map(j => j.name)
+    ];
+    if (!name || taken.includes(name)) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: name ? `${name} fait déjà partie de l'équipe` : 'Nom du nouvel arrivant requis'
+      });
+      return;
+    }
+
+    const joiner = profile === 'clone'
+      ? { name, profile: 'clone', cloneOf: value }
+      : { name, profile: 'ramp', rampSprint: parseInt(value, 10) || 1 };
+
+    this.state.newJoiners = [...this.state.newJoiners, joiner];
+    this._saveCapacityPlan();
+    this._recalculateForecast();
+  }
+
+  /**
+   * Gestionnaire suppression d'un nouvel arrivant
+   * @param {Event} e
+   * @private
+   */
+  _handleRemoveJoiner(e) {
+    const name = e.target.closest('[data-joiner]')?.dataset.joiner;
+    if (!name) return;
+
+    const availability = { ...this.state.availability };
+    delete availability[name];
+
+    this.state.availability = availability;
+    this.state.newJoiners = this.state.newJoiners.filter(j => j.name !== name);
+    this._saveCapacityPlan();
+    this._recalculateForecast();
+  }
+
+  /**
+   * Gestionnaire relance avec la graine saisie
+   * @private
+   */
+  _handleApplySeed() {
+    const input = this.$('#forecastSeed');
+    const seed = parseSeed(input?.value);
+
+    if (seed === null) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: 'Graine invalide : entier positif attendu'
+      });
+      if (input) input.value = this.state.seed;
+      return;
+    }
+
+    this.state.seed = seed;
+    this._recalculateForecast();
+  }
+
+  /**
+   * Gestionnaire tirage d'une nouvelle graine
+   * @private
+   */
+  _handleNewSeed() {
+    this.state.seed = generateSeed();
+    this._recalculateForecast();
+  }
+
+  /**
+   * Gestionnaire choix de la source suivie (Forecast, How Many)
+   * @param {Event} e
+   * @private
+   */
+  _handleSetAccuracySource(e) {
+    const accuracySource = e.currentTarget.dataset.value;
+    if (accuracySource && accuracySource !== this.state.accuracySource) {
+      this.setState({ accuracySource });
+    }
+  }
+
+  /**
+   * Gestionnaire choix de la métrique suivie (tickets, story points)
+   * @param {Event} e
+   * @private
+   */
+  _handleSetAccuracyMetric(e) {
+    const accuracyMetric = e.currentTarget.dataset.value;
+    if (accuracyMetric && accuracyMetric !== this.state.accuracyMetric) {
+      this.setState({ accuracyMetric });
+    }
+  }
+
+  /**
+   * Gestionnaire enregistrement de la prévision affichée (suivi prévu / réalisé)
+   * Une prévision déjà enregistrée pour le sprint cible n'est remplacée qu'après confirmation
+   * @private
+   */
+  _handleSaveForecast() {
+    const { forecastData, rawTickets, isSimulating } = this.state;
+    if (!forecastData || isSimulating) return;
+
+    const team = store.getState().manualInput?.teamName || '';
+    const targetSprint = forecastData.nextSprint;
+    const exists = forecastAccuracyService.hasForecastRecord('forecast', team, targetSprint);
+    if (exists && !confirm(`Une prévision est déjà enregistrée pour le Sprint ${targetSprint}. La remplacer par le scénario affiché ?`)) {
+      return;
+    }
+
+    const saved = this._recordForecast(forecastData, rawTickets || [], exists);
+    eventBus.emit('notification:show', saved
+      ? { type: 'success', message: `Prévision du Sprint ${targetSprint} enregistrée` }
+      : { type: 'warning', message: `Prévision non enregistrée : le réalisé du Sprint ${targetSprint} est déjà connu` });
+
+    this.setState({ accuracySource: 'forecast' });
+  }
 }
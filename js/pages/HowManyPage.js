@@ -4,7 +4,18 @@
  * ==========================================================================
  *
  * Page cachée accessible via Konami code (←←→→)
- * Affiche le forecast "How Many" : combien d'items livrer sur X semaines
+ * Deux modes de forecast :
+ * - "How Many" : combien d'items livrer sur X semaines
+ * - "When" : à quel sprint / quelle date un backlog de N items sera livré
+ *
+ * En mode "How Many", deux moteurs de projection :
+ * - Analytique : loi normale + safety factors (historique)
+ * - Bootstrap : rééchantillonnage des throughputs de sprint
+ * Le mode "Comparer" affiche les deux côte à côte.
+ *
+ * Les tirages utilisent une graine affichée : même graine = mêmes résultats.
+ * La projection à 1 sprint du moteur affiché est enregistrée pour le suivi
+ * de fiabilité (section « Fiabilité des prévisions » de la page Forecast).
  *
  * Règles métier : /docs/MONTE-CARLO-HOWMANY.md
  *
@@ -13,13 +24,33 @@
 
 import Component from '../components/Component.js';
 import store from '../core/store.js';
+import eventBus from '../core/eventBus.js';
 import {
   runSimulation,
+  runWhenSimulation,
   extractThroughputs,
   formatResults,
+  formatWhenResults,
   HORIZONS_LABELS,
+  SIMULATION_METHODS,
   CONFIG
 } from '../services/howManyService.js';
+import forecastAccuracyService from '../services/forecastAccuracyService.js';
+import { getSprintReferenceDate } from '../services/sprintCalendarService.js';
+import { formatDate } from '../utils/dateUtils.js';
+import { generateSeed, parseSeed } from '../utils/random.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+/**
+ * Reste à livrer proposé par défaut en mode "When"
+ */
+const DEFAULT_BACKLOG_SIZE = {
+  tickets: 40,
+  storyPoints: 120
+};
 
 // =========================================================================
 // CLASSE HOWMANYPAGE
@@ -28,6 +59,12 @@ import {
 export default class HowManyPage extends Component {
   constructor(container, props = {}) {
     super(container, props);
+
+    // Courbe de probabilité cumulée (mode When)
+    this.whenChart = null;
+
+    // Dernière prévision enregistrée (évite les doublons à chaque rendu)
+    this.lastRecordKey = null;
   }
 
   /**
@@ -35,15 +72,26 @@ export default class HowManyPage extends Component {
    */
   init() {
     this.state = {
+      // Question posée : 'howMany' (combien ?) ou 'when' (quand ?)
+      mode: 'howMany',
+      backlogSize: DEFAULT_BACKLOG_SIZE.tickets,
+
+      // Moteur How Many : 'analytic', 'bootstrap' ou 'compare' (les deux côte à côte)
+      method: 'analytic',
+
       // Options de simulation (décochées par défaut)
       metric: 'tickets',
       useWeighting: false,
       excludeOutliers: false,
+      // Graine des tirages, conservée quand les options changent
+      seed: generateSeed(),
 
       // Données
       throughputs: [],
       sprints: [],
       simulation: null,
+      bootstrapSimulation: null,
+      whenSimulation: null,
       teamName: '',
 
       // UI
@@ -59,6 +107,80 @@ export default class HowManyPage extends Component {
     this._loadData();
   }
 
+  /**
+   * Après mise à jour : (re)créer la courbe du mode When, enregistrer la prévision
+   */
+  afterUpdate() {
+    this._renderWhenChart();
+    this._recordForecast();
+  }
+
+  /**
+   * Avant démontage
+   */
+  beforeUnmount() {
+    this._destroyWhenChart();
+  }
+
+  /**
+   * Lance les simulations How Many (analytique + bootstrap) et When avec les options courantes
+   * @param {number[]} throughputs
+   * @param {Object} overrides - Options modifiées (useWeighting, excludeOutliers, backlogSize, seed)
+   * @returns {Object} - { simulation, bootstrapSimulation, whenSimulation, error }
+   * @private
+   */
+  _runSimulations(throughputs, overrides = {}) {
+    const options = {
+      useWeighting: overrides.useWeighting ?? this.state.useWeighting,
+      excludeOutliers: overrides.excludeOutliers ?? this.state.excludeOutliers,
+      seed: overrides.seed ?? this.state.seed
+    };
+    const backlogSize = overrides.backlogSize ?? this.state.backlogSize;
+
+    const simulation = runSimulation(throughputs, { ...options, method: 'analytic' });
+    const bootstrapSimulation = runSimulation(throughputs, { ...options, method: 'bootstrap' });
+    const whenSimulation = runWhenSimulation(throughputs, backlogSize, options);
+
+    return {
+      simulation,
+      bootstrapSimulation,
+      whenSimulation,
+      error: simulation.success ? null : simulation.error
+    };
+  }
+
+  /**
+   * Enregistre la projection à 1 sprint du moteur affiché (analytique en mode Comparer)
+   * Sprint cible : sprint suivant le dernier sprint de l'historique
+   * Seule la première projection d'un sprint cible est conservée : les
+   * réglages suivants (pondération, graine...) sont des scénarios
+   * @private
+   */
+  _recordForecast() {
+    const { method, simulation, bootstrapSimulation, sprints, metric, useWeighting, excludeOutliers, seed, teamName } = this.state;
+    const selected = method === 'bootstrap' ? bootstrapSimulation : simulation;
+    if (!selected?.success || sprints.length === 0) return;
+
+    const engine = method === 'bootstrap' ? 'bootstrap' : 'analytic';
+    const targetSprint = sprints[sprints.length - 1] + 1;
+    const recordKey = JSON.stringify({ teamName, targetSprint, metric, engine, useWeighting, excludeOutliers, seed });
+    if (recordKey === this.lastRecordKey) return;
+    this.lastRecordKey = recordKey;
+
+    const { p50, p85, p95 } = selected.results[CONFIG.HORIZONS_SPRINTS[0] * 2];
+    const tickets = store.getState().csvData?.tickets || [];
+
+    forecastAccuracyService.recordForecast({
+      source: 'howmany',
+      team: teamName,
+      targetSprint,
+      metric,
+      percentiles: { p50, p85, p95 },
+      options: { method: engine, useWeighting, excludeOutliers, sprints },
+      seed
+    }, tickets);
+  }
+
   /**
    * Charge les données et lance la simulation
    * @private
@@ -91,18 +213,12 @@ export default class HowManyPage extends Component {
       return;
     }
 
-    const simulation = runSimulation(throughputs, {
-      useWeighting: this.state.useWeighting,
-      excludeOutliers: this.state.excludeOutliers
-    });
-
     this.setState({
       throughputs,
       sprints,
-      simulation,
       teamName,
       isLoading: false,
-      error: simulation.success ? null : simulation.error
+      ...this._runSimulations(throughputs)
     });
   }
 
@@ -147,11 +263,11 @@ export default class HowManyPage extends Component {
             <div class="forecast-section__header">
               <h3 class="forecast-section__title">Projection Monte Carlo</h3>
               <p class="forecast-section__subtitle">
-                ${CONFIG.NUM_SIMULATIONS.toLocaleString()} simulations • Safety factors appliqués
+                ${this._getForecastSubtitle()}
               </p>
             </div>
             <div class="forecast-section__content">
-              ${this._renderForecastTable()}
+              ${this.state.mode === 'when' ? this._renderWhenForecast() : this._renderForecastTable()}
             </div>
           </section>
 
@@ -176,6 +292,21 @@ export default class HowManyPage extends Component {
     `;
   }
 
+  /**
+   * Sous-titre de la projection selon le mode et le moteur
+   * @returns {string}
+   * @private
+   */
+  _getForecastSubtitle() {
+    const { mode, method } = this.state;
+    const simulations = `${CONFIG.NUM_SIMULATIONS.toLocaleString()} simulations`;
+
+    if (mode === 'when') return `${simulations} • Date de fin du reste à livrer`;
+    if (method === 'bootstrap') return `${simulations} • Rééchantillonnage des sprints, sans safety factor`;
+    if (method === 'compare') return `Analytique (safety factors) vs bootstrap (${simulations})`;
+    return 'Approximation normale • Safety factors appliqués';
+  }
+
   /**
    * Rendu du header
    * @private
@@ -247,10 +378,47 @@ export default class HowManyPage extends Component {
    * @private
    */
   _renderOptions() {
-    const { metric, useWeighting, excludeOutliers } = this.state;
+    const { mode, method, backlogSize, metric, useWeighting, excludeOutliers, seed } = this.state;
+    const methods = { ...SIMULATION_METHODS, compare: 'Comparer' };
 
     return `
       <div class="howmany-options">
+        <div class="howmany-options__group">
+          <div class="toggle-group">
+            <button class="toggle-group__btn ${mode === 'howMany' ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-mode" data-value="howMany">
+              Combien ?
+            </button>
+            <button class="toggle-group__btn ${mode === 'when' ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-mode" data-value="when">
+              Quand ?
+            </button>
+          </div>
+        </div>
+
+        ${mode === 'howMany' ? `
+          <div class="howmany-options__group">
+            <div class="toggle-group">
+              ${Object.entries(methods).map(([value, label]) => `
+                <button class="toggle-group__btn ${method === value ? 'toggle-group__btn--active' : ''}"
+                        data-action="set-method" data-value="${value}">
+                  ${label}
+                </button>
+              `).join('')}
+            </div>
+          </div>
+        ` : ''}
+
+        ${mode === 'when' ? `
+          <div class="howmany-options__group">
+            <label class="howmany-options__label" for="howmanyBacklogSize">
+              Reste à livrer (${metric === 'storyPoints' ? 'SP' : 'tickets'})
+            </label>
+            <input type="number" id="howmanyBacklogSize" class="input input--sm howmany-options__backlog"
+                   min="1" step="1" value="${backlogSize}" data-action="set-backlog-size">
+          </div>
+        ` : ''}
+
         <div class="howmany-options__group">
           <div class="toggle-group">
             <button class="toggle-group__btn ${metric === 'tickets' ? 'toggle-group__btn--active' : ''}"
@@ -276,6 +444,14 @@ export default class HowManyPage extends Component {
           <span class="checkbox-text">Exclure les outliers bas</span>
         </label>
       </div>
+
+      <div class="forecast-seed">
+        <label class="forecast-seed__label" for="howmanySeed">Graine</label>
+        <input type="text" inputmode="numeric" id="howmanySeed"
+               class="input input--sm forecast-seed__input" value="${seed}">
+        <button class="btn btn--secondary btn--sm" data-action="apply-seed">Relancer</button>
+        <button class="btn btn--link" data-action="new-seed">Nouvelle graine</button>
+      </div>
     `;
   }
 
@@ -284,8 +460,18 @@ export default class HowManyPage extends Component {
    * @private
    */
   _renderForecastTable() {
-    const { simulation, metric } = this.state;
-    const results = formatResults(simulation);
+    const { method, simulation, bootstrapSimulation, metric } = this.state;
+
+    if (method === 'compare') {
+      return this._renderComparisonTable();
+    }
+
+    const selected = method === 'bootstrap' ? bootstrapSimulation : simulation;
+    if (!selected?.success) {
+      return `<p class="howmany-forecast__note">${this.escapeHtml(selected?.error || 'Simulation impossible')}</p>`;
+    }
+
+    const results = formatResults(selected);
     const metricLabel = metric === 'storyPoints' ? 'SP' : 'tickets';
 
     return `
@@ -323,6 +509,230 @@ export default class HowManyPage extends Component {
     `;
   }
 
+  /**
+   * Rendu du tableau comparatif : analytique et bootstrap côte à côte par niveau
+   * @private
+   */
+  _renderComparisonTable() {
+    const { simulation, bootstrapSimulation, metric } = this.state;
+    const metricLabel = metric === 'storyPoints' ? 'SP' : 'tickets';
+
+    if (!bootstrapSimulation?.success) {
+      return `<p class="howmany-forecast__note">${this.escapeHtml(bootstrapSimulation?.error || 'Simulation impossible')}</p>`;
+    }
+
+    const analytic = formatResults(simulation);
+    const bootstrap = formatResults(bootstrapSimulation);
+    const levels = [
+      { key: 'p50', label: 'Réaliste', highlight: 'value-highlight--primary' },
+      { key: 'p85', label: 'Optimiste', highlight: 'value-highlight--success' },
+      { key: 'p95', label: 'Très optimiste', highlight: '' }
+    ];
+
+    return `
+      <div class="howmany-forecast">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th rowspan="2">Horizon</th>
+              ${levels.map(level => `<th class="text-center" colspan="2">${level.label}</th>`).join('')}
+            </tr>
+            <tr class="data-table__subheader">
+              ${levels.map(() => `
+                <th class="text-center">${SIMULATION_METHODS.analytic}</th>
+                <th class="text-center">${SIMULATION_METHODS.bootstrap}</th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${analytic.map((row, index) => `
+              <tr>
+                <td><strong>${HORIZONS_LABELS[row.weeks]}</strong></td>
+                ${levels.map(level => `
+                  <td class="text-center">
+                    <span class="value-highlight ${level.highlight}">${row[level.key]}</span>
+                  </td>
+                  <td class="text-center">
+                    <span class="value-highlight ${level.highlight}">${bootstrap[index][level.key]}</span>
+                    <span class="value-unit">${metricLabel}</span>
+                  </td>
+                `).join('')}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <p class="howmany-forecast__note">
+          Analytique : loi normale ajustée par les safety factors et la tendance.
+          Bootstrap : ${CONFIG.NUM_SIMULATIONS.toLocaleString()} futurs tirés sprint par sprint dans l'historique
+          (${bootstrapSimulation.metadata.sprintsUsed} sprints), sans ajustement.
+          Un écart important signale un historique court ou asymétrique.
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu du forecast "When" : sprint et date de fin par niveau de confiance
+   * @private
+   */
+  _renderWhenForecast() {
+    const { whenSimulation, sprints, metric, backlogSize } = this.state;
+    const metricLabel = metric === 'storyPoints' ? 'SP' : 'tickets';
+
+    if (!whenSimulation?.success) {
+      return `<p class="howmany-forecast__note">${this.escapeHtml(whenSimulation?.error || 'Simulation impossible')}</p>`;
+    }
+
+    const lastSprint = sprints[sprints.length - 1];
+    const { rows, curve } = formatWhenResults(whenSimulation, lastSprint, this._getWhenCalendar());
+    const confidenceLabels = { 50: 'Probable (50%)', 85: 'Confiant (85%)', 95: 'Très sûr (95%)' };
+
+    return `
+      <div class="howmany-forecast">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Confiance</th>
+              <th class="text-center">Sprint de fin</th>
+              <th class="text-center">Date de fin</th>
+              <th class="text-center">Durée</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.map(row => `
+              <tr>
+                <td><strong>${confidenceLabels[row.percentile]}</strong></td>
+                ${row.sprints === null ? `
+                  <td class="text-center" colspan="3">Au-delà de ${CONFIG.WHEN_MAX_SPRINTS} sprints</td>
+                ` : `
+                  <td class="text-center">
+                    <span class="value-highlight ${row.percentile === 85 ? 'value-highlight--success' : row.percentile === 50 ? 'value-highlight--primary' : ''}">Sprint ${row.sprintNumber}</span>
+                  </td>
+                  <td class="text-center">${formatDate(row.endDate, 'long')}</td>
+                  <td class="text-center">
+                    ${row.sprints}<span class="value-unit">sprint${row.sprints > 1 ? 's' : ''}</span>
+                  </td>
+                `}
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+
+        <div class="howmany-when__chart">
+          <canvas id="howmany-when-chart"></canvas>
+        </div>
+
+        <p class="howmany-forecast__note">
+          Probabilité d'avoir livré ${backlogSize} ${metricLabel} à la fin de chaque sprint,
+          à partir du Sprint ${curve[0]?.sprintNumber ?? lastSprint + 1} (dernier sprint de l'historique : ${lastSprint})
+        </p>
+      </div>
+    `;
+  }
+
+  /**
+   * Calendrier des sprints du mode When : équipe des tickets (si une seule)
+   * et date du dernier sprint de l'historique (numéro répété dans le calendrier)
+   * @returns {Object} - { team, referenceDate } (voir formatWhenResults)
+   * @private
+   */
+  _getWhenCalendar() {
+    const { sprints } = this.state;
+    const tickets = store.getState().csvData?.tickets || [];
+    const teams = [...new Set(tickets.map(t => t.team).filter(Boolean))];
+
+    return {
+      team: teams.length === 1 ? teams[0] : undefined,
+      referenceDate: getSprintReferenceDate(tickets, sprints[sprints.length - 1])
+    };
+  }
+
+  /**
+   * Crée la courbe de probabilité cumulée du mode When
+   * @private
+   */
+  _renderWhenChart() {
+    this._destroyWhenChart();
+
+    const { mode, whenSimulation, sprints } = this.state;
+    const canvas = this.$('#howmany-when-chart');
+    if (mode !== 'when' || !canvas || !whenSimulation?.success || !window.Chart) return;
+
+    const { curve } = formatWhenResults(whenSimulation, sprints[sprints.length - 1], this._getWhenCalendar());
+
+    // Lignes horizontales aux niveaux de confiance affichés dans le tableau
+    const annotations = {};
+    CONFIG.PERCENTILES.forEach(p => {
+      annotations[`p${p}`] = {
+        type: 'line',
+        yMin: p,
+        yMax: p,
+        borderColor: 'rgba(100, 116, 139, 0.6)',
+        borderWidth: 1,
+        borderDash: [4, 4],
+        label: {
+          display: true,
+          content: `${p}%`,
+          position: 'start',
+          backgroundColor: 'rgba(100, 116, 139, 0.8)',
+          font: { size: 10 }
+        }
+      };
+    });
+
+    this.whenChart = new window.Chart(canvas.getContext('2d'), {
+      type: 'line',
+      data: {
+        labels: curve.map(point => `S${point.sprintNumber}`),
+        datasets: [{
+          label: 'Probabilité de fin',
+          data: curve.map(point => point.probability),
+          borderColor: 'rgba(37, 99, 235, 1)',
+          backgroundColor: 'rgba(37, 99, 235, 0.1)',
+          fill: true,
+          stepped: true,
+          pointRadius: 3
+        }]
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          y: {
+            min: 0,
+            max: 100,
+            title: { display: true, text: 'Probabilité cumulée (%)' }
+          }
+        },
+        plugins: {
+          legend: { display: false },
+          tooltip: {
+            callbacks: {
+              title: (items) => {
+                const point = curve[items[0].dataIndex];
+                return `Sprint ${point.sprintNumber} — fin le ${formatDate(point.endDate, 'medium')}`;
+              },
+              label: (context) => `${context.parsed.y}% de chances d'avoir terminé`
+            }
+          },
+          annotation: { annotations }
+        }
+      }
+    });
+  }
+
+  /**
+   * Détruit la courbe du mode When
+   * @private
+   */
+  _destroyWhenChart() {
+    if (this.whenChart) {
+      this.whenChart.destroy();
+      this.whenChart = null;
+    }
+  }
+
   /**
    * Rendu de l'analyse (tendance + stabilité)
    * @private
@@ -379,9 +789,14 @@ export default class HowManyPage extends Component {
    */
   events() {
     return {
+      'click [data-action="set-mode"]': this._handleSetMode,
+      'click [data-action="set-method"]': this._handleSetMethod,
+      'change [data-action="set-backlog-size"]': this._handleSetBacklogSize,
       'click [data-action="set-metric"]': this._handleSetMetric,
       'change [data-action="toggle-weighting"]': this._handleToggleWeighting,
-      'change [data-action="toggle-outliers"]': this._handleToggleOutliers
+      'change [data-action="toggle-outliers"]': this._handleToggleOutliers,
+      'click [data-action="apply-seed"]': this._handleApplySeed,
+      'click [data-action="new-seed"]': this._handleNewSeed
     };
   }
 
@@ -393,10 +808,56 @@ export default class HowManyPage extends Component {
     const value = e.currentTarget.dataset.value;
     if (value && value !== this.state.metric) {
       this.state.metric = value;
+      this.state.backlogSize = DEFAULT_BACKLOG_SIZE[value];
       this._loadData();
     }
   }
 
+  /**
+   * Gestionnaire changement de mode (Combien ? / Quand ?)
+   * @private
+   */
+  _handleSetMode(e) {
+    const mode = e.currentTarget.dataset.value;
+    if (mode && mode !== this.state.mode) {
+      this.setState({ mode });
+    }
+  }
+
+  /**
+   * Gestionnaire changement de moteur (Analytique / Bootstrap / Comparer)
+   * @private
+   */
+  _handleSetMethod(e) {
+    const method = e.currentTarget.dataset.value;
+    if (method && method !== this.state.method) {
+      this.setState({ method });
+    }
+  }
+
+  /**
+   * Gestionnaire reste à livrer (mode When)
+   * @private
+   */
+  _handleSetBacklogSize(e) {
+    const backlogSize = parseInt(e.target.value, 10);
+    const { throughputs } = this.state;
+
+    if (!backlogSize || backlogSize <= 0 || throughputs.length === 0) {
+      e.target.value = this.state.backlogSize;
+      return;
+    }
+
+    this.setState({
+      backlogSize,
+      whenSimulation: runWhenSimulation(throughputs, backlogSize, {
+        useWeighting: this.state.useWeighting,
+        excludeOutliers: this.state.excludeOutliers,
+        seed: this.state.seed
+      })
+    });
+  }
+
   /**
    * Gestionnaire toggle pondération
    * @private
@@ -407,15 +868,9 @@ export default class HowManyPage extends Component {
 
     if (throughputs.length === 0) return;
 
-    const simulation = runSimulation(throughputs, {
-      useWeighting,
-      excludeOutliers: this.state.excludeOutliers
-    });
-
     this.setState({
       useWeighting,
-      simulation,
-      error: simulation.success ? null : simulation.error
+      ...this._runSimulations(throughputs, { useWeighting })
     });
   }
 
@@ -429,15 +884,50 @@ export default class HowManyPage extends Component {
 
     if (throughputs.length === 0) return;
 
-    const simulation = runSimulation(throughputs, {
-      useWeighting: this.state.useWeighting,
-      excludeOutliers
+    this.setState({
+      excludeOutliers,
+      ...this._runSimulations(throughputs, { excludeOutliers })
     });
+  }
+
+  /**
+   * Gestionnaire relance avec la graine saisie
+   * @private
+   */
+  _handleApplySeed() {
+    const input = this.$('#howmanySeed');
+    const seed = parseSeed(input?.value);
+    const { throughputs } = this.state;
+
+    if (seed === null) {
+      eventBus.emit('notification:show', {
+        type: 'error',
+        message: 'Graine invalide : entier positif attendu'
+      });
+      if (input) input.value = this.state.seed;
+      return;
+    }
+
+    if (throughputs.length === 0) return;
 
     this.setState({
-      excludeOutliers,
-      simulation,
-      error: simulation.success ? null : simulation.error
+      seed,
+      ...this._runSimulations(throughputs, { seed })
+    });
+  }
+
+  /**
+   * Gestionnaire tirage d'une nouvelle graine
+   * @private
+   */
+  _handleNewSeed() {
+    const { throughputs } = this.state;
+    if (throughputs.length === 0) return;
+
+    const seed = generateSeed();
+    this.setState({
+      seed,
+      ...this._runSimulations(throughputs, { seed })
     });
   }
 }
@@ -0,0 +1,482 @@
+/**
+ * ==========================================================================
+ * PORTFOLIOPAGE.JS - Page Portefeuille multi-équipes
+ * ==========================================================================
+ *
+ * Vue d'ensemble de toutes les équipes détectées dans le CSV, côte à côte :
+ * - Tableau de synthèse triable (throughput, Cycle Time, ratio de bugs,
+ *   complétion SP, WIP) sur les 6 dernières périodes de 2 semaines
+ * - Petits multiples : un mini graphique par équipe, axe de périodes et
+ *   échelle communs pour comparer d'un coup d'œil ; chaque sprint est placé
+ *   selon sa date de fin, quelle que soit la numérotation de l'équipe
+ * - Drill-down : « Review » sélectionne l'équipe en Préparation puis
+ *   ouvre la page Review
+ *
+ * Les indicateurs sont ceux de la Review (dataTransformerV2.transformPortfolioV2).
+ *
+ * ==========================================================================
+ */
+
+import Component from '../components/Component.js';
+import store from '../core/store.js';
+import eventBus from '../core/eventBus.js';
+import { transformPortfolioV2 } from '../services/dataTransformerV2.js';
+import { formatNumber } from '../utils/formatters.js';
+import { formatDateRange } from '../utils/dateUtils.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+/**
+ * Indicateurs comparés (ordre des colonnes du tableau)
+ */
+const PORTFOLIO_METRICS = {
+  throughput: { label: 'Throughput', unit: 'tickets', decimals: 1, chart: 'bar', higherIsBetter: true },
+  cycleTime: { label: 'Cycle Time', unit: 'j', decimals: 1, chart: 'line', higherIsBetter: false },
+  bugRatio: { label: 'Bugs', unit: '%', decimals: 1, chart: 'bar', higherIsBetter: false },
+  spCompletion: { label: 'Complétion SP', unit: '%', decimals: 0, chart: 'line', higherIsBetter: true },
+  wip: { label: 'WIP / pers.', unit: 'tickets', decimals: 1, chart: 'line', higherIsBetter: false }
+};
+
+const CHART_COLOR = 'rgba(37, 99, 235, 1)';
+const CHART_FILL = 'rgba(37, 99, 235, 0.25)';
+
+// =========================================================================
+// CLASSE PORTFOLIOPAGE
+// =========================================================================
+
+export default class PortfolioPage extends Component {
+  constructor(container, props = {}) {
+    super(container, props);
+
+    // Mini graphiques (un par équipe)
+    this.charts = [];
+  }
+
+  /**
+   * Initialisation
+   */
+  init() {
+    this.state = {
+      portfolio: null,
+      // Indicateur des petits multiples
+      metric: 'throughput',
+      // Tri du tableau et des petits multiples : 'team' ou une clé d'indicateur
+      sortKey: 'team',
+      sortDir: 'asc',
+      isLoading: true,
+      error: null
+    };
+  }
+
+  /**
+   * Après montage : recalcul à chaque affichage (workflow, calendrier modifiés entre-temps)
+   */
+  afterMount() {
+    this._loadPortfolio();
+  }
+
+  /**
+   * Après mise à jour : (re)créer les mini graphiques
+   */
+  afterUpdate() {
+    this._renderCharts();
+  }
+
+  /**
+   * Avant démontage
+   */
+  beforeUnmount() {
+    this._destroyCharts();
+  }
+
+  /**
+   * Calcule les indicateurs de toutes les équipes (données non filtrées)
+   * @private
+   */
+  _loadPortfolio() {
+    const rawCsvData = store.getState().rawCsvData;
+
+    if (!rawCsvData || !rawCsvData.tickets || rawCsvData.tickets.length === 0) {
+      this.setState({
+        isLoading: false,
+        error: 'Aucune donnée CSV chargée. Retournez sur la page Préparation.'
+      });
+      return;
+    }
+
+    const portfolio = transformPortfolioV2(rawCsvData);
+
+    if (portfolio.teams.length === 0 || portfolio.periods.length === 0) {
+      this.setState({
+        isLoading: false,
+        error: 'Aucune équipe avec des tickets fermés dans les données chargées.'
+      });
+      return;
+    }
+
+    this.setState({ portfolio, isLoading: false, error: null });
+  }
+
+  /**
+   * Équipes triées selon la colonne active (valeurs manquantes en fin de liste)
+   * @returns {Array}
+   * @private
+   */
+  _getSortedTeams() {
+    const { portfolio, sortKey, sortDir } = this.state;
+    const direction = sortDir === 'asc' ? 1 : -1;
+
+    return [...portfolio.teams].sort((a, b) => {
+      if (sortKey === 'team') return a.team.localeCompare(b.team) * direction;
+
+      const valueA = a.summary[sortKey];
+      const valueB = b.summary[sortKey];
+      if (valueA === null) return valueB === null ? 0 : 1;
+      if (valueB === null) return -1;
+      return (valueA - valueB) * direction;
+    });
+  }
+
+  /**
+   * Formate une valeur d'indicateur
+   * @param {number|null} value
+   * @param {string} metricKey
+   * @returns {string}
+   * @private
+   */
+  _formatValue(value, metricKey) {
+    if (value === null || value === undefined) return '—';
+
+    const { unit, decimals } = PORTFOLIO_METRICS[metricKey];
+    return `${formatNumber(value, decimals)}${unit === '%' ? '%' : ` ${unit}`}`;
+  }
+
+  /**
+   * Rendu du composant
+   */
+  render() {
+    const { portfolio, isLoading, error } = this.state;
+
+    if (isLoading) {
+      return this._renderLoading();
+    }
+
+    if (error) {
+      return this._renderError(error);
+    }
+
+    const { periods } = portfolio;
+    const range = formatDateRange(periods[0].start, periods[periods.length - 1].end);
+
+    return `
+      <div class="forecast-page portfolio-page">
+        ${this._renderHeader()}
+
+        <div class="forecast-page__content">
+          <!-- Synthèse -->
+          <section class="forecast-section">
+            <div class="forecast-section__header">
+              <h3 class="forecast-section__title">Synthèse par équipe</h3>
+              <p class="forecast-section__subtitle">
+                Moyennes du ${range} • cliquez sur une colonne pour trier
+              </p>
+            </div>
+            <div class="forecast-section__content">
+              ${this._renderSummaryTable()}
+            </div>
+          </section>
+
+          <!-- Petits multiples -->
+          <section class="forecast-section">
+            <div class="forecast-section__header">
+              <h3 class="forecast-section__title">Tendances</h3>
+              <p class="forecast-section__subtitle">
+                Mêmes périodes (sprints placés selon leur date de fin) et même échelle pour toutes les équipes
+              </p>
+            </div>
+            <div class="forecast-section__content">
+              ${this._renderMetricToggle()}
+              ${this._renderSmallMultiples()}
+            </div>
+          </section>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu du header
+   * @private
+   */
+  _renderHeader() {
+    const { portfolio } = this.state;
+    const { periods } = portfolio;
+
+    return `
+      <header class="forecast-page__header">
+        <div class="forecast-page__header-main">
+          <h1 class="forecast-page__title">Portefeuille</h1>
+          <p class="forecast-page__subtitle">
+            ${portfolio.teams.length} équipe(s) • ${formatDateRange(periods[0].start, periods[periods.length - 1].end)}
+          </p>
+        </div>
+      </header>
+    `;
+  }
+
+  /**
+   * Rendu du tableau de synthèse triable
+   * @private
+   */
+  _renderSummaryTable() {
+    const { sortKey, sortDir } = this.state;
+    const arrow = key => key === sortKey ? (sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+    const columns = [['team', 'Équipe'], ...Object.entries(PORTFOLIO_METRICS).map(([key, m]) => [key, m.label])];
+
+    return `
+      <table class="data-table portfolio-table">
+        <thead>
+          <tr>
+            ${columns.map(([key, label]) => `
+              <th class="${key === 'team' ? '' : 'text-center'}">
+                <button class="portfolio-table__sort ${key === sortKey ? 'portfolio-table__sort--active' : ''}"
+                        data-action="sort" data-key="${key}">
+                  ${label}${arrow(key)}
+                </button>
+              </th>
+            `).join('')}
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this._getSortedTeams().map(entry => `
+            <tr>
+              <td><strong>${this.escapeHtml(entry.team)}</strong></td>
+              ${Object.keys(PORTFOLIO_METRICS).map(key => `
+                <td class="text-center">${this._formatValue(entry.summary[key], key)}</td>
+              `).join('')}
+              <td class="text-right">
+                <button class="btn btn--link" data-action="drill-down" data-team="${this.escapeHtml(entry.team)}">
+                  Review →
+                </button>
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Rendu du choix de l'indicateur des petits multiples
+   * @private
+   */
+  _renderMetricToggle() {
+    const { metric } = this.state;
+
+    return `
+      <div class="portfolio-options">
+        <div class="toggle-group">
+          ${Object.entries(PORTFOLIO_METRICS).map(([key, m]) => `
+            <button class="toggle-group__btn ${metric === key ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-metric" data-value="${key}">
+              ${m.label}
+            </button>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu de la grille des petits multiples (ordre du tableau)
+   * @private
+   */
+  _renderSmallMultiples() {
+    const { metric } = this.state;
+
+    return `
+      <div class="portfolio-grid">
+        ${this._getSortedTeams().map((entry, index) => `
+          <div class="portfolio-card">
+            <div class="portfolio-card__header">
+              <span class="portfolio-card__team">${this.escapeHtml(entry.team)}</span>
+              <span class="portfolio-card__value">${this._formatValue(entry.summary[metric], metric)}</span>
+            </div>
+            <div class="portfolio-card__chart">
+              <canvas data-portfolio-chart="${index}"></canvas>
+            </div>
+            <button class="btn btn--link portfolio-card__link" data-action="drill-down" data-team="${this.escapeHtml(entry.team)}">
+              Voir la Review →
+            </button>
+          </div>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Crée les mini graphiques (échelle commune : maximum toutes équipes confondues)
+   * @private
+   */
+  _renderCharts() {
+    this._destroyCharts();
+
+    const { portfolio, metric } = this.state;
+    if (!portfolio || !window.Chart) return;
+
+    const metricConfig = PORTFOLIO_METRICS[metric];
+    const teams = this._getSortedTeams();
+    const values = teams.flatMap(entry => entry.series[metric]).filter(v => v !== null);
+    const max = values.length > 0 ? Math.max(...values) : 1;
+    const { labels, periods } = portfolio;
+
+    teams.forEach((entry, index) => {
+      const canvas = this.$(`[data-portfolio-chart="${index}"]`);
+      if (!canvas) return;
+
+      this.charts.push(new window.Chart(canvas.getContext('2d'), {
+        type: metricConfig.chart,
+        data: {
+          labels,
+          datasets: [{
+            label: metricConfig.label,
+            data: entry.series[metric],
+            borderColor: CHART_COLOR,
+            backgroundColor: metricConfig.chart === 'bar' ? CHART_FILL : CHART_COLOR,
+            borderWidth: metricConfig.chart === 'bar' ? 1 : 2,
+            pointRadius: 2,
+            spanGaps: false
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          animation: false,
+          scales: {
+            x: { ticks: { font: { size: 10 } } },
+            y: {
+              min: 0,
+              max: Math.ceil(max * 1.1),
+              ticks: { font: { size: 10 }, maxTicksLimit: 4 }
+            }
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                title: (items) => {
+                  const index = items[0].dataIndex;
+                  const sprint = entry.sprints[index];
+                  const period = formatDateRange(periods[index].start, periods[index].end);
+                  return sprint !== null ? `Sprint ${sprint} • ${period}` : period;
+                },
+                label: (context) => this._formatValue(context.parsed.y, metric)
+              }
+            }
+          }
+        }
+      }));
+    });
+  }
+
+  /**
+   * Détruit les mini graphiques
+   * @private
+   */
+  _destroyCharts() {
+    this.charts.forEach(chart => chart.destroy());
+    this.charts = [];
+  }
+
+  /**
+   * Rendu du loader
+   * @private
+   */
+  _renderLoading() {
+    return `
+      <div class="forecast-page forecast-page--loading">
+        <div class="loader"></div>
+        <p>Calcul des indicateurs par équipe...</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Rendu d'une erreur
+   * @param {string} message
+   * @private
+   */
+  _renderError(message) {
+    return `
+      <div class="forecast-page forecast-page--error">
+        <div class="empty-state">
+          <div class="empty-state__icon">📊</div>
+          <h3 class="empty-state__title">Pas de portefeuille</h3>
+          <p class="empty-state__text">${message}</p>
+          <a href="#admin" class="btn btn--primary">Aller à la préparation</a>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Définition des événements
+   */
+  events() {
+    return {
+      'click [data-action="sort"]': this._handleSort,
+      'click [data-action="set-metric"]': this._handleSetMetric,
+      'click [data-action="drill-down"]': this._handleDrillDown
+    };
+  }
+
+  /**
+   * Gestionnaire tri (même colonne : inverse l'ordre)
+   * Indicateurs triés du meilleur au moins bon par défaut
+   * @param {Event} e
+   * @private
+   */
+  _handleSort(e) {
+    const sortKey = e.currentTarget.dataset.key;
+    if (!sortKey) return;
+
+    if (sortKey === this.state.sortKey) {
+      this.setState({ sortDir: this.state.sortDir === 'asc' ? 'desc' : 'asc' });
+      return;
+    }
+
+    const metric = PORTFOLIO_METRICS[sortKey];
+    this.setState({
+      sortKey,
+      sortDir: !metric || !metric.higherIsBetter ? 'asc' : 'desc'
+    });
+  }
+
+  /**
+   * Gestionnaire choix de l'indicateur des petits multiples
+   * @param {Event} e
+   * @private
+   */
+  _handleSetMetric(e) {
+    const metric = e.currentTarget.dataset.value;
+    if (metric && metric !== this.state.metric) {
+      this.setState({ metric });
+    }
+  }
+
+  /**
+   * Gestionnaire drill-down : sélectionne l'équipe puis ouvre la Review
+   * @param {Event} e
+   * @private
+   */
+  _handleDrillDown(e) {
+    const team = e.currentTarget.dataset.team;
+    if (!team) return;
+
+    eventBus.emit('teams:select', { teams: [team] });
+    eventBus.emit('navigation:request', { section: 'review' });
+  }
+}
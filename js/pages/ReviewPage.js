@@ -7,9 +7,11 @@
  * - Sprint Goals et leur statut
  * - Story Points (committed vs delivered)
  * - Throughput
- * - Cycle Time
+ * - Cycle Time (par sprint et par ticket)
  * - Time in Status
  * - Bugs
+ * - Diagramme de flux cumulé (CFD)
+ * - Vieillissement du WIP (âge des tickets en cours)
  *
  * Conçue pour être présentée pendant le Sprint Review.
  *
@@ -19,13 +21,63 @@
 import Component from '../components/Component.js';
 import MetricCard from '../components/MetricCard.js';
 import SprintGoals from '../components/SprintGoals.js';
-import { BarChart, TrendChart, DoughnutChart } from '../components/charts/index.js';
+import { BarChart, TrendChart, DoughnutChart, CFDChart } from '../components/charts/index.js';
 import store from '../core/store.js';
 import eventBus from '../core/eventBus.js';
 import config from '../core/config.js';
 import metricsCalculator from '../services/metricsCalculator.js';
 import pdfExporter from '../services/pdfExporter.js';
 import { formatNumber, formatPercent, formatDays } from '../utils/formatters.js';
+import { formatDate } from '../utils/dateUtils.js';
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+/**
+ * Couleurs des points du nuage Cycle Time par type de ticket
+ */
+const TICKET_TYPE_COLORS = {
+  Story: 'rgba(59, 130, 246, 0.75)',
+  Task: 'rgba(20, 184, 166, 0.75)',
+  Bug: 'rgba(239, 68, 68, 0.75)',
+  'Sub-task': 'rgba(139, 92, 246, 0.75)',
+  Spike: 'rgba(245, 158, 11, 0.75)'
+};
+
+/**
+ * Couleurs des types non listés ci-dessus (attribuées dans l'ordre)
+ */
+const FALLBACK_TYPE_COLORS = [
+  'rgba(236, 72, 153, 0.75)',
+  'rgba(34, 197, 94, 0.75)',
+  'rgba(100, 116, 139, 0.75)',
+  'rgba(251, 146, 60, 0.75)'
+];
+
+/**
+ * Lignes de percentile du nuage Cycle Time
+ */
+const SCATTER_PERCENTILE_LINES = [
+  { key: 'p50', label: 'P50', color: 'rgba(34, 197, 94, 0.9)' },
+  { key: 'p70', label: 'P70', color: 'rgba(59, 130, 246, 0.9)' },
+  { key: 'p85', label: 'P85', color: 'rgba(245, 158, 11, 0.9)' },
+  { key: 'p95', label: 'P95', color: 'rgba(239, 68, 68, 0.9)' }
+];
+
+/**
+ * Zones d'âge du WIP (bornes = percentiles de Cycle Time)
+ */
+const AGING_ZONE_STYLES = {
+  ok: { label: '≤ P50', percentile: 'p50', color: 'rgba(34, 197, 94, 0.9)', background: 'rgba(34, 197, 94, 0.08)' },
+  watch: { label: '≤ P70', percentile: 'p70', color: 'rgba(234, 179, 8, 0.9)', background: 'rgba(234, 179, 8, 0.08)' },
+  warning: { label: '≤ P85', percentile: 'p85', color: 'rgba(249, 115, 22, 0.9)', background: 'rgba(249, 115, 22, 0.1)' },
+  risk: { label: '> P85', percentile: null, color: 'rgba(239, 68, 68, 0.9)', background: 'rgba(239, 68, 68, 0.1)' }
+};
+
+/**
+ * Nombre maximum de tickets à risque listés sous le graphique
+ */
+const AGING_RISK_LIST_LIMIT = 10;
 
 // =========================================================================
 // CLASSE REVIEWPAGE
@@ -56,7 +108,10 @@ export default class ReviewPage extends Component {
       showBurndown: false, // Burndown chart caché par défaut
       showExportMenu: false, // Menu d'export dropdown
       excludedSprintsThroughput: [],  // Indices des sprints exclus du calcul Throughput
-      excludedSprintsCycleTime: []    // Indices des sprints exclus du calcul Cycle Time
+      excludedSprintsCycleTime: [],   // Indices des sprints exclus du calcul Cycle Time
+      flowTicketKey: null,            // Ticket affiché dans le panneau Flux des tickets
+      scatterExcludeBugs: true,       // Bugs exclus du nuage Cycle Time (comme la moyenne)
+      scatterTicketKey: null          // Ticket cliqué dans le nuage Cycle Time
     };
 
     // Écouter le déverrouillage de la corrélation Pearson
@@ -352,6 +407,9 @@ export default class ReviewPage extends Component {
       });
     }
 
+    // Cycle Time par ticket - nuage de points avec percentiles
+    this._renderCycleTimeScatter(metrics.cycleTimeScatter);
+
     // Time in Status - deux camemberts (dernier sprint + 6 sprints)
     const tisSprintCanvas = document.getElementById('timeinstatus-chart-sprint');
     const tisPeriodCanvas = document.getElementById('timeinstatus-chart-period');
@@ -359,18 +417,8 @@ export default class ReviewPage extends Component {
     if (metrics.timeInStatus && metrics.timeInStatus.labels?.length) {
       const tis = metrics.timeInStatus;
 
-      // Couleurs pour chaque statut
-      const colors = [
-        'rgba(99, 102, 241, 0.8)',   // Indigo
-        'rgba(139, 92, 246, 0.8)',   // Violet
-        'rgba(236, 72, 153, 0.8)',   // Pink
-        'rgba(248, 113, 113, 0.8)', // Red
-        'rgba(251, 146, 60, 0.8)',  // Orange
-        'rgba(250, 204, 21, 0.8)',  // Yellow
-        'rgba(74, 222, 128, 0.8)',  // Green
-        'rgba(45, 212, 191, 0.8)',  // Teal
-        'rgba(56, 189, 248, 0.8)'   // Sky
-      ];
+      // Couleurs pour chaque statut (définies dans le workflow de l'équipe)
+      const colors = tis.colors || [];
 
       const chartOptions = {
         responsive: true,
@@ -403,7 +451,7 @@ export default class ReviewPage extends Component {
             labels: tis.labels,
             datasets: [{
               data: tis.pct2w,
-              backgroundColor: colors.slice(0, tis.labels.length),
+              backgroundColor: colors,
               borderColor: '#ffffff',
               borderWidth: 2
             }]
@@ -424,7 +472,7 @@ export default class ReviewPage extends Component {
             labels: tis.labels,
             datasets: [{
               data: tis.pct12w,
-              backgroundColor: colors.slice(0, tis.labels.length),
+              backgroundColor: colors,
               borderColor: '#ffffff',
               borderWidth: 2
             }]
@@ -439,7 +487,7 @@ export default class ReviewPage extends Component {
         legendContainer.innerHTML = tis.labels.map((label, idx) => `
           <div class="chart-legend__item">
             <span class="chart-legend__color" style="background-color: ${colors[idx]}"></span>
-            <span class="chart-legend__label">${label}</span>
+            <span class="chart-legend__label">${label}${tis.categories?.[idx] === 'wait' ? ' (attente)' : ''}</span>
           </div>
         `).join('');
       }
@@ -587,6 +635,173 @@ export default class ReviewPage extends Component {
       console.log('[ReviewPage] WIP chart créé avec:', metrics.wip.sprints, metrics.wip.values);
     }
 
+    // Vieillissement du WIP - un point par ticket en cours, colonne = statut
+    const agingCanvas = document.getElementById('aging-wip-chart');
+    if (agingCanvas && metrics.agingWip) {
+      if (this.components.agingWipChart) {
+        this.components.agingWipChart.destroy();
+      }
+
+      const aging = metrics.agingWip;
+      const { p50, p70, p85 } = aging.percentiles;
+
+      // Tickets d'une même colonne répartis horizontalement (évite les superpositions)
+      const points = aging.statuses.flatMap((status, column) => {
+        const tickets = aging.tickets.filter(t => t.status === status);
+        return tickets.map((ticket, i) => ({
+          x: column + (tickets.length > 1 ? (i / (tickets.length - 1) - 0.5) * 0.6 : 0),
+          y: ticket.age,
+          ticket
+        }));
+      });
+
+      // Fond coloré par zone d'âge + lignes de percentile
+      const annotations = {};
+      if (aging.hasHistory) {
+        [['ok', 0, p50], ['watch', p50, p70], ['warning', p70, p85], ['risk', p85, undefined]]
+          .forEach(([zone, yMin, yMax]) => {
+            annotations[`zone_${zone}`] = {
+              type: 'box',
+              yMin,
+              yMax,
+              backgroundColor: AGING_ZONE_STYLES[zone].background,
+              borderWidth: 0
+            };
+          });
+        [['p50', p50], ['p70', p70], ['p85', p85]].forEach(([key, value]) => {
+          annotations[key] = {
+            type: 'line',
+            yMin: value,
+            yMax: value,
+            borderColor: 'rgba(100, 116, 139, 0.6)',
+            borderWidth: 1,
+            borderDash: [4, 4],
+            label: {
+              display: true,
+              content: `${key.toUpperCase()}: ${value}j`,
+              position: 'end',
+              backgroundColor: 'rgba(100, 116, 139, 0.8)',
+              font: { size: 10 }
+            }
+          };
+        });
+      }
+
+      const ctx = agingCanvas.getContext('2d');
+      this.components.agingWipChart = new Chart(ctx, {
+        type: 'scatter',
+        data: {
+          datasets: [{
+            label: 'Tickets en cours',
+            data: points,
+            backgroundColor: points.map(p => AGING_ZONE_STYLES[p.ticket.zone].color),
+            borderColor: points.map(p => AGING_ZONE_STYLES[p.ticket.zone].color),
+            pointRadius: 6,
+            pointHoverRadius: 8
+          }]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: {
+              type: 'linear',
+              min: -0.5,
+              max: aging.statuses.length - 0.5,
+              grid: { display: false },
+              ticks: {
+                stepSize: 1,
+                callback: value => aging.statuses[value] ?? ''
+              }
+            },
+            y: {
+              beginAtZero: true,
+              title: { display: true, text: 'Âge (jours ouvrés)' }
+            }
+          },
+          plugins: {
+            legend: { display: false },
+            tooltip: {
+              callbacks: {
+                label: (context) => {
+                  const ticket = context.raw.ticket;
+                  return `${ticket.key} : ${ticket.age}j (${ticket.assignee || 'non assigné'})`;
+                }
+              }
+            },
+            annotation: { annotations }
+          }
+        }
+      });
+    }
+
+    // CFD - composant BaseChart (aires empilées par état du workflow)
+    const cfdContainer = this.$('[data-component="cfd-chart"]');
+    if (cfdContainer && metrics.cumulativeFlow) {
+      if (this.components.cfdChart) {
+        this.components.cfdChart.unmount();
+      }
+
+      const flow = metrics.cumulativeFlow;
+      this.components.cfdChart = new CFDChart(cfdContainer, {
+        data: { labels: flow.labels, bands: flow.bands },
+        boundaries: flow.boundaries,
+        height: 300
+      });
+      this.components.cfdChart.mount();
+    }
+
+    // Retours arrière par sprint (flux des tickets, changelog requis)
+    const backflowCanvas = document.getElementById('backflow-chart');
+    if (backflowCanvas && metrics.statusFlow && metrics.statusFlow.sprints?.length) {
+      if (this.components.backflowChart) {
+        this.components.backflowChart.destroy();
+      }
+
+      const flow = metrics.statusFlow;
+      const ctx = backflowCanvas.getContext('2d');
+      this.components.backflowChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels: flow.sprints,
+          datasets: [
+            {
+              label: 'Retours arrière',
+              data: flow.backflows.map((count, i) => count - flow.reopens[i]),
+              backgroundColor: 'rgba(251, 146, 60, 0.8)',
+              borderColor: 'rgba(251, 146, 60, 1)',
+              borderWidth: 1,
+              stack: 'flow'
+            },
+            {
+              label: 'Réouvertures',
+              data: flow.reopens,
+              backgroundColor: 'rgba(239, 68, 68, 0.8)',
+              borderColor: 'rgba(239, 68, 68, 1)',
+              borderWidth: 1,
+              stack: 'flow'
+            }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          scales: {
+            x: { stacked: true },
+            y: {
+              stacked: true,
+              beginAtZero: true,
+              ticks: { stepSize: 1 },
+              title: { display: true, text: 'Transitions' }
+            }
+          },
+          plugins: {
+            legend: { display: true, position: 'top' }
+          }
+        }
+      });
+    }
+
     // Burndown Chart - line chart avec progression réelle vs idéale
     const burndownCanvas = document.getElementById('burndown-chart');
     if (burndownCanvas && metrics.burndown && metrics.burndown.actualSP?.length) {
@@ -730,6 +945,405 @@ export default class ReviewPage extends Component {
     return `1 membre de ${teamName} a en moyenne ${avgWip.toFixed(1)} tickets entre In Progress et Terminé`;
   }
 
+  /**
+   * Retourne les points et percentiles visibles du nuage Cycle Time
+   * (bugs exclus selon l'option d'affichage)
+   * @returns {Object|null} - { points, types, percentiles }
+   * @private
+   */
+  _getVisibleScatter() {
+    const scatter = this.state.sprintMetrics?.cycleTimeScatter;
+    if (!scatter) return null;
+
+    const excludeBugs = this.state.scatterExcludeBugs;
+    const points = excludeBugs ? scatter.points.filter(p => !p.isBug) : scatter.points;
+
+    return {
+      points,
+      types: scatter.types.filter(type => points.some(p => p.type === type)),
+      percentiles: excludeBugs ? scatter.percentiles.withoutBugs : scatter.percentiles.all
+    };
+  }
+
+  /**
+   * Retourne la couleur d'un type de ticket dans le nuage Cycle Time
+   * @param {string} type
+   * @param {number} index - Position du type dans la légende
+   * @returns {string}
+   * @private
+   */
+  _getTicketTypeColor(type, index) {
+    return TICKET_TYPE_COLORS[type] || FALLBACK_TYPE_COLORS[index % FALLBACK_TYPE_COLORS.length];
+  }
+
+  /**
+   * Retourne le sous-titre du nuage Cycle Time
+   * @returns {string}
+   * @private
+   */
+  _getCycleTimeScatterSubtitle() {
+    const visible = this._getVisibleScatter();
+    if (!visible || visible.points.length === 0) {
+      return 'Aucun ticket fermé sur la période';
+    }
+
+    const bugs = this.state.scatterExcludeBugs ? ' (hors bugs)' : '';
+    return `${visible.points.length} tickets fermés${bugs} — 85% livrés en ${formatDays(visible.percentiles.p85, 1, true)} ou moins`;
+  }
+
+  /**
+   * Rendu du nuage de points Cycle Time
+   * @returns {string}
+   * @private
+   */
+  _renderCycleTimeScatterSection() {
+    const scatter = this.state.sprintMetrics?.cycleTimeScatter;
+    if (!scatter) return '';
+
+    const excludeBugs = this.state.scatterExcludeBugs;
+    const selected = this._getVisibleScatter().points.find(p => p.key === this.state.scatterTicketKey);
+
+    return `
+      <section class="chart-section chart-section--wide">
+        <div class="chart-section__header">
+          <div>
+            <h4 class="chart-section__title">Cycle Time par ticket</h4>
+            <p class="chart-section__subtitle" data-ref="scatter-subtitle">${this._getCycleTimeScatterSubtitle()}</p>
+          </div>
+          <div class="toggle-group toggle-group--small">
+            <button class="toggle-group__btn ${excludeBugs ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-scatter-bugs" data-value="exclude">
+              Hors bugs
+            </button>
+            <button class="toggle-group__btn ${!excludeBugs ? 'toggle-group__btn--active' : ''}"
+                    data-action="set-scatter-bugs" data-value="include">
+              Tous
+            </button>
+          </div>
+        </div>
+        <div class="chart-section__chart" style="height: 300px;">
+          <canvas id="cycletime-scatter-chart"></canvas>
+        </div>
+        <div class="cycletime-scatter__ticket" data-ref="scatter-ticket">
+          ${this._renderScatterTicket(selected)}
+        </div>
+      </section>
+    `;
+  }
+
+  /**
+   * Rendu du détail d'un ticket cliqué dans le nuage Cycle Time
+   * @param {Object|undefined} point - Point de cycleTimeScatter.points
+   * @returns {string}
+   * @private
+   */
+  _renderScatterTicket(point) {
+    if (!point) {
+      return '<p class="cycletime-scatter__hint">Cliquez sur un point pour afficher le ticket</p>';
+    }
+
+    return `
+      <div class="cycletime-scatter__detail">
+        <span class="cycletime-scatter__key">${this.escapeHtml(point.key)}</span>
+        <span class="cycletime-scatter__summary">${this.escapeHtml(point.summary || '')}</span>
+        <span class="cycletime-scatter__meta">
+          ${this.escapeHtml(point.type)} ·
+          ${point.assignee ? this.escapeHtml(point.assignee) : 'Non assigné'} ·
+          fermé le ${formatDate(point.closedDate, 'short')} (Sprint ${point.sprint}) ·
+          <strong>${formatDays(point.cycleTime, 1, true)}</strong>
+        </span>
+      </div>
+    `;
+  }
+
+  /**
+   * Crée le nuage de points Cycle Time (un dataset par type de ticket)
+   * Recréé seul au changement de l'option bugs
+   * @param {Object|null} scatter - metrics.cycleTimeScatter
+   * @private
+   */
+  _renderCycleTimeScatter(scatter) {
+    const canvas = document.getElementById('cycletime-scatter-chart');
+    if (!canvas || !scatter) return;
+
+    if (this.components.cycleTimeScatterChart) {
+      this.components.cycleTimeScatterChart.destroy();
+      this.components.cycleTimeScatterChart = null;
+    }
+
+    const { points, types, percentiles } = this._getVisibleScatter();
+    if (points.length === 0) return;
+
+    const datasets = types.map((type, index) => ({
+      label: type,
+      data: points
+        .filter(p => p.type === type)
+        .map(p => ({ x: new Date(p.closedDate).getTime(), y: p.cycleTime, ticket: p })),
+      backgroundColor: this._getTicketTypeColor(type, index),
+      borderColor: this._getTicketTypeColor(type, index),
+      pointRadius: 5,
+      pointHoverRadius: 7
+    }));
+
+    // Lignes horizontales P50 / P70 / P85 / P95 sur les tickets visibles
+    const annotations = {};
+    SCATTER_PERCENTILE_LINES.forEach(line => {
+      annotations[line.key] = {
+        type: 'line',
+        yMin: percentiles[line.key],
+        yMax: percentiles[line.key],
+        borderColor: line.color,
+        borderWidth: 1.5,
+        borderDash: [6, 4],
+        label: {
+          display: true,
+          content: `${line.label}: ${percentiles[line.key]}j`,
+          position: 'end',
+          backgroundColor: line.color,
+          font: { size: 10 }
+        }
+      };
+    });
+
+    const ctx = canvas.getContext('2d');
+    this.components.cycleTimeScatterChart = new Chart(ctx, {
+      type: 'scatter',
+      data: { datasets },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        scales: {
+          x: {
+            type: 'linear',
+            title: { display: true, text: 'Date de fermeture' },
+            ticks: { callback: value => formatDate(new Date(value), 'short') }
+          },
+          y: {
+            beginAtZero: true,
+            title: { display: true, text: 'Cycle Time (jours)' }
+          }
+        },
+        plugins: {
+          legend: { display: true, position: 'top' },
+          tooltip: {
+            callbacks: {
+              label: (context) => `${context.raw.ticket.key} : ${context.raw.y}j`
+            }
+          },
+          annotation: { annotations }
+        },
+        onClick: (event, elements) => {
+          if (elements.length > 0) {
+            const { datasetIndex, index } = elements[0];
+            this._handleSelectScatterTicket(datasets[datasetIndex].data[index].ticket);
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * Retourne le sous-titre du vieillissement du WIP
+   * @returns {string}
+   * @private
+   */
+  _getAgingWipSubtitle() {
+    const aging = this.state.sprintMetrics?.agingWip;
+    if (!aging) return '';
+
+    const count = aging.tickets.length;
+    const base = `${count} ticket${count > 1 ? 's' : ''} en cours à la fin du ${aging.sprintLabel}`;
+    if (!aging.hasHistory) return base;
+
+    return `${base} — ${aging.atRiskCount} au-delà du P85 (${formatDays(aging.percentiles.p85, 1, true)})`;
+  }
+
+  /**
+   * Rendu du vieillissement du WIP et des tickets à risque
+   * @returns {string}
+   * @private
+   */
+  _renderAgingWipSection() {
+    const aging = this.state.sprintMetrics?.agingWip;
+    if (!aging) return '';
+
+    const atRisk = aging.tickets.filter(t => t.zone === 'risk');
+    const hidden = atRisk.length - AGING_RISK_LIST_LIMIT;
+
+    return `
+      <section class="chart-section chart-section--wide">
+        <h4 class="chart-section__title">Vieillissement du WIP</h4>
+        <p class="chart-section__subtitle">${this._getAgingWipSubtitle()}</p>
+        <div class="chart-section__chart" style="height: 300px;">
+          <canvas id="aging-wip-chart"></canvas>
+        </div>
+
+        ${aging.hasHistory ? `
+          <div class="aging-wip__legend">
+            ${Object.values(AGING_ZONE_STYLES).map(style => `
+              <span class="aging-wip__zone">
+                <span class="aging-wip__dot" style="background-color: ${style.color};"></span>
+                ${style.label}${style.percentile ? ` (${aging.percentiles[style.percentile]}j)` : ''}
+              </span>
+            `).join('')}
+          </div>
+        ` : ''}
+
+        ${atRisk.length > 0 ? `
+          <ul class="aging-wip__risks">
+            ${atRisk.slice(0, AGING_RISK_LIST_LIMIT).map(t => `
+              <li class="aging-wip__risk">
+                <span class="aging-wip__key">${this.escapeHtml(t.key)}</span>
+                <span class="aging-wip__summary">${this.escapeHtml(t.summary || '')}</span>
+                <span class="aging-wip__meta">
+                  ${this.escapeHtml(t.status)} · ${t.assignee ? this.escapeHtml(t.assignee) : 'Non assigné'} ·
+                  <strong>${formatDays(t.age, 1, true)}</strong>
+                </span>
+              </li>
+            `).join('')}
+          </ul>
+          ${hidden > 0 ? `<p class="chart-section__footnote">+ ${hidden} autre(s) ticket(s) au-delà du P85</p>` : ''}
+        ` : ''}
+
+        ${!aging.isExact ? `
+          <p class="chart-section__footnote">*Âge reconstitué depuis le Time in Status (ou la date de création à défaut)</p>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  /**
+   * Rendu du diagramme de flux cumulé et des alertes de goulot
+   * @returns {string}
+   * @private
+   */
+  _renderCumulativeFlowSection() {
+    const flow = this.state.sprintMetrics?.cumulativeFlow;
+    if (!flow) return '';
+
+    return `
+      <section class="chart-section chart-section--wide">
+        <h4 class="chart-section__title">Diagramme de flux cumulé</h4>
+        <p class="chart-section__subtitle">Tickets par état du workflow, jour par jour (${flow.boundaries.length} sprints)</p>
+        <div data-component="cfd-chart"></div>
+
+        ${flow.bottlenecks.length > 0 ? `
+          <ul class="cfd-warnings">
+            ${flow.bottlenecks.map(b => `
+              <li class="cfd-warnings__item">
+                ⚠ <strong>${this.escapeHtml(b.status)}</strong> s'élargit :
+                ${formatNumber(b.previousAvg, 1)} → ${formatNumber(b.currentAvg, 1)} tickets en moyenne sur le dernier sprint${b.growth !== null ? ` (+${b.growth}%)` : ''}
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+
+        ${!flow.isExact ? `
+          <p class="chart-section__footnote">*Parcours reconstitué depuis le Time in Status : statuts dans l'ordre du workflow, retours arrière non visibles</p>
+        ` : ''}
+      </section>
+    `;
+  }
+
+  /**
+   * Retourne le sous-titre du panneau Flux des tickets
+   * @returns {string}
+   * @private
+   */
+  _getStatusFlowSubtitle() {
+    const flow = this.state.sprintMetrics?.statusFlow;
+    if (!flow) return '';
+
+    const reopens = flow.totalReopens;
+    return `${flow.totalBackflows} retour(s) arrière sur le sprint${reopens > 0 ? ` dont ${reopens} réouverture(s)` : ''}`;
+  }
+
+  /**
+   * Rendu du panneau Flux des tickets
+   * @returns {string}
+   * @private
+   */
+  _renderStatusFlowSection() {
+    const flow = this.state.sprintMetrics?.statusFlow;
+    if (!flow) return '';
+
+    const selected = flow.tickets.find(t => t.key === this.state.flowTicketKey) || flow.tickets[0];
+
+    return `
+      <section class="chart-section chart-section--wide">
+        <h4 class="chart-section__title">Flux des tickets</h4>
+        <p class="chart-section__subtitle">${this._getStatusFlowSubtitle()}</p>
+        <div class="chart-section__chart" style="height: 200px; min-height: 200px;">
+          <canvas id="backflow-chart"></canvas>
+        </div>
+
+        ${flow.tickets.length > 0 ? `
+          <div class="status-flow">
+            <div class="status-flow__toolbar">
+              <label class="form-label" for="flowTicket">Ticket du sprint</label>
+              <select id="flowTicket" class="select select--sm" data-action="select-flow-ticket">
+                ${flow.tickets.map(t => `
+                  <option value="${this.escapeHtml(t.key)}" ${t.key === selected.key ? 'selected' : ''}>
+                    ${this.escapeHtml(t.key)} — ${this.escapeHtml(t.summary || t.type)}${t.backflowCount > 0 ? ` (↺ ${t.backflowCount})` : ''}
+                  </option>
+                `).join('')}
+              </select>
+            </div>
+            <div data-ref="ticket-flow">
+              ${this._renderTicketFlow(selected, flow.statusColors)}
+            </div>
+          </div>
+        ` : `
+          <p class="chart-section__footnote">Aucun ticket avec historique de statuts sur ce sprint</p>
+        `}
+      </section>
+    `;
+  }
+
+  /**
+   * Rendu de la chronologie d'un ticket
+   * @param {Object} ticket - Ticket de statusFlow.tickets
+   * @param {Object} statusColors - { [status]: couleur } issues du workflow
+   * @returns {string}
+   * @private
+   */
+  _renderTicketFlow(ticket, statusColors = {}) {
+    if (!ticket) return '';
+
+    const periods = ticket.timeline;
+    const backflowDates = new Set(
+      ticket.transitions.filter(t => t.isBackflow).map(t => new Date(t.at).getTime())
+    );
+    const totalDays = periods.reduce((sum, p) => sum + p.workdays, 0);
+
+    return `
+      <div class="status-flow__bar" role="img" aria-label="Chronologie de ${this.escapeHtml(ticket.key)}">
+        ${periods.map(period => `
+          <span class="status-flow__segment"
+                style="flex-grow: ${Math.max(period.workdays, totalDays * 0.02 || 1)}; background-color: ${statusColors[period.status] || 'var(--color-bg-hover)'};"
+                title="${this.escapeHtml(period.status)} : ${formatDays(period.workdays)}"></span>
+        `).join('')}
+      </div>
+
+      <ol class="status-flow__steps">
+        ${periods.map(period => {
+          const isBackflow = backflowDates.has(new Date(period.enteredAt).getTime());
+          return `
+            <li class="status-flow__step ${isBackflow ? 'status-flow__step--backflow' : ''}">
+              <span class="status-flow__dot" style="background-color: ${statusColors[period.status] || 'var(--color-bg-hover)'};"></span>
+              <span class="status-flow__status">${this.escapeHtml(period.status)}</span>
+              <span class="status-flow__date">${formatDate(period.enteredAt, 'short')}</span>
+              <span class="status-flow__duration">
+                ${period.leftAt === null && ticket.isFinished ? 'terminé' : formatDays(period.workdays)}
+              </span>
+              ${isBackflow ? '<span class="status-flow__badge">↺ retour arrière</span>' : ''}
+            </li>
+          `;
+        }).join('')}
+      </ol>
+    `;
+  }
+
   /**
    * Retourne le sous-titre du graphique Burndown
    * @returns {string}
@@ -838,7 +1452,15 @@ export default class ReviewPage extends Component {
     const { sprintMetrics } = this.state;
     console.log('[ReviewPage] _renderMetricsSection() appelé, sprintMetrics:', !!sprintMetrics);
 
-    const gridClass = this.state.showPearson ? 'review-metrics__cards--four-cols' : 'review-metrics__cards--three-cols';
+    // Une colonne par carte de la première ligne (Flow Efficiency et Pearson optionnels)
+    const firstRowCount = 3 +
+      (sprintMetrics?.flowEfficiency?.currentValue != null ? 1 : 0) +
+      (this.state.showPearson && sprintMetrics?.correlation?.hasEnoughData ? 1 : 0);
+    const gridClass = {
+      3: 'review-metrics__cards--three-cols',
+      4: 'review-metrics__cards--four-cols',
+      5: 'review-metrics__cards--five-cols'
+    }[firstRowCount];
 
     return `
       <div class="review-metrics">
@@ -881,6 +1503,9 @@ export default class ReviewPage extends Component {
             </div>
           </section>
 
+          <!-- Cycle Time par ticket -->
+          ${this._renderCycleTimeScatterSection()}
+
           <!-- Time in Status -->
           <section class="chart-section">
             <h4 class="chart-section__title">Répartition du Cycle Time</h4>
@@ -920,6 +1545,15 @@ export default class ReviewPage extends Component {
             </div>
           </section>
 
+          <!-- Vieillissement du WIP -->
+          ${this._renderAgingWipSection()}
+
+          <!-- CFD (Time in Status requis) -->
+          ${this._renderCumulativeFlowSection()}
+
+          <!-- Flux des tickets (changelog requis) -->
+          ${this._renderStatusFlowSection()}
+
           <!-- Burndown Chart (secret: "burn") -->
           ${this.state.showBurndown ? `
           <section class="chart-section">
@@ -986,6 +1620,23 @@ export default class ReviewPage extends Component {
       });
     }
 
+    // Flow Efficiency (temps actif / Cycle Time)
+    if (sprintMetrics?.flowEfficiency?.currentValue != null) {
+      const fe = sprintMetrics.flowEfficiency;
+      cardsRow1.push({
+        label: 'Flow Efficiency',
+        value: fe.currentValue,
+        trend: fe.trend,
+        trendIsGood: 'up',
+        previousAvg: fe.previousAvg,
+        activeDays: fe.activeDays,
+        waitDays: fe.waitDays,
+        byType: fe.byType,
+        showFlowEfficiency: true,
+        decimals: 0
+      });
+    }
+
     // Corrélation Pearson (SP/Cycle Time) - visible uniquement après code secret "pear"
     if (this.state.showPearson && sprintMetrics?.correlation?.hasEnoughData) {
       cardsRow1.push({
@@ -1112,6 +1763,53 @@ export default class ReviewPage extends Component {
         `;
       }
 
+      // Format Flow Efficiency (temps actif / Cycle Time, tendance en points)
+      if (card.showFlowEfficiency) {
+        return `
+          <div class="kpi-card">
+            <div class="kpi-card__label">
+              ${card.label}
+              <button class="help-btn help-btn--inline" data-tooltip="flow-efficiency" title="Qu'est-ce que la Flow Efficiency ?">?</button>
+              <div class="kpi-card__tooltip" data-tooltip-content="flow-efficiency">
+                <strong>Flow Efficiency</strong><br>
+                Part du Cycle Time passée dans les statuts actifs (catégorie « En cours » du workflow).<br><br>
+                Le reste est de l'attente : revue, recette, déploiement...<br><br>
+                <em>Plus haut = moins d'attente</em>
+              </div>
+            </div>
+            <div class="kpi-card__value">
+              ${formatNumber(card.value, card.decimals)}
+              <span class="kpi-card__unit">% actif</span>
+            </div>
+            ${card.trend !== null ? `
+              <div class="kpi-card__trend kpi-card__trend--${trendClass}">
+                ${card.trend > 0 ? '↑' : card.trend < 0 ? '↓' : '→'}
+                ${formatNumber(Math.abs(card.trend), 0)} pts
+              </div>
+            ` : ''}
+            <div class="kpi-card__detail-small">
+              ${formatDays(card.activeDays, 1, true)} actifs / ${formatDays(card.waitDays, 1, true)} d'attente
+            </div>
+            ${card.byType.length > 1 ? `
+              <div class="kpi-card__type-breakdown">
+                ${card.byType.map(({ type, value }) => `
+                  <div class="kpi-card__type-item">
+                    <span class="kpi-card__type-count">${value}%</span>
+                    <span class="kpi-card__type-label">${this.escapeHtml(type)}</span>
+                  </div>
+                `).join('')}
+              </div>
+            ` : ''}
+            ${card.previousAvg !== null ? `
+              <div class="kpi-card__comparison">
+                <span class="kpi-card__comparison-label">Moy. sprints précédents</span>
+                <span class="kpi-card__comparison-value">${card.previousAvg}%</span>
+              </div>
+            ` : ''}
+          </div>
+        `;
+      }
+
       // Format spécial pour Stock Bugs (simplifié)
       if (card.showBugDetails) {
         return `
@@ -1509,10 +2207,78 @@ export default class ReviewPage extends Component {
       'click [data-action="go-to-admin"]': this._handleGoToAdmin,
       'click [data-action="reveal-velocity"]': this._handleRevealVelocity,
       'click [data-action="set-throughput-metric"]': this._handleSetThroughputMetric,
+      'click [data-action="set-scatter-bugs"]': this._handleSetScatterBugs,
+      'change [data-action="select-flow-ticket"]': this._handleSelectFlowTicket,
       'click [data-tooltip]': this._handleToggleTooltip
     };
   }
 
+  /**
+   * Gestionnaire sélection du ticket dans le panneau Flux des tickets
+   * Mise à jour DOM directe (évite de recréer les graphiques)
+   * @param {Event} e
+   * @private
+   */
+  _handleSelectFlowTicket(e) {
+    const flow = this.state.sprintMetrics?.statusFlow;
+    const ticket = flow?.tickets.find(t => t.key === e.target.value);
+    if (!ticket) return;
+
+    this.state.flowTicketKey = ticket.key;
+
+    const container = this.getRef('ticket-flow');
+    if (container) {
+      container.innerHTML = this._renderTicketFlow(ticket, flow.statusColors);
+    }
+  }
+
+  /**
+   * Gestionnaire clic sur un point du nuage Cycle Time
+   * Mise à jour DOM directe (évite de recréer les graphiques)
+   * @param {Object} point - Point de cycleTimeScatter.points
+   * @private
+   */
+  _handleSelectScatterTicket(point) {
+    this.state.scatterTicketKey = point.key;
+
+    const container = this.getRef('scatter-ticket');
+    if (container) {
+      container.innerHTML = this._renderScatterTicket(point);
+    }
+  }
+
+  /**
+   * Gestionnaire option bugs du nuage Cycle Time
+   * Seul le nuage est recréé (percentiles recalculés sur les tickets visibles)
+   * @param {Event} e
+   * @private
+   */
+  _handleSetScatterBugs(e) {
+    const excludeBugs = e.currentTarget.dataset.value === 'exclude';
+    if (excludeBugs === this.state.scatterExcludeBugs) return;
+
+    this.state.scatterExcludeBugs = excludeBugs;
+
+    this.container.querySelectorAll('[data-action="set-scatter-bugs"]').forEach(btn => {
+      btn.classList.toggle('toggle-group__btn--active', btn.dataset.value === (excludeBugs ? 'exclude' : 'include'));
+    });
+
+    const subtitle = this.getRef('scatter-subtitle');
+    if (subtitle) {
+      subtitle.textContent = this._getCycleTimeScatterSubtitle();
+    }
+
+    // Le ticket affiché disparaît s'il n'est plus visible
+    const selected = this._getVisibleScatter()?.points.find(p => p.key === this.state.scatterTicketKey);
+    if (!selected) this.state.scatterTicketKey = null;
+    const container = this.getRef('scatter-ticket');
+    if (container) {
+      container.innerHTML = this._renderScatterTicket(selected);
+    }
+
+    this._renderCycleTimeScatter(this.state.sprintMetrics?.cycleTimeScatter);
+  }
+
   /**
    * Gestionnaire toggle tooltip DORA
    * @param {Event} e
@@ -7,3 +7,5 @@
 export { default as AdminPage } from './AdminPage.js';
 export { default as ReviewPage } from './ReviewPage.js';
 export { default as ForecastPage } from './ForecastPage.js';
+export { default as PortfolioPage } from './PortfolioPage.js';
+export { default as EpicsPage } from './EpicsPage.js';
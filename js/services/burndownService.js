@@ -10,7 +10,7 @@
  * ==========================================================================
  */
 
-import { getSprintDates } from '../utils/sprintDates.js';
+import { getSprintDates, getSprintDays, getSprintReferenceDate } from './sprintCalendarService.js';
 
 // =========================================================================
 // CALCUL DU BURNDOWN
@@ -21,9 +21,10 @@ import { getSprintDates } from '../utils/sprintDates.js';
  * Prend en compte les ajouts mid-sprint (bosses vers le haut)
  * @param {Array} tickets - Liste des tickets parsés
  * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} [team] - Équipe dont le calendrier est utilisé (défaut: équipe active)
  * @returns {Object} - Données pour le graphique
  */
-export function calculateBurndown(tickets, sprintNumber) {
+export function calculateBurndown(tickets, sprintNumber, team) {
   if (!tickets || tickets.length === 0 || !sprintNumber) {
     return null;
   }
@@ -37,17 +38,13 @@ export function calculateBurndown(tickets, sprintNumber) {
     return null;
   }
 
-  // 2. Obtenir les dates du sprint depuis la convention fixe (sprintDates.js)
-  const { start: sprintStart, end: sprintEnd } = getSprintDates(sprintNumber);
+  // 2. Obtenir les dates du sprint depuis le calendrier (ou la convention fixe)
+  // Numéro répété dans le calendrier : période désignée par les dates des tickets
+  const referenceDate = getSprintReferenceDate(sprintTickets, sprintNumber);
+  const { start: sprintStart, end: sprintEnd } = getSprintDates(sprintNumber, team, referenceDate);
 
-  // Générer les 14 jours du sprint
-  const SPRINT_DURATION = 14;
-  const days = [];
-  for (let i = 0; i < SPRINT_DURATION; i++) {
-    const day = new Date(sprintStart);
-    day.setDate(day.getDate() + i);
-    days.push(day);
-  }
+  // Générer tous les jours du sprint (durée variable selon le calendrier)
+  const days = getSprintDays(sprintNumber, team, referenceDate);
 
   // Générer les labels (format dd/mm)
   const labels = days.map(d =>
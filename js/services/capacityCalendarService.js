@@ -0,0 +1,321 @@
+/**
+ * ==========================================================================
+ * CAPACITYCALENDARSERVICE.JS - Calendrier de capacité de l'équipe
+ * ==========================================================================
+ *
+ * Jours réellement disponibles sur un sprint :
+ * - Jours fériés français calculés automatiquement (utils/holidays.js)
+ * - Congés individuels saisis en Préparation (une personne, une période)
+ * - Jours off de toute l'équipe (séminaire, pont, fermeture...) : personne '*'
+ * - Persistance via storageService
+ *
+ * RATIO DE CAPACITÉ :
+ *   jours disponibles / jours de semaine (lundi-vendredi) du sprint
+ *   - Historique : le throughput d'un sprint est divisé par ce ratio
+ *     (sprint avec le 1er mai et l'Ascension ramené à un sprint complet)
+ *   - Prochain sprint : la contribution simulée est multipliée par ce ratio
+ *
+ * FORMAT STOCKÉ :
+ *   [{ id, person: 'Alice' | '*', start: '2026-05-04', end: '2026-05-08', label: 'Congés' }]
+ *
+ * USAGE :
+ *   import capacityCalendar from './capacityCalendarService.js';
+ *
+ *   capacityCalendar.addLeave({ person: 'Alice', start: '2026-05-04', end: '2026-05-08' });
+ *   const capacity = capacityCalendar.getSprintCapacity(20, ['Alice', 'Bob']);
+ *   // { weekdays: 10, workdays: 9, ratio: 0.9, contributors: { Alice: { ratio: 0.4, ... } } }
+ *
+ * ==========================================================================
+ */
+
+import storageService from './storageService.js';
+import eventBus from '../core/eventBus.js';
+import { parseCalendarDate, formatCalendarDate, getSprintDays } from './sprintCalendarService.js';
+import { isWeekday, isWorkday as isLegalWorkday, getHolidaysInRange } from '../utils/holidays.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+const STORAGE_KEY = 'capacityCalendar';
+
+/**
+ * Personne des jours off communs à toute l'équipe
+ */
+export const WHOLE_TEAM = '*';
+
+/**
+ * Ratio en dessous duquel un sprint n'est pas normalisé
+ * (quasi-absence : le throughput divisé exploserait)
+ */
+export const MIN_NORMALIZATION_RATIO = 0.2;
+
+// =========================================================================
+// ÉTAT INTERNE
+// =========================================================================
+
+let leaves = null;
+
+/**
+ * Charge les congés depuis le stockage (une seule fois)
+ * @returns {Array<Object>}
+ */
+function loadLeaves() {
+  if (leaves === null) {
+    leaves = storageService.get(STORAGE_KEY, []) || [];
+  }
+  return leaves;
+}
+
+/**
+ * Persiste les congés et notifie l'application
+ */
+function persist() {
+  storageService.set(STORAGE_KEY, leaves);
+  eventBus.emit('capacity:updated', { count: leaves.length });
+}
+
+/**
+ * Génère un identifiant de congé
+ * @returns {string}
+ */
+function generateId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+}
+
+// =========================================================================
+// LECTURE
+// =========================================================================
+
+/**
+ * Retourne les congés (triés par date de début)
+ * @param {string} [person] - Filtre sur une personne (inclut les jours off d'équipe)
+ * @returns {Array<Object>} - [{ id, person, start, end, label }] (dates ISO)
+ */
+export function getLeaves(person) {
+  return loadLeaves()
+    .filter(entry => !person || entry.person === person || entry.person === WHOLE_TEAM)
+    .sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Vérifie si une personne est en congé à une date
+ * @param {string} person
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isOnLeave(person, date) {
+  const day = formatCalendarDate(date);
+  return loadLeaves().some(entry =>
+    (entry.person === person || entry.person === WHOLE_TEAM) &&
+    day >= entry.start &&
+    day <= entry.end
+  );
+}
+
+/**
+ * Vérifie si toute l'équipe est off à une date
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isTeamDayOff(date) {
+  return isOnLeave(WHOLE_TEAM, date);
+}
+
+/**
+ * Vérifie si une date est un jour ouvré pour l'équipe
+ * (lundi-vendredi, hors jours fériés et jours off d'équipe)
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isWorkday(date) {
+  return isLegalWorkday(date) && !isTeamDayOff(date);
+}
+
+/**
+ * Génère la liste des jours ouvrés de l'équipe dans une période
+ * @param {Date} startDate - Date de début (incluse)
+ * @param {Date} endDate - Date de fin (incluse)
+ * @returns {Date[]}
+ */
+export function getWorkdaysInRange(startDate, endDate) {
+  const workdays = [];
+  const current = new Date(startDate);
+  current.setHours(0, 0, 0, 0);
+
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  while (current <= end) {
+    if (isWorkday(current)) {
+      workdays.push(new Date(current));
+    }
+    current.setDate(current.getDate() + 1);
+  }
+
+  return workdays;
+}
+
+// =========================================================================
+// CAPACITÉ PAR SPRINT
+// =========================================================================
+
+/**
+ * Calcule la capacité d'un sprint pour l'équipe et chaque contributeur
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string[]} [contributors] - Noms des contributeurs
+ * @param {string|null} [team] - Équipe (calendrier de sprints)
+ * @param {Date|null} [referenceDate] - Date du sprint (numéro répété dans le calendrier)
+ * @returns {Object} - { sprint, weekdays, workdays, ratio, holidays, teamDaysOff, contributors }
+ */
+export function getSprintCapacity(sprintNumber, contributors = [], team, referenceDate = null) {
+  const days = getSprintDays(sprintNumber, team, referenceDate);
+  const weekdays = days.filter(isWeekday);
+  const workdays = weekdays.filter(isWorkday);
+  const holidays = getHolidaysInRange(days[0], days[days.length - 1]);
+  const ratioOf = available => weekdays.length > 0 ? available / weekdays.length : 1;
+
+  const perContributor = {};
+  contributors.forEach(name => {
+    const availableDays = workdays.filter(day => !isOnLeave(name, day)).length;
+    perContributor[name] = {
+      availableDays,
+      leaveDays: workdays.length - availableDays,
+      ratio: ratioOf(availableDays)
+    };
+  });
+
+  return {
+    sprint: sprintNumber,
+    weekdays: weekdays.length,
+    workdays: workdays.length,
+    ratio: ratioOf(workdays.length),
+    holidays,
+    teamDaysOff: weekdays.length - holidays.length - workdays.length,
+    contributors: perContributor
+  };
+}
+
+/**
+ * Calcule les ratios de capacité par contributeur sur plusieurs sprints
+ * @param {number[]} sprintNumbers
+ * @param {string[]} contributors
+ * @param {string|null} [team]
+ * @param {Object} [referenceDates] - { [sprint]: Date } (numéros répétés, voir getSprintReferenceDate)
+ * @returns {Object} - { [sprint]: { [contributeur]: ratio } }
+ */
+export function getCapacityRatios(sprintNumbers, contributors, team, referenceDates = {}) {
+  const ratios = {};
+
+  sprintNumbers.forEach(sprintNumber => {
+    const capacity = getSprintCapacity(sprintNumber, contributors, team, referenceDates[sprintNumber] || null);
+    ratios[sprintNumber] = Object.fromEntries(
+      Object.entries(capacity.contributors).map(([name, c]) => [name, c.ratio])
+    );
+  });
+
+  return ratios;
+}
+
+// =========================================================================
+// VALIDATION
+// =========================================================================
+
+/**
+ * Valide un congé
+ * @param {Object} entry - { person, start, end }
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateLeaveEntry(entry) {
+  if (!entry.person || !String(entry.person).trim()) {
+    return { valid: false, error: 'Personne requise' };
+  }
+
+  const start = parseCalendarDate(entry.start);
+  const end = parseCalendarDate(entry.end);
+  if (!start || !end) {
+    return { valid: false, error: 'Dates de début et de fin requises' };
+  }
+
+  if (end < start) {
+    return { valid: false, error: 'La date de fin doit être après la date de début' };
+  }
+
+  return { valid: true };
+}
+
+// =========================================================================
+// ÉCRITURE
+// =========================================================================
+
+/**
+ * Ajoute un congé (ou un jour off d'équipe avec person = WHOLE_TEAM)
+ * @param {Object} entry - { person, start, end, label? } (dates ISO ou Date)
+ * @returns {{ valid: boolean, error?: string, id?: string }}
+ */
+export function addLeave(entry) {
+  const normalized = {
+    id: generateId(),
+    person: String(entry.person || '').trim(),
+    start: entry.start instanceof Date ? formatCalendarDate(entry.start) : entry.start,
+    end: entry.end instanceof Date ? formatCalendarDate(entry.end) : (entry.end || entry.start),
+    label: String(entry.label || '').trim()
+  };
+
+  const validation = validateLeaveEntry(normalized);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  leaves = [...loadLeaves(), normalized];
+  persist();
+  return { valid: true, id: normalized.id };
+}
+
+/**
+ * Supprime un congé
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function removeLeave(id) {
+  const existing = loadLeaves();
+  const filtered = existing.filter(entry => entry.id !== id);
+
+  if (filtered.length === existing.length) return false;
+
+  leaves = filtered;
+  persist();
+  return true;
+}
+
+/**
+ * Efface tous les congés
+ * @returns {boolean}
+ */
+export function clearLeaves() {
+  if (loadLeaves().length === 0) return false;
+
+  leaves = [];
+  persist();
+  return true;
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  WHOLE_TEAM,
+  MIN_NORMALIZATION_RATIO,
+  getLeaves,
+  isOnLeave,
+  isTeamDayOff,
+  isWorkday,
+  getWorkdaysInRange,
+  getSprintCapacity,
+  getCapacityRatios,
+  validateLeaveEntry,
+  addLeave,
+  removeLeave,
+  clearLeaves
+};
@@ -0,0 +1,334 @@
+/**
+ * ==========================================================================
+ * CRYPTOSERVICE.JS - Chiffrement des données persistées
+ * ==========================================================================
+ *
+ * Chiffrement optionnel par phrase secrète (WebCrypto) :
+ * - Clé AES-GCM 256 bits dérivée de la phrase secrète (PBKDF2-SHA-256)
+ * - Un vecteur d'initialisation aléatoire par écriture
+ * - Clé non extractible, conservée en mémoire uniquement jusqu'au
+ *   verrouillage ou à la fermeture de l'onglet
+ *
+ * Les paramètres (sel, itérations, vérificateur) restent en clair dans le
+ * localStorage, hors du préfixe de storageService : storage.clear() ne les
+ * supprime pas, les snapshots IndexedDB chiffrés restant lisibles.
+ * Le vérificateur (texte connu chiffré) permet de refuser une phrase
+ * secrète incorrecte sans toucher aux données.
+ *
+ * Sans la phrase secrète, les données chiffrées sont irrécupérables.
+ *
+ * Ce service ne connaît pas les stockages : activation, déverrouillage et
+ * verrouillage passent par encryptionService.
+ *
+ * USAGE :
+ *   import cryptoService from './cryptoService.js';
+ *
+ *   if (cryptoService.isLocked()) await cryptoService.unlock(passphrase);
+ *   const payload = await cryptoService.encrypt('texte');   // { iv, data }
+ *   const text = await cryptoService.decrypt(payload);
+ *
+ * ==========================================================================
+ */
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+const SETTINGS_KEY = 'sprintReviewEncryption';
+const SETTINGS_VERSION = 1;
+
+/**
+ * Itérations PBKDF2 (recommandation OWASP pour PBKDF2-HMAC-SHA-256)
+ */
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Longueur minimale de la phrase secrète
+ */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Texte chiffré avec la clé pour vérifier la phrase secrète
+ */
+const VERIFIER_TEXT = 'sprint-review';
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// =========================================================================
+// ENCODAGE
+// =========================================================================
+
+/**
+ * Encode des octets en base64 (par blocs : les données des snapshots
+ * dépassent la taille maximale des arguments de String.fromCharCode)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Décode une chaîne base64 en octets
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function fromBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// =========================================================================
+// CLASSE CRYPTOSERVICE
+// =========================================================================
+
+class CryptoService {
+  constructor() {
+    this.isAvailable = !!globalThis.crypto?.subtle;
+    this._key = null;
+  }
+
+  // =========================================================================
+  // ÉTAT
+  // =========================================================================
+
+  /**
+   * Chiffrement activé (paramètres présents)
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this._getSettings() !== null;
+  }
+
+  /**
+   * Chiffrement activé mais clé absente (phrase secrète non saisie)
+   * @returns {boolean}
+   */
+  isLocked() {
+    return this.isEnabled() && !this._key;
+  }
+
+  // =========================================================================
+  // CLÉ
+  // =========================================================================
+
+  /**
+   * Active le chiffrement : crée le sel et le vérificateur, garde la clé
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} WebCrypto indisponible, chiffrement déjà actif ou phrase trop courte
+   */
+  async enable(passphrase) {
+    if (!this.isAvailable) {
+      throw new Error('Chiffrement indisponible : ouvrez l\'application en HTTPS ou en local');
+    }
+    if (this.isEnabled()) {
+      throw new Error('Le chiffrement est déjà activé');
+    }
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`La phrase secrète doit contenir au moins ${MIN_PASSPHRASE_LENGTH} caractères`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const key = await this._deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const verifier = await this._encryptWith(key, VERIFIER_TEXT);
+
+    this._saveSettings({
+      version: SETTINGS_VERSION,
+      salt: toBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier,
+      createdAt: new Date().toISOString()
+    });
+    this._key = key;
+  }
+
+  /**
+   * Déverrouille avec la phrase secrète
+   * @param {string} passphrase
+   * @returns {Promise<void>}
+   * @throws {Error} Phrase secrète incorrecte
+   */
+  async unlock(passphrase) {
+    const settings = this._getSettings();
+    if (!settings) {
+      throw new Error('Le chiffrement n\'est pas activé');
+    }
+    if (!this.isAvailable) {
+      throw new Error('Chiffrement indisponible : ouvrez l\'application en HTTPS ou en local');
+    }
+
+    const key = await this._deriveKey(passphrase || '', fromBase64(settings.salt), settings.iterations);
+
+    try {
+      const text = await this._decryptWith(key, settings.verifier);
+      if (text !== VERIFIER_TEXT) throw new Error();
+    } catch (error) {
+      throw new Error('Phrase secrète incorrecte');
+    }
+
+    this._key = key;
+  }
+
+  /**
+   * Oublie la clé (les données chiffrées redeviennent illisibles)
+   */
+  lock() {
+    this._key = null;
+  }
+
+  /**
+   * Désactive le chiffrement (supprime les paramètres)
+   * À appeler une fois les données réécrites en clair ; la clé reste en
+   * mémoire jusqu'à lock()
+   */
+  disable() {
+    try {
+      localStorage.removeItem(SETTINGS_KEY);
+    } catch (error) {
+      console.error('[CryptoService] Erreur suppression des paramètres:', error);
+    }
+  }
+
+  // =========================================================================
+  // CHIFFREMENT
+  // =========================================================================
+
+  /**
+   * Chiffre un texte avec la clé courante
+   * @param {string} text
+   * @returns {Promise<Object>} { iv, data } (base64)
+   * @throws {Error} Données verrouillées
+   */
+  async encrypt(text) {
+    return this._encryptWith(this._requireKey(), text);
+  }
+
+  /**
+   * Déchiffre un texte chiffré par encrypt()
+   * @param {Object} payload - { iv, data }
+   * @returns {Promise<string>}
+   * @throws {Error} Données verrouillées ou altérées
+   */
+  async decrypt(payload) {
+    try {
+      return await this._decryptWith(this._requireKey(), payload);
+    } catch (error) {
+      if (!this._key) throw error;
+      throw new Error('Données chiffrées illisibles (altérées ou autre phrase secrète)');
+    }
+  }
+
+  // =========================================================================
+  // MÉTHODES PRIVÉES
+  // =========================================================================
+
+  /**
+   * Dérive la clé AES-GCM de la phrase secrète
+   * @private
+   * @param {string} passphrase
+   * @param {Uint8Array} salt
+   * @param {number} iterations
+   * @returns {Promise<CryptoKey>}
+   */
+  async _deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * @private
+   * @param {CryptoKey} key
+   * @param {string} text
+   * @returns {Promise<Object>} { iv, data }
+   */
+  async _encryptWith(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const encrypted = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      new TextEncoder().encode(text)
+    );
+
+    return { iv: toBase64(iv), data: toBase64(new Uint8Array(encrypted)) };
+  }
+
+  /**
+   * @private
+   * @param {CryptoKey} key
+   * @param {Object} payload - { iv, data }
+   * @returns {Promise<string>}
+   */
+  async _decryptWith(key, payload) {
+    const decrypted = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+      key,
+      fromBase64(payload.data)
+    );
+
+    return new TextDecoder().decode(decrypted);
+  }
+
+  /**
+   * @private
+   * @returns {CryptoKey}
+   * @throws {Error} Données verrouillées
+   */
+  _requireKey() {
+    if (!this._key) {
+      throw new Error('Données verrouillées : saisissez la phrase secrète');
+    }
+    return this._key;
+  }
+
+  /**
+   * @private
+   * @returns {Object|null} { version, salt, iterations, verifier, createdAt }
+   */
+  _getSettings() {
+    try {
+      const settings = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+      return settings?.salt && settings?.verifier ? settings : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   * @param {Object} settings
+   */
+  _saveSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  }
+}
+
+// =========================================================================
+// EXPORT - Instance singleton
+// =========================================================================
+
+const cryptoService = new CryptoService();
+
+export default cryptoService;
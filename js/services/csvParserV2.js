@@ -12,12 +12,33 @@
  * - Le VRAI Cycle Time = somme des temps du Time in Status (En cours → Terminé)
  * - L'enrichissement se fait dans dataTransformerV2.js
  *
+ * STATUTS :
+ * - Tickets terminés / exclus selon le workflow de l'équipe (workflowService.js)
+ *
  * FORMATS SPRINT SUPPORTÉS :
  * - Standard : "Sprint 16" ou "Sprint 16 IAML – 05/01"
  * - Tableau : "Tableau Sprint 14"
  * - Engager : "Engager 13" ou "Engager Q1-2026 2/7 - 17"
  * - Liste : "Sprint 15,Sprint 16" (le dernier = sprint de fermeture)
  *
+ * MÉTADONNÉES SPRINT :
+ * - Les indices de date des libellés ("– 05/01") et les index trimestriels
+ *   Engager ("Q1-2026 2/7") sont conservés dans une table par équipe/sprint
+ * - Elle permet de proposer un calendrier de sprints et de signaler les
+ *   écarts avec les dates utilisées (calendrier ou convention fixe)
+ *
+ * EPICS :
+ * - Colonne optionnelle "Parent" / "Epic Link" : clé du parent de chaque ticket
+ *   ("PHX-12" ou "Titre de l'epic (PHX-12)")
+ * - Les epics sont conservées à part quel que soit leur statut (epics), ainsi
+ *   que les tickets enfants exclus par leur statut (backlogChildren) : ils
+ *   restent à livrer dans l'avancement de l'epic (epicService.js)
+ *
+ * MAPPING DES COLONNES :
+ * - Les en-têtes EazyBI anglais sont reconnus automatiquement
+ * - Pour les exports localisés (EazyBI français, Jira), un mapping
+ *   { champ canonique → en-tête } peut être fourni à parseUnifiedCSV
+ *
  * TIME IN STATUS :
  * - Les pourcentages sont calculés en divisant par le TOTAL des tickets
  * - Cela évite de gonfler artificiellement les statuts peu utilisés
@@ -25,12 +46,54 @@
  * ==========================================================================
  */
 
-import { getSprintDates } from '../utils/sprintDates.js';
+import { getSprintDates } from './sprintCalendarService.js';
+import { SPRINT_DURATION } from '../utils/sprintDates.js';
+import workflow from './workflowService.js';
 
 // =========================================================================
-// STATUTS EXCLUS DU PARSING (tickets pas réellement dans le sprint)
+// STATUTS EXCLUS / TERMINÉS (workflow de l'équipe)
 // =========================================================================
-const EXCLUDED_STATUSES = /^(backlog|a affiner|a cadrer)$/i;
+
+/**
+ * Indique si un statut exclut le ticket du parsing (pas réellement dans le sprint)
+ * @param {string} status
+ * @param {string} [team] - Équipe dont le workflow est utilisé
+ * @returns {boolean}
+ */
+export function isExcludedStatus(status, team) {
+  return workflow.isExcludedStatus(status, team);
+}
+
+/**
+ * Indique si un statut correspond à un ticket terminé
+ * @param {string} status
+ * @param {string} [team] - Équipe dont le workflow est utilisé
+ * @returns {boolean}
+ */
+export function isFinishedStatus(status, team) {
+  return workflow.isFinishedStatus(status, team);
+}
+
+/**
+ * Indique si un type de ticket correspond à une epic
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function isEpicType(type) {
+  return /^epic$/i.test(String(type || '').trim());
+}
+
+/**
+ * Extrait une clé de ticket d'une valeur de colonne parent
+ * Ex: "PHX-12" → "PHX-12"
+ * Ex: "Refonte du paiement (PHX-12)" → "PHX-12"
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function extractIssueKey(value) {
+  const matches = String(value || '').match(/[A-Z][A-Z0-9]*-\d+/g);
+  return matches ? matches[matches.length - 1] : null;
+}
 
 // =========================================================================
 // PARSING DU FICHIER UNIFIÉ
@@ -74,7 +137,7 @@ function parseSprintNumber(sprintStr) {
  * @param {string} sprintsStr
  * @returns {number[]}
  */
-function parseSprintNumbers(sprintsStr) {
+export function parseSprintNumbers(sprintsStr) {
   if (!sprintsStr || sprintsStr.toLowerCase().includes('no sprint')) return [];
 
   // Séparer par virgule et parser chaque partie
@@ -91,12 +154,418 @@ function parseSprintNumbers(sprintsStr) {
   return sprints.sort((a, b) => a - b);
 }
 
+// =========================================================================
+// MÉTADONNÉES DE SPRINT (indices de dates dans les libellés)
+// =========================================================================
+
+/**
+ * Écart toléré (en jours) entre la date indiquée et les dates utilisées
+ * - label : date explicite ("– 05/01") → tolérance nulle
+ * - quarter : estimation depuis l'index trimestriel → une semaine
+ * - jira : date de début du sprint dans un export Jira → tolérance nulle
+ */
+const DATE_HINT_TOLERANCE = {
+  label: 0,
+  quarter: 7,
+  jira: 0
+};
+
+// Formulation des écarts selon l'origine de l'indice
+const HINT_SOURCE_MESSAGES = {
+  label: 'le libellé indique un début le',
+  quarter: 'l\'index trimestriel situe le début vers le',
+  jira: 'Jira indique un début le'
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Extrait les indices de date d'un libellé de sprint
+ * Supporte :
+ * - "Sprint 16 IAML – 05/01" (jour/mois, année déduite des tickets)
+ * - "Sprint 16 IAML – 05/01/2026"
+ * - "Engager Q1-2026 2/7 - 17" (2e sprint sur 7 du 1er trimestre 2026)
+ * @param {string} sprintStr
+ * @returns {Object|null} - { number, label, day, month, year, quarter } ou null
+ */
+function parseSprintLabel(sprintStr) {
+  const number = parseSprintNumber(sprintStr);
+  if (number === null) return null;
+
+  const label = sprintStr.trim();
+  const hint = { number, label, day: null, month: null, year: null, quarter: null };
+
+  // Index trimestriel Engager : "Q1-2026 2/7"
+  const quarterMatch = label.match(/Q([1-4])\s*-\s*(\d{4})\s+(\d+)\s*\/\s*(\d+)/i);
+  if (quarterMatch) {
+    hint.quarter = {
+      quarter: parseInt(quarterMatch[1], 10),
+      year: parseInt(quarterMatch[2], 10),
+      index: parseInt(quarterMatch[3], 10),
+      total: parseInt(quarterMatch[4], 10)
+    };
+    return hint;
+  }
+
+  // Date de début : "– 05/01" ou "- 05/01/2026" en fin de libellé
+  const dateMatch = label.match(/[–—-]\s*(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\s*$/);
+  if (dateMatch) {
+    const day = parseInt(dateMatch[1], 10);
+    const month = parseInt(dateMatch[2], 10);
+    if (day >= 1 && day <= 31 && month >= 1 && month <= 12) {
+      hint.day = day;
+      hint.month = month;
+      if (dateMatch[3]) {
+        const year = parseInt(dateMatch[3], 10);
+        hint.year = year < 100 ? 2000 + year : year;
+      }
+    }
+  }
+
+  return hint;
+}
+
+/**
+ * Enregistre les indices de date des sprints d'un ticket dans la table
+ * @param {Map} metadataMap - Table en cours de construction (clé "équipe|sprint")
+ * @param {string} sprintsValue - Valeur brute de la colonne sprint
+ * @param {string|null} team - Équipe du ticket
+ * @param {Object} ticket - Ticket parsé (dates de référence pour l'année)
+ */
+function collectSprintMetadata(metadataMap, sprintsValue, team, ticket) {
+  if (!sprintsValue) return;
+
+  sprintsValue.split(',').forEach(part => {
+    const hint = parseSprintLabel(part.trim());
+    if (!hint) return;
+
+    const key = `${team || ''}|${hint.number}`;
+    if (!metadataMap.has(key)) {
+      metadataMap.set(key, {
+        team: team || null,
+        sprint: hint.number,
+        labels: new Set(),
+        hints: [],
+        referenceDates: [],
+        ticketWindows: [],
+        ticketCount: 0
+      });
+    }
+
+    const entry = metadataMap.get(key);
+    entry.labels.add(hint.label);
+    entry.ticketCount++;
+    if (hint.day !== null || hint.quarter) {
+      entry.hints.push(hint);
+    }
+
+    // Date de référence : fermeture si c'est le sprint de fermeture, sinon création
+    const referenceDate = ticket.sprint === hint.number && ticket.closedDate
+      ? ticket.closedDate
+      : ticket.createdDate;
+    if (referenceDate) {
+      entry.referenceDates.push(referenceDate.getTime());
+    }
+
+    // Période de vie du ticket : le sprint a démarré avant sa fermeture
+    // et au plus une durée de sprint avant sa création (ajout en cours de sprint)
+    entry.ticketWindows.push({
+      from: ticket.createdDate
+        ? ticket.createdDate.getTime() - SPRINT_DURATION * 24 * 60 * 60 * 1000
+        : -Infinity,
+      to: ticket.closedDate ? ticket.closedDate.getTime() : Infinity
+    });
+  });
+}
+
+/**
+ * Retourne le lundi précédent (ou égal) une date
+ * @param {Date} date
+ * @returns {Date}
+ */
+function toMonday(date) {
+  const monday = new Date(date);
+  const dayOfWeek = monday.getDay();
+  monday.setDate(monday.getDate() - (dayOfWeek === 0 ? 6 : dayOfWeek - 1));
+  monday.setHours(0, 0, 0, 0);
+  return monday;
+}
+
+/**
+ * Résout la date de début indiquée par un libellé
+ * L'année manquante est choisie parmi celles compatibles avec la période de
+ * vie des tickets du sprint (création → fermeture), au plus proche de leurs
+ * dates ; sans année compatible, l'indice est ignoré
+ * @param {Object} hint - Indice issu de parseSprintLabel
+ * @param {number[]} referenceDates - Timestamps des tickets du sprint
+ * @param {Array<Object>} [ticketWindows] - Périodes { from, to } (timestamps) des tickets
+ * @returns {{ date: Date, source: string }|null}
+ */
+function resolveHintDate(hint, referenceDates, ticketWindows = []) {
+  // Index trimestriel : estimation linéaire dans le trimestre
+  if (hint.quarter) {
+    const { quarter, year, index, total } = hint.quarter;
+    if (!total || index < 1 || index > total) return null;
+
+    const quarterStart = new Date(year, (quarter - 1) * 3, 1);
+    const quarterEnd = new Date(year, quarter * 3, 1);
+    const sprintLength = (quarterEnd - quarterStart) / total;
+    const estimated = new Date(quarterStart.getTime() + (index - 1) * sprintLength);
+
+    return { date: toMonday(estimated), source: 'quarter' };
+  }
+
+  if (hint.day === null) return null;
+
+  if (hint.year) {
+    return { date: new Date(hint.year, hint.month - 1, hint.day), source: 'label' };
+  }
+
+  // Année déduite : médiane des dates de référence
+  const sorted = [...referenceDates].sort((a, b) => a - b);
+  const reference = sorted.length > 0 ? new Date(sorted[Math.floor(sorted.length / 2)]) : new Date();
+  const baseYear = reference.getFullYear();
+
+  let best = null;
+  for (const year of [baseYear - 1, baseYear, baseYear + 1]) {
+    const candidate = new Date(year, hint.month - 1, hint.day);
+    const time = candidate.getTime();
+    const fits = ticketWindows.filter(w => time >= w.from && time <= w.to).length;
+    if (ticketWindows.length > 0 && fits === 0) continue;
+
+    // Priorité à l'année compatible avec le plus de tickets, puis la plus proche
+    const distance = Math.abs(candidate - reference);
+    if (!best || fits > best.fits || (fits === best.fits && distance < best.distance)) {
+      best = { date: candidate, fits, distance };
+    }
+  }
+
+  return best ? { date: best.date, source: 'label' } : null;
+}
+
+/**
+ * Construit la table des métadonnées de sprint
+ * @param {Map} metadataMap - Table collectée pendant le parsing
+ * @returns {Array<Object>} - [{ team, sprint, labels, startHint, hintSource, quarter, ticketCount }]
+ */
+function buildSprintMetadata(metadataMap) {
+  return Array.from(metadataMap.values())
+    .map(entry => {
+      // Priorité à la date explicite sur l'estimation trimestrielle
+      const labelHint = entry.hints.find(h => h.day !== null);
+      const quarterHint = entry.hints.find(h => h.quarter);
+      const resolved = labelHint
+        ? resolveHintDate(labelHint, entry.referenceDates, entry.ticketWindows)
+        : quarterHint ? resolveHintDate(quarterHint, entry.referenceDates) : null;
+
+      return {
+        team: entry.team,
+        sprint: entry.sprint,
+        labels: [...entry.labels],
+        startHint: resolved ? resolved.date : null,
+        hintSource: resolved ? resolved.source : null,
+        quarter: quarterHint ? quarterHint.quarter : null,
+        ticketCount: entry.ticketCount
+      };
+    })
+    .sort((a, b) => (a.team || '').localeCompare(b.team || '', 'fr') || a.sprint - b.sprint);
+}
+
+/**
+ * Déduit un calendrier de sprints par équipe depuis les métadonnées
+ * - Début = date indiquée dans le libellé
+ * - Fin = veille du sprint suivant si proche, sinon durée médiane observée
+ * @param {Array<Object>} sprintMetadata - Table issue de parseUnifiedCSV
+ * @returns {Object} - { [team]: [{ number, start: Date, end: Date, source }] }
+ */
+export function inferSprintCalendars(sprintMetadata = []) {
+  const byTeam = {};
+
+  sprintMetadata
+    .filter(m => m.startHint)
+    .forEach(m => {
+      const team = m.team || '';
+      if (!byTeam[team]) byTeam[team] = [];
+      byTeam[team].push(m);
+    });
+
+  const calendars = {};
+
+  Object.entries(byTeam).forEach(([team, entries]) => {
+    const sorted = [...entries].sort((a, b) => a.startHint - b.startHint);
+
+    // Durées observées entre deux sprints consécutifs (en jours)
+    const gaps = [];
+    for (let i = 1; i < sorted.length; i++) {
+      const gap = Math.round((sorted[i].startHint - sorted[i - 1].startHint) / MS_PER_DAY);
+      if (gap > 0 && gap <= 35) gaps.push(gap);
+    }
+    gaps.sort((a, b) => a - b);
+    const defaultDuration = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 14;
+
+    calendars[team] = sorted.map((entry, i) => {
+      const start = new Date(entry.startHint);
+      const next = sorted[i + 1];
+      const gapToNext = next ? Math.round((next.startHint - start) / MS_PER_DAY) : null;
+      const duration = gapToNext && gapToNext <= defaultDuration + 7 ? gapToNext : defaultDuration;
+
+      const end = new Date(start);
+      end.setDate(end.getDate() + duration - 1);
+
+      return { number: entry.sprint, start, end, source: entry.hintSource };
+    });
+  });
+
+  return calendars;
+}
+
+/**
+ * Compare les dates indiquées dans les libellés avec les dates utilisées
+ * par le dashboard (calendrier de l'équipe ou convention fixe, via sprintCalendarService)
+ * @param {Array<Object>} sprintMetadata - Table issue de parseUnifiedCSV
+ * @returns {Array<Object>} - [{ team, sprint, hinted, expected, diffDays, source, message }]
+ */
+export function detectSprintDateConflicts(sprintMetadata = []) {
+  const formatDay = (date) => date.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit', year: 'numeric' });
+
+  return sprintMetadata
+    .filter(m => m.startHint)
+    .map(m => {
+      const { start: expected } = getSprintDates(m.sprint, m.team || undefined, m.startHint);
+      const expectedDay = new Date(expected.getFullYear(), expected.getMonth(), expected.getDate());
+      const diffDays = Math.round((m.startHint - expectedDay) / MS_PER_DAY);
+
+      return { m, expected: expectedDay, diffDays };
+    })
+    .filter(({ m, diffDays }) => Math.abs(diffDays) > DATE_HINT_TOLERANCE[m.hintSource])
+    .map(({ m, expected, diffDays }) => ({
+      team: m.team,
+      sprint: m.sprint,
+      hinted: m.startHint,
+      expected,
+      diffDays,
+      source: m.hintSource,
+      message: `Sprint ${m.sprint}${m.team ? ` (${m.team})` : ''} : ` +
+        `${HINT_SOURCE_MESSAGES[m.hintSource]} ` +
+        `${formatDay(m.startHint)}, le dashboard utilise le ${formatDay(expected)}`
+    }));
+}
+
+// =========================================================================
+// MAPPING DES COLONNES (exports non standard)
+// =========================================================================
+
+/**
+ * Champs canoniques du fichier unifié
+ * - required : le fichier ne peut pas être exploité sans ce champ
+ * - group : au moins un des champs du groupe doit être présent
+ */
+export const CANONICAL_FIELDS = [
+  { key: 'key', label: 'Clé du ticket', example: 'Issue key', required: true },
+  { key: 'type', label: 'Type de ticket', example: 'Issue type', required: false },
+  { key: 'status', label: 'Statut', example: 'Issue status', required: true },
+  { key: 'createdDate', label: 'Date de création', example: 'Issue created date', required: false },
+  { key: 'closedDate', label: 'Date de fermeture', example: 'Issue closed date', required: true },
+  { key: 'cycleTime', label: 'Jours ouvrés (lead time)', example: 'Progress workdays', required: false },
+  { key: 'sprintsPlural', label: 'Sprints traversés', example: 'Issue Sprints', required: false, group: 'sprint' },
+  { key: 'sprintSingular', label: 'Sprint', example: 'Issue Sprint', required: false, group: 'sprint' },
+  { key: 'storyPoints', label: 'Story Points', example: 'Issue Story Points', required: false },
+  { key: 'assignee', label: 'Assigné', example: 'Issue assignee', required: false },
+  { key: 'parent', label: 'Parent (epic)', example: 'Parent', required: false },
+  { key: 'team', label: 'Équipe', example: 'Team', required: false }
+];
+
+/**
+ * Lit la ligne d'en-tête d'un CSV
+ * @param {string} csvContent - Contenu brut du CSV
+ * @returns {string[]} - En-têtes (vides si le fichier est vide)
+ */
+export function readCSVHeader(csvContent) {
+  const firstLine = (csvContent || '').replace(/\r\n/g, '\n').split('\n').find(l => l.trim());
+  return firstLine ? parseCSVRow(firstLine.replace(/^\uFEFF/, '')) : [];
+}
+
+/**
+ * Retourne le mapping détecté automatiquement pour des en-têtes
+ * @param {string[]} headers - En-têtes du CSV
+ * @returns {Object} - { champ: en-tête } pour les champs reconnus
+ */
+export function detectColumnMapping(headers) {
+  const indices = detectColumnIndices(headers);
+  const mapping = {};
+
+  CANONICAL_FIELDS.forEach(field => {
+    if (indices[field.key] !== undefined && indices[field.key] !== -1) {
+      mapping[field.key] = headers[indices[field.key]];
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Liste les champs obligatoires absents d'un mapping
+ * @param {string[]} headers - En-têtes du CSV
+ * @param {Object} mapping - { champ: en-tête }
+ * @returns {Array<Object>} - Champs manquants (éléments de CANONICAL_FIELDS, un seul par groupe)
+ */
+export function getMissingColumns(headers, mapping = {}) {
+  const normalized = headers.map(h => h.toLowerCase().trim());
+  const isMapped = field => {
+    const header = mapping[field.key];
+    return !!header && normalized.includes(header.toLowerCase().trim());
+  };
+
+  const missing = CANONICAL_FIELDS.filter(field => field.required && !isMapped(field));
+
+  // Groupes : au moins un champ mappé
+  const groups = [...new Set(CANONICAL_FIELDS.filter(f => f.group).map(f => f.group))];
+  groups.forEach(group => {
+    const fields = CANONICAL_FIELDS.filter(f => f.group === group);
+    if (!fields.some(isMapped)) {
+      missing.push(fields[0]);
+    }
+  });
+
+  return missing;
+}
+
+/**
+ * Applique un mapping manuel sur les indices détectés
+ * @param {Object} indices - Indices détectés automatiquement
+ * @param {string[]} headerRow - En-têtes du CSV
+ * @param {Object} mapping - { champ: en-tête }
+ * @returns {Object} - Indices mis à jour
+ */
+function applyColumnMapping(indices, headerRow, mapping) {
+  const normalized = headerRow.map(h => h.toLowerCase().trim());
+
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (!(field in indices)) return;
+    const target = header ? header.toLowerCase().trim() : null;
+    const matches = target
+      ? normalized.map((h, idx) => (h === target ? idx : -1)).filter(idx => idx !== -1)
+      : [];
+
+    indices[field] = matches.length > 0 ? matches[0] : -1;
+
+    // Colonnes sprint répétées (export Jira : une colonne "Sprint" par sprint)
+    if (field in indices.sprintColumns) {
+      indices.sprintColumns[field] = matches;
+    }
+  });
+
+  console.log('[CSV Parser] Mapping manuel appliqué:', mapping);
+  return indices;
+}
+
 /**
  * Détecte les indices des colonnes à partir du header
  * @param {string[]} headerRow - Ligne d'en-tête parsée
+ * @param {Object|null} mapping - Mapping manuel { champ: en-tête } (prioritaire)
  * @returns {Object} - Mapping des colonnes
  */
-function detectColumnIndices(headerRow) {
+function detectColumnIndices(headerRow, mapping = null) {
   const indices = {
     key: -1,
     type: -1,
@@ -109,7 +578,13 @@ function detectColumnIndices(headerRow) {
     sprintSingular: -1,  // "Issue Sprint" (sprint unique)
     // Nouvelles colonnes pour le forecast (optionnelles)
     storyPoints: -1,
-    assignee: -1
+    assignee: -1,
+    // Lien vers l'epic parente (optionnelle)
+    parent: -1,
+    // Colonne équipe (exports Jira sans lignes de regroupement)
+    team: -1,
+    // Toutes les colonnes sprint (Jira répète "Sprint" pour chaque sprint traversé)
+    sprintColumns: { sprintsPlural: [], sprintSingular: [] }
   };
 
   headerRow.forEach((col, idx) => {
@@ -121,21 +596,34 @@ function detectColumnIndices(headerRow) {
     else if (lowerCol.includes('progress workdays')) indices.cycleTime = idx;
     else if (lowerCol.includes('closed date')) indices.closedDate = idx;
     // Colonnes sprint : détecter les deux variantes
-    else if (lowerCol === 'issue sprints' || lowerCol === 'sprints') indices.sprintsPlural = idx;
-    else if (lowerCol === 'issue sprint' || lowerCol === 'sprint') indices.sprintSingular = idx;
+    else if (lowerCol === 'issue sprints' || lowerCol === 'sprints') {
+      indices.sprintsPlural = idx;
+      indices.sprintColumns.sprintsPlural.push(idx);
+    }
+    else if (lowerCol === 'issue sprint' || lowerCol === 'sprint') {
+      indices.sprintSingular = idx;
+      indices.sprintColumns.sprintSingular.push(idx);
+    }
     // Nouvelles colonnes pour le forecast
     else if (lowerCol === 'issue story points' || lowerCol === 'story points') indices.storyPoints = idx;
     else if (lowerCol === 'issue assignee' || lowerCol === 'assignee') indices.assignee = idx;
+    // Lien parent : Jira Cloud ("Parent") ou Jira Server ("Epic Link")
+    else if (['parent', 'issue parent', 'parent key', 'epic link', 'issue epic link'].includes(lowerCol)) indices.parent = idx;
   });
 
+  if (mapping) {
+    applyColumnMapping(indices, headerRow, mapping);
+  }
+
   console.log('[CSV Parser] Colonnes détectées:', indices);
-  console.log('[CSV Parser] Sprint plural idx:', indices.sprintsPlural, '| Sprint singular idx:', indices.sprintSingular);
+  console.log('[CSV Parser] Colonnes sprint (plural / singular):', indices.sprintColumns.sprintsPlural, '/', indices.sprintColumns.sprintSingular);
   return indices;
 }
 
 /**
  * Récupère la valeur sprint depuis les deux colonnes possibles
  * Priorité : sprintsPlural > sprintSingular
+ * Colonnes répétées (export Jira) : valeurs fusionnées ("Sprint 15,Sprint 16")
  * Ignore les valeurs "(no sprint)"
  * @param {string[]} row - Ligne du CSV
  * @param {Object} cols - Indices des colonnes
@@ -144,23 +632,15 @@ function detectColumnIndices(headerRow) {
 function getSprintValue(row, cols) {
   const NO_SPRINT = '(no sprint)';
 
-  // Essayer d'abord la colonne plurielle (historique complet)
-  if (cols.sprintsPlural !== -1) {
-    const val = (row[cols.sprintsPlural] || '').trim();
-    if (val && val.toLowerCase() !== NO_SPRINT) {
-      return val;
-    }
-  }
-
-  // Fallback sur la colonne singulière
-  if (cols.sprintSingular !== -1) {
-    const val = (row[cols.sprintSingular] || '').trim();
-    if (val && val.toLowerCase() !== NO_SPRINT) {
-      return val;
-    }
-  }
+  const mergeColumns = indices => indices
+    .map(idx => (row[idx] || '').trim())
+    .filter(val => val && val.toLowerCase() !== NO_SPRINT)
+    .join(',');
 
-  return '';
+  // Essayer d'abord la colonne plurielle (historique complet),
+  // puis la colonne singulière
+  return mergeColumns(cols.sprintColumns.sprintsPlural) ||
+    mergeColumns(cols.sprintColumns.sprintSingular);
 }
 
 /**
@@ -203,27 +683,32 @@ function extractTeamName(value) {
 /**
  * Parse le fichier CSV unifié (niveau ticket)
  * @param {string} csvContent - Contenu brut du CSV
- * @returns {Object} - { tickets, summary, teams }
+ * @param {Object} options - { columnMapping } mapping manuel des colonnes
+ * @returns {Object} - { tickets, summary, teams, sprintMetadata, epics, backlogChildren }
  */
-export function parseUnifiedCSV(csvContent) {
+export function parseUnifiedCSV(csvContent, options = {}) {
+  const { columnMapping = null } = options;
   const lines = csvContent.replace(/\r\n/g, '\n').split('\n').filter(l => l.trim());
 
   if (lines.length < 2) {
-    return { tickets: [], summary: null, teams: [] };
+    return { tickets: [], summary: null, teams: [], sprintMetadata: [], epics: [], backlogChildren: [] };
   }
 
   // Détecter les colonnes depuis le header
-  const headerRow = parseCSVRow(lines[0]);
-  const cols = detectColumnIndices(headerRow);
+  const headerRow = parseCSVRow(lines[0].replace(/^\uFEFF/, ''));
+  const cols = detectColumnIndices(headerRow, columnMapping);
 
   // Vérifier que les colonnes essentielles sont présentes
   if (cols.key === -1) {
     console.error('[CSV Parser] Colonne "Issue key" non trouvée !');
-    return { tickets: [], summary: null, teams: [] };
+    return { tickets: [], summary: null, teams: [], sprintMetadata: [], epics: [], backlogChildren: [] };
   }
 
   const tickets = [];
+  const epics = [];
+  const backlogChildren = [];
   const teamsSet = new Set();
+  const metadataMap = new Map();
   let currentTeam = null;
 
   // Parser chaque ligne (skip header)
@@ -232,6 +717,13 @@ export function parseUnifiedCSV(csvContent) {
     const issueKey = row[cols.key] || '';
     const firstCol = row[0] || '';
 
+    // Colonne équipe explicite (prioritaire sur les lignes de regroupement)
+    const teamColumn = cols.team !== -1 ? (row[cols.team] || '').trim() : '';
+    if (teamColumn && issueKey.match(/^[A-Z]+-\d+$/)) {
+      currentTeam = teamColumn;
+      teamsSet.add(teamColumn);
+    }
+
     // Vérifier si c'est une ligne de résumé d'équipe
     if (!issueKey.match(/^[A-Z]+-\d+$/)) {
       const teamName = extractTeamName(firstCol);
@@ -251,16 +743,37 @@ export function parseUnifiedCSV(csvContent) {
     const closureSprint = allSprints.length > 0 ? allSprints[allSprints.length - 1] : null;
 
     const status = cols.status !== -1 ? (row[cols.status] || '') : '';
+    const type = cols.type !== -1 ? (row[cols.type] || 'Unknown') : 'Unknown';
+    const parentKey = cols.parent !== -1 ? extractIssueKey(row[cols.parent]) : null;
+    const createdDate = cols.createdDate !== -1 ? parseDate(row[cols.createdDate]) : null;
 
     // Exclure les tickets dont le statut indique qu'ils ne sont pas réellement dans le sprint
-    if (EXCLUDED_STATUSES.test(status.trim())) {
+    // (epics et enfants d'epic conservés à part pour l'avancement des epics)
+    if (isExcludedStatus(status, currentTeam)) {
+      if (isEpicType(type)) {
+        epics.push({ key: issueKey, summary: row[0] || '', status, team: currentTeam, createdDate, isFinished: false });
+      } else if (parentKey) {
+        backlogChildren.push({
+          key: issueKey,
+          summary: row[0] || '',
+          type,
+          status,
+          createdDate,
+          isFinished: false,
+          sprint: closureSprint,
+          sprints: allSprints,
+          storyPoints: cols.storyPoints !== -1 ? (parseInt(row[cols.storyPoints], 10) || 0) : 0,
+          parentKey,
+          team: currentTeam
+        });
+      }
       continue;
     }
 
     const closedDate = cols.closedDate !== -1 ? parseDate(row[cols.closedDate]) : null;
 
-    // Déterminer si le ticket est terminé (status contient "Terminé", "Done", "Fini", etc.)
-    const isFinished = /termin|done|fini|résolu|closed/i.test(status);
+    // Déterminer si le ticket est terminé (catégorie "Terminé" du workflow de l'équipe)
+    const isFinished = isFinishedStatus(status, currentTeam);
 
     // Cycle time : utiliser la valeur ou 1 jour par défaut pour les tickets terminés sans valeur
     let cycleTime = cols.cycleTime !== -1 ? (parseFloat(row[cols.cycleTime]) || 0) : 0;
@@ -272,8 +785,8 @@ export function parseUnifiedCSV(csvContent) {
     const ticket = {
       summary: row[0] || '',
       key: issueKey,
-      type: cols.type !== -1 ? (row[cols.type] || 'Unknown') : 'Unknown',
-      createdDate: cols.createdDate !== -1 ? parseDate(row[cols.createdDate]) : null,
+      type,
+      createdDate,
       status: status,
       cycleTime: cycleTime,
       closedDate: closedDate,
@@ -286,13 +799,25 @@ export function parseUnifiedCSV(csvContent) {
       // Nouvelles propriétés pour le forecast (optionnelles)
       storyPoints: cols.storyPoints !== -1 ? (parseInt(row[cols.storyPoints], 10) || 0) : 0,
       assignee: cols.assignee !== -1 ? (row[cols.assignee] || '').trim() : '',
+      // Epic parente (colonne Parent / Epic Link, optionnelle)
+      parentKey,
       // Équipe (détectée depuis la structure hiérarchique du CSV)
       team: currentTeam
     };
 
     tickets.push(ticket);
+
+    if (isEpicType(type)) {
+      epics.push({ key: issueKey, summary: ticket.summary, status, team: currentTeam, createdDate, isFinished });
+    }
+
+    // Conserver les indices de date des libellés de sprint
+    collectSprintMetadata(metadataMap, sprintsValue, currentTeam, ticket);
   }
 
+  // Table des métadonnées de sprint (dates indiquées dans les libellés)
+  const sprintMetadata = buildSprintMetadata(metadataMap);
+
   // Liste des équipes triées alphabétiquement
   const teams = [...teamsSet].sort((a, b) => a.localeCompare(b, 'fr'));
 
@@ -306,6 +831,9 @@ export function parseUnifiedCSV(csvContent) {
   return {
     tickets,
     teams,
+    sprintMetadata,
+    epics,
+    backlogChildren,
     summary: {
       total: tickets.length,
       closed: tickets.filter(t => t.closedDate).length,
@@ -350,12 +878,25 @@ function parseCSVRow(line) {
 
 /**
  * Parse une date string en objet Date
- * @param {string} dateStr - Format: "2025-12-01 10:00:00" ou "2025-12-01"
+ * @param {string} dateStr - Formats :
+ *   - ISO (EazyBI) : "2025-12-01 10:00:00" ou "2025-12-01"
+ *   - Français (Jira FR) : "05/01/2026 10:00", "05/01/2026", "05/01/26 10:00:00"
  * @returns {Date|null}
  */
 function parseDate(dateStr) {
   if (!dateStr || dateStr.trim() === '') return null;
 
+  // jj/mm/aaaa [HH:mm[:ss]] (heure locale)
+  const french = dateStr.trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (french) {
+    const [, day, month, yearStr, hours = 0, minutes = 0, seconds = 0] = french;
+    const year = yearStr.length === 2 ? 2000 + Number(yearStr) : Number(yearStr);
+    const date = new Date(year, month - 1, day, hours, minutes, seconds);
+
+    // Rejeter les dates impossibles (31/02, mois 13...)
+    return date.getDate() === Number(day) && date.getMonth() === month - 1 ? date : null;
+  }
+
   const date = new Date(dateStr.replace(' ', 'T'));
   return isNaN(date.getTime()) ? null : date;
 }
@@ -579,15 +1120,12 @@ export function aggregateBySprint(tickets) {
   // 1. Il n'est que dans ce sprint (pas de carry-over)
   // 2. Sa date de création est STRICTEMENT APRÈS le lundi de lancement du sprint
   //
-  // RÈGLE MÉTIER : Les sprints commencent le LUNDI des SEMAINES PAIRES
+  // RÈGLE MÉTIER : La date de début vient du calendrier de sprints de l'équipe
+  // du ticket (à défaut : lundi des SEMAINES PAIRES, convention fixe)
   const sprintArray = Array.from(sprintMap.values());
 
   sprintArray.forEach(sprintData => {
-    // Obtenir la date de début du sprint depuis la convention fixe (sprintDates.js)
-    // Cela garantit la cohérence avec burndownService
-    const { start: sprintStart } = getSprintDates(sprintData.sprint);
-
-    // Trouver les tickets single-sprint créés APRÈS le lundi de lancement
+    // Trouver les tickets single-sprint créés APRÈS le début du sprint
     const singleSprintTickets = tickets.filter(t =>
       t.sprint === sprintData.sprint &&
       t.isSingleSprint &&
@@ -595,11 +1133,20 @@ export function aggregateBySprint(tickets) {
     );
 
     singleSprintTickets.forEach(ticket => {
+      // Dates du sprint depuis le calendrier (sprintCalendarService)
+      // Cela garantit la cohérence avec burndownService
+      // (numéro répété dans le calendrier : période contenant la fermeture du ticket)
+      const { start: sprintStart } = getSprintDates(
+        sprintData.sprint,
+        ticket.team || undefined,
+        ticket.closedDate || ticket.createdDate
+      );
+
       // Comparer en jours (sans l'heure)
       const ticketCreatedDay = new Date(ticket.createdDate);
       ticketCreatedDay.setHours(0, 0, 0, 0);
 
-      // Strictement APRÈS le lundi de début du sprint
+      // Strictement APRÈS le jour de début du sprint
       if (ticketCreatedDay > sprintStart) {
         sprintData.midSprintAdditions.push({
           key: ticket.key,
@@ -653,6 +1200,22 @@ export function calculateStats(values, label = '') {
   };
 }
 
+/**
+ * Calcule un percentile (rang le plus proche, comme le P85 de calculateStats)
+ * @param {number[]} values
+ * @param {number} percentile - Entre 0 et 100 (ex: 85)
+ * @returns {number} - Arrondi au dixième, 0 si aucune valeur
+ */
+export function calculatePercentile(values, percentile) {
+  if (!values || values.length === 0) return 0;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.ceil(sorted.length * (percentile / 100)) - 1;
+  const value = sorted[Math.min(Math.max(index, 0), sorted.length - 1)];
+
+  return Math.round(value * 10) / 10;
+}
+
 // =========================================================================
 // TIME IN STATUS (nouveau format ticket-level avec équipes et sprints)
 // =========================================================================
@@ -932,5 +1495,17 @@ export default {
   aggregateTimeInStatus,
   aggregateByWeek,
   aggregateBySprint,
-  calculateStats
+  calculateStats,
+  calculatePercentile,
+  inferSprintCalendars,
+  detectSprintDateConflicts,
+  parseSprintNumbers,
+  isExcludedStatus,
+  isFinishedStatus,
+  isEpicType,
+  extractIssueKey,
+  readCSVHeader,
+  detectColumnMapping,
+  getMissingColumns,
+  CANONICAL_FIELDS
 };
@@ -0,0 +1,270 @@
+/**
+ * ==========================================================================
+ * CUMULATIVEFLOWSERVICE.JS - Diagramme de flux cumulé (CFD)
+ * ==========================================================================
+ *
+ * Compte, pour chaque jour ouvré de la période, le nombre de tickets dans
+ * chaque état du workflow de l'équipe (workflowService.js) :
+ * - Bande « À faire » : statuts de catégorie todo
+ * - Une bande par statut « en cours » / « en attente »
+ * - Bande « Terminé » : tickets fermés depuis le début de la période
+ * - Les statuts exclus (Backlog, affinage...) ne sont pas comptés
+ *
+ * Parcours de chaque ticket :
+ * - Chronologie exacte si la source contient le changelog (export Jira JSON)
+ * - Sinon, reconstitution depuis le Time in Status : statuts enchaînés dans
+ *   l'ordre du workflow en remontant depuis la date de fermeture (ou depuis
+ *   aujourd'hui pour un ticket ouvert). Les retours arrière sont ignorés.
+ *
+ * Goulot d'étranglement : bande de travail dont la largeur moyenne sur le
+ * dernier sprint dépasse nettement celle des sprints précédents.
+ *
+ * ==========================================================================
+ */
+
+import { workdaysBefore } from '../utils/dateUtils.js';
+import workflow, { STATUS_CATEGORIES } from './workflowService.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+const TODO_BAND = 'todo';
+const DONE_BAND = 'done';
+
+/**
+ * Couleurs des bandes agrégées (les statuts de travail gardent leur couleur du workflow)
+ */
+const BAND_COLORS = {
+  [TODO_BAND]: '#cbd5e1',
+  [DONE_BAND]: '#86efac'
+};
+
+/**
+ * Seuils de détection d'une bande qui s'élargit
+ */
+const BOTTLENECK_GROWTH = 1.5;      // Largeur moyenne × 1,5 vs sprints précédents
+const BOTTLENECK_MIN_TICKETS = 2;   // ... et au moins 2 tickets de plus
+
+// =========================================================================
+// PARCOURS D'UN TICKET
+// =========================================================================
+
+/**
+ * Reconstitue les périodes passées par un ticket dans chaque statut
+ * @param {Object} ticket - { status, team, isFinished, createdDate, closedDate, statusTimes?, timeline? }
+ * @param {Date} now - Instant de référence pour les tickets ouverts
+ * @returns {Array<Object>} - [{ status, start: Date, end: Date|null }] triées
+ */
+export function reconstructPeriods(ticket, now = new Date()) {
+  if (ticket.timeline?.length) {
+    return ticket.timeline.map(period => ({
+      status: period.status,
+      start: new Date(period.enteredAt),
+      end: period.leftAt ? new Date(period.leftAt) : null
+    }));
+  }
+
+  const team = ticket.team;
+  const closedDate = ticket.isFinished && ticket.closedDate ? new Date(ticket.closedDate) : null;
+  const statusTimes = ticket.statusTimes || {};
+  const statuses = workflow.sortStatuses(
+    Object.keys(statusTimes).filter(status =>
+      statusTimes[status] > 0 &&
+      ['todo', 'in-progress', 'wait'].includes(workflow.getStatusCategory(status, team))
+    ),
+    team
+  );
+
+  // Sans détail par statut : statut actuel depuis la fermeture (ou la création)
+  if (statuses.length === 0) {
+    const start = closedDate || (ticket.createdDate ? new Date(ticket.createdDate) : null);
+    return start ? [{ status: ticket.status, start, end: null }] : [];
+  }
+
+  // Dernière période : statut terminé ou statut actuel du ticket ouvert
+  const remaining = statuses.filter(status => closedDate || status !== ticket.status);
+  let cursor = closedDate || workdaysBefore(now, statusTimes[ticket.status] || 0);
+  const periods = [{ status: ticket.status, start: cursor, end: null }];
+
+  // Statuts précédents, en remontant le workflow
+  [...remaining].reverse().forEach(status => {
+    const start = workdaysBefore(cursor, statusTimes[status]);
+    periods.unshift({ status, start, end: cursor });
+    cursor = start;
+  });
+
+  return periods;
+}
+
+/**
+ * Retourne la période en cours à un instant donné
+ * @param {Array<Object>} periods - Résultat de reconstructPeriods
+ * @param {Date} instant
+ * @returns {Object|null} - { status, start, end }
+ */
+export function findPeriodAt(periods, instant) {
+  return periods.find(p => p.start <= instant && (!p.end || instant < p.end)) || null;
+}
+
+/**
+ * Retourne la bande du CFD d'un statut
+ * @param {string} status
+ * @param {string} [team]
+ * @returns {string|null} - TODO_BAND, DONE_BAND, nom du statut, ou null si exclu
+ */
+function bandForStatus(status, team) {
+  const category = workflow.getStatusCategory(status, team);
+  if (category === 'todo') return TODO_BAND;
+  if (category === 'done') return DONE_BAND;
+  if (category === 'excluded') return null;
+  return status;
+}
+
+// =========================================================================
+// CONSTRUCTION DU CFD
+// =========================================================================
+
+/**
+ * Liste les jours ouvrés d'une période (à minuit)
+ * @param {Date} start
+ * @param {Date} end
+ * @returns {Date[]}
+ */
+function listWorkdays(start, end) {
+  const days = [];
+  const cursor = new Date(start);
+  cursor.setHours(0, 0, 0, 0);
+
+  while (cursor <= end) {
+    if (cursor.getDay() !== 0 && cursor.getDay() !== 6) {
+      days.push(new Date(cursor));
+    }
+    cursor.setDate(cursor.getDate() + 1);
+  }
+
+  return days;
+}
+
+/**
+ * Construit le diagramme de flux cumulé
+ * @param {Array<Object>} tickets - Tickets filtrés (avec statusTimes et/ou timeline)
+ * @param {Object} options
+ * @param {Date} options.start - Début de la période (début du premier sprint)
+ * @param {Date} options.end - Fin de la période (fin du dernier sprint)
+ * @param {Array<Object>} [options.sprints] - Débuts de sprint [{ label, start: Date }]
+ * @param {string} [options.team] - Équipe dont le workflow ordonne et colore les bandes
+ * @param {Date} [options.now] - Instant de référence (tickets ouverts, période en cours)
+ * @returns {Object} - { days, labels, bands, boundaries, bottlenecks }
+ */
+export function buildCumulativeFlow(tickets, options) {
+  const { start, end, sprints = [], team, now = new Date() } = options;
+  const days = listWorkdays(start, end < now ? end : now);
+
+  // Les tickets fermés avant la période ne sont pas comptés
+  const tracked = tickets
+    .filter(t => !(t.isFinished && t.closedDate && new Date(t.closedDate) < start))
+    .map(t => ({ team: t.team, periods: reconstructPeriods(t, now) }))
+    .filter(t => t.periods.length > 0);
+
+  const counts = new Map();
+  days.forEach((day, index) => {
+    // Photo du flux en fin de journée
+    const instant = new Date(day);
+    instant.setHours(23, 59, 59, 999);
+    if (instant > now) instant.setTime(now.getTime());
+
+    tracked.forEach(ticket => {
+      const status = findPeriodAt(ticket.periods, instant)?.status;
+      const band = status ? bandForStatus(status, ticket.team) : null;
+      if (!band) return;
+
+      if (!counts.has(band)) counts.set(band, new Array(days.length).fill(0));
+      counts.get(band)[index]++;
+    });
+  });
+
+  // Bandes de l'amont (À faire) vers l'aval (Terminé)
+  const workStatuses = workflow.sortStatuses(
+    [...counts.keys()].filter(band => band !== TODO_BAND && band !== DONE_BAND),
+    team
+  );
+  const emptyCounts = () => new Array(days.length).fill(0);
+  const bands = [
+    { key: TODO_BAND, label: STATUS_CATEGORIES.todo, category: 'todo', color: BAND_COLORS[TODO_BAND] },
+    ...workStatuses.map(status => ({
+      key: status,
+      label: status,
+      category: workflow.getStatusCategory(status, team),
+      color: workflow.getStatusColor(status, team)
+    })),
+    { key: DONE_BAND, label: STATUS_CATEGORIES.done, category: 'done', color: BAND_COLORS[DONE_BAND] }
+  ].map(band => ({ ...band, counts: counts.get(band.key) || emptyCounts() }));
+
+  // Limites de sprint (premier jour ouvré de chaque sprint)
+  const boundaries = sprints
+    .map(sprint => {
+      const sprintStart = new Date(sprint.start);
+      sprintStart.setHours(0, 0, 0, 0);
+      return { label: sprint.label, index: days.findIndex(day => day >= sprintStart) };
+    })
+    .filter(boundary => boundary.index !== -1);
+
+  const bottlenecks = detectBottlenecks(bands, boundaries);
+  const flagged = new Set(bottlenecks.map(b => b.status));
+
+  return {
+    days,
+    labels: days.map(d => d.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' })),
+    bands: bands.map(band => ({ ...band, isBottleneck: flagged.has(band.key) })),
+    boundaries,
+    bottlenecks
+  };
+}
+
+// =========================================================================
+// GOULOTS D'ÉTRANGLEMENT
+// =========================================================================
+
+/**
+ * Repère les bandes de travail qui s'élargissent sur le dernier sprint
+ * (largeur moyenne comparée à celle des sprints précédents de la période)
+ * @param {Array<Object>} bands - Bandes du CFD
+ * @param {Array<Object>} boundaries - Limites de sprint [{ index, label }]
+ * @returns {Array<Object>} - [{ status, previousAvg, currentAvg, growth }]
+ */
+export function detectBottlenecks(bands, boundaries) {
+  const lastStart = boundaries.length >= 2 ? boundaries[boundaries.length - 1].index : -1;
+  if (lastStart <= 0) return [];
+
+  const average = values => values.reduce((a, b) => a + b, 0) / Math.max(values.length, 1);
+  const round = value => Math.round(value * 10) / 10;
+
+  return bands
+    .filter(band => band.category === 'in-progress' || band.category === 'wait')
+    .map(band => {
+      const previousAvg = average(band.counts.slice(0, lastStart));
+      const currentAvg = average(band.counts.slice(lastStart));
+      return {
+        status: band.key,
+        previousAvg: round(previousAvg),
+        currentAvg: round(currentAvg),
+        growth: previousAvg > 0 ? Math.round((currentAvg / previousAvg - 1) * 100) : null,
+        delta: currentAvg - previousAvg
+      };
+    })
+    .filter(b => b.delta >= BOTTLENECK_MIN_TICKETS && b.currentAvg >= b.previousAvg * BOTTLENECK_GROWTH)
+    .sort((a, b) => b.delta - a.delta)
+    .map(({ delta, ...bottleneck }) => bottleneck);
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  reconstructPeriods,
+  findPeriodAt,
+  buildCumulativeFlow,
+  detectBottlenecks
+};
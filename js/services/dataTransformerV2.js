@@ -8,23 +8,54 @@
  *
  * CYCLE TIME (IMPORTANT) :
  * - Le Cycle Time est enrichi depuis le Time in Status CSV (somme des temps
- *   dans tous les statuts de travail : En cours, Code Review, etc.)
+ *   dans les statuts "en cours" et "en attente" du workflow de l'équipe)
  * - Si le Time in Status n'est pas disponible, fallback sur Progress workdays
  *   (qui est en fait le Lead Time, moins précis)
  * - Les Bugs sont EXCLUS du calcul du Cycle Time moyen (métrique séparée)
  *
+ * WORKFLOW :
+ * - Le statut terminé / exclu des tickets est réévalué avec le workflow de
+ *   l'équipe (workflowService) : une modification s'applique sans recharger
+ *
+ * FLOW EFFICIENCY :
+ * - Temps actif (statuts "en cours") / Cycle Time (statuts "en cours" + "en attente")
+ * - Calculée par sprint de fermeture et par type de ticket (Time in Status requis)
+ *
+ * CFD (DIAGRAMME DE FLUX CUMULÉ) :
+ * - Nombre de tickets par état du workflow, jour par jour, sur les 6 sprints
+ *   affichés (Time in Status requis ; chronologie exacte avec le changelog)
+ *
+ * VIEILLISSEMENT DU WIP :
+ * - Tickets en cours à la fin du sprint sélectionné, par statut, avec leur âge
+ *   (jours ouvrés depuis le début du travail) comparé aux percentiles de Cycle Time
+ *
+ * FLUX DES TICKETS :
+ * - Si la source contient le changelog (export Jira JSON), la chronologie
+ *   par ticket et les retours arrière par sprint sont exposés (statusFlow)
+ *
+ * PORTEFEUILLE :
+ * - Indicateurs clés par équipe (throughput, Cycle Time, ratio de bugs,
+ *   complétion SP, WIP) sur un axe de sprints commun à toutes les équipes
+ *
  * LOGIQUE SPRINT :
- * - Sprint = 2 semaines consécutives (14 jours)
- * - Référence : Sprint 18 = 2 février 2026
+ * - Dates de sprint issues du calendrier de l'équipe (sprintCalendarService)
+ * - À défaut : 2 semaines consécutives, référence Sprint 18 = 2 février 2026
  * - Sprint de fermeture = dernier sprint de la liste "Issue Sprints"
  * - On affiche les 6 derniers sprints avec des tickets fermés
  *
  * ==========================================================================
  */
 
-import { aggregateBySprint, calculateStats, aggregateTimeInStatus } from './csvParserV2.js';
+import { aggregateBySprint, calculateStats, calculatePercentile, aggregateTimeInStatus } from './csvParserV2.js';
 import monteCarloService from './monteCarloService.js';
 import { calculateBurndown } from './burndownService.js';
+import { getSprintDates, getSprintNumberForDate, getSprintReferenceDate } from './sprintCalendarService.js';
+import { workdaysBetween } from '../utils/dateUtils.js';
+import { SPRINT_DURATION } from '../utils/sprintDates.js';
+import { inferStatusOrder, classifyTransitions, countBackflowsBySprint } from './statusTimelineService.js';
+import { buildCumulativeFlow, reconstructPeriods, findPeriodAt } from './cumulativeFlowService.js';
+import workflow from './workflowService.js';
+import { getWorkdaysInRange } from './capacityCalendarService.js';
 
 // =========================================================================
 // PEARSON CORRELATION
@@ -138,28 +169,14 @@ export function getAvailableSprints(tickets) {
 // =========================================================================
 
 /**
- * Transforme toutes les données V2
+ * Prépare les tickets d'une sélection d'équipes : filtrage par équipe,
+ * statut terminé / exclu réévalué avec le workflow, Cycle Time enrichi
+ * depuis le Time in Status
  * @param {Object} rawData - { tickets, timeInStatus }
- * @param {number|null} selectedSprint - Numéro du sprint sélectionné (optionnel)
- * @param {string[]} selectedTeams - Équipes sélectionnées pour le filtrage Time in Status
- * @returns {Object} - Format compatible avec les graphiques V1
+ * @param {string[]} selectedTeams - Équipes sélectionnées (toutes si vide)
+ * @returns {Array} - Copie enrichie des tickets
  */
-export function transformAllDataV2(rawData, selectedSprint = null, selectedTeams = []) {
-  const result = {
-    throughput: null,
-    cycleTime: null,
-    timeInStatus: null,
-    bugs: null,
-    storyPoints: null,  // Story Points calculés depuis le CSV
-    wip: null,          // WIP individuel moyen
-    correlation: null,  // Corrélation Pearson SP/Cycle Time
-    burndown: null      // Burndown chart du sprint sélectionné
-  };
-
-  if (!rawData.tickets || rawData.tickets.length === 0) {
-    return result;
-  }
-
+function prepareTickets(rawData, selectedTeams) {
   // FILTRER PAR ÉQUIPE si des équipes sont sélectionnées
   let filteredTickets = rawData.tickets;
   if (selectedTeams && selectedTeams.length > 0) {
@@ -167,11 +184,21 @@ export function transformAllDataV2(rawData, selectedSprint = null, selectedTeams
     console.log(`[V2 Transformer] Filtrage par équipe: ${filteredTickets.length}/${rawData.tickets.length} tickets (équipes: ${selectedTeams.join(', ')})`);
   }
 
+  // Statuts déclarés dans le workflow de l'équipe : ils priment sur le parsing
+  // (les statuts non déclarés gardent la classification du parser).
+  // Copie des tickets : l'enrichissement ci-dessous ne modifie pas les données brutes
+  filteredTickets = filteredTickets
+    .filter(t => workflow.findStatus(t.status, t.team)?.category !== 'excluded')
+    .map(t => {
+      const declared = workflow.findStatus(t.status, t.team);
+      return { ...t, isFinished: declared ? declared.category === 'done' : t.isFinished };
+    });
+
   // ==========================================================================
   // ENRICHISSEMENT CYCLE TIME (CRITIQUE)
   // ==========================================================================
   // Le Cycle Time réel = somme des temps dans les statuts de travail
-  // Source : Time in Status CSV (En cours + Code Review + A tester + etc.)
+  // Source : Time in Status CSV, statuts "en cours" et "en attente" du workflow
   //
   // ATTENTION : Si le Time in Status n'est pas chargé, le Cycle Time utilisera
   // "Progress workdays" qui est en fait le Lead Time (création → fermeture),
@@ -184,10 +211,11 @@ export function transformAllDataV2(rawData, selectedSprint = null, selectedTeams
 
     filteredTickets.forEach(ticket => {
       const tisTicket = tisMap.get(ticket.key);
-      if (tisTicket && tisTicket.totalTime > 0) {
+      const workTime = tisTicket ? workflow.sumWorkTime(tisTicket.statusTimes, ticket.team) : 0;
+      if (workTime > 0) {
         // Remplacer cycleTime par le temps réel (somme des temps de statut)
         // C'est le VRAI Cycle Time : temps de travail effectif
-        ticket.cycleTime = tisTicket.totalTime;
+        ticket.cycleTime = workTime;
         // Stocker les détails par statut pour référence
         ticket.statusTimes = tisTicket.statusTimes;
         enrichedCount++;
@@ -204,6 +232,43 @@ export function transformAllDataV2(rawData, selectedSprint = null, selectedTeams
     console.warn(`[V2 Transformer] ATTENTION: Time in Status non chargé. Le Cycle Time utilisera "Progress workdays" (Lead Time) au lieu du vrai Cycle Time.`);
   }
 
+  return filteredTickets;
+}
+
+/**
+ * Transforme toutes les données V2
+ * @param {Object} rawData - { tickets, timeInStatus }
+ * @param {number|null} selectedSprint - Numéro du sprint sélectionné (optionnel)
+ * @param {string[]} selectedTeams - Équipes sélectionnées pour le filtrage Time in Status
+ * @returns {Object} - Format compatible avec les graphiques V1
+ */
+export function transformAllDataV2(rawData, selectedSprint = null, selectedTeams = []) {
+  const result = {
+    throughput: null,
+    cycleTime: null,
+    cycleTimeScatter: null, // Cycle Time par ticket fermé (nuage de points)
+    timeInStatus: null,
+    bugs: null,
+    storyPoints: null,  // Story Points calculés depuis le CSV
+    flowEfficiency: null, // Temps actif / Cycle Time (Time in Status requis)
+    cumulativeFlow: null, // Tickets par état du workflow et par jour (Time in Status requis)
+    wip: null,          // WIP individuel moyen
+    agingWip: null,     // Âge des tickets en cours à la fin du sprint sélectionné
+    correlation: null,  // Corrélation Pearson SP/Cycle Time
+    burndown: null,     // Burndown chart du sprint sélectionné
+    statusFlow: null    // Chronologie des statuts et retours arrière (changelog requis)
+  };
+
+  if (!rawData.tickets || rawData.tickets.length === 0) {
+    return result;
+  }
+
+  // Calendrier de sprints : celui de l'équipe si une seule est sélectionnée,
+  // sinon celui de l'équipe active (ou le calendrier par défaut)
+  const calendarTeam = selectedTeams && selectedTeams.length === 1 ? selectedTeams[0] : undefined;
+
+  const filteredTickets = prepareTickets(rawData, selectedTeams);
+
   // Agréger les tickets par sprint (ne retourne que les sprints avec des tickets fermés)
   const sprintData = aggregateBySprint(filteredTickets);
 
@@ -227,6 +292,7 @@ export function transformAllDataV2(rawData, selectedSprint = null, selectedTeams
 
   // Cycle Time
   result.cycleTime = transformCycleTimeV2(displayedSprints);
+  result.cycleTimeScatter = transformCycleTimeScatterV2(displayedSprints, filteredTickets);
 
   // Bugs
   result.bugs = transformBugsV2(displayedSprints, filteredTickets);
@@ -236,18 +302,38 @@ export function transformAllDataV2(rawData, selectedSprint = null, selectedTeams
 
   // Time in Status (nouveau format avec filtrage par équipe/sprint)
   if (rawData.timeInStatus) {
-    result.timeInStatus = transformTimeInStatusV2(rawData.timeInStatus, selectedTeams, targetSprint);
+    result.timeInStatus = transformTimeInStatusV2(rawData.timeInStatus, selectedTeams, targetSprint, calendarTeam);
+  }
+
+  // Flow Efficiency (uniquement avec le détail des temps par statut)
+  if (rawData.timeInStatus?.tickets) {
+    result.flowEfficiency = transformFlowEfficiencyV2(displayedSprints, filteredTickets);
+  }
+
+  // CFD (uniquement avec le détail des temps par statut)
+  if (rawData.timeInStatus?.tickets && displayedSprints.length > 0) {
+    result.cumulativeFlow = transformCumulativeFlowV2(rawData.timeInStatus, filteredTickets, displayedSprints, calendarTeam);
   }
 
   // WIP individuel moyen
-  result.wip = transformWipV2(displayedSprints, filteredTickets);
+  result.wip = transformWipV2(displayedSprints, filteredTickets, calendarTeam);
+
+  // Vieillissement du WIP à la fin du sprint sélectionné
+  if (targetSprint) {
+    result.agingWip = transformAgingWipV2(displayedSprints, filteredTickets, rawData.timeInStatus, targetSprint, calendarTeam);
+  }
 
   // Corrélation Pearson Story Points / Cycle Time
   result.correlation = transformCorrelationV2(displayedSprints, filteredTickets);
 
   // Burndown chart pour le sprint sélectionné
   if (targetSprint) {
-    result.burndown = calculateBurndown(filteredTickets, targetSprint);
+    result.burndown = calculateBurndown(filteredTickets, targetSprint, calendarTeam);
+  }
+
+  // Flux des tickets (uniquement si la source fournit une chronologie)
+  if (rawData.timeInStatus?.hasTimeline) {
+    result.statusFlow = transformStatusFlowV2(rawData.timeInStatus, filteredTickets, displayedSprints, targetSprint, calendarTeam);
   }
 
   return result;
@@ -372,6 +458,73 @@ function transformCycleTimeV2(sprintData) {
   };
 }
 
+// =========================================================================
+// CYCLE TIME - NUAGE DE POINTS
+// =========================================================================
+
+/**
+ * Percentiles affichés sur le nuage de points
+ */
+const SCATTER_PERCENTILES = [50, 70, 85, 95];
+
+/**
+ * Calcule les percentiles de Cycle Time d'une liste de points
+ * @param {Array} points - [{ cycleTime }]
+ * @returns {Object} - { p50, p70, p85, p95 }
+ */
+function computeScatterPercentiles(points) {
+  const values = points.map(p => p.cycleTime);
+  return Object.fromEntries(
+    SCATTER_PERCENTILES.map(p => [`p${p}`, calculatePercentile(values, p)])
+  );
+}
+
+/**
+ * Prépare le nuage de points Cycle Time : un point par ticket fermé dans
+ * les sprints affichés (date de fermeture × Cycle Time)
+ * Les percentiles sont calculés avec et sans les bugs (option d'affichage)
+ * @param {Array} sprintData - Sprints affichés
+ * @param {Array} allTickets - Tickets filtrés par équipe
+ * @returns {Object|null} - { points, types, percentiles: { all, withoutBugs } }
+ */
+function transformCycleTimeScatterV2(sprintData, allTickets) {
+  const sprintNumbers = sprintData.map(s => s.sprint);
+
+  const points = allTickets
+    .filter(t => t.isFinished && t.closedDate && t.cycleTime > 0 && sprintNumbers.includes(t.sprint))
+    .map(t => ({
+      key: t.key,
+      summary: t.summary,
+      assignee: t.assignee || '',
+      type: t.type || 'Unknown',
+      isBug: t.type === 'Bug',
+      sprint: t.sprint,
+      closedDate: t.closedDate,
+      cycleTime: Math.round(t.cycleTime * 10) / 10
+    }))
+    .sort((a, b) => a.closedDate - b.closedDate);
+
+  if (points.length === 0) {
+    return null;
+  }
+
+  // Types triés par nombre de tickets (légende)
+  const typeCounts = new Map();
+  points.forEach(p => typeCounts.set(p.type, (typeCounts.get(p.type) || 0) + 1));
+  const types = [...typeCounts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([type]) => type);
+
+  const percentiles = {
+    all: computeScatterPercentiles(points),
+    withoutBugs: computeScatterPercentiles(points.filter(p => !p.isBug))
+  };
+
+  console.log('[V2 CycleTime Scatter]', points.length, 'tickets - P85:', percentiles.all.p85, 'j (hors bugs:', percentiles.withoutBugs.p85, 'j)');
+
+  return { points, types, percentiles };
+}
+
 // =========================================================================
 // BUGS
 // =========================================================================
@@ -617,57 +770,29 @@ function subtractWorkdays(date, workdays) {
   return result;
 }
 
-/**
- * Vérifie si une date est un jour ouvré (lundi-vendredi)
- * @param {Date} date
- * @returns {boolean}
- */
-function isWorkday(date) {
-  const day = date.getDay();
-  return day !== 0 && day !== 6;
-}
-
-/**
- * Génère la liste des jours ouvrés dans une période
- * @param {Date} startDate - Date de début (incluse)
- * @param {Date} endDate - Date de fin (incluse)
- * @returns {Date[]} - Liste des jours ouvrés
- */
-function getWorkdaysInRange(startDate, endDate) {
-  const workdays = [];
-  const current = new Date(startDate);
-  current.setHours(0, 0, 0, 0);
-
-  const end = new Date(endDate);
-  end.setHours(23, 59, 59, 999);
-
-  while (current <= end) {
-    if (isWorkday(current)) {
-      workdays.push(new Date(current));
-    }
-    current.setDate(current.getDate() + 1);
-  }
-
-  return workdays;
-}
-
 /**
  * Calcule le WIP (Work In Progress) individuel moyen par sprint
  * NOUVELLE MÉTHODE: mesure jour par jour le nombre de tickets en cours par personne
  *
  * @param {Array} sprintData - Données agrégées par sprint
  * @param {Array} allTickets - Tous les tickets
+ * @param {string|null} [team] - Équipe dont le calendrier est utilisé
  * @returns {Object} - Données WIP formatées
  */
-function transformWipV2(sprintData, allTickets) {
+function transformWipV2(sprintData, allTickets, team) {
   // Calculer le WIP pour chaque sprint
   const wipBySprint = sprintData.map(sprint => {
-    // Déterminer la période du sprint (2 semaines = 10 jours ouvrés)
-    // On utilise maxDate comme fin de sprint, et on remonte de 10 jours ouvrés
-    const sprintEnd = sprint.maxDate ? new Date(sprint.maxDate) : new Date();
-    const sprintStart = subtractWorkdays(sprintEnd, 9); // 10 jours = jour 0 à jour 9
+    // Période du sprint issue du calendrier (ou de la convention fixe)
+    // Un sprint en cours est borné à aujourd'hui
+    const { start: sprintStart, end: calendarEnd } = getSprintDates(
+      sprint.sprint,
+      team,
+      getSprintReferenceDate(allTickets, sprint.sprint)
+    );
+    const now = new Date();
+    const sprintEnd = calendarEnd > now ? now : calendarEnd;
 
-    // Générer tous les jours ouvrés du sprint
+    // Générer tous les jours ouvrés du sprint (hors jours fériés et jours off d'équipe)
     const workdays = getWorkdaysInRange(sprintStart, sprintEnd);
 
     if (workdays.length === 0) {
@@ -807,6 +932,112 @@ function transformWipV2(sprintData, allTickets) {
   };
 }
 
+// =========================================================================
+// VIEILLISSEMENT DU WIP (âge des tickets en cours)
+// =========================================================================
+
+/**
+ * Zones d'âge (bornes hautes = percentiles de Cycle Time des tickets fermés)
+ */
+const AGING_ZONES = [
+  { key: 'ok', percentile: 50 },
+  { key: 'watch', percentile: 70 },
+  { key: 'warning', percentile: 85 },
+  { key: 'risk', percentile: null }  // Au-delà du P85
+];
+
+/**
+ * Ajoute aux tickets la chronologie des statuts issue du changelog (si disponible)
+ * @param {Object|null} data - Time in Status { tickets }
+ * @param {Array} filteredTickets
+ * @returns {Object} - { tickets, hasTimeline }
+ */
+function attachTimelines(data, filteredTickets) {
+  const timelines = new Map(
+    (data?.tickets || []).filter(t => t.timeline?.length).map(t => [t.key, t.timeline])
+  );
+
+  return {
+    tickets: filteredTickets.map(t => ({ ...t, timeline: timelines.get(t.key) })),
+    hasTimeline: timelines.size > 0
+  };
+}
+
+/**
+ * Liste les tickets en cours à la fin du sprint sélectionné avec leur âge
+ * - Statut = statut du ticket à la fin du sprint (catégories « en cours » / « en attente »)
+ * - Âge = jours ouvrés depuis l'entrée dans le premier statut de travail
+ * - Zone = position de l'âge par rapport aux P50 / P70 / P85 du Cycle Time
+ *   des tickets fermés (hors bugs) sur les sprints affichés
+ * @param {Array} sprintData - Sprints affichés
+ * @param {Array} allTickets - Tickets filtrés par équipe
+ * @param {Object|null} tisData - Time in Status (chronologie si changelog)
+ * @param {number} targetSprint - Sprint sélectionné
+ * @param {string|null} [team] - Équipe dont le calendrier et le workflow sont utilisés
+ * @returns {Object|null} - { sprintLabel, asOf, statuses, tickets, percentiles, atRiskCount, hasHistory, isExact }
+ */
+function transformAgingWipV2(sprintData, allTickets, tisData, targetSprint, team) {
+  const now = new Date();
+  const sprintEnd = new Date(getSprintDates(targetSprint, team, getSprintReferenceDate(allTickets, targetSprint)).end);
+  sprintEnd.setHours(23, 59, 59, 999);
+  const asOf = sprintEnd < now ? sprintEnd : now;
+
+  const cycleTimes = sprintData.flatMap(s => s.cycleTimes || []);
+  const percentiles = Object.fromEntries(
+    AGING_ZONES.filter(z => z.percentile).map(z => [`p${z.percentile}`, calculatePercentile(cycleTimes, z.percentile)])
+  );
+  const zoneFor = age => (
+    AGING_ZONES.find(z => z.percentile && age <= percentiles[`p${z.percentile}`]) || AGING_ZONES[AGING_ZONES.length - 1]
+  ).key;
+
+  const { tickets, hasTimeline } = attachTimelines(tisData, allTickets);
+  const aging = tickets
+    .filter(t => !(t.createdDate && new Date(t.createdDate) > asOf))
+    .filter(t => !(t.isFinished && t.closedDate && new Date(t.closedDate) <= asOf))
+    .map(ticket => {
+      const periods = reconstructPeriods(ticket, now);
+      const current = findPeriodAt(periods, asOf);
+      if (!current || !workflow.isWorkStatus(current.status, ticket.team)) return null;
+
+      const workStart = periods.find(p => p.start <= asOf && workflow.isWorkStatus(p.status, ticket.team))?.start || current.start;
+      const age = Math.round(workdaysBetween(workStart, asOf) * 10) / 10;
+
+      return {
+        key: ticket.key,
+        summary: ticket.summary,
+        assignee: ticket.assignee || '',
+        type: ticket.type,
+        status: current.status,
+        workStart,
+        age,
+        zone: cycleTimes.length > 0 ? zoneFor(age) : 'ok'
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.age - a.age);
+
+  if (aging.length === 0) {
+    return null;
+  }
+
+  const statuses = workflow.sortStatuses([...new Set(aging.map(t => t.status))], team);
+  const atRiskCount = aging.filter(t => t.zone === 'risk').length;
+  const target = sprintData.find(s => s.sprint === targetSprint);
+
+  console.log('[V2 Aging WIP]', aging.length, 'tickets en cours fin', target?.label || targetSprint, '-', atRiskCount, 'au-delà du P85 (', percentiles.p85, 'j)');
+
+  return {
+    sprintLabel: target?.label || `Sprint ${targetSprint}`,
+    asOf,
+    statuses,
+    tickets: aging,
+    percentiles,
+    atRiskCount,
+    hasHistory: cycleTimes.length > 0,
+    isExact: hasTimeline
+  };
+}
+
 // =========================================================================
 // CORRELATION PEARSON (Story Points vs Cycle Time)
 // =========================================================================
@@ -956,12 +1187,14 @@ function transformCorrelationV2(sprintData, allTickets) {
 
 /**
  * Transforme les données Time in Status avec filtrage par équipe et sprint
+ * Seuls les statuts de travail du workflow sont affichés, dans l'ordre du workflow
  * @param {Object} data - Données parsées { tickets, teams, statuses, summary }
  * @param {string[]} selectedTeams - Équipes sélectionnées
  * @param {number} targetSprint - Sprint cible
+ * @param {string|null} [team] - Équipe dont le workflow est utilisé
  * @returns {Object} - Données formatées pour les graphiques
  */
-function transformTimeInStatusV2(data, selectedTeams = [], targetSprint = null) {
+function transformTimeInStatusV2(data, selectedTeams = [], targetSprint = null, team) {
   // Gérer l'ancien format (array) pour rétrocompatibilité
   if (Array.isArray(data)) {
     console.log('[TimeInStatus V2] Ancien format détecté, conversion...');
@@ -980,17 +1213,26 @@ function transformTimeInStatusV2(data, selectedTeams = [], targetSprint = null)
     return null;
   }
 
+  // Statuts de travail (Cycle Time) dans l'ordre du workflow
+  const workStatuses = workflow.sortStatuses(
+    (data.statuses || []).filter(status => workflow.isWorkStatus(status, team)),
+    team
+  );
+  const workData = { ...data, statuses: workStatuses };
+
   // Agréger avec filtrage par équipe et sprint
   // Pour "6 sprints" = utiliser targetSprint avec range 6
   // Pour "dernier sprint" = utiliser targetSprint avec range 1
-  const aggregated6Sprints = aggregateTimeInStatus(data, selectedTeams, targetSprint, 6);
-  const aggregatedLastSprint = aggregateTimeInStatus(data, selectedTeams, targetSprint, 1);
+  const aggregated6Sprints = aggregateTimeInStatus(workData, selectedTeams, targetSprint, 6);
+  const aggregatedLastSprint = aggregateTimeInStatus(workData, selectedTeams, targetSprint, 1);
 
   console.log('[TimeInStatus V2] Agrégation 6 sprints:', aggregated6Sprints);
   console.log('[TimeInStatus V2] Agrégation dernier sprint:', aggregatedLastSprint);
 
   return {
     labels: aggregated6Sprints.labels,
+    colors: aggregated6Sprints.labels.map(status => workflow.getStatusColor(status, team)),
+    categories: aggregated6Sprints.labels.map(status => workflow.getStatusCategory(status, team)),
     // 12w = 6 derniers sprints (équivalent)
     values12w: aggregated6Sprints.values,
     pct12w: aggregated6Sprints.pct,
@@ -1000,6 +1242,297 @@ function transformTimeInStatusV2(data, selectedTeams = [], targetSprint = null)
   };
 }
 
+// =========================================================================
+// FLOW EFFICIENCY (temps actif / temps de cycle)
+// =========================================================================
+
+/**
+ * Calcule la Flow Efficiency par sprint et par type de ticket
+ * Ratio pondéré : somme des temps actifs / somme des Cycle Time des tickets
+ * fermés (un ticket long pèse plus qu'un ticket court)
+ * @param {Array} sprintData - Sprints affichés
+ * @param {Array} allTickets - Tickets filtrés par équipe (enrichis avec statusTimes)
+ * @returns {Object|null} - { currentValue, previousAvg, trend, periodValue, weeks, values, byType, ... }
+ */
+function transformFlowEfficiencyV2(sprintData, allTickets) {
+  const sprintNumbers = sprintData.map(s => s.sprint);
+
+  // Tickets fermés dans les sprints affichés avec un détail par statut
+  const measured = allTickets
+    .filter(t => t.isFinished && t.closedDate && t.statusTimes && sprintNumbers.includes(t.sprint))
+    .map(t => ({ ticket: t, ...workflow.splitWorkTime(t.statusTimes, t.team) }))
+    .filter(m => m.active + m.wait > 0);
+
+  if (measured.length === 0) {
+    console.log('[V2 Flow Efficiency] Aucun ticket avec temps par statut');
+    return null;
+  }
+
+  const summarize = (items) => {
+    const active = items.reduce((sum, m) => sum + m.active, 0);
+    const wait = items.reduce((sum, m) => sum + m.wait, 0);
+    return {
+      value: active + wait > 0 ? Math.round((active / (active + wait)) * 100) : null,
+      activeDays: Math.round(active * 10) / 10,
+      waitDays: Math.round(wait * 10) / 10,
+      ticketCount: items.length
+    };
+  };
+
+  const sprints = sprintData.map(s => ({
+    label: s.label,
+    ...summarize(measured.filter(m => m.ticket.sprint === s.sprint))
+  }));
+
+  const current = sprints[sprints.length - 1];
+  const previousValues = sprints.slice(0, -1).map(s => s.value).filter(v => v !== null);
+  const previousAvg = previousValues.length > 0
+    ? Math.round(previousValues.reduce((a, b) => a + b, 0) / previousValues.length)
+    : null;
+
+  // Tendance en points de pourcentage vs moyenne des sprints précédents
+  const trend = current.value !== null && previousAvg !== null
+    ? current.value - previousAvg
+    : null;
+
+  // Ventilation par type de ticket (sprint courant)
+  const currentSprint = sprintNumbers[sprintNumbers.length - 1];
+  const byTypeMap = new Map();
+  measured
+    .filter(m => m.ticket.sprint === currentSprint)
+    .forEach(m => {
+      const type = m.ticket.type || 'Unknown';
+      if (!byTypeMap.has(type)) byTypeMap.set(type, []);
+      byTypeMap.get(type).push(m);
+    });
+
+  const byType = [...byTypeMap.entries()]
+    .map(([type, items]) => ({ type, ...summarize(items) }))
+    .sort((a, b) => b.ticketCount - a.ticketCount);
+
+  console.log('[V2 Flow Efficiency] Par sprint:', sprints.map(s => `${s.label}: ${s.value ?? '-'}%`).join(', '));
+
+  return {
+    currentValue: current.value,
+    previousAvg,
+    trend,
+    periodValue: summarize(measured).value,
+    activeDays: current.activeDays,
+    waitDays: current.waitDays,
+    ticketCount: current.ticketCount,
+    weeks: sprints.map(s => s.label),
+    values: sprints.map(s => s.value),
+    history: sprints,
+    byType
+  };
+}
+
+// =========================================================================
+// CFD (DIAGRAMME DE FLUX CUMULÉ)
+// =========================================================================
+
+/**
+ * Prépare le CFD des sprints affichés
+ * Les bornes de la période et les limites de sprint viennent de sprintCalendarService
+ * @param {Object} data - Time in Status { tickets } (avec timeline si changelog)
+ * @param {Array} filteredTickets - Tickets filtrés par équipe (enrichis avec statusTimes)
+ * @param {Array} sprintData - Sprints affichés
+ * @param {string|null} [team] - Équipe dont le calendrier et le workflow sont utilisés
+ * @returns {Object|null} - { days, labels, bands, boundaries, bottlenecks, isExact }
+ */
+function transformCumulativeFlowV2(data, filteredTickets, sprintData, team) {
+  const { tickets, hasTimeline } = attachTimelines(data, filteredTickets);
+
+  const datesOf = sprint => getSprintDates(sprint, team, getSprintReferenceDate(filteredTickets, sprint));
+  const sprints = sprintData.map(s => ({ label: s.label, start: datesOf(s.sprint).start }));
+  const { end } = datesOf(sprintData[sprintData.length - 1].sprint);
+
+  const flow = buildCumulativeFlow(tickets, { start: sprints[0].start, end, sprints, team });
+  if (flow.days.length === 0) {
+    return null;
+  }
+
+  console.log('[V2 CFD]', flow.days.length, 'jours,', flow.bands.length, 'bandes - goulots:', flow.bottlenecks.map(b => b.status).join(', ') || 'aucun');
+
+  // Chronologie exacte uniquement si la source fournit le changelog
+  return { ...flow, isExact: hasTimeline };
+}
+
+// =========================================================================
+// FLUX DES TICKETS (chronologie des statuts depuis le changelog)
+// =========================================================================
+
+/**
+ * Prépare la chronologie des tickets du sprint cible et les retours arrière par sprint
+ * @param {Object} data - Time in Status avec chronologie { tickets, statusOrder }
+ * @param {Array} filteredTickets - Tickets filtrés par équipe
+ * @param {Array} sprintData - Sprints affichés
+ * @param {number} targetSprint - Sprint cible
+ * @param {string|null} [team] - Équipe dont le calendrier est utilisé
+ * @returns {Object} - { sprints, backflows, reopens, statusOrder, statusColors, tickets, totalBackflows, totalReopens }
+ */
+function transformStatusFlowV2(data, filteredTickets, sprintData, targetSprint, team) {
+  const ticketMap = new Map(filteredTickets.map(t => [t.key, t]));
+
+  // Ordre et retours arrière réévalués avec le workflow courant de l'équipe
+  const statusOrder = inferStatusOrder(data.tickets.map(t => t.timeline || []), team);
+  const flowTickets = data.tickets
+    .filter(t => ticketMap.has(t.key) && t.timeline?.length)
+    .map(t => ({ ...t, transitions: classifyTransitions(t.timeline, statusOrder, t.team) }));
+
+  const sprintNumbers = sprintData.map(s => s.sprint);
+  const counts = countBackflowsBySprint(
+    flowTickets,
+    sprintNumbers,
+    date => getSprintNumberForDate(date, team)
+  );
+
+  // Tickets du sprint cible, les plus instables en premier
+  const tickets = flowTickets
+    .filter(t => t.sprints.includes(targetSprint))
+    .map(t => {
+      const ticket = ticketMap.get(t.key);
+      return {
+        key: t.key,
+        summary: ticket.summary,
+        type: ticket.type,
+        status: ticket.status,
+        isFinished: ticket.isFinished,
+        timeline: t.timeline,
+        transitions: t.transitions,
+        backflowCount: t.transitions.filter(tr => tr.isBackflow).length
+      };
+    })
+    .sort((a, b) => b.backflowCount - a.backflowCount || a.key.localeCompare(b.key));
+
+  const targetCount = counts.find(c => c.sprint === targetSprint);
+
+  console.log('[V2 Transformer] Retours arrière par sprint:', counts.map(c => `S${c.sprint}: ${c.backflows}`).join(', '));
+
+  return {
+    sprints: sprintData.map(s => s.label),
+    backflows: counts.map(c => c.backflows),
+    reopens: counts.map(c => c.reopens),
+    statusOrder,
+    statusColors: Object.fromEntries(statusOrder.map(status => [status, workflow.getStatusColor(status, team)])),
+    tickets,
+    totalBackflows: targetCount ? targetCount.backflows : 0,
+    totalReopens: targetCount ? targetCount.reopens : 0
+  };
+}
+
+// =========================================================================
+// PORTEFEUILLE MULTI-ÉQUIPES
+// =========================================================================
+
+/**
+ * Nombre de périodes de l'axe commun du portefeuille
+ */
+const PORTFOLIO_PERIODS = 6;
+
+/**
+ * Calcule les indicateurs clés de chaque équipe sur un axe de périodes commun
+ * - Axe : 6 périodes de 2 semaines se terminant à la fin du sprint le plus
+ *   récent, toutes équipes confondues
+ * - Chaque sprint d'une équipe est placé dans la période contenant sa date
+ *   de fin (calendrier de l'équipe) : numérotations différentes ou
+ *   redémarrées restent alignées dans le temps
+ * Valeur null quand l'équipe n'a pas de sprint terminé dans une période
+ * @param {Object} rawData - { tickets, teams, timeInStatus } (données non filtrées)
+ * @param {string[]} [teams] - Équipes à comparer (défaut : toutes les équipes détectées)
+ * @returns {Object} - { periods: [{ start, end }], labels, teams: [{ team, sprints, series, summary, sprintCount }] }
+ */
+export function transformPortfolioV2(rawData, teams = rawData?.teams || []) {
+  if (!rawData?.tickets || rawData.tickets.length === 0) {
+    return { periods: [], labels: [], teams: [] };
+  }
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const toDay = date => {
+    const day = new Date(date);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  };
+
+  // Date de fin de chaque sprint selon le calendrier de son équipe
+  const perTeam = teams.map(team => {
+    const tickets = prepareTickets(rawData, [team]);
+    const sprintData = aggregateBySprint(tickets).map(s => ({
+      ...s,
+      endDay: toDay(getSprintDates(s.sprint, team, getSprintReferenceDate(tickets, s.sprint)).end)
+    }));
+    return { team, tickets, sprintData };
+  });
+
+  const ends = perTeam.flatMap(t => t.sprintData.map(s => s.endDay.getTime()));
+  if (ends.length === 0) {
+    return { periods: [], labels: [], teams: [] };
+  }
+
+  // Périodes de l'axe (de la plus ancienne à la plus récente)
+  const axisEnd = Math.max(...ends);
+  const periods = Array.from({ length: PORTFOLIO_PERIODS }, (_, i) => {
+    const end = new Date(axisEnd);
+    end.setDate(end.getDate() - (PORTFOLIO_PERIODS - 1 - i) * SPRINT_DURATION);
+    const start = new Date(end);
+    start.setDate(start.getDate() - SPRINT_DURATION + 1);
+    return { start, end };
+  });
+  const periodIndex = endDay => {
+    const offset = Math.round((axisEnd - endDay.getTime()) / DAY);
+    const index = PORTFOLIO_PERIODS - 1 - Math.floor(offset / SPRINT_DURATION);
+    return index >= 0 ? index : -1;
+  };
+
+  const round = value => Math.round(value * 10) / 10;
+
+  return {
+    periods,
+    labels: periods.map(p => p.end.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' })),
+    teams: perTeam.map(({ team, tickets, sprintData }) => {
+      // Sprints terminés dans l'axe ; plusieurs dans une même période : le plus récent
+      const displayed = sprintData
+        .filter(s => periodIndex(s.endDay) !== -1)
+        .sort((a, b) => a.endDay - b.endDay);
+      const byPeriod = periods.map(() => null);
+      displayed.forEach(s => {
+        byPeriod[periodIndex(s.endDay)] = s;
+      });
+
+      // WIP : calendrier de l'équipe
+      const wip = displayed.length > 0 ? transformWipV2(displayed, tickets, team) : null;
+      const wipBySprint = new Map((wip?.history || []).map(w => [w.sprint, w.avgWipPerPerson]));
+
+      const series = {
+        throughput: byPeriod.map(s => s?.closed ?? null),
+        cycleTime: byPeriod.map(s => s?.cycleTimes.length ? calculateStats(s.cycleTimes).avg : null),
+        bugRatio: byPeriod.map(s => s?.closed > 0 ? round((s.bugs.closed / s.closed) * 100) : null),
+        spCompletion: byPeriod.map(s => s?.storyPointsCommitted > 0
+          ? Math.round((s.storyPointsDelivered / s.storyPointsCommitted) * 100)
+          : null),
+        wip: byPeriod.map(s => (s ? wipBySprint.get(s.sprint) ?? null : null))
+      };
+
+      // Synthèse sur l'axe (sprints de l'équipe terminés dans les périodes affichées)
+      const closed = displayed.reduce((sum, s) => sum + s.closed, 0);
+      const bugsClosed = displayed.reduce((sum, s) => sum + s.bugs.closed, 0);
+      const committed = displayed.reduce((sum, s) => sum + s.storyPointsCommitted, 0);
+      const delivered = displayed.reduce((sum, s) => sum + s.storyPointsDelivered, 0);
+      const cycleTimes = displayed.flatMap(s => s.cycleTimes);
+
+      const summary = {
+        throughput: displayed.length > 0 ? round(closed / displayed.length) : null,
+        cycleTime: cycleTimes.length > 0 ? calculateStats(cycleTimes).avg : null,
+        bugRatio: closed > 0 ? round((bugsClosed / closed) * 100) : null,
+        spCompletion: committed > 0 ? Math.round((delivered / committed) * 100) : null,
+        wip: wip ? wip.avgWip : null
+      };
+
+      return { team, sprints: byPeriod.map(s => s?.sprint ?? null), series, summary, sprintCount: displayed.length };
+    })
+  };
+}
+
 // =========================================================================
 // EXPORT
 // =========================================================================
@@ -1009,5 +1542,6 @@ export const transformAllV2 = transformAllDataV2;
 export default {
   transformAllDataV2,
   transformAllV2,
+  transformPortfolioV2,
   getAvailableSprints
 };
@@ -0,0 +1,153 @@
+/**
+ * ==========================================================================
+ * ENCRYPTIONSERVICE.JS - Activation et verrouillage du chiffrement
+ * ==========================================================================
+ *
+ * Coordonne le chiffrement (cryptoService) des deux stockages :
+ * - localStorage (storageService) : préférences, calendriers, congés,
+ *   workflows, prévisions, profils de mapping...
+ * - IndexedDB (snapshotDatabase) : snapshots
+ *
+ * Cycle de vie :
+ *   enable(phrase)   → chiffre les données existantes
+ *   unlock(phrase)   → au démarrage, déchiffre les données en mémoire
+ *   lock()           → oublie la clé et les données déchiffrées
+ *   disable()        → réécrit les données en clair
+ *   reset()          → phrase oubliée : efface les données chiffrées
+ *
+ * USAGE :
+ *   import encryptionService from './encryptionService.js';
+ *
+ *   if (encryptionService.isLocked()) await encryptionService.unlock(passphrase);
+ *   await encryptionService.enable(passphrase);
+ *
+ * ==========================================================================
+ */
+
+import eventBus from '../core/eventBus.js';
+import cryptoService from './cryptoService.js';
+import storage from './storageService.js';
+import snapshotDatabase from './snapshotDatabase.js';
+
+// =========================================================================
+// ÉTAT
+// =========================================================================
+
+/**
+ * Chiffrement disponible (WebCrypto : HTTPS, localhost ou fichier local)
+ * @returns {boolean}
+ */
+export function isSupported() {
+  return cryptoService.isAvailable;
+}
+
+/**
+ * Chiffrement activé
+ * @returns {boolean}
+ */
+export function isEnabled() {
+  return cryptoService.isEnabled();
+}
+
+/**
+ * Chiffrement activé et phrase secrète non saisie
+ * @returns {boolean}
+ */
+export function isLocked() {
+  return cryptoService.isLocked();
+}
+
+// =========================================================================
+// CYCLE DE VIE
+// =========================================================================
+
+/**
+ * Active le chiffrement et chiffre les données existantes
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} Phrase trop courte, WebCrypto indisponible ou quota dépassé
+ */
+export async function enable(passphrase) {
+  await cryptoService.enable(passphrase);
+  await storage.applyEncryption(true);
+  await snapshotDatabase.applyEncryption(true);
+
+  eventBus.emit('encryption:enabled');
+}
+
+/**
+ * Déverrouille : vérifie la phrase secrète et déchiffre les données en mémoire
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} Phrase secrète incorrecte
+ */
+export async function unlock(passphrase) {
+  await cryptoService.unlock(passphrase);
+  await storage.loadDecrypted();
+
+  eventBus.emit('encryption:unlocked');
+}
+
+/**
+ * Verrouille : oublie les données déchiffrées puis la clé
+ * (l'état de l'application est à vider par l'appelant)
+ * @returns {Promise<void>}
+ */
+export async function lock() {
+  await storage.lock();
+  cryptoService.lock();
+
+  eventBus.emit('encryption:locked');
+}
+
+/**
+ * Désactive le chiffrement et réécrit les données en clair
+ * (données déverrouillées requises)
+ * @returns {Promise<void>}
+ * @throws {Error} Données verrouillées ou quota dépassé
+ */
+export async function disable() {
+  if (cryptoService.isLocked()) {
+    throw new Error('Données verrouillées : saisissez la phrase secrète');
+  }
+
+  // Paramètres supprimés une fois tout réécrit : après une erreur, les
+  // données (en partie en clair) restent lisibles avec la phrase secrète
+  await storage.applyEncryption(false);
+  await snapshotDatabase.applyEncryption(false);
+  cryptoService.disable();
+  await storage.lock();
+  cryptoService.lock();
+
+  eventBus.emit('encryption:disabled');
+}
+
+/**
+ * Phrase secrète oubliée : efface les données chiffrées et désactive le
+ * chiffrement (irréversible)
+ * @returns {Promise<void>}
+ */
+export async function reset() {
+  await storage.lock();
+  storage.clear();
+  await snapshotDatabase.clear();
+  cryptoService.lock();
+  cryptoService.disable();
+
+  eventBus.emit('encryption:disabled');
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  isSupported,
+  isEnabled,
+  isLocked,
+  enable,
+  unlock,
+  lock,
+  disable,
+  reset
+};
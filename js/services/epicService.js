@@ -0,0 +1,279 @@
+/**
+ * ==========================================================================
+ * EPICSERVICE.JS - Avancement des epics
+ * ==========================================================================
+ *
+ * Agrège les tickets enfants de chaque epic (colonne Parent / Epic Link) :
+ * - Répartition terminé / en cours / restant, en tickets et en Story Points
+ *   (catégorie du statut dans le workflow de l'équipe)
+ * - Burn-up par sprint : cumul livré et périmètre (enfants créés)
+ * - Fin estimée : simulation "When" du How Many (howManyService.js) sur le
+ *   rythme de livraison de l'epic depuis son premier sprint
+ *
+ * EPICS RETENUES :
+ * - Tickets de type Epic ayant au moins un enfant
+ * - Parent référencé mais absent de l'export : epic sans libellé
+ * - Les enfants exclus par leur statut (Backlog, A cadrer...) comptent
+ *   dans le restant (backlogChildren du parser)
+ *
+ * ==========================================================================
+ */
+
+import workflow from './workflowService.js';
+import { isEpicType } from './csvParserV2.js';
+import {
+  runWhenSimulation,
+  formatWhenResults,
+  extractThroughputs,
+  CONFIG as HOW_MANY_CONFIG
+} from './howManyService.js';
+import { getSprintDates, getSprintNumberForDate, getSprintReferenceDate } from './sprintCalendarService.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+/**
+ * Catégories d'avancement (ordre d'affichage)
+ */
+export const EPIC_PROGRESS_LABELS = {
+  done: 'Terminé',
+  inProgress: 'En cours',
+  remaining: 'Restant'
+};
+
+// =========================================================================
+// AGRÉGATION
+// =========================================================================
+
+/**
+ * Classe un ticket enfant dans une catégorie d'avancement
+ * @param {Object} child
+ * @returns {string} - 'done' | 'inProgress' | 'remaining'
+ */
+function getProgressCategory(child) {
+  if (child.isFinished) return 'done';
+
+  const category = workflow.getStatusCategory(child.status, child.team);
+  return category === 'in-progress' || category === 'wait' ? 'inProgress' : 'remaining';
+}
+
+/**
+ * Sprint de livraison d'un enfant terminé (sprint de fermeture, sinon date de fermeture)
+ * @param {Object} child
+ * @returns {number|null}
+ */
+function getDeliverySprint(child) {
+  if (child.sprint) return child.sprint;
+  return child.closedDate ? getSprintNumberForDate(child.closedDate, child.team) : null;
+}
+
+/**
+ * Valeur d'un ticket selon la métrique
+ * @param {Object} ticket
+ * @param {string} metric - 'tickets' ou 'storyPoints'
+ * @returns {number}
+ */
+function valueOf(ticket, metric) {
+  return metric === 'storyPoints' ? (ticket.storyPoints || 0) : 1;
+}
+
+/**
+ * Calcule les totaux d'avancement d'une liste d'enfants
+ * @param {Array} children
+ * @param {string} metric
+ * @returns {Object} - { done, inProgress, remaining, total, percent }
+ */
+function sumProgress(children, metric) {
+  const totals = { done: 0, inProgress: 0, remaining: 0 };
+  children.forEach(child => {
+    totals[child.progress] += valueOf(child, metric);
+  });
+
+  const total = totals.done + totals.inProgress + totals.remaining;
+  return {
+    ...totals,
+    total,
+    percent: total > 0 ? Math.round((totals.done / total) * 100) : 0
+  };
+}
+
+/**
+ * Agrège l'avancement des epics des équipes présentes dans les données
+ * @param {Object} csvData - Données parsées (tickets, epics, backlogChildren)
+ * @returns {Object} - { epics, lastSprint, hasParentLinks }
+ */
+export function getEpicProgress(csvData) {
+  const tickets = csvData?.tickets || [];
+  const teams = new Set(tickets.map(t => t.team));
+  const ticketKeys = new Set(tickets.map(t => t.key));
+
+  // Epics des équipes sélectionnées (une entrée par clé)
+  const epicsByKey = new Map();
+  (csvData?.epics || [])
+    .filter(epic => teams.has(epic.team))
+    .forEach(epic => epicsByKey.set(epic.key, { ...epic }));
+
+  // Enfants : tickets rattachés + enfants exclus par leur statut
+  const children = [
+    ...tickets.filter(t => t.parentKey && !isEpicType(t.type)),
+    ...(csvData?.backlogChildren || []).filter(t => teams.has(t.team))
+  ];
+
+  const childrenByEpic = new Map();
+  children.forEach(child => {
+    if (!epicsByKey.has(child.parentKey)) {
+      // Parent présent dans l'export mais pas une epic (sous-tâche) : ignoré
+      if (ticketKeys.has(child.parentKey)) return;
+      epicsByKey.set(child.parentKey, {
+        key: child.parentKey,
+        summary: '',
+        status: '',
+        team: child.team,
+        createdDate: null,
+        isFinished: false
+      });
+    }
+
+    if (!childrenByEpic.has(child.parentKey)) {
+      childrenByEpic.set(child.parentKey, []);
+    }
+    childrenByEpic.get(child.parentKey).push({ ...child, progress: getProgressCategory(child) });
+  });
+
+  const epics = [...childrenByEpic.entries()].map(([key, epicChildren]) => {
+    const epic = epicsByKey.get(key);
+    const sprints = [
+      ...epicChildren.flatMap(c => c.sprints || []),
+      ...epicChildren.filter(c => c.progress === 'done').map(getDeliverySprint)
+    ].filter(n => n !== null);
+    const tickets = sumProgress(epicChildren, 'tickets');
+
+    return {
+      ...epic,
+      children: epicChildren,
+      progress: {
+        tickets,
+        storyPoints: sumProgress(epicChildren, 'storyPoints')
+      },
+      isComplete: epic.isFinished || tickets.done === tickets.total,
+      firstSprint: sprints.length > 0 ? Math.min(...sprints) : null
+    };
+  });
+
+  // Epics en cours d'abord, puis les plus avancées
+  epics.sort((a, b) =>
+    (a.isComplete - b.isComplete) ||
+    (b.progress.tickets.percent - a.progress.tickets.percent) ||
+    a.key.localeCompare(b.key)
+  );
+
+  const { sprints } = extractThroughputs(tickets);
+
+  return {
+    epics,
+    lastSprint: sprints.length > 0 ? sprints[sprints.length - 1] : null,
+    hasParentLinks: children.length > 0
+  };
+}
+
+// =========================================================================
+// BURN-UP
+// =========================================================================
+
+/**
+ * Calcule le burn-up d'une epic, de son premier sprint au dernier sprint des données
+ * @param {Object} epic - Élément de getEpicProgress().epics
+ * @param {number} lastSprint
+ * @param {string} [metric] - 'tickets' ou 'storyPoints'
+ * @returns {Object|null} - { sprints, done: number[], scope: number[] } (cumuls)
+ */
+export function getEpicBurnup(epic, lastSprint, metric = 'tickets') {
+  if (!epic.firstSprint || !lastSprint || epic.firstSprint > lastSprint) {
+    return null;
+  }
+
+  const sprints = [];
+  for (let n = epic.firstSprint; n <= lastSprint; n++) {
+    sprints.push(n);
+  }
+
+  const delivered = epic.children
+    .filter(c => c.progress === 'done')
+    .map(c => ({ sprint: getDeliverySprint(c), value: valueOf(c, metric) }));
+
+  const done = sprints.map(n => delivered
+    .filter(d => d.sprint !== null && d.sprint <= n)
+    .reduce((sum, d) => sum + d.value, 0));
+
+  // Périmètre : enfants créés avant la fin du sprint (date inconnue : dès le début)
+  const scope = sprints.map(n => {
+    const end = getSprintDates(n, epic.team, getSprintReferenceDate(epic.children, n)).end;
+    return epic.children
+      .filter(c => !c.createdDate || c.createdDate <= end)
+      .reduce((sum, c) => sum + valueOf(c, metric), 0);
+  });
+
+  return { sprints, done, scope };
+}
+
+// =========================================================================
+// FIN ESTIMÉE
+// =========================================================================
+
+/**
+ * Estime le sprint de fin d'une epic (simulation "When" du How Many)
+ * Historique : livraisons de l'epic par sprint depuis son premier sprint
+ * @param {Object} epic - Élément de getEpicProgress().epics
+ * @param {number} lastSprint - Dernier sprint des données
+ * @param {Object} [options]
+ * @param {string} [options.metric] - 'tickets' ou 'storyPoints'
+ * @param {number} [options.seed] - Graine des tirages
+ * @returns {Object} - { status: 'done'|'forecast'|'insufficient'|'error', remaining, rows, error }
+ */
+export function forecastEpicCompletion(epic, lastSprint, options = {}) {
+  const { metric = 'tickets', seed } = options;
+  const progress = epic.progress[metric];
+  const remaining = progress.total - progress.done;
+
+  if (remaining <= 0) {
+    return { status: 'done', remaining: 0, rows: [], error: null };
+  }
+
+  const burnup = getEpicBurnup(epic, lastSprint, metric);
+  const throughputs = burnup
+    ? burnup.done.map((value, i) => value - (i > 0 ? burnup.done[i - 1] : 0))
+    : [];
+
+  if (throughputs.length < HOW_MANY_CONFIG.MIN_SPRINTS) {
+    return {
+      status: 'insufficient',
+      remaining,
+      rows: [],
+      error: `Minimum ${HOW_MANY_CONFIG.MIN_SPRINTS} sprints d'historique sur l'epic`
+    };
+  }
+
+  const simulation = runWhenSimulation(throughputs, remaining, { seed });
+  if (!simulation.success) {
+    return { status: 'error', remaining, rows: [], error: simulation.error };
+  }
+
+  return {
+    status: 'forecast',
+    remaining,
+    rows: formatWhenResults(simulation, lastSprint).rows,
+    error: null
+  };
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  EPIC_PROGRESS_LABELS,
+  getEpicProgress,
+  getEpicBurnup,
+  forecastEpicCompletion
+};
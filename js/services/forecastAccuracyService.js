@@ -0,0 +1,263 @@
+/**
+ * ==========================================================================
+ * FORECASTACCURACYSERVICE.JS - Suivi de fiabilité des prévisions
+ * ==========================================================================
+ *
+ * Confronte les prévisions passées (Forecast, How Many) au throughput réel :
+ * - Les prévisions sont enregistrées via storageService (sprint cible,
+ *   percentiles, options, graine) : une prévision par source, équipe,
+ *   sprint cible et métrique, remplacée uniquement sur demande explicite
+ *   (Forecast : bouton « Enregistrer la prévision » ; How Many : première
+ *   projection du sprint cible)
+ * - Une prévision est évaluée quand son sprint cible est terminé et que le
+ *   CSV contient ses tickets fermés
+ * - Le réalisé est compté sur la population de la prévision : pour le
+ *   Forecast, tickets assignés hors contributeurs exclus (absents) ; pour
+ *   How Many, tous les tickets de l'équipe
+ * - Calibration : taux d'atteinte de chaque percentile comparé à la
+ *   confiance attendue, taux dans la fourchette, erreur absolue moyenne (P50)
+ *
+ * NIVEAUX DE CONFIANCE (probabilité attendue que le réalisé atteigne la valeur) :
+ *   Forecast : P15 → 85 %, P50 → 50 %, P85 → 15 %
+ *   How Many : P50 → 50 %, P85 → 15 %, P95 → 5 %  (horizon 1 sprint)
+ *
+ * ==========================================================================
+ */
+
+import storageService from './storageService.js';
+import { getSprintDates } from './sprintCalendarService.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+/**
+ * Sources de prévision suivies
+ */
+export const FORECAST_SOURCES = {
+  forecast: 'Forecast',
+  howmany: 'How Many'
+};
+
+/**
+ * Confiance attendue de chaque percentile, par source (ordre : bas → haut de fourchette)
+ */
+const LEVEL_CONFIDENCE = {
+  forecast: { p15: 85, p50: 50, p85: 15 },
+  howmany: { p50: 50, p85: 15, p95: 5 }
+};
+
+// =========================================================================
+// ENREGISTREMENT
+// =========================================================================
+
+/**
+ * Calcule le throughput réel d'un sprint
+ * @param {Array} tickets - Tickets parsés
+ * @param {number} sprintNumber
+ * @param {string} metric - 'tickets' ou 'storyPoints'
+ * @param {Object} [population] - Population de la prévision
+ * @param {boolean} [population.assignedOnly] - Tickets assignés uniquement (Forecast par contributeur)
+ * @param {string[]} [population.excludedContributors] - Contributeurs exclus de la prévision
+ * @returns {number|null} - Réalisé, ou null si aucun ticket fermé dans ce sprint
+ */
+export function getSprintActual(tickets, sprintNumber, metric = 'tickets', population = {}) {
+  const { assignedOnly = false, excludedContributors = [] } = population;
+  const closed = tickets.filter(t =>
+    t.isFinished &&
+    t.sprint === sprintNumber &&
+    (!assignedOnly || (t.assignee && !excludedContributors.includes(t.assignee)))
+  );
+  if (closed.length === 0) return null;
+
+  return metric === 'storyPoints'
+    ? closed.reduce((sum, t) => sum + (t.storyPoints || 0), 0)
+    : closed.length;
+}
+
+/**
+ * Population sur laquelle une prévision enregistrée a été simulée
+ * @param {Object} record - Prévision enregistrée
+ * @returns {Object} - { assignedOnly, excludedContributors } (voir getSprintActual)
+ */
+function getRecordPopulation(record) {
+  // Forecast : simulation par contributeur (tickets assignés, absents exclus)
+  if (record.source === 'forecast') {
+    return {
+      assignedOnly: true,
+      excludedContributors: record.options?.excludedContributors || []
+    };
+  }
+
+  return {};
+}
+
+/**
+ * Vérifie si le réalisé d'un sprint est connu (sprint terminé, tickets fermés présents)
+ * @param {Array} tickets
+ * @param {number} sprintNumber
+ * @param {string} team - Équipe de la prévision (calendrier de sprints ; vide : équipe active)
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isSprintSettled(tickets, sprintNumber, team, now) {
+  return getSprintDates(sprintNumber, team || undefined).end < now &&
+    tickets.some(t => t.isFinished && t.sprint === sprintNumber);
+}
+
+/**
+ * Vérifie si une prévision est déjà enregistrée pour une source, une équipe et un sprint cible
+ * @param {string} source - 'forecast' ou 'howmany'
+ * @param {string} team
+ * @param {number} targetSprint
+ * @returns {boolean}
+ */
+export function hasForecastRecord(source, team, targetSprint) {
+  return storageService.getForecastRecords().some(r =>
+    r.source === source && r.team === (team || '') && r.targetSprint === targetSprint
+  );
+}
+
+/**
+ * Enregistre une prévision (ignorée si le réalisé du sprint cible est déjà connu :
+ * une prévision a posteriori fausserait la calibration)
+ * @param {Object} forecast - { source, team, targetSprint, metric, percentiles, options, seed }
+ * @param {Array} tickets - Tickets ayant servi à la prévision
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Remplacer la prévision existante du sprint cible
+ * @param {Date} [options.now]
+ * @returns {boolean} - true si la prévision a été enregistrée
+ */
+export function recordForecast(forecast, tickets, { replace = false, now = new Date() } = {}) {
+  const { source, targetSprint } = forecast;
+  if (!LEVEL_CONFIDENCE[source] || !Number.isFinite(targetSprint)) return false;
+  if (isSprintSettled(tickets, targetSprint, forecast.team, now)) return false;
+
+  return storageService.saveForecastRecord({
+    source,
+    team: forecast.team || '',
+    targetSprint,
+    metric: forecast.metric || 'tickets',
+    percentiles: forecast.percentiles,
+    options: forecast.options || {},
+    seed: forecast.seed ?? null
+  }, { replace });
+}
+
+// =========================================================================
+// ÉVALUATION
+// =========================================================================
+
+/**
+ * Confronte des prévisions au réalisé
+ * @param {Array<Object>} records - Prévisions enregistrées
+ * @param {Array} tickets - Tickets du CSV courant
+ * @param {Date} [now]
+ * @returns {Array<Object>} - Prévisions + { status: 'pending'|'evaluated', actual, low, high, levels, inRange, error }
+ */
+export function evaluateRecords(records, tickets, now = new Date()) {
+  return records.map(record => {
+    const confidence = LEVEL_CONFIDENCE[record.source] || {};
+    const values = Object.keys(confidence).map(key => record.percentiles?.[key] ?? 0);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+
+    if (!isSprintSettled(tickets, record.targetSprint, record.team, now)) {
+      return { ...record, status: 'pending', actual: null, low, high, levels: [], inRange: null, error: null };
+    }
+
+    // Sprint terminé : aucun ticket de la population = réalisé nul
+    const actual = getSprintActual(tickets, record.targetSprint, record.metric, getRecordPopulation(record)) ?? 0;
+    const levels = Object.entries(confidence).map(([key, expected]) => ({
+      key,
+      label: key.toUpperCase(),
+      expected,
+      value: record.percentiles?.[key] ?? 0,
+      hit: actual >= (record.percentiles?.[key] ?? 0)
+    }));
+
+    return {
+      ...record,
+      status: 'evaluated',
+      actual,
+      low,
+      high,
+      levels,
+      inRange: actual >= low && actual <= high,
+      error: actual - (record.percentiles?.p50 ?? 0)
+    };
+  });
+}
+
+/**
+ * Calcule la calibration de prévisions évaluées (une même source)
+ * @param {Array<Object>} evaluated - Résultat de evaluateRecords (status 'evaluated')
+ * @param {string} source - 'forecast' ou 'howmany'
+ * @returns {Object} - { count, levels: [{ key, label, expected, hits, hitRate }], inRangeRate, expectedInRange, mae, bias }
+ */
+export function computeCalibration(evaluated, source) {
+  const confidence = LEVEL_CONFIDENCE[source] || {};
+  const expectations = Object.values(confidence);
+  const count = evaluated.length;
+  const rate = hits => count > 0 ? Math.round((hits / count) * 100) : null;
+  const round = value => Math.round(value * 10) / 10;
+
+  const levels = Object.entries(confidence).map(([key, expected]) => {
+    const hits = evaluated.filter(r => r.levels.find(l => l.key === key)?.hit).length;
+    return { key, label: key.toUpperCase(), expected, hits, hitRate: rate(hits) };
+  });
+
+  return {
+    count,
+    levels,
+    inRangeRate: rate(evaluated.filter(r => r.inRange).length),
+    expectedInRange: Math.max(...expectations) - Math.min(...expectations),
+    mae: count > 0 ? round(evaluated.reduce((sum, r) => sum + Math.abs(r.error), 0) / count) : null,
+    bias: count > 0 ? round(evaluated.reduce((sum, r) => sum + r.error, 0) / count) : null
+  };
+}
+
+/**
+ * Rapport de fiabilité d'une source pour une équipe
+ * @param {string} source - 'forecast' ou 'howmany'
+ * @param {string} team - Nom d'équipe (manualInput.teamName)
+ * @param {Array} tickets - Tickets du CSV courant
+ * @param {Object} [options]
+ * @param {string} [options.metric] - Métrique suivie (défaut: tickets)
+ * @param {Date} [options.now]
+ * @returns {Object} - { records (sprint croissant), evaluated, pending, calibration }
+ */
+export function getAccuracyReport(source, team, tickets, options = {}) {
+  const { metric = 'tickets', now = new Date() } = options;
+
+  const records = evaluateRecords(
+    storageService.getForecastRecords().filter(r =>
+      r.source === source && r.team === (team || '') && r.metric === metric
+    ),
+    tickets,
+    now
+  ).sort((a, b) => a.targetSprint - b.targetSprint);
+
+  const evaluated = records.filter(r => r.status === 'evaluated');
+
+  return {
+    records,
+    evaluated,
+    pending: records.filter(r => r.status === 'pending'),
+    calibration: computeCalibration(evaluated, source)
+  };
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  FORECAST_SOURCES,
+  getSprintActual,
+  hasForecastRecord,
+  recordForecast,
+  evaluateRecords,
+  computeCalibration,
+  getAccuracyReport
+};
@@ -7,12 +7,22 @@
  * le parser CSV et le service Monte Carlo.
  *
  * Il est indépendant du dataTransformerV2 pour ne pas impacter la Review.
+ * La page Forecast utilise la variante asynchrone (simulation dans un
+ * Web Worker via simulationRunner.js).
+ *
+ * Le calendrier de capacité (capacityCalendarService.js) fournit les ratios
+ * de jours disponibles : historique normalisé, prochain sprint réduit.
+ * Les nouveaux arrivants (option newJoiners) sont ajoutés à la simulation
+ * et à la liste des contributeurs, pas à l'historique d'équipe.
  *
  * ==========================================================================
  */
 
 import { aggregateBySprint } from './csvParserV2.js';
 import monteCarloService from './monteCarloService.js';
+import simulationRunner from './simulationRunner.js';
+import capacityCalendar from './capacityCalendarService.js';
+import { getActiveTeam, getSprintReferenceDate } from './sprintCalendarService.js';
 
 // =========================================================================
 // CONFIGURATION
@@ -105,18 +115,13 @@ export function validateForecastData(tickets) {
 }
 
 /**
- * Prépare toutes les données nécessaires pour la page Forecast
+ * Valide les données puis détermine le sprint cible et les sprints à analyser
  * @param {Array} tickets - Tickets parsés depuis le CSV
- * @param {Object} options - Options (excludedContributors, reviewSprint, etc.)
- * @returns {Object} - Données complètes pour le forecast
+ * @param {number|null} reviewSprint - Sprint actuellement affiché en Review
+ * @param {number} sprintsToAnalyze - Nombre de sprints à analyser
+ * @returns {Object} - { isValid, validation, targetSprint, sprintNumbers } ou { isValid: false, error, validation }
  */
-export function prepareForecastData(tickets, options = {}) {
-  const {
-    excludedContributors = [],
-    sprintsToAnalyze = CONFIG.SPRINTS_TO_ANALYZE,
-    reviewSprint = null // Sprint actuellement affiché en Review
-  } = options;
-
+function resolveForecastSprints(tickets, reviewSprint, sprintsToAnalyze) {
   // Valider les données
   const validation = validateForecastData(tickets);
   if (!validation.isValid) {
@@ -159,12 +164,58 @@ export function prepareForecastData(tickets, options = {}) {
   console.log('[ForecastDataService] targetSprint (next):', targetSprint);
   console.log('[ForecastDataService] sprintNumbers analysés:', sprintNumbers);
 
-  // Exécuter l'analyse Monte Carlo
-  const analysis = monteCarloService.analyzeForecast(
-    tickets,
-    sprintNumbers,
-    { excludedContributors }
+  return { isValid: true, validation, targetSprint, sprintNumbers };
+}
+
+/**
+ * Calcule les ratios de capacité (jours fériés, congés) des sprints analysés et du sprint cible
+ * @param {Array} tickets - Tickets parsés
+ * @param {number[]} sprintNumbers - Sprints analysés
+ * @param {number} targetSprint - Sprint à prévoir
+ * @param {Array<Object>} [newJoiners] - Nouveaux arrivants (congés du prochain sprint)
+ * @returns {Object} - { capacityRatios, nextSprintCapacity }
+ */
+function resolveCapacity(tickets, sprintNumbers, targetSprint, newJoiners = []) {
+  const contributors = [...new Set(
+    tickets
+      .filter(t => t.assignee && sprintNumbers.includes(t.sprint))
+      .map(t => t.assignee)
+  )];
+
+  // Sprints analysés : période désignée par les dates des tickets (numérotation redémarrée)
+  return {
+    capacityRatios: capacityCalendar.getCapacityRatios(
+      sprintNumbers,
+      contributors,
+      getActiveTeam(),
+      Object.fromEntries(sprintNumbers.map(n => [n, getSprintReferenceDate(tickets, n)]))
+    ),
+    nextSprintCapacity: capacityCalendar.getSprintCapacity(
+      targetSprint,
+      [...contributors, ...newJoiners.map(j => j.name)]
+    )
+  };
+}
+
+/**
+ * Ratios de capacité du prochain sprint par contributeur (option de simulation)
+ * @param {Object} nextSprintCapacity - Résultat de getSprintCapacity
+ * @returns {Object} - { [contributeur]: ratio }
+ */
+function toCapacityOption(nextSprintCapacity) {
+  return Object.fromEntries(
+    Object.entries(nextSprintCapacity.contributors).map(([name, c]) => [name, c.ratio])
   );
+}
+
+/**
+ * Assemble les données de la page Forecast à partir de l'analyse Monte Carlo
+ * @param {Object} analysis - Résultat de analyzeForecast / buildForecastAnalysis
+ * @param {Object} context - { validation, sprintNumbers, targetSprint, reviewSprint, nextSprintCapacity }
+ * @returns {Object} - Données complètes pour le forecast
+ */
+function assembleForecastData(analysis, context) {
+  const { validation, sprintNumbers, targetSprint, reviewSprint, nextSprintCapacity } = context;
 
   // Préparer les données pour les graphiques
   const chartData = prepareChartData(analysis, sprintNumbers);
@@ -175,9 +226,13 @@ export function prepareForecastData(tickets, options = {}) {
     sprintNumbers,
     reviewSprint: reviewSprint,
     nextSprint: targetSprint,
+    // Jours ouvrés hors jours fériés et jours off d'équipe
+    nextSprintWorkdays: nextSprintCapacity.workdays,
+    nextSprintCapacity,
 
-    // Données Monte Carlo
-    contributors: analysis.contributors,
+    // Données Monte Carlo (nouveaux arrivants en fin de liste)
+    contributors: [...analysis.contributors, ...analysis.newJoiners],
+    newJoiners: analysis.newJoiners,
     scenarios: analysis.scenarios,
     simulation: analysis.simulation,
     teamMetrics: analysis.teamMetrics,
@@ -186,11 +241,88 @@ export function prepareForecastData(tickets, options = {}) {
     // Données pour les graphiques
     charts: chartData,
 
-    // Options utilisées
-    excludedContributors
+    // Options utilisées (absences complètes incluant les disponibilités à 0)
+    excludedContributors: analysis.simulation.excludedContributors || [],
+    availability: analysis.simulation.availability || {},
+    seed: analysis.simulation.seed
   };
 }
 
+/**
+ * Prépare toutes les données nécessaires pour la page Forecast
+ * @param {Array} tickets - Tickets parsés depuis le CSV
+ * @param {Object} options - Options (excludedContributors, availability, newJoiners, reviewSprint, seed, etc.)
+ * @returns {Object} - Données complètes pour le forecast
+ */
+export function prepareForecastData(tickets, options = {}) {
+  const {
+    excludedContributors = [],
+    availability = {}, // Taux de disponibilité par contributeur (0-1)
+    newJoiners = [], // Nouveaux arrivants sans historique [{ name, profile, rampSprint?, cloneOf? }]
+    sprintsToAnalyze = CONFIG.SPRINTS_TO_ANALYZE,
+    reviewSprint = null, // Sprint actuellement affiché en Review
+    seed // Graine Monte Carlo (nouvelle graine si absente)
+  } = options;
+
+  const resolved = resolveForecastSprints(tickets, reviewSprint, sprintsToAnalyze);
+  if (!resolved.isValid) {
+    return resolved;
+  }
+
+  const { capacityRatios, nextSprintCapacity } = resolveCapacity(
+    tickets, resolved.sprintNumbers, resolved.targetSprint, newJoiners
+  );
+
+  // Exécuter l'analyse Monte Carlo
+  const analysis = monteCarloService.analyzeForecast(
+    tickets,
+    resolved.sprintNumbers,
+    { excludedContributors, availability, newJoiners, capacityRatios, capacity: toCapacityOption(nextSprintCapacity), seed }
+  );
+
+  return assembleForecastData(analysis, { ...resolved, reviewSprint, nextSprintCapacity });
+}
+
+/**
+ * Prépare les données Forecast avec la simulation dans un Web Worker
+ * (simulationRunner.js : progression sur l'eventBus, annulation du calcul précédent)
+ * @param {Array} tickets - Tickets parsés depuis le CSV
+ * @param {Object} options - Mêmes options que prepareForecastData
+ * @returns {Promise<Object|null>} - Données complètes, ou null si un calcul plus récent l'a annulé
+ */
+export async function prepareForecastDataAsync(tickets, options = {}) {
+  const {
+    excludedContributors = [],
+    availability = {},
+    newJoiners = [],
+    sprintsToAnalyze = CONFIG.SPRINTS_TO_ANALYZE,
+    reviewSprint = null,
+    seed
+  } = options;
+
+  const resolved = resolveForecastSprints(tickets, reviewSprint, sprintsToAnalyze);
+  if (!resolved.isValid) {
+    return resolved;
+  }
+
+  const { sprintNumbers, targetSprint } = resolved;
+  const { capacityRatios, nextSprintCapacity } = resolveCapacity(tickets, sprintNumbers, targetSprint, newJoiners);
+  const contributorStats = monteCarloService.buildContributorStats(tickets, sprintNumbers, capacityRatios);
+  const joinerStats = monteCarloService.buildNewJoinersStats(newJoiners, contributorStats);
+
+  const simulation = await simulationRunner.run([...contributorStats, ...joinerStats], {
+    excludedContributors,
+    availability,
+    capacity: toCapacityOption(nextSprintCapacity),
+    seed
+  });
+  if (!simulation) return null;
+
+  const analysis = monteCarloService.buildForecastAnalysis(contributorStats, simulation, sprintNumbers, joinerStats);
+
+  return assembleForecastData(analysis, { ...resolved, reviewSprint, nextSprintCapacity });
+}
+
 /**
  * Prépare les données pour les graphiques Chart.js
  * @param {Object} analysis - Résultat de l'analyse Monte Carlo
@@ -297,6 +429,7 @@ export function recalculateWithExclusions(tickets, excludedContributors, sprintN
 export default {
   validateForecastData,
   prepareForecastData,
+  prepareForecastDataAsync,
   recalculateWithExclusions,
   getLastCompletedSprints,
   CONFIG
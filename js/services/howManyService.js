@@ -3,14 +3,19 @@
  * HOWMANYSERVICE.JS - Service Monte Carlo "How Many"
  * ==========================================================================
  *
- * Implémente l'algorithme Monte Carlo pour répondre à la question :
- * "Combien d'items pourrons-nous livrer sur une période donnée ?"
+ * Implémente l'algorithme Monte Carlo pour répondre aux questions :
+ * - "Combien d'items pourrons-nous livrer sur une période donnée ?" (How Many)
+ * - "Quand aurons-nous livré N items ?" (When)
  *
  * Règles métier documentées dans /docs/MONTE-CARLO-HOWMANY.md
+ * Tirages reproductibles : générateur à graine (utils/random.js)
  *
  * ==========================================================================
  */
 
+import { getFollowingSprints } from './sprintCalendarService.js';
+import { createRandom, generateSeed } from '../utils/random.js';
+
 // =========================================================================
 // CONFIGURATION
 // =========================================================================
@@ -45,7 +50,10 @@ const CONFIG = {
   CV_MODERATE_STABILITY: 0.50,
 
   // Validation
-  MIN_SPRINTS: 2 // Minimum 4 semaines = 2 sprints
+  MIN_SPRINTS: 2, // Minimum 4 semaines = 2 sprints
+
+  // When : horizon maximal simulé (au-delà, la date est considérée hors d'atteinte)
+  WHEN_MAX_SPRINTS: 52
 };
 
 // =========================================================================
@@ -197,15 +205,16 @@ export function calculateWeights(count, useWeighting = true) {
  * Tire une valeur selon les poids
  * @param {number[]} values - Valeurs possibles
  * @param {number[]} weights - Poids correspondants
+ * @param {Function} random - Générateur [0, 1) (createRandom)
  * @returns {number}
  */
-function weightedSample(values, weights) {
-  const random = Math.random();
+function weightedSample(values, weights, random) {
+  const draw = random();
   let cumulative = 0;
 
   for (let i = 0; i < values.length; i++) {
     cumulative += weights[i];
-    if (random < cumulative) {
+    if (draw < cumulative) {
       return values[i];
     }
   }
@@ -354,16 +363,13 @@ function calculateNormalPercentile(mean, stdDev, percentile) {
 }
 
 /**
- * Exécute la simulation Monte Carlo "How Many"
+ * Valide l'historique puis applique les options outliers et pondération
+ * (préparation commune aux simulations How Many et When)
  * @param {number[]} throughputs - Throughputs par sprint (chronologiques)
- * @param {Object} options - Options de simulation
- * @param {boolean} options.useWeighting - Pondérer les sprints récents
- * @param {boolean} options.excludeOutliers - Exclure les outliers
- * @returns {Object} - Résultats de simulation
+ * @param {Object} options - { useWeighting, excludeOutliers }
+ * @returns {Object} - { success, dataToUse, outlierInfo, weights } ou { success: false, error }
  */
-export function runSimulation(throughputs, options = {}) {
-  const { useWeighting = false, excludeOutliers = false } = options;
-
+function prepareHistory(throughputs, { useWeighting, excludeOutliers }) {
   // Validation
   const validation = validateData(throughputs);
   if (!validation.valid) {
@@ -391,15 +397,16 @@ export function runSimulation(throughputs, options = {}) {
   // Calcul des poids
   const weights = calculateWeights(dataToUse.length, useWeighting);
 
-  // Analyse de tendance (sur données originales pour info)
-  const trend = detectTrend(throughputs);
-
-  // Calcul de stabilité
-  const stability = calculateStability(dataToUse);
-
-  // Statistiques de base (pondérées si activé)
-  const stats = calculateWeightedStats(dataToUse, useWeighting ? weights : null);
+  return { success: true, dataToUse, outlierInfo, weights };
+}
 
+/**
+ * Projection analytique : loi normale (n·μ, √n·σ) + safety factors + bonus de tendance
+ * @param {Object} stats - { mean, stdDev } (pondérées si activé)
+ * @param {Object} trend - Résultat de detectTrend
+ * @returns {Object} - { [semaines]: { p50, p85, p95, mean } }
+ */
+function computeAnalyticResults(stats, trend) {
   // Calcul pour chaque horizon (approche analytique, pas Monte Carlo discret)
   const results = {};
 
@@ -440,10 +447,88 @@ export function runSimulation(throughputs, options = {}) {
     results[horizonWeeks].mean = Math.round(horizonMean);
   }
 
+  return results;
+}
+
+/**
+ * Projection bootstrap : NUM_SIMULATIONS futurs tirés sprint par sprint dans
+ * l'historique (avec les poids de récence), sans safety factor ni bonus de tendance
+ * Chaque itération parcourt tous les horizons : le total à 4 sprints prolonge celui à 2
+ * @param {number[]} values - Throughputs retenus
+ * @param {number[]} weights - Poids de tirage (calculateWeights)
+ * @param {Function} random - Générateur [0, 1) (createRandom)
+ * @returns {Object} - { [semaines]: { p50, p85, p95, mean } }
+ */
+function computeBootstrapResults(values, weights, random) {
+  const maxHorizon = Math.max(...CONFIG.HORIZONS_SPRINTS);
+  const totals = new Map(CONFIG.HORIZONS_SPRINTS.map(h => [h, []]));
+
+  for (let i = 0; i < CONFIG.NUM_SIMULATIONS; i++) {
+    let total = 0;
+    for (let sprint = 1; sprint <= maxHorizon; sprint++) {
+      total += weightedSample(values, weights, random);
+      if (totals.has(sprint)) totals.get(sprint).push(total);
+    }
+  }
+
+  const results = {};
+
+  for (const horizonSprints of CONFIG.HORIZONS_SPRINTS) {
+    const sorted = totals.get(horizonSprints).sort((a, b) => a - b);
+    const horizonWeeks = horizonSprints * 2;
+    results[horizonWeeks] = {};
+
+    // Même lecture que le mode analytique : P85 = total atteint ou dépassé dans 15% des futurs
+    for (const p of CONFIG.PERCENTILES) {
+      const index = Math.ceil(sorted.length * (p / 100)) - 1;
+      results[horizonWeeks][`p${p}`] = Math.round(sorted[Math.max(0, index)]);
+    }
+
+    results[horizonWeeks].mean = Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length);
+  }
+
+  return results;
+}
+
+/**
+ * Exécute la simulation "How Many"
+ * @param {number[]} throughputs - Throughputs par sprint (chronologiques)
+ * @param {Object} options - Options de simulation
+ * @param {boolean} options.useWeighting - Pondérer les sprints récents
+ * @param {boolean} options.excludeOutliers - Exclure les outliers
+ * @param {string} options.method - 'analytic' (loi normale, par défaut) ou 'bootstrap' (rééchantillonnage)
+ * @param {number} [options.seed] - Graine des tirages bootstrap (nouvelle graine si absente)
+ * @returns {Object} - Résultats de simulation
+ */
+export function runSimulation(throughputs, options = {}) {
+  const { useWeighting = false, excludeOutliers = false, method = 'analytic', seed = generateSeed() } = options;
+
+  const prepared = prepareHistory(throughputs, { useWeighting, excludeOutliers });
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  const { dataToUse, outlierInfo, weights } = prepared;
+
+  // Analyse de tendance (sur données originales pour info)
+  const trend = detectTrend(throughputs);
+
+  // Calcul de stabilité
+  const stability = calculateStability(dataToUse);
+
+  // Statistiques de base (pondérées si activé)
+  const stats = calculateWeightedStats(dataToUse, useWeighting ? weights : null);
+
+  const results = method === 'bootstrap'
+    ? computeBootstrapResults(dataToUse, weights, createRandom(seed))
+    : computeAnalyticResults(stats, trend);
+
   return {
     success: true,
     results,
     metadata: {
+      method,
+      seed,
       sprintsAnalyzed: throughputs.length,
       sprintsUsed: dataToUse.length,
       outliers: outlierInfo.outliers,
@@ -454,11 +539,139 @@ export function runSimulation(throughputs, options = {}) {
         mean: Math.round(stats.mean * 10) / 10,
         stdDev: Math.round(stats.stdDev * 10) / 10
       },
+      options: { useWeighting, excludeOutliers, method }
+    }
+  };
+}
+
+/**
+ * Exécute la simulation Monte Carlo "When" : nombre de sprints pour livrer
+ * un backlog de taille fixe
+ * Chaque itération tire un throughput par sprint (selon les poids) jusqu'à
+ * épuiser le backlog. Pas de safety factor ni de bonus de tendance.
+ * @param {number[]} throughputs - Throughputs par sprint (chronologiques)
+ * @param {number} backlogSize - Items (ou SP) restant à livrer
+ * @param {Object} options - Options de simulation
+ * @param {boolean} options.useWeighting - Pondérer les sprints récents
+ * @param {boolean} options.excludeOutliers - Exclure les outliers
+ * @param {number} [options.seed] - Graine des tirages (nouvelle graine si absente)
+ * @returns {Object} - { success, percentiles, curve, metadata } ou { success: false, error }
+ */
+export function runWhenSimulation(throughputs, backlogSize, options = {}) {
+  const { useWeighting = false, excludeOutliers = false, seed = generateSeed() } = options;
+
+  if (!Number.isFinite(backlogSize) || backlogSize <= 0) {
+    return { success: false, error: 'Le reste à livrer doit être supérieur à 0' };
+  }
+
+  const prepared = prepareHistory(throughputs, { useWeighting, excludeOutliers });
+  if (!prepared.success) {
+    return prepared;
+  }
+
+  const { dataToUse, outlierInfo, weights } = prepared;
+  if (dataToUse.every(value => value === 0)) {
+    return { success: false, error: 'Throughput nul sur l\'historique : aucune date de fin estimable' };
+  }
+
+  // Nombre de sprints nécessaires par itération (WHEN_MAX_SPRINTS + 1 = hors d'atteinte)
+  const random = createRandom(seed);
+  const sprintsNeeded = [];
+  for (let i = 0; i < CONFIG.NUM_SIMULATIONS; i++) {
+    let remaining = backlogSize;
+    let sprints = 0;
+
+    while (remaining > 0 && sprints <= CONFIG.WHEN_MAX_SPRINTS) {
+      remaining -= weightedSample(dataToUse, weights, random);
+      sprints++;
+    }
+
+    sprintsNeeded.push(sprints);
+  }
+
+  sprintsNeeded.sort((a, b) => a - b);
+
+  // Percentiles en sprints (null si au-delà de l'horizon maximal)
+  const percentiles = {};
+  for (const p of CONFIG.PERCENTILES) {
+    const index = Math.ceil(CONFIG.NUM_SIMULATIONS * (p / 100)) - 1;
+    const value = sprintsNeeded[Math.min(index, sprintsNeeded.length - 1)];
+    percentiles[`p${p}`] = value <= CONFIG.WHEN_MAX_SPRINTS ? value : null;
+  }
+
+  // Courbe de probabilité cumulée : P(terminé en n sprints ou moins)
+  const lastSprint = Math.min(sprintsNeeded[sprintsNeeded.length - 1], CONFIG.WHEN_MAX_SPRINTS);
+  const curve = [];
+  let done = 0;
+  for (let n = 1; n <= lastSprint; n++) {
+    while (done < sprintsNeeded.length && sprintsNeeded[done] <= n) done++;
+    curve.push({ sprints: n, probability: Math.round((done / sprintsNeeded.length) * 1000) / 10 });
+  }
+
+  const stats = calculateWeightedStats(dataToUse, useWeighting ? weights : null);
+
+  return {
+    success: true,
+    percentiles,
+    curve,
+    metadata: {
+      backlogSize,
+      seed,
+      sprintsAnalyzed: throughputs.length,
+      sprintsUsed: dataToUse.length,
+      outliers: outlierInfo.outliers,
+      outlierIndices: outlierInfo.outlierIndices,
+      trend: detectTrend(throughputs),
+      stability: calculateStability(dataToUse),
+      stats: {
+        mean: Math.round(stats.mean * 10) / 10,
+        stdDev: Math.round(stats.stdDev * 10) / 10
+      },
       options: { useWeighting, excludeOutliers }
     }
   };
 }
 
+/**
+ * Associe les résultats "When" aux sprints et dates du calendrier
+ * Le forecast démarre au sprint qui suit le dernier sprint de l'historique :
+ * sprints suivants du calendrier de l'équipe, puis cadence fixe au-delà
+ * @param {Object} simulation - Résultat de runWhenSimulation
+ * @param {number} lastSprint - Dernier sprint de l'historique
+ * @param {Object} [calendar]
+ * @param {string|null} [calendar.team] - Équipe dont le calendrier est utilisé (défaut: équipe active)
+ * @param {Date|null} [calendar.referenceDate] - Date du dernier sprint (numéro répété, voir getSprintReferenceDate)
+ * @returns {Object} - { rows: [{ percentile, sprints, sprintNumber, endDate }], curve: [{ ..., sprintNumber, endDate }] }
+ */
+export function formatWhenResults(simulation, lastSprint, { team, referenceDate = null } = {}) {
+  if (!simulation.success) {
+    return { rows: [], curve: [] };
+  }
+
+  const horizon = Math.max(
+    0,
+    ...simulation.curve.map(point => point.sprints),
+    ...CONFIG.PERCENTILES.map(p => simulation.percentiles[`p${p}`] || 0)
+  );
+  const following = getFollowingSprints(lastSprint, horizon, team, referenceDate);
+
+  const toCalendar = sprints => {
+    const sprint = following[sprints - 1];
+    return { sprintNumber: sprint.number, endDate: sprint.end };
+  };
+
+  const rows = CONFIG.PERCENTILES.map(p => {
+    const sprints = simulation.percentiles[`p${p}`];
+    return sprints === null
+      ? { percentile: p, sprints: null, sprintNumber: null, endDate: null }
+      : { percentile: p, sprints, ...toCalendar(sprints) };
+  });
+
+  const curve = simulation.curve.map(point => ({ ...point, ...toCalendar(point.sprints) }));
+
+  return { rows, curve };
+}
+
 // =========================================================================
 // PRÉPARATION DES DONNÉES
 // =========================================================================
@@ -527,6 +740,11 @@ export function formatResults(simulation) {
 // EXPORT CONFIG POUR UI
 // =========================================================================
 
+export const SIMULATION_METHODS = {
+  analytic: 'Analytique',
+  bootstrap: 'Bootstrap'
+};
+
 export const HORIZONS_LABELS = {
   2: '2 sem. (1 sprint)',
   4: '4 sem. (2 sprints)',
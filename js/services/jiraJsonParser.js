@@ -0,0 +1,409 @@
+/**
+ * ==========================================================================
+ * JIRAJSONPARSER.JS - Import d'un export JSON de recherche Jira
+ * ==========================================================================
+ *
+ * Convertit la réponse de l'API de recherche Jira (GET /rest/api/2/search
+ * avec expand=changelog,names) en données identiques à celles des CSV :
+ * - Tickets : même format que parseUnifiedCSV (csvParserV2.js)
+ * - Time in Status : calculé depuis les transitions de statut du changelog
+ *   (même format que parseTimeInStatusCSV), sans fichier Time in status.csv
+ * - Chronologie par ticket (timeline, retours arrière) via statusTimelineService
+ *
+ * FORMAT ATTENDU :
+ *   {
+ *     "names": { "customfield_10020": "Sprint", ... },   // optionnel
+ *     "issues": [{
+ *       "key": "PHX-101",
+ *       "fields": { summary, issuetype, status, created, resolutiondate, ... },
+ *       "changelog": { "histories": [{ created, items: [{ field: "status", ... }] }] }
+ *     }]
+ *   }
+ *
+ * CHAMPS PERSONNALISÉS :
+ * - Sprint / Story Points / Équipe / Epic Link sont repérés via "names" (expand=names)
+ * - Sinon, identifiants Jira Cloud usuels (customfield_10020, 10016...)
+ * - Équipe absente → nom du projet
+ * - Epic parente : champ "parent" (Jira Cloud), sinon "Epic Link" (Jira Server)
+ *
+ * STATUTS :
+ * - Terminé / exclu selon le workflow de l'équipe (workflowService.js)
+ * - Statut non déclaré : catégorie Jira "done" reconnue en plus du nom
+ *
+ * ==========================================================================
+ */
+
+import {
+  parseSprintNumbers,
+  isExcludedStatus,
+  isFinishedStatus,
+  isEpicType,
+  extractIssueKey
+} from './csvParserV2.js';
+import workflow from './workflowService.js';
+import {
+  buildStatusTimeline,
+  sumStatusTimes,
+  inferStatusOrder,
+  classifyTransitions
+} from './statusTimelineService.js';
+import { workdaysBetween } from '../utils/dateUtils.js';
+
+// =========================================================================
+// CONFIGURATION
+// =========================================================================
+
+// Identifiants usuels des champs personnalisés (Jira Cloud)
+const DEFAULT_FIELD_IDS = {
+  sprint: ['customfield_10020', 'customfield_10010', 'sprint'],
+  storyPoints: ['customfield_10016', 'customfield_10026', 'customfield_10028', 'customfield_10002'],
+  team: ['customfield_10001'],
+  epicLink: ['customfield_10014']
+};
+
+// Reconnaissance des champs via la table "names"
+const FIELD_NAME_PATTERNS = {
+  sprint: /^sprints?$/i,
+  storyPoints: /story points?( estimate)?/i,
+  team: /^(team|équipe|equipe)$/i,
+  epicLink: /^epic link$/i
+};
+
+// =========================================================================
+// DÉTECTION
+// =========================================================================
+
+/**
+ * Indique si un objet JSON est un export de recherche Jira
+ * @param {Object} json
+ * @returns {boolean}
+ */
+export function isJiraSearchExport(json) {
+  return !!json && Array.isArray(json.issues) &&
+    json.issues.every(issue => issue && issue.key && issue.fields);
+}
+
+/**
+ * Résout les identifiants des champs personnalisés
+ * @param {Object} json - Export complet
+ * @returns {Object} - { sprint, storyPoints, team, epicLink } (identifiant ou null)
+ */
+function resolveFieldIds(json) {
+  const names = json.names || {};
+  const sampleFields = json.issues.map(issue => issue.fields);
+  const hasField = id => sampleFields.some(fields => fields[id] !== undefined && fields[id] !== null);
+
+  const resolved = {};
+  Object.keys(DEFAULT_FIELD_IDS).forEach(field => {
+    const byName = Object.entries(names)
+      .find(([id, name]) => FIELD_NAME_PATTERNS[field].test(name) && hasField(id));
+
+    resolved[field] = byName
+      ? byName[0]
+      : DEFAULT_FIELD_IDS[field].find(hasField) || null;
+  });
+
+  console.log('[Jira Parser] Champs résolus:', resolved);
+  return resolved;
+}
+
+// =========================================================================
+// CONVERSION DES VALEURS
+// =========================================================================
+
+/**
+ * Parse une date Jira ("2026-01-05T09:15:00.000+0100")
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseJiraDate(value) {
+  if (!value) return null;
+
+  // Le décalage "+0100" n'est pas reconnu partout : le convertir en "+01:00"
+  const normalized = String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2');
+  const date = new Date(normalized);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Extrait les sprints d'un ticket
+ * Supporte les objets (Jira Cloud) et les chaînes sérialisées (Jira Server)
+ * "com.atlassian.greenhopper.service.sprint.Sprint@1a2b[id=12,name=Sprint 16,startDate=...]"
+ * @param {Array|null} value - Valeur du champ sprint
+ * @returns {Array<Object>} - [{ name, startDate: Date|null, endDate: Date|null }]
+ */
+function extractSprints(value) {
+  if (!Array.isArray(value)) return [];
+
+  return value
+    .map(sprint => {
+      if (sprint && typeof sprint === 'object') {
+        return {
+          name: sprint.name || '',
+          startDate: parseJiraDate(sprint.startDate),
+          endDate: parseJiraDate(sprint.endDate)
+        };
+      }
+
+      const str = String(sprint);
+      const attr = key => str.match(new RegExp(`[\\[,]${key}=([^,\\]]*)`))?.[1] || null;
+      return {
+        name: attr('name') || '',
+        startDate: attr('startDate') === '<null>' ? null : parseJiraDate(attr('startDate')),
+        endDate: attr('endDate') === '<null>' ? null : parseJiraDate(attr('endDate'))
+      };
+    })
+    .filter(sprint => sprint.name);
+}
+
+/**
+ * Extrait un nom d'équipe depuis un champ Jira (chaîne, option ou objet)
+ * @param {*} value
+ * @returns {string}
+ */
+function extractTeamValue(value) {
+  if (!value) return '';
+  if (typeof value === 'string') return value.trim();
+  return (value.name || value.value || value.title || '').trim();
+}
+
+// =========================================================================
+// CHANGELOG
+// =========================================================================
+
+/**
+ * Extrait les transitions de statut du changelog d'un ticket
+ * @param {Object} issue - Ticket Jira
+ * @returns {Array<Object>} - [{ at: Date, from, to }]
+ */
+function extractStatusTransitions(issue) {
+  return (issue.changelog?.histories || [])
+    .flatMap(history => (history.items || [])
+      .filter(item => item.field === 'status')
+      .map(item => ({
+        at: parseJiraDate(history.created),
+        from: item.fromString,
+        to: item.toString
+      })))
+    .filter(t => t.at);
+}
+
+// =========================================================================
+// PARSING
+// =========================================================================
+
+/**
+ * Convertit un export JSON de recherche Jira
+ * @param {string|Object} content - Contenu brut du fichier ou JSON déjà parsé
+ * @param {Object} options - { now } date de référence pour les tickets en cours
+ * @returns {Object} - { unified: { tickets, teams, summary, sprintMetadata, epics, backlogChildren }, timeInStatus: { tickets, teams, statuses, summary } }
+ */
+export function parseJiraSearchJSON(content, options = {}) {
+  const { now = new Date() } = options;
+  const json = typeof content === 'string' ? JSON.parse(content) : content;
+
+  if (!isJiraSearchExport(json)) {
+    throw new Error('Format Jira non reconnu (tableau "issues" attendu)');
+  }
+
+  const fieldIds = resolveFieldIds(json);
+  const tickets = [];
+  const epics = [];
+  const backlogChildren = [];
+  const tisTickets = [];
+  const teamsSet = new Set();
+  const metadataMap = new Map();
+
+  json.issues.forEach(issue => {
+    const fields = issue.fields;
+    const status = fields.status?.name || '';
+    const team = (fieldIds.team && extractTeamValue(fields[fieldIds.team])) ||
+      extractTeamValue(fields.project) || null;
+
+    const type = fields.issuetype?.name || 'Unknown';
+    const parentKey = fields.parent?.key ||
+      (fieldIds.epicLink && extractIssueKey(fields[fieldIds.epicLink])) || null;
+
+    const sprintObjects = fieldIds.sprint ? extractSprints(fields[fieldIds.sprint]) : [];
+    const allSprints = parseSprintNumbers(sprintObjects.map(s => s.name).join(','));
+    const closureSprint = allSprints.length > 0 ? allSprints[allSprints.length - 1] : null;
+
+    const createdDate = parseJiraDate(fields.created);
+    const storyPoints = fieldIds.storyPoints ? (parseFloat(fields[fieldIds.storyPoints]) || 0) : 0;
+
+    // Statut exclu : epics et enfants d'epic conservés à part (même format que parseUnifiedCSV)
+    if (isExcludedStatus(status, team)) {
+      if (isEpicType(type)) {
+        epics.push({ key: issue.key, summary: fields.summary || '', status, team, createdDate, isFinished: false });
+      } else if (parentKey) {
+        backlogChildren.push({
+          key: issue.key,
+          summary: fields.summary || '',
+          type,
+          status,
+          createdDate,
+          isFinished: false,
+          sprint: closureSprint,
+          sprints: allSprints,
+          storyPoints,
+          parentKey,
+          team
+        });
+      }
+      return;
+    }
+    if (team) teamsSet.add(team);
+
+    const closedDate = parseJiraDate(fields.resolutiondate);
+    const isFinished = workflow.findStatus(status, team)
+      ? isFinishedStatus(status, team)
+      : isFinishedStatus(status, team) || fields.status?.statusCategory?.key === 'done';
+
+    // Lead time (équivalent "Progress workdays") : création → fermeture
+    let cycleTime = createdDate && closedDate
+      ? Math.round(workdaysBetween(createdDate, closedDate) * 100) / 100
+      : 0;
+    if (isFinished && cycleTime === 0 && closedDate) {
+      cycleTime = 1;
+    }
+
+    tickets.push({
+      summary: fields.summary || '',
+      key: issue.key,
+      type,
+      createdDate,
+      status,
+      cycleTime,
+      closedDate,
+      isFinished,
+      sprint: closureSprint,
+      sprints: allSprints,
+      isSingleSprint: allSprints.length === 1,
+      storyPoints,
+      assignee: fields.assignee?.displayName || '',
+      parentKey,
+      team
+    });
+
+    if (isEpicType(type)) {
+      epics.push({ key: issue.key, summary: fields.summary || '', status, team, createdDate, isFinished });
+    }
+
+    // Dates de sprint explicites → métadonnées (même format que parseUnifiedCSV)
+    sprintObjects.forEach(sprint => {
+      const [number] = parseSprintNumbers(sprint.name);
+      if (number === undefined) return;
+
+      const key = `${team || ''}|${number}`;
+      if (!metadataMap.has(key)) {
+        metadataMap.set(key, {
+          team,
+          sprint: number,
+          labels: [sprint.name],
+          startHint: null,
+          hintSource: null,
+          quarter: null,
+          ticketCount: 0
+        });
+      }
+
+      const entry = metadataMap.get(key);
+      entry.ticketCount++;
+      if (!entry.startHint && sprint.startDate) {
+        const start = new Date(sprint.startDate);
+        start.setHours(0, 0, 0, 0);
+        entry.startHint = start;
+        entry.hintSource = 'jira';
+      }
+    });
+
+    // Time in Status depuis le changelog (le statut final d'un ticket terminé n'est pas compté)
+    const timeline = buildStatusTimeline(extractStatusTransitions(issue), {
+      createdDate,
+      currentStatus: status,
+      now
+    });
+    const statusTimes = sumStatusTimes(timeline, isFinished);
+
+    tisTickets.push({
+      key: issue.key,
+      team,
+      statusTimes,
+      totalTime: Object.values(statusTimes).reduce((sum, v) => sum + v, 0),
+      sprints: allSprints,
+      lastSprint: closureSprint,
+      timeline
+    });
+  });
+
+  const teams = [...teamsSet].sort((a, b) => a.localeCompare(b, 'fr'));
+
+  // Ordre du workflow (configuré ou déduit des parcours), puis qualification des transitions
+  const workflowTeam = teams.length === 1 ? teams[0] : undefined;
+  const statusOrder = inferStatusOrder(tisTickets.map(t => t.timeline), workflowTeam);
+  tisTickets.forEach(ticket => {
+    ticket.transitions = classifyTransitions(ticket.timeline, statusOrder, ticket.team);
+  });
+
+  // Statuts ayant du temps mesuré, dans l'ordre du workflow
+  const statuses = statusOrder
+    .filter(status => tisTickets.some(t => t.statusTimes[status] > 0));
+
+  // Arrondir et compléter les statuts manquants (0)
+  tisTickets.forEach(ticket => {
+    const rounded = {};
+    statuses.forEach(status => {
+      rounded[status] = Math.round((ticket.statusTimes[status] || 0) * 100) / 100;
+    });
+    ticket.statusTimes = rounded;
+    ticket.totalTime = Math.round(ticket.totalTime * 100) / 100;
+  });
+
+  const globalSummary = {};
+  statuses.forEach(status => {
+    const total = tisTickets.reduce((sum, t) => sum + t.statusTimes[status], 0);
+    globalSummary[status] = tisTickets.length > 0 ? Math.round((total / tisTickets.length) * 100) / 100 : 0;
+  });
+
+  const sprintMetadata = Array.from(metadataMap.values())
+    .sort((a, b) => (a.team || '').localeCompare(b.team || '', 'fr') || a.sprint - b.sprint);
+
+  const allSprintNumbers = tickets.flatMap(t => t.sprints);
+  const maxSprint = allSprintNumbers.length > 0 ? Math.max(...allSprintNumbers) : null;
+
+  console.log('[Jira Parser] Tickets:', tickets.length, '| Équipes:', teams, '| Statuts:', statuses);
+
+  return {
+    unified: {
+      tickets,
+      teams,
+      sprintMetadata,
+      epics,
+      backlogChildren,
+      summary: {
+        total: tickets.length,
+        closed: tickets.filter(t => t.closedDate).length,
+        open: tickets.filter(t => !t.closedDate).length,
+        maxSprint,
+        teamCount: teams.length
+      }
+    },
+    timeInStatus: {
+      tickets: tisTickets,
+      teams,
+      statuses,
+      statusOrder,
+      summary: globalSummary,
+      hasTimeline: true
+    }
+  };
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  isJiraSearchExport,
+  parseJiraSearchJSON
+};
@@ -11,10 +11,18 @@
  * - Calcul des distributions statistiques individuelles
  * - Simulation Monte Carlo avec N itérations
  * - Génération de scénarios avec intervalles de confiance (P15, P50, P85)
+ * - Tirages reproductibles : générateur à graine (utils/random.js)
+ * - Disponibilité partielle : contribution tirée × taux de disponibilité
+ * - Calendrier de capacité : historique normalisé par le ratio de jours
+ *   disponibles de chaque sprint, projection × ratio du prochain sprint
+ * - Nouveaux arrivants sans historique : montée en charge sur le contributeur
+ *   médian (30 % / 60 % / 100 %) ou clone de la distribution d'un contributeur
  *
  * ==========================================================================
  */
 
+import { createRandom, generateSeed } from '../utils/random.js';
+
 // =========================================================================
 // CONFIGURATION
 // =========================================================================
@@ -29,7 +37,21 @@ const CONFIG = {
     pessimistic: 15,
     realistic: 50,
     optimistic: 85
-  }
+  },
+  // Nombre de paliers de progression signalés pendant la simulation
+  PROGRESS_STEPS: 20,
+  // Ratio de capacité minimum pour normaliser un sprint (en dessous : sprint ignoré)
+  MIN_CAPACITY_RATIO: 0.2,
+  // Montée en charge d'un nouvel arrivant (part du contributeur médian, sprint 1, 2, 3+)
+  RAMP_UP_PROFILE: [0.3, 0.6, 1]
+};
+
+/**
+ * Profils de nouvel arrivant
+ */
+export const JOINER_PROFILES = {
+  ramp: 'Montée en charge',
+  clone: 'Clone'
 };
 
 // =========================================================================
@@ -78,11 +100,12 @@ function percentile(values, p) {
  * Génère un nombre aléatoire selon une distribution normale (Box-Muller)
  * @param {number} mean - Moyenne
  * @param {number} stdDev - Écart-type
+ * @param {Function} random - Générateur [0, 1) (createRandom)
  * @returns {number}
  */
-function randomNormal(mean, stdDev) {
-  const u1 = Math.random();
-  const u2 = Math.random();
+function randomNormal(mean, stdDev, random) {
+  const u1 = 1 - random(); // ]0, 1] : évite log(0)
+  const u2 = random();
   const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
   return mean + z * stdDev;
 }
@@ -90,11 +113,12 @@ function randomNormal(mean, stdDev) {
 /**
  * Génère un nombre aléatoire basé sur l'historique (échantillonnage)
  * @param {number[]} historicalValues - Valeurs historiques
+ * @param {Function} random - Générateur [0, 1) (createRandom)
  * @returns {number}
  */
-function sampleFromHistory(historicalValues) {
+function sampleFromHistory(historicalValues, random) {
   if (!historicalValues || historicalValues.length === 0) return 0;
-  const index = Math.floor(Math.random() * historicalValues.length);
+  const index = Math.floor(random() * historicalValues.length);
   return historicalValues[index];
 }
 
@@ -155,13 +179,28 @@ export function aggregateByContributor(tickets, sprintNumbers) {
   return contributorMap;
 }
 
+/**
+ * Ramène les valeurs par sprint à une capacité pleine
+ * (valeur / ratio de jours disponibles ; sprints quasi vides ignorés)
+ * @param {number[]} values - Valeurs par sprint
+ * @param {number[]} ratios - Ratio de capacité par sprint (même ordre)
+ * @returns {number[]}
+ */
+function normalizeByCapacity(values, ratios) {
+  return values
+    .map((value, index) => ({ value, ratio: ratios[index] }))
+    .filter(({ ratio }) => ratio >= CONFIG.MIN_CAPACITY_RATIO)
+    .map(({ value, ratio }) => value / ratio);
+}
+
 /**
  * Calcule les statistiques détaillées pour chaque contributeur
  * @param {Map} contributorMap - Résultat de aggregateByContributor
  * @param {number[]} sprintNumbers - Numéros de sprints analysés
+ * @param {Object} [capacityRatios] - { [sprint]: { [contributeur]: ratio } } (calendrier de capacité)
  * @returns {Array} - Tableau de ContributorStatistics
  */
-export function calculateContributorStats(contributorMap, sprintNumbers) {
+export function calculateContributorStats(contributorMap, sprintNumbers, capacityRatios = {}) {
   const stats = [];
 
   contributorMap.forEach((data, name) => {
@@ -186,6 +225,9 @@ export function calculateContributorStats(contributorMap, sprintNumbers) {
     const activeThroughput = throughputPerSprint.filter(v => v > 0);
     const activeStoryPoints = storyPointsPerSprint.filter(v => v > 0);
 
+    // Ratio de jours disponibles par sprint (1 sans calendrier)
+    const capacityPerSprint = sprintNumbers.map(sprintNum => capacityRatios[sprintNum]?.[name] ?? 1);
+
     const contributorStats = {
       name,
       sprintsAnalyzed: sprintNumbers.length,
@@ -202,7 +244,9 @@ export function calculateContributorStats(contributorMap, sprintNumbers) {
         // Scénarios individuels basés sur l'historique actif
         p15: activeThroughput.length > 0 ? Math.round(percentile(activeThroughput, 15)) : 0,
         p50: activeThroughput.length > 0 ? Math.round(percentile(activeThroughput, 50)) : 0,
-        p85: activeThroughput.length > 0 ? Math.round(percentile(activeThroughput, 85)) : 0
+        p85: activeThroughput.length > 0 ? Math.round(percentile(activeThroughput, 85)) : 0,
+        // Historique ramené à une capacité pleine (échantillonné par la simulation)
+        normalizedValues: normalizeByCapacity(throughputPerSprint, capacityPerSprint)
       },
 
       // Story Points
@@ -216,7 +260,8 @@ export function calculateContributorStats(contributorMap, sprintNumbers) {
         // Scénarios individuels basés sur l'historique actif
         p15: activeStoryPoints.length > 0 ? Math.round(percentile(activeStoryPoints, 15)) : 0,
         p50: activeStoryPoints.length > 0 ? Math.round(percentile(activeStoryPoints, 50)) : 0,
-        p85: activeStoryPoints.length > 0 ? Math.round(percentile(activeStoryPoints, 85)) : 0
+        p85: activeStoryPoints.length > 0 ? Math.round(percentile(activeStoryPoints, 85)) : 0,
+        normalizedValues: normalizeByCapacity(storyPointsPerSprint, capacityPerSprint)
       },
 
       // Ratio SP/ticket moyen
@@ -224,6 +269,9 @@ export function calculateContributorStats(contributorMap, sprintNumbers) {
         ? Math.round((data.totalStoryPoints / data.totalTickets) * 10) / 10
         : 0,
 
+      // Ratio de capacité par sprint analysé
+      capacity: capacityPerSprint,
+
       // Flag si assez de données pour être fiable
       isReliable: data.sprintData.size >= CONFIG.MIN_SPRINTS_FOR_STATS
     };
@@ -237,6 +285,96 @@ export function calculateContributorStats(contributorMap, sprintNumbers) {
   return stats;
 }
 
+// =========================================================================
+// NOUVEAUX ARRIVANTS
+// =========================================================================
+
+/**
+ * Retourne le contributeur médian (throughput moyen) parmi les contributeurs actifs
+ * @param {Array} contributorStats
+ * @returns {Object|null}
+ */
+function findMedianContributor(contributorStats) {
+  const active = contributorStats
+    .filter(c => c.sprintsActive > 0 && !c.isNewJoiner)
+    .sort((a, b) => a.throughput.mean - b.throughput.mean);
+
+  return active.length > 0 ? active[Math.floor((active.length - 1) / 2)] : null;
+}
+
+/**
+ * Applique un facteur à une métrique (throughput ou story points) d'un contributeur
+ * @param {Object} metric - { values, normalizedValues, mean, stdDev, p15, p50, p85, ... }
+ * @param {number} factor
+ * @returns {Object}
+ */
+function scaleMetric(metric, factor) {
+  const scale = values => values.map(v => v * factor);
+  const round = value => Math.round(value * factor);
+
+  return {
+    total: 0,
+    values: scale(metric.values),
+    normalizedValues: scale(metric.normalizedValues || metric.values),
+    mean: metric.mean * factor,
+    stdDev: metric.stdDev * factor,
+    min: metric.min * factor,
+    max: metric.max * factor,
+    p15: round(metric.p15),
+    p50: round(metric.p50),
+    p85: round(metric.p85)
+  };
+}
+
+/**
+ * Construit les statistiques d'un nouvel arrivant sans historique
+ * - Montée en charge : distribution du contributeur médian × RAMP_UP_PROFILE[sprint]
+ * - Clone : distribution d'un contributeur existant
+ * @param {Object} joiner - { name, profile: 'ramp'|'clone', rampSprint?, cloneOf? }
+ * @param {Array} contributorStats - Statistiques des contributeurs réels
+ * @returns {Object|null} - ContributorStatistics (isNewJoiner), ou null si référence introuvable
+ */
+export function buildNewJoinerStats(joiner, contributorStats) {
+  const isClone = joiner.profile === 'clone';
+  const reference = isClone
+    ? contributorStats.find(c => c.name === joiner.cloneOf && !c.isNewJoiner)
+    : findMedianContributor(contributorStats);
+
+  if (!reference) return null;
+
+  const profile = CONFIG.RAMP_UP_PROFILE;
+  const rampSprint = Math.min(Math.max(parseInt(joiner.rampSprint, 10) || 1, 1), profile.length);
+  const factor = isClone ? 1 : profile[rampSprint - 1];
+
+  return {
+    name: joiner.name,
+    isNewJoiner: true,
+    profile: isClone ? 'clone' : 'ramp',
+    rampSprint: isClone ? null : rampSprint,
+    factor,
+    reference: reference.name,
+    sprintsAnalyzed: reference.sprintsAnalyzed,
+    sprintsActive: reference.sprintsActive,
+    throughput: scaleMetric(reference.throughput, factor),
+    storyPoints: scaleMetric(reference.storyPoints, factor),
+    avgPointsPerTicket: reference.avgPointsPerTicket,
+    capacity: reference.capacity,
+    isReliable: false
+  };
+}
+
+/**
+ * Construit les statistiques de plusieurs nouveaux arrivants (références introuvables ignorées)
+ * @param {Array<Object>} joiners - [{ name, profile, rampSprint?, cloneOf? }]
+ * @param {Array} contributorStats
+ * @returns {Array}
+ */
+export function buildNewJoinersStats(joiners = [], contributorStats) {
+  return joiners
+    .map(joiner => buildNewJoinerStats(joiner, contributorStats))
+    .filter(Boolean);
+}
+
 // =========================================================================
 // SIMULATION MONTE CARLO
 // =========================================================================
@@ -245,18 +383,36 @@ export function calculateContributorStats(contributorMap, sprintNumbers) {
  * Exécute une simulation Monte Carlo pour prédire les performances d'équipe
  * @param {Array} contributorStats - Statistiques par contributeur
  * @param {Object} options - Options de simulation
- * @returns {Object} - Résultats de la simulation
+ * @param {number} [options.seed] - Graine des tirages (nouvelle graine si absente)
+ * @param {Object} [options.capacity] - Ratio de capacité du prochain sprint par contributeur (calendrier)
+ * @param {Function} [options.onProgress] - (pourcentage) => void, appelé par paliers
+ * @returns {Object} - Résultats de la simulation (avec la graine utilisée)
  */
 export function runMonteCarloSimulation(contributorStats, options = {}) {
   const {
     iterations = CONFIG.ITERATIONS,
     excludedContributors = [], // Contributeurs à exclure (absences)
-    useHistoricalSampling = true // Utiliser l'échantillonnage vs distribution normale
+    availability = {}, // Taux de disponibilité par contributeur (0-1, défaut 1)
+    capacity = {}, // Ratio de jours disponibles du prochain sprint (0-1, défaut 1)
+    useHistoricalSampling = true, // Utiliser l'échantillonnage vs distribution normale
+    seed = generateSeed(),
+    onProgress = null
   } = options;
 
+  const random = createRandom(seed);
+  const availabilityOf = name => (availability[name] ?? 1) * (capacity[name] ?? 1);
+
+  // Disponibilité nulle (ou congés sur tout le sprint) = absence complète
+  const excluded = [
+    ...excludedContributors,
+    ...contributorStats
+      .filter(c => availabilityOf(c.name) <= 0 && !excludedContributors.includes(c.name))
+      .map(c => c.name)
+  ];
+
   // Filtrer les contributeurs actifs
   const activeContributors = contributorStats.filter(
-    c => !excludedContributors.includes(c.name) && c.sprintsActive > 0
+    c => !excluded.includes(c.name) && c.sprintsActive > 0
   );
 
   if (activeContributors.length === 0) {
@@ -264,7 +420,11 @@ export function runMonteCarloSimulation(contributorStats, options = {}) {
       throughput: { p15: 0, p50: 0, p85: 0, distribution: [] },
       storyPoints: { p15: 0, p50: 0, p85: 0, distribution: [] },
       contributors: [],
-      iterations: 0
+      iterations: 0,
+      seed,
+      excludedContributors: excluded,
+      availability,
+      capacity
     };
   }
 
@@ -273,6 +433,7 @@ export function runMonteCarloSimulation(contributorStats, options = {}) {
   const storyPointsResults = [];
 
   // Exécuter N itérations
+  const progressStep = Math.max(1, Math.floor(iterations / CONFIG.PROGRESS_STEPS));
   for (let i = 0; i < iterations; i++) {
     let iterationThroughput = 0;
     let iterationStoryPoints = 0;
@@ -280,27 +441,35 @@ export function runMonteCarloSimulation(contributorStats, options = {}) {
     // Pour chaque contributeur, simuler sa performance
     activeContributors.forEach(contributor => {
       let simThroughput, simStoryPoints;
+      const throughputHistory = contributor.throughput.normalizedValues || contributor.throughput.values;
+      const storyPointsHistory = contributor.storyPoints.normalizedValues || contributor.storyPoints.values;
 
-      if (useHistoricalSampling && contributor.throughput.values.length > 0) {
-        // Méthode 1: Échantillonnage depuis l'historique (plus réaliste)
-        simThroughput = sampleFromHistory(contributor.throughput.values);
-        simStoryPoints = sampleFromHistory(contributor.storyPoints.values);
+      if (useHistoricalSampling && throughputHistory.length > 0) {
+        // Méthode 1: Échantillonnage depuis l'historique normalisé (plus réaliste)
+        simThroughput = sampleFromHistory(throughputHistory, random);
+        simStoryPoints = sampleFromHistory(storyPointsHistory, random);
       } else {
         // Méthode 2: Distribution normale basée sur moyenne/écart-type
         simThroughput = Math.max(0, Math.round(
-          randomNormal(contributor.throughput.mean, contributor.throughput.stdDev)
+          randomNormal(contributor.throughput.mean, contributor.throughput.stdDev, random)
         ));
         simStoryPoints = Math.max(0, Math.round(
-          randomNormal(contributor.storyPoints.mean, contributor.storyPoints.stdDev)
+          randomNormal(contributor.storyPoints.mean, contributor.storyPoints.stdDev, random)
         ));
       }
 
-      iterationThroughput += simThroughput;
-      iterationStoryPoints += simStoryPoints;
+      // Contribution au prorata de la disponibilité et des jours ouvrés du sprint
+      const factor = availabilityOf(contributor.name);
+      iterationThroughput += simThroughput * factor;
+      iterationStoryPoints += simStoryPoints * factor;
     });
 
-    throughputResults.push(iterationThroughput);
-    storyPointsResults.push(iterationStoryPoints);
+    throughputResults.push(Math.round(iterationThroughput));
+    storyPointsResults.push(Math.round(iterationStoryPoints));
+
+    if (onProgress && ((i + 1) % progressStep === 0 || i + 1 === iterations)) {
+      onProgress(Math.round(((i + 1) / iterations) * 100));
+    }
   }
 
   // Calculer les percentiles
@@ -323,7 +492,10 @@ export function runMonteCarloSimulation(contributorStats, options = {}) {
     },
     contributors: activeContributors.map(c => c.name),
     iterations,
-    excludedContributors
+    seed,
+    excludedContributors: excluded,
+    availability,
+    capacity
   };
 
   return result;
@@ -469,27 +641,50 @@ function calculateTrend(values) {
  * Point d'entrée principal : analyse complète pour le forecast
  * @param {Array} tickets - Tickets parsés
  * @param {number[]} sprintNumbers - Sprints à analyser (ex: les 6 derniers)
- * @param {Object} options - Options (excludedContributors, etc.)
+ * @param {Object} options - Options (excludedContributors, newJoiners, capacityRatios, capacity, seed, etc.)
  * @returns {Object} - Analyse complète pour le forecast
  */
 export function analyzeForecast(tickets, sprintNumbers, options = {}) {
-  // 1. Agréger par contributeur
-  const contributorMap = aggregateByContributor(tickets, sprintNumbers);
-
-  // 2. Calculer les stats par contributeur
-  const contributorStats = calculateContributorStats(contributorMap, sprintNumbers);
+  // 1-2. Agréger et calculer les stats par contributeur (+ nouveaux arrivants)
+  const contributorStats = buildContributorStats(tickets, sprintNumbers, options.capacityRatios);
+  const newJoiners = buildNewJoinersStats(options.newJoiners, contributorStats);
 
   // 3. Exécuter la simulation Monte Carlo
-  const simulation = runMonteCarloSimulation(contributorStats, options);
+  const simulation = runMonteCarloSimulation([...contributorStats, ...newJoiners], options);
 
-  // 4. Générer les scénarios
-  const scenarios = generateScenarios(simulation);
+  // 4-5. Scénarios et métriques d'équipe (historique réel uniquement)
+  return buildForecastAnalysis(contributorStats, simulation, sprintNumbers, newJoiners);
+}
 
-  // 5. Calculer les métriques d'équipe
+/**
+ * Agrège les tickets et calcule les statistiques par contributeur
+ * (étape préalable à la simulation, exécutée sur le thread principal)
+ * @param {Array} tickets - Tickets parsés
+ * @param {number[]} sprintNumbers - Sprints à analyser
+ * @param {Object} [capacityRatios] - { [sprint]: { [contributeur]: ratio } }
+ * @returns {Array} - Tableau de ContributorStatistics
+ */
+export function buildContributorStats(tickets, sprintNumbers, capacityRatios) {
+  const contributorMap = aggregateByContributor(tickets, sprintNumbers);
+  return calculateContributorStats(contributorMap, sprintNumbers, capacityRatios);
+}
+
+/**
+ * Assemble l'analyse complète à partir d'une simulation déjà exécutée
+ * (thread principal ou Web Worker)
+ * @param {Array} contributorStats - Résultat de buildContributorStats
+ * @param {Object} simulation - Résultat de runMonteCarloSimulation
+ * @param {number[]} sprintNumbers - Sprints analysés
+ * @param {Array} [newJoiners] - Résultat de buildNewJoinersStats (inclus dans la simulation)
+ * @returns {Object} - Analyse complète pour le forecast
+ */
+export function buildForecastAnalysis(contributorStats, simulation, sprintNumbers, newJoiners = []) {
+  const scenarios = generateScenarios(simulation);
   const teamMetrics = calculateTeamMetrics(contributorStats, sprintNumbers);
 
   return {
     contributors: contributorStats,
+    newJoiners,
     simulation,
     scenarios,
     teamMetrics,
@@ -509,5 +704,10 @@ export default {
   generateScenarios,
   calculateTeamMetrics,
   analyzeForecast,
+  buildContributorStats,
+  buildForecastAnalysis,
+  buildNewJoinerStats,
+  buildNewJoinersStats,
+  JOINER_PROFILES,
   CONFIG
 };
@@ -12,6 +12,7 @@
 import eventBus from '../core/eventBus.js';
 import store from '../core/store.js';
 import { formatNumber, formatPercent, formatDays } from '../utils/formatters.js';
+import { requireLibrary } from '../utils/libraries.js';
 
 // =========================================================================
 // CLASSE EXPORTER
@@ -112,6 +113,14 @@ class Exporter {
       lines.push(`| **Cycle Time** | ${c.currentValue?.toFixed(1)} jours | ${status} |`);
     }
 
+    // Flow Efficiency
+    if (metrics.flowEfficiency?.currentValue != null) {
+      const fe = metrics.flowEfficiency;
+      const status = fe.trend === null || fe.trend >= 0 ? '✅' : '❌';
+      const comparison = fe.previousAvg !== null ? ` (moy. précédente ${fe.previousAvg}%)` : '';
+      lines.push(`| **Flow Efficiency** | ${fe.currentValue}% actif${comparison} | ${status} |`);
+    }
+
     // Mid-sprint
     if (metrics.throughput?.midSprintCount !== undefined) {
       const count = metrics.throughput.midSprintCount;
@@ -143,6 +152,18 @@ class Exporter {
 
     lines.push('');
 
+    // Flow Efficiency par type de ticket
+    if (metrics.flowEfficiency?.byType?.length > 1) {
+      lines.push('### Flow Efficiency par type');
+      lines.push('');
+      lines.push('| Type | Flow Efficiency | Tickets |');
+      lines.push('|------|:---------------:|:-------:|');
+      metrics.flowEfficiency.byType.forEach(t => {
+        lines.push(`| ${t.type} | ${t.value}% | ${t.ticketCount} |`);
+      });
+      lines.push('');
+    }
+
     return lines.join('\n');
   }
 
@@ -196,10 +217,8 @@ class Exporter {
         throw new Error('Pas de données à exporter');
       }
 
-      // Vérifier que jsPDF est disponible
-      if (typeof window.jspdf === 'undefined') {
-        throw new Error('jsPDF non chargé');
-      }
+      // Vérifier que jsPDF est disponible (vendor/ ou CDN)
+      requireLibrary('jspdf');
 
       const { jsPDF } = window.jspdf;
       const doc = new jsPDF({
@@ -389,7 +408,7 @@ class Exporter {
       }
 
       // =====================================================================
-      // COLONNE DROITE : Indicateurs KPI (grille 3x2)
+      // COLONNE DROITE : Indicateurs KPI (grille 3 colonnes)
       // =====================================================================
       let rightY = y;
 
@@ -399,9 +418,8 @@ class Exporter {
       doc.text('Indicateurs', rightColX, rightY);
       rightY += 6;
 
-      // Grille 3 colonnes x 2 lignes
+      // Grille 3 colonnes (hauteur des cartes adaptée au nombre de lignes)
       const cardWidth = (rightColWidth - 8) / 3;
-      const cardHeight = 55;
       const cardGap = 4;
 
       const kpiCards = [];
@@ -429,6 +447,20 @@ class Exporter {
         });
       }
 
+      // Flow Efficiency (tendance en points vs sprints précédents)
+      if (sprintMetrics.flowEfficiency?.currentValue != null) {
+        const fe = sprintMetrics.flowEfficiency;
+        kpiCards.push({
+          label: 'Flow Efficiency',
+          value: `${fe.currentValue}%`,
+          unit: 'temps actif',
+          subValue: fe.previousAvg !== null ? `Préc.: ${fe.previousAvg}%` : '',
+          trend: fe.trend,
+          trendUp: true,
+          trendSuffix: ' pts'
+        });
+      }
+
       // Mid-sprint additions
       if (sprintMetrics.throughput?.midSprintCount !== undefined) {
         kpiCards.push({
@@ -471,6 +503,10 @@ class Exporter {
         });
       }
 
+      // 2 lignes de 55mm, ou 3 lignes réparties sur la hauteur restante (au-dessus du footer)
+      const rowCount = Math.ceil(kpiCards.length / 3);
+      const cardHeight = Math.min(55, (pageHeight - 14 - rightY - cardGap * (rowCount - 1)) / rowCount);
+
       // Dessiner les cartes KPI
       kpiCards.forEach((card, idx) => {
         const col = idx % 3;
@@ -523,7 +559,7 @@ class Exporter {
                              isGood ? colors.success : colors.danger;
 
           // Position du texte
-          const trendText = `${Math.abs(card.trend)}%`;
+          const trendText = `${Math.abs(card.trend)}${card.trendSuffix || '%'}`;
           doc.setFontSize(9);
           doc.setFont('helvetica', 'bold');
           const textWidth = doc.getTextWidth(trendText);
@@ -632,9 +668,7 @@ class Exporter {
         throw new Error('Pas de données à exporter');
       }
 
-      if (typeof window.jspdf === 'undefined') {
-        throw new Error('jsPDF non chargé');
-      }
+      requireLibrary('jspdf');
 
       const { jsPDF } = window.jspdf;
       const doc = new jsPDF({
@@ -0,0 +1,185 @@
+/**
+ * ==========================================================================
+ * SIMULATIONRUNNER.JS - Exécution des simulations Monte Carlo en arrière-plan
+ * ==========================================================================
+ *
+ * Lance runMonteCarloSimulation dans un Web Worker (workers/monteCarloWorker.js)
+ * pour ne pas figer l'interface :
+ * - Progression publiée sur l'eventBus ('simulation:progress')
+ * - Un nouveau lancement annule la simulation en cours (worker terminé)
+ * - Repli sur le thread principal si les workers sont indisponibles
+ *   (navigateur sans workers modules, page ouverte en file://, CSP...)
+ *
+ * ÉVÉNEMENTS :
+ * - 'simulation:started'   { runId }
+ * - 'simulation:progress'  { runId, progress }  (0-100)
+ * - 'simulation:completed' { runId, inWorker }
+ * - 'simulation:cancelled' { runId }
+ * - 'simulation:error'     { runId, error }
+ *
+ * ==========================================================================
+ */
+
+import eventBus from '../core/eventBus.js';
+import { runMonteCarloSimulation } from './monteCarloService.js';
+
+// =========================================================================
+// CLASSE SIMULATIONRUNNER
+// =========================================================================
+
+class SimulationRunner {
+  constructor() {
+    this.worker = null;
+    this.workerUnavailable = false;
+    this.pending = null; // { runId, resolve, reject, contributorStats, options }
+    this.nextRunId = 1;
+  }
+
+  /**
+   * Lance une simulation (annule la précédente si elle tourne encore)
+   * @param {Array} contributorStats - Statistiques par contributeur
+   * @param {Object} options - Options de runMonteCarloSimulation (sans callback)
+   * @returns {Promise<Object|null>} - Résultat, ou null si la simulation a été annulée
+   */
+  run(contributorStats, options = {}) {
+    this.cancel();
+
+    const runId = this.nextRunId++;
+    eventBus.emit('simulation:started', { runId });
+
+    const worker = this._getWorker();
+    if (!worker) {
+      return new Promise(resolve => resolve(this._runOnMainThread(runId, contributorStats, options)));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { runId, resolve, reject, contributorStats, options };
+      worker.postMessage({ runId, contributorStats, options });
+    });
+  }
+
+  /**
+   * Annule la simulation en cours
+   * La boucle du worker est synchrone : seul terminate() peut l'interrompre
+   */
+  cancel() {
+    if (!this.pending) return;
+
+    const { runId, resolve } = this.pending;
+    this.pending = null;
+    this._terminateWorker();
+
+    eventBus.emit('simulation:cancelled', { runId });
+    resolve(null);
+  }
+
+  /**
+   * Retourne le worker (créé à la demande), ou null si indisponible
+   * @returns {Worker|null}
+   * @private
+   */
+  _getWorker() {
+    if (this.worker) return this.worker;
+    if (this.workerUnavailable || typeof Worker === 'undefined') return null;
+
+    try {
+      this.worker = new Worker(new URL('../workers/monteCarloWorker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = (event) => this._handleMessage(event.data);
+      this.worker.onerror = (event) => this._handleWorkerError(event);
+    } catch (error) {
+      console.warn('[SimulationRunner] Web Worker indisponible, exécution sur le thread principal:', error.message);
+      this.workerUnavailable = true;
+      this.worker = null;
+    }
+
+    return this.worker;
+  }
+
+  /**
+   * Termine le worker courant
+   * @private
+   */
+  _terminateWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+  }
+
+  /**
+   * Traite un message du worker
+   * @param {Object} message - { runId, type, progress?, result?, error? }
+   * @private
+   */
+  _handleMessage({ runId, type, progress, result, error }) {
+    // Message d'une simulation annulée entre-temps
+    if (!this.pending || this.pending.runId !== runId) return;
+
+    if (type === 'progress') {
+      eventBus.emit('simulation:progress', { runId, progress });
+      return;
+    }
+
+    const { resolve, reject } = this.pending;
+    this.pending = null;
+
+    if (type === 'error') {
+      eventBus.emit('simulation:error', { runId, error });
+      reject(new Error(error));
+      return;
+    }
+
+    eventBus.emit('simulation:completed', { runId, inWorker: true });
+    resolve(result);
+  }
+
+  /**
+   * Échec de chargement du worker : repli définitif sur le thread principal
+   * @param {ErrorEvent} event
+   * @private
+   */
+  _handleWorkerError(event) {
+    event.preventDefault();
+    console.warn('[SimulationRunner] Échec du Web Worker, exécution sur le thread principal:', event.message);
+
+    this.workerUnavailable = true;
+    this._terminateWorker();
+
+    const pending = this.pending;
+    this.pending = null;
+    if (!pending) return;
+
+    try {
+      pending.resolve(this._runOnMainThread(pending.runId, pending.contributorStats, pending.options));
+    } catch (error) {
+      eventBus.emit('simulation:error', { runId: pending.runId, error: error.message });
+      pending.reject(error);
+    }
+  }
+
+  /**
+   * Exécute la simulation sur le thread principal (repli)
+   * @param {number} runId
+   * @param {Array} contributorStats
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _runOnMainThread(runId, contributorStats, options) {
+    const result = runMonteCarloSimulation(contributorStats, {
+      ...options,
+      onProgress: progress => eventBus.emit('simulation:progress', { runId, progress })
+    });
+
+    eventBus.emit('simulation:completed', { runId, inWorker: false });
+    return result;
+  }
+}
+
+// =========================================================================
+// EXPORT - Instance singleton
+// =========================================================================
+
+const simulationRunner = new SimulationRunner();
+
+export default simulationRunner;
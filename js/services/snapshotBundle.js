@@ -0,0 +1,243 @@
+/**
+ * ==========================================================================
+ * SNAPSHOTBUNDLE.JS - Export / import d'un snapshot en fichier
+ * ==========================================================================
+ *
+ * Fichier JSON versionné pour transmettre une préparation d'un navigateur
+ * à l'autre (Scrum Master → PO) :
+ * - Saisie manuelle, Sprint Goals, plan de capacité
+ * - Équipes et sprint sélectionnés
+ * - Calendriers de sprints des équipes (mêmes dates de sprint à l'import)
+ * - Données sources parsées (tickets de toutes les équipes, Time in Status,
+ *   epics) et métriques calculées
+ *
+ * FORMAT :
+ *   {
+ *     format: 'sprint-review-snapshot',
+ *     schemaVersion: 2,          // format du fichier (voir MIGRATIONS)
+ *     appVersion: '1.0.0',       // config.app.version à l'export
+ *     exportedAt: '...',
+ *     snapshot: { name, teams, sprint, createdAt },
+ *     content: { manualInput, sprintGoals, capacityPlan, sprintMetrics, sourceData, sprintCalendars }
+ *   }
+ *
+ * HISTORIQUE DU FORMAT :
+ *   1 - Format initial
+ *   2 - content.sprintCalendars : { [équipe ou '*']: [{ number, start, end }] }
+ *
+ * Les dates sont écrites { "$date": "ISO" } pour être restaurées en Date.
+ * Les tickets filtrés (csvData) ne sont pas exportés : ils sont recalculés
+ * depuis les données sources et les équipes sélectionnées.
+ *
+ * ==========================================================================
+ */
+
+import config from '../core/config.js';
+import { getCalendar, DEFAULT_CALENDAR } from './sprintCalendarService.js';
+import { slugify } from '../utils/formatters.js';
+import { stringifyWithDates, parseWithDates } from '../utils/serialization.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+/**
+ * Identifiant du format de fichier
+ */
+export const BUNDLE_FORMAT = 'sprint-review-snapshot';
+
+/**
+ * Version du format de fichier
+ * À incrémenter quand la structure exportée change (nouvelle version de
+ * l'application), en ajoutant la migration depuis la version précédente
+ */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Migrations : version N → fonction(bundle) retournant le bundle en version N + 1
+ * (appliquées dans l'ordre à l'import d'un fichier ancien)
+ */
+const MIGRATIONS = {
+  // 1 → 2 : calendriers de sprints absents (le calendrier local s'applique)
+  1: bundle => ({
+    ...bundle,
+    schemaVersion: 2,
+    content: bundle.content
+      ? { ...bundle.content, sprintCalendars: {} }
+      : bundle.content
+  })
+};
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+/**
+ * Construit le fichier d'export d'un snapshot
+ * @param {Object} snapshot - Snapshot chargé (snapshotDatabase.loadSnapshot)
+ * @returns {string} - Contenu JSON
+ */
+export function createBundle(snapshot) {
+  const { data = {} } = snapshot;
+
+  const bundle = {
+    format: BUNDLE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    appVersion: config.app.version,
+    exportedAt: new Date().toISOString(),
+    snapshot: {
+      name: snapshot.name,
+      teams: snapshot.teams || [],
+      sprint: snapshot.sprint ?? null,
+      createdAt: snapshot.createdAt
+    },
+    content: {
+      manualInput: data.manualInput || null,
+      sprintGoals: data.sprintGoals || [],
+      capacityPlan: data.capacityPlan || null,
+      sprintMetrics: data.sprintMetrics || null,
+      sourceData: data.rawCsvData || data.csvData || null,
+      sprintCalendars: getSprintCalendars(snapshot.teams || [])
+    }
+  };
+
+  return stringifyWithDates(bundle);
+}
+
+/**
+ * Calendriers de sprints à exporter : équipes du snapshot et calendrier par défaut
+ * @param {string[]} teams
+ * @returns {Object} - { [équipe]: [{ number, start, end }] }
+ */
+function getSprintCalendars(teams) {
+  const calendars = {};
+
+  [...teams, DEFAULT_CALENDAR].forEach(team => {
+    const entries = getCalendar(team);
+    if (entries.length > 0) {
+      calendars[team] = entries;
+    }
+  });
+
+  return calendars;
+}
+
+/**
+ * Nom du fichier d'export
+ * @param {Object} snapshot - { name, createdAt }
+ * @returns {string} - ex: "snapshot-sprint-15-phoenix-2026-10-19.json"
+ */
+export function getBundleFilename(snapshot) {
+  const date = (snapshot.createdAt || new Date().toISOString()).split('T')[0];
+  return `snapshot-${slugify(snapshot.name || 'sans-nom')}-${date}.json`;
+}
+
+// =========================================================================
+// IMPORT
+// =========================================================================
+
+/**
+ * Applique les migrations jusqu'à la version courante
+ * @param {Object} bundle
+ * @returns {Object}
+ * @throws {Error} - Version inconnue ou plus récente que l'application
+ */
+function migrateBundle(bundle) {
+  if (!Number.isInteger(bundle.schemaVersion) || bundle.schemaVersion < 1) {
+    throw new Error('Version du fichier snapshot inconnue');
+  }
+  if (bundle.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(
+      `Snapshot exporté par une version plus récente de l'application (${bundle.appVersion || 'inconnue'}) : ` +
+      'mettez l\'application à jour pour l\'importer'
+    );
+  }
+
+  let migrated = bundle;
+  while (migrated.schemaVersion < SCHEMA_VERSION) {
+    const migrate = MIGRATIONS[migrated.schemaVersion];
+    if (!migrate) {
+      throw new Error(`Aucune migration depuis la version ${migrated.schemaVersion} du fichier snapshot`);
+    }
+    migrated = migrate(migrated);
+  }
+
+  return migrated;
+}
+
+/**
+ * Lit un fichier d'export et reconstitue les données du snapshot
+ * @param {string} text - Contenu du fichier
+ * @returns {Object} - { name, teams, sprint, createdAt, appVersion, data, sprintCalendars, warnings }
+ * @throws {Error} - Message lisible si le fichier est invalide
+ */
+export function parseBundle(text) {
+  let bundle;
+  try {
+    bundle = parseWithDates(text);
+  } catch (error) {
+    throw new Error('Fichier illisible : JSON invalide');
+  }
+
+  if (bundle?.format !== BUNDLE_FORMAT) {
+    throw new Error('Ce fichier n\'est pas un snapshot Sprint Review');
+  }
+
+  const { snapshot = {}, content, appVersion } = migrateBundle(bundle);
+  if (!content) {
+    throw new Error('Snapshot vide : contenu absent du fichier');
+  }
+
+  const sourceData = content.sourceData;
+  if (sourceData && !Array.isArray(sourceData.tickets)) {
+    throw new Error('Snapshot invalide : tickets absents des données sources');
+  }
+
+  const teams = Array.isArray(snapshot.teams) ? snapshot.teams : [];
+
+  // Tickets des équipes sélectionnées (comme le filtre d'équipes de la Préparation)
+  const csvData = sourceData
+    ? {
+      ...sourceData,
+      tickets: teams.length > 0
+        ? sourceData.tickets.filter(t => teams.includes(t.team))
+        : sourceData.tickets
+    }
+    : null;
+
+  const warnings = [];
+  if (appVersion && appVersion !== config.app.version) {
+    warnings.push(`Snapshot exporté par la version ${appVersion} (version actuelle : ${config.app.version})`);
+  }
+
+  return {
+    name: snapshot.name || 'Snapshot importé',
+    teams,
+    sprint: snapshot.sprint ?? null,
+    createdAt: snapshot.createdAt || null,
+    appVersion: appVersion || null,
+    data: {
+      csvData,
+      rawCsvData: sourceData,
+      csvLoaded: !!sourceData,
+      sprintMetrics: content.sprintMetrics || null,
+      ...(content.manualInput ? { manualInput: content.manualInput } : {}),
+      sprintGoals: content.sprintGoals || [],
+      capacityPlan: content.capacityPlan || null
+    },
+    sprintCalendars: content.sprintCalendars || {},
+    warnings
+  };
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  BUNDLE_FORMAT,
+  SCHEMA_VERSION,
+  createBundle,
+  getBundleFilename,
+  parseBundle
+};
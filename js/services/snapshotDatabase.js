@@ -0,0 +1,507 @@
+/**
+ * ==========================================================================
+ * SNAPSHOTDATABASE.JS - Snapshots en IndexedDB
+ * ==========================================================================
+ *
+ * Stockage des snapshots de la page Préparation avec les données complètes :
+ * - Tickets parsés (toutes les équipes), Time in Status, epics
+ * - Métriques calculées pour les équipes et le sprint sélectionnés
+ * - Saisie manuelle, Sprint Goals, plan de capacité
+ *
+ * IndexedDB conserve les objets tels quels (dates comprises, sans passer
+ * par JSON) et n'est limité que par le quota du navigateur, contrairement
+ * au localStorage (~5 Mo) qui ne pouvait contenir que la saisie manuelle.
+ *
+ * Deux object stores : les métadonnées (liste affichée sans charger les
+ * tickets) et les données complètes, lues uniquement au chargement.
+ *
+ * CHIFFREMENT : si le chiffrement est activé (cryptoService), chaque
+ * enregistrement (métadonnées comprises) est stocké { id, encrypted } ;
+ * seul l'ID reste en clair. applyEncryption() réécrit les snapshots
+ * existants à l'activation / désactivation.
+ *
+ * MIGRATION : à la première ouverture, les snapshots du localStorage
+ * (storageService) sont copiés dans IndexedDB puis supprimés du localStorage.
+ *
+ * USAGE :
+ *   import snapshotDatabase from './snapshotDatabase.js';
+ *
+ *   await snapshotDatabase.saveSnapshot('Sprint 15 - Phoenix', data, { teams: ['Phoenix'], sprint: 15 });
+ *   const snapshots = await snapshotDatabase.listSnapshots({ team: 'Phoenix' });
+ *   const { data } = await snapshotDatabase.loadSnapshot(snapshots[0].id);
+ *   const { usedFormatted, totalFormatted } = await snapshotDatabase.getStorageInfo();
+ *
+ * ==========================================================================
+ */
+
+import config from '../core/config.js';
+import eventBus from '../core/eventBus.js';
+import storage from './storageService.js';
+import cryptoService from './cryptoService.js';
+import { formatBytes } from '../utils/formatters.js';
+import { stringifyWithDates, parseWithDates } from '../utils/serialization.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+const DB_NAME = 'sprintReview';
+const DB_VERSION = 1;
+const META_STORE = 'snapshots';
+const DATA_STORE = 'snapshotData';
+
+// =========================================================================
+// UTILITAIRES INDEXEDDB
+// =========================================================================
+
+/**
+ * Convertit une requête IndexedDB en promesse
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Attend la fin d'une transaction
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction annulée'));
+  });
+}
+
+/**
+ * Traduit une erreur d'écriture en message lisible
+ * @param {Error} error
+ * @returns {Error}
+ */
+function toWriteError(error) {
+  if (error?.name === 'QuotaExceededError') {
+    return new Error('Espace de stockage insuffisant : supprimez d\'anciens snapshots');
+  }
+  return error instanceof Error ? error : new Error(String(error));
+}
+
+// =========================================================================
+// CLASSE SNAPSHOTDATABASE
+// =========================================================================
+
+class SnapshotDatabase {
+  constructor() {
+    this.isAvailable = typeof indexedDB !== 'undefined';
+    this._dbPromise = null;
+
+    if (!this.isAvailable) {
+      console.warn('[SnapshotDatabase] IndexedDB non disponible, snapshots en localStorage');
+    }
+  }
+
+  // =========================================================================
+  // SNAPSHOTS
+  // =========================================================================
+
+  /**
+   * Sauvegarde un snapshot
+   * @param {string} name - Nom du snapshot (ex: "Sprint 15 - Phoenix")
+   * @param {Object} data - État à sauvegarder (csvData, rawCsvData, sprintMetrics, manualInput...)
+   * @param {Object} [selection]
+   * @param {string[]} [selection.teams] - Équipes sélectionnées
+   * @param {number|null} [selection.sprint] - Sprint sélectionné
+   * @returns {Promise<Object>} Métadonnées du snapshot créé
+   * @throws {Error} Quota dépassé
+   */
+  async saveSnapshot(name, data, selection = {}) {
+    if (!this.isAvailable) {
+      const legacy = storage.saveSnapshot(name, data);
+      if (!legacy) {
+        throw new Error('Espace de stockage insuffisant (localStorage) : supprimez d\'anciens snapshots');
+      }
+      return this._toMeta(legacy);
+    }
+
+    const db = await this._open();
+
+    const meta = {
+      id: this._generateId(),
+      name,
+      teams: selection.teams || [],
+      sprint: selection.sprint ?? null,
+      ticketCount: this._countTickets(data),
+      createdAt: new Date().toISOString(),
+      version: config.app.version
+    };
+
+    // Chiffrer avant d'ouvrir la transaction (elle se termine à la première attente)
+    const [metaRecord, dataRecord] = await Promise.all([
+      this._seal(meta),
+      this._seal({ id: meta.id, data })
+    ]);
+
+    try {
+      const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+      tx.objectStore(META_STORE).put(metaRecord);
+      tx.objectStore(DATA_STORE).put(dataRecord);
+      await transactionDone(tx);
+    } catch (error) {
+      throw toWriteError(error);
+    }
+
+    eventBus.emit('snapshot:saved', { id: meta.id, name });
+    return meta;
+  }
+
+  /**
+   * Liste les snapshots (métadonnées, du plus récent au plus ancien)
+   * @param {Object} [filters]
+   * @param {string} [filters.team] - Snapshots contenant cette équipe
+   * @param {number} [filters.sprint] - Snapshots de ce sprint
+   * @returns {Promise<Array<Object>>} { id, name, teams, sprint, ticketCount, createdAt, version, dateFormatted }
+   */
+  async listSnapshots(filters = {}) {
+    const snapshots = this.isAvailable
+      ? await this._getAllMeta()
+      : this._getLegacySnapshots();
+
+    return snapshots
+      .filter(s => !filters.team || s.teams.includes(filters.team))
+      .filter(s => filters.sprint === undefined || s.sprint === filters.sprint)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(snapshot => ({
+        ...snapshot,
+        dateFormatted: new Date(snapshot.createdAt).toLocaleDateString('fr-FR', {
+          day: 'numeric',
+          month: 'short',
+          year: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit'
+        })
+      }));
+  }
+
+  /**
+   * Charge un snapshot complet
+   * @param {string} id - ID du snapshot
+   * @returns {Promise<Object|null>} Métadonnées + data, ou null si introuvable
+   */
+  async loadSnapshot(id) {
+    let snapshot = null;
+
+    if (this.isAvailable) {
+      const db = await this._open();
+      const tx = db.transaction([META_STORE, DATA_STORE], 'readonly');
+      const [metaRecord, dataRecord] = await Promise.all([
+        promisifyRequest(tx.objectStore(META_STORE).get(id)),
+        promisifyRequest(tx.objectStore(DATA_STORE).get(id))
+      ]);
+      if (metaRecord && dataRecord) {
+        const [meta, record] = await Promise.all([this._unseal(metaRecord), this._unseal(dataRecord)]);
+        snapshot = { ...meta, data: record.data };
+      }
+    } else {
+      const legacy = storage.getSnapshots().find(s => s.id === id);
+      snapshot = legacy ? { ...this._toMeta(legacy), data: legacy.data } : null;
+    }
+
+    if (snapshot) {
+      eventBus.emit('snapshot:loaded', { id });
+    }
+    return snapshot;
+  }
+
+  /**
+   * Supprime un snapshot
+   * @param {string} id - ID du snapshot
+   * @returns {Promise<boolean>} Succès de l'opération
+   */
+  async deleteSnapshot(id) {
+    if (!this.isAvailable) {
+      return storage.deleteSnapshot(id);
+    }
+
+    const db = await this._open();
+    const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    tx.objectStore(META_STORE).delete(id);
+    tx.objectStore(DATA_STORE).delete(id);
+    await transactionDone(tx);
+
+    eventBus.emit('snapshot:deleted', { id });
+    return true;
+  }
+
+  // =========================================================================
+  // CHIFFREMENT
+  // =========================================================================
+
+  /**
+   * Réécrit les snapshots chiffrés ou en clair, un snapshot à la fois
+   * @param {boolean} [encrypt] - Chiffrer (par défaut : chiffrement activé)
+   * @returns {Promise<number>} Nombre de snapshots réécrits
+   * @throws {Error} Données verrouillées ou quota dépassé
+   */
+  async applyEncryption(encrypt = cryptoService.isEnabled()) {
+    if (!this.isAvailable) return 0;
+
+    const db = await this._open();
+    const ids = await promisifyRequest(
+      db.transaction(META_STORE, 'readonly').objectStore(META_STORE).getAllKeys()
+    );
+
+    for (const id of ids) {
+      const readTx = db.transaction([META_STORE, DATA_STORE], 'readonly');
+      const records = await Promise.all([
+        promisifyRequest(readTx.objectStore(META_STORE).get(id)),
+        promisifyRequest(readTx.objectStore(DATA_STORE).get(id))
+      ]);
+      if (records.some(record => !record)) continue;
+
+      const [metaRecord, dataRecord] = await Promise.all(
+        records.map(async record => this._seal(await this._unseal(record), encrypt))
+      );
+
+      try {
+        const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+        tx.objectStore(META_STORE).put(metaRecord);
+        tx.objectStore(DATA_STORE).put(dataRecord);
+        await transactionDone(tx);
+      } catch (error) {
+        throw toWriteError(error);
+      }
+    }
+
+    return ids.length;
+  }
+
+  /**
+   * Supprime tous les snapshots (phrase secrète oubliée)
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (!this.isAvailable) return;
+
+    const db = await this._open();
+    const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    tx.objectStore(META_STORE).clear();
+    tx.objectStore(DATA_STORE).clear();
+    await transactionDone(tx);
+  }
+
+  // =========================================================================
+  // QUOTA
+  // =========================================================================
+
+  /**
+   * Espace utilisé et quota du navigateur (navigator.storage.estimate)
+   * Sans l'API : estimation du localStorage (storageService)
+   * @returns {Promise<Object>} { used, total, percentage, usedFormatted, totalFormatted, isEstimate }
+   */
+  async getStorageInfo() {
+    if (!navigator.storage?.estimate) {
+      return { ...storage.getStorageInfo(), isEstimate: true };
+    }
+
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    const percentage = quota > 0 ? (usage / quota) * 100 : 0;
+
+    return {
+      used: usage,
+      total: quota,
+      percentage: Math.round(percentage * 100) / 100,
+      usedFormatted: formatBytes(usage),
+      totalFormatted: formatBytes(quota),
+      isEstimate: false
+    };
+  }
+
+  // =========================================================================
+  // MÉTHODES PRIVÉES
+  // =========================================================================
+
+  /**
+   * Ouvre la base (une seule fois) et migre les snapshots du localStorage
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _open() {
+    if (!this.isAvailable) {
+      return Promise.reject(new Error('IndexedDB non disponible dans ce navigateur'));
+    }
+
+    if (!this._dbPromise) {
+      this._dbPromise = (async () => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(META_STORE)) {
+            db.createObjectStore(META_STORE, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(DATA_STORE)) {
+            db.createObjectStore(DATA_STORE, { keyPath: 'id' });
+          }
+        };
+
+        const db = await promisifyRequest(request);
+        await this._migrateFromLocalStorage(db);
+        return db;
+      })();
+
+      // Échec d'ouverture : réessayer au prochain appel
+      this._dbPromise.catch(() => {
+        this._dbPromise = null;
+      });
+    }
+
+    return this._dbPromise;
+  }
+
+  /**
+   * Lit toutes les métadonnées
+   * @private
+   * @returns {Promise<Array<Object>>}
+   */
+  async _getAllMeta() {
+    const db = await this._open();
+    const tx = db.transaction(META_STORE, 'readonly');
+    const records = await promisifyRequest(tx.objectStore(META_STORE).getAll());
+    return Promise.all(records.map(record => this._unseal(record)));
+  }
+
+  /**
+   * Chiffre un enregistrement si le chiffrement est activé
+   * @private
+   * @param {Object} record - Enregistrement avec son id
+   * @param {boolean} [encrypt] - Chiffrer (par défaut : chiffrement activé)
+   * @returns {Promise<Object>} { id, encrypted } ou l'enregistrement tel quel
+   */
+  async _seal(record, encrypt = cryptoService.isEnabled()) {
+    if (!encrypt) return record;
+
+    return {
+      id: record.id,
+      encrypted: await cryptoService.encrypt(stringifyWithDates(record))
+    };
+  }
+
+  /**
+   * Déchiffre un enregistrement écrit par _seal
+   * @private
+   * @param {Object} record
+   * @returns {Promise<Object>}
+   * @throws {Error} Données verrouillées
+   */
+  async _unseal(record) {
+    if (!record?.encrypted) return record;
+    return parseWithDates(await cryptoService.decrypt(record.encrypted));
+  }
+
+  /**
+   * Copie les snapshots du localStorage dans IndexedDB puis les supprime
+   * (un snapshot déjà présent, même ID, n'est pas écrasé)
+   * @private
+   * @param {IDBDatabase} db
+   * @returns {Promise<number>} Nombre de snapshots migrés
+   */
+  async _migrateFromLocalStorage(db) {
+    const legacy = storage.getSnapshots();
+    if (legacy.length === 0) return 0;
+
+    const records = await Promise.all(legacy.map(snapshot => Promise.all([
+      this._seal(this._toMeta(snapshot)),
+      this._seal({ id: snapshot.id, data: snapshot.data })
+    ])));
+
+    const tx = db.transaction([META_STORE, DATA_STORE], 'readwrite');
+    const metaStore = tx.objectStore(META_STORE);
+    const dataStore = tx.objectStore(DATA_STORE);
+
+    // ID déjà présent : ignorer l'erreur sans annuler la transaction
+    const keepExisting = (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    };
+
+    records.forEach(([metaRecord, dataRecord]) => {
+      metaStore.add(metaRecord).onerror = keepExisting;
+      dataStore.add(dataRecord).onerror = keepExisting;
+    });
+
+    try {
+      await transactionDone(tx);
+    } catch (error) {
+      // Les snapshots restent dans le localStorage : nouvel essai à la prochaine ouverture
+      console.error('[SnapshotDatabase] Erreur migration:', error);
+      return 0;
+    }
+
+    storage.remove('snapshots');
+    console.log(`[SnapshotDatabase] ${legacy.length} snapshot(s) migré(s) depuis le localStorage`);
+    eventBus.emit('snapshot:migrated', { count: legacy.length });
+    return legacy.length;
+  }
+
+  /**
+   * Snapshots du localStorage au format des métadonnées (IndexedDB indisponible)
+   * @private
+   * @returns {Array<Object>}
+   */
+  _getLegacySnapshots() {
+    return storage.getSnapshots().map(snapshot => this._toMeta(snapshot));
+  }
+
+  /**
+   * Métadonnées d'un snapshot du localStorage { id, name, data, createdAt, version }
+   * @private
+   * @param {Object} snapshot
+   * @returns {Object}
+   */
+  _toMeta(snapshot) {
+    // Équipes sélectionnées : celles des tickets filtrés (csvData)
+    const tickets = snapshot.data?.csvData?.tickets || [];
+
+    return {
+      id: snapshot.id,
+      name: snapshot.name,
+      teams: [...new Set(tickets.map(t => t.team).filter(Boolean))],
+      sprint: null,
+      ticketCount: this._countTickets(snapshot.data),
+      createdAt: snapshot.createdAt,
+      version: snapshot.version
+    };
+  }
+
+  /**
+   * Nombre de tickets sauvegardés (toutes équipes)
+   * @private
+   * @param {Object} data
+   * @returns {number}
+   */
+  _countTickets(data) {
+    return (data?.rawCsvData?.tickets || data?.csvData?.tickets || []).length;
+  }
+
+  /**
+   * Génère un ID unique
+   * @private
+   * @returns {string}
+   */
+  _generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
+  }
+}
+
+// =========================================================================
+// EXPORT - Instance singleton
+// =========================================================================
+
+const snapshotDatabase = new SnapshotDatabase();
+
+export default snapshotDatabase;
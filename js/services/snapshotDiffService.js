@@ -0,0 +1,281 @@
+/**
+ * ==========================================================================
+ * SNAPSHOTDIFFSERVICE.JS - Comparaison de deux snapshots
+ * ==========================================================================
+ *
+ * Explique l'évolution entre deux états sauvegardés (ex: point mi-sprint
+ * et Sprint Review) :
+ * - Tickets ayant changé de statut ou de sprint(s)
+ * - Tickets ajoutés au sprint / retirés du sprint
+ * - Story Points engagés / livrés
+ * - Statut des Sprint Goals
+ * - Variation des principales métriques
+ *
+ * Le snapshot le plus ancien (date de création) sert de référence.
+ * Tickets comparés : ceux des équipes sélectionnées (csvData) de chaque
+ * snapshot, rapprochés par leur clé Jira (une ligne par clé).
+ *
+ * ==========================================================================
+ */
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+/**
+ * Libellés des statuts de Sprint Goal (ceux du composant SprintGoals)
+ */
+export const GOAL_STATUS_LABELS = {
+  achieved: 'Atteint',
+  partial: 'Partiel',
+  missed: 'Manqué',
+  null: 'Non défini'
+};
+
+/**
+ * Métriques comparées
+ * better : sens d'une amélioration ('up', 'down' ou null si neutre)
+ */
+export const DIFF_METRICS = [
+  { key: 'throughput', label: 'Throughput', unit: 'tickets', better: 'up', get: m => m.throughput?.currentValue },
+  { key: 'midSprint', label: 'Ajouts mid-sprint', unit: 'tickets', better: 'down', get: m => m.throughput?.midSprintCount },
+  { key: 'cycleTime', label: 'Cycle Time moyen', unit: 'j', better: 'down', get: m => m.cycleTime?.currentValue },
+  { key: 'completion', label: 'Complétion SP', unit: '%', better: 'up', get: m => m.storyPoints?.currentCompletion },
+  { key: 'bugsCreated', label: 'Bugs créés', unit: 'bugs', better: 'down', get: m => m.bugs?.sprintCreated },
+  { key: 'bugsStock', label: 'Stock de bugs', unit: 'bugs', better: 'down', get: m => m.bugs?.stock },
+  { key: 'mttr', label: 'MTTR', unit: 'j', better: 'down', get: m => m.bugs?.mttr },
+  { key: 'flowEfficiency', label: 'Flow Efficiency', unit: '%', better: 'up', get: m => m.flowEfficiency?.currentValue },
+  { key: 'wip', label: 'WIP moyen', unit: 'tickets', better: 'down', get: m => m.wip?.currentWip },
+  { key: 'agingWip', label: 'Tickets à risque (Aging WIP)', unit: 'tickets', better: 'down', get: m => m.agingWip?.atRiskCount }
+];
+
+// =========================================================================
+// HELPERS
+// =========================================================================
+
+/**
+ * Arrondit une valeur à 1 décimale (null si absente)
+ * @param {*} value
+ * @returns {number|null}
+ */
+function round(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+/**
+ * Compare deux valeurs numériques
+ * @param {number|null} before
+ * @param {number|null} after
+ * @returns {Object} - { before, after, delta }
+ */
+function compareValues(before, after) {
+  return {
+    before,
+    after,
+    delta: before !== null && after !== null ? round(after - before) : null
+  };
+}
+
+/**
+ * Story Points engagés / livrés du sprint affiché
+ * (métriques calculées depuis le CSV, sinon saisie manuelle du sprint actuel)
+ * @param {Object} data - Données du snapshot
+ * @returns {Object} - { committed, delivered }
+ */
+function getStoryPoints(data) {
+  const metrics = data?.sprintMetrics?.storyPoints;
+  if (metrics?.isFromCSV) {
+    return { committed: round(metrics.currentCommitted), delivered: round(metrics.currentDelivered) };
+  }
+
+  const manual = data?.manualInput?.storyPoints?.[0];
+  return {
+    committed: round(manual?.committed ?? data?.manualInput?.storyPointsCommitted),
+    delivered: round(manual?.delivered ?? data?.manualInput?.storyPointsDelivered)
+  };
+}
+
+/**
+ * Résumé d'un ticket pour l'affichage
+ * @param {Object} ticket
+ * @returns {Object} - { key, summary, team, status, sprints, storyPoints }
+ */
+function describeTicket(ticket) {
+  return {
+    key: ticket.key,
+    summary: ticket.summary || '',
+    team: ticket.team,
+    status: ticket.status,
+    sprints: ticket.sprints || [],
+    storyPoints: ticket.storyPoints || 0
+  };
+}
+
+// =========================================================================
+// COMPARAISONS
+// =========================================================================
+
+/**
+ * Compare les tickets de deux snapshots
+ * @param {Array} beforeTickets
+ * @param {Array} afterTickets
+ * @param {number|null} sprint - Sprint de référence pour les ajouts / retraits
+ * @returns {Object} - { statusChanges, sprintChanges, added, removed }
+ */
+function compareTickets(beforeTickets, afterTickets, sprint) {
+  const beforeByKey = new Map(beforeTickets.map(t => [t.key, t]));
+  const afterByKey = new Map(afterTickets.map(t => [t.key, t]));
+
+  const statusChanges = [];
+  const sprintChanges = [];
+
+  afterByKey.forEach(after => {
+    const before = beforeByKey.get(after.key);
+    if (!before) return;
+
+    if (before.status !== after.status) {
+      statusChanges.push({ ...describeTicket(after), from: before.status, to: after.status });
+    }
+
+    const fromSprints = before.sprints || [];
+    const toSprints = after.sprints || [];
+    if (fromSprints.join(',') !== toSprints.join(',')) {
+      sprintChanges.push({ ...describeTicket(after), from: fromSprints, to: toSprints });
+    }
+  });
+
+  // Périmètre du sprint de référence (tous les tickets si sprint inconnu)
+  const inScope = ticket => sprint === null || (ticket.sprints || []).includes(sprint);
+  const beforeScope = new Set(beforeTickets.filter(inScope).map(t => t.key));
+  const afterScope = new Set(afterTickets.filter(inScope).map(t => t.key));
+
+  const added = [...afterByKey.values()]
+    .filter(t => afterScope.has(t.key) && !beforeScope.has(t.key))
+    .map(describeTicket);
+  const removed = [...beforeByKey.values()]
+    .filter(t => beforeScope.has(t.key) && !afterScope.has(t.key))
+    .map(t => ({ ...describeTicket(afterByKey.get(t.key) || t), isDeleted: !afterByKey.has(t.key) }));
+
+  const byKey = (a, b) => a.key.localeCompare(b.key, 'fr', { numeric: true });
+
+  return {
+    statusChanges: statusChanges.sort(byKey),
+    sprintChanges: sprintChanges.sort(byKey),
+    added: added.sort(byKey),
+    removed: removed.sort(byKey)
+  };
+}
+
+/**
+ * Compare les Sprint Goals (rapprochés par leur texte)
+ * @param {Array} beforeGoals
+ * @param {Array} afterGoals
+ * @returns {Array<Object>} - [{ text, change: 'status'|'added'|'removed', from, to }]
+ */
+function compareGoals(beforeGoals = [], afterGoals = []) {
+  const normalize = text => (text || '').trim().toLowerCase();
+  const beforeByText = new Map(beforeGoals.map(g => [normalize(g.text), g]));
+  const afterTexts = new Set(afterGoals.map(g => normalize(g.text)));
+
+  const changes = [];
+
+  afterGoals.forEach(goal => {
+    const before = beforeByText.get(normalize(goal.text));
+    if (!before) {
+      changes.push({ text: goal.text, change: 'added', from: null, to: goal.status ?? null });
+    } else if ((before.status ?? null) !== (goal.status ?? null)) {
+      changes.push({ text: goal.text, change: 'status', from: before.status ?? null, to: goal.status ?? null });
+    }
+  });
+
+  beforeGoals
+    .filter(goal => !afterTexts.has(normalize(goal.text)))
+    .forEach(goal => {
+      changes.push({ text: goal.text, change: 'removed', from: goal.status ?? null, to: null });
+    });
+
+  return changes;
+}
+
+/**
+ * Compare les métriques calculées
+ * @param {Object|null} beforeMetrics
+ * @param {Object|null} afterMetrics
+ * @returns {Array<Object>} - [{ key, label, unit, before, after, delta, trend: 'better'|'worse'|'neutral' }]
+ * (métriques présentes dans les deux snapshots et ayant varié)
+ */
+function compareMetrics(beforeMetrics, afterMetrics) {
+  if (!beforeMetrics || !afterMetrics) return [];
+
+  return DIFF_METRICS
+    .map(({ key, label, unit, better, get }) => {
+      const { before, after, delta } = compareValues(round(get(beforeMetrics)), round(get(afterMetrics)));
+      const improved = better === 'up' ? delta > 0 : delta < 0;
+      return {
+        key,
+        label,
+        unit,
+        before,
+        after,
+        delta,
+        trend: !better ? 'neutral' : improved ? 'better' : 'worse'
+      };
+    })
+    .filter(m => m.delta !== null && m.delta !== 0);
+}
+
+// =========================================================================
+// API
+// =========================================================================
+
+/**
+ * Compare deux snapshots chargés (snapshotDatabase.loadSnapshot)
+ * @param {Object} first - { name, createdAt, teams, sprint, data }
+ * @param {Object} second
+ * @returns {Object} - {
+ *   before, after: { name, createdAt, sprint },
+ *   sprint, hasTickets,
+ *   tickets: { statusChanges, sprintChanges, added, removed },
+ *   storyPoints: { committed, delivered } ({ before, after, delta }),
+ *   goals, metrics
+ * }
+ */
+export function compareSnapshots(first, second) {
+  const [before, after] = [first, second].sort((a, b) =>
+    (a.createdAt || '').localeCompare(b.createdAt || '')
+  );
+
+  const beforeTickets = before.data?.csvData?.tickets || [];
+  const afterTickets = after.data?.csvData?.tickets || [];
+  const hasTickets = beforeTickets.length > 0 && afterTickets.length > 0;
+  const sprint = after.sprint ?? before.sprint ?? null;
+
+  const beforeSP = getStoryPoints(before.data);
+  const afterSP = getStoryPoints(after.data);
+
+  return {
+    before: { name: before.name, createdAt: before.createdAt, sprint: before.sprint ?? null },
+    after: { name: after.name, createdAt: after.createdAt, sprint: after.sprint ?? null },
+    sprint,
+    hasTickets,
+    tickets: hasTickets
+      ? compareTickets(beforeTickets, afterTickets, sprint)
+      : { statusChanges: [], sprintChanges: [], added: [], removed: [] },
+    storyPoints: {
+      committed: compareValues(beforeSP.committed, afterSP.committed),
+      delivered: compareValues(beforeSP.delivered, afterSP.delivered)
+    },
+    goals: compareGoals(before.data?.sprintGoals, after.data?.sprintGoals),
+    metrics: compareMetrics(before.data?.sprintMetrics, after.data?.sprintMetrics)
+  };
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  GOAL_STATUS_LABELS,
+  DIFF_METRICS,
+  compareSnapshots
+};
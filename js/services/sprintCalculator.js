@@ -10,7 +10,9 @@
  * - Agrégation des données par sprint
  *
  * CONVENTION :
- * - Les sprints durent 2 semaines
+ * - Si le calendrier de sprints (sprintCalendarService) définit le sprint,
+ *   ses dates explicites sont prioritaires
+ * - Sinon : les sprints durent 2 semaines
  * - Les sprints commencent en semaine paire (W02, W04, W06...)
  * - Le sprint N correspond aux semaines 2N et 2N+1
  *
@@ -24,6 +26,7 @@
  */
 
 import config from '../core/config.js';
+import { findSprint, findSprintForDate } from './sprintCalendarService.js';
 
 // =========================================================================
 // CALCULS DE BASE
@@ -136,6 +139,29 @@ export function getSprintWeeks(sprintNumber) {
 export function getCurrentSprint(date = new Date()) {
   const weekNumber = getWeekNumber(date);
   const year = getISOYear(date);
+
+  // Calendrier explicite de l'équipe active
+  const calendarSprint = findSprintForDate(date);
+  if (calendarSprint) {
+    const { number, start, end } = calendarSprint;
+    const startWeek = getWeekNumber(start);
+    const endWeek = getWeekNumber(end);
+
+    return {
+      number,
+      name: `Sprint ${number}`,
+      weeks: [startWeek, endWeek],
+      startDate: start,
+      endDate: end,
+      year,
+      formatted: formatSprintDates(start, end),
+      isStartWeek: weekNumber === startWeek,
+      isEndWeek: weekNumber === endWeek,
+      weekInSprint: Math.floor((date - start) / (7 * 86400000)) + 1,
+      currentWeek: weekNumber
+    };
+  }
+
   const sprintNumber = getSprintFromWeek(weekNumber);
   const [startWeek, endWeek] = getSprintWeeks(sprintNumber);
 
@@ -383,12 +409,21 @@ export function getCurrentSprintNumber() {
  * @returns {Object} { startDate, endDate, startFormatted, endFormatted }
  */
 export function getSprintDates(sprintNumber) {
-  const year = new Date().getFullYear();
-  const [startWeek, endWeek] = getSprintWeeks(sprintNumber);
-
-  const startDate = getDateFromWeek(startWeek, year);
-  const endDate = new Date(getDateFromWeek(endWeek, year));
-  endDate.setDate(endDate.getDate() + 6);
+  const calendarSprint = findSprint(sprintNumber);
+  let startDate;
+  let endDate;
+
+  if (calendarSprint) {
+    startDate = calendarSprint.start;
+    endDate = calendarSprint.end;
+  } else {
+    const year = new Date().getFullYear();
+    const [startWeek, endWeek] = getSprintWeeks(sprintNumber);
+
+    startDate = getDateFromWeek(startWeek, year);
+    endDate = new Date(getDateFromWeek(endWeek, year));
+    endDate.setDate(endDate.getDate() + 6);
+  }
 
   const locale = config.locale || 'fr-FR';
 
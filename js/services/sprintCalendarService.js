@@ -0,0 +1,643 @@
+/**
+ * ==========================================================================
+ * SPRINTCALENDARSERVICE.JS - Calendrier de sprints par équipe
+ * ==========================================================================
+ *
+ * Stocke les dates explicites de début/fin de sprint pour chaque équipe :
+ * - Sprints de durée variable (2 semaines, 3 semaines...)
+ * - Numérotation libre (redémarrage par trimestre, sprint sauté à Noël...)
+ * - Persistance via storageService
+ *
+ * Un sprint est identifié par son numéro et sa période : deux "Sprint 1"
+ * aux dates distinctes (numérotation redémarrée) coexistent, un "Sprint 1"
+ * dont les dates recouvrent un "Sprint 1" existant le remplace.
+ * Les recherches par numéro acceptent une date de référence (dates des
+ * tickets du sprint, voir getSprintReferenceDate) pour choisir la bonne
+ * période ; sans date de référence, le sprint le plus récent est retenu.
+ *
+ * Fournit aussi les dates de sprint utilisées par l'application
+ * (getSprintDates, getSprintDays...) : calendrier de l'équipe, sinon
+ * convention fixe de sprintDates.js (Sprint 18 = 2 février 2026).
+ *
+ * FORMAT STOCKÉ :
+ *   {
+ *     'IAML': [{ number: 16, start: '2026-01-05', end: '2026-01-16' }, ...],
+ *     '*':    [...]   // Calendrier par défaut (toutes équipes)
+ *   }
+ *
+ * USAGE :
+ *   import sprintCalendar from './sprintCalendarService.js';
+ *
+ *   sprintCalendar.setActiveTeam('IAML');
+ *   sprintCalendar.upsertSprint('IAML', { number: 16, start: '2026-01-05', end: '2026-01-23' });
+ *   const sprint = sprintCalendar.findSprint(16); // { number, start: Date, end: Date }
+ *   const { start, end } = getSprintDates(16);    // calendrier ou convention
+ *
+ * ==========================================================================
+ */
+
+import storageService from './storageService.js';
+import eventBus from '../core/eventBus.js';
+import {
+  getConventionSprintDates,
+  getConventionSprintNumberForDate,
+  getPeriodDays,
+  isDateInPeriod,
+  SPRINT_DURATION
+} from '../utils/sprintDates.js';
+import { isWorkday } from '../utils/holidays.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+const STORAGE_KEY = 'sprintCalendars';
+
+/**
+ * Clé du calendrier par défaut (appliqué à toutes les équipes)
+ */
+export const DEFAULT_CALENDAR = '*';
+
+// =========================================================================
+// ÉTAT INTERNE
+// =========================================================================
+
+let calendars = null;
+let activeTeam = null;
+
+/**
+ * Charge les calendriers depuis le stockage (une seule fois)
+ * @returns {Object}
+ */
+function loadCalendars() {
+  if (calendars === null) {
+    calendars = storageService.get(STORAGE_KEY, {}) || {};
+  }
+  return calendars;
+}
+
+/**
+ * Persiste les calendriers et notifie l'application
+ * @param {string} team
+ */
+function persist(team) {
+  storageService.set(STORAGE_KEY, calendars);
+  eventBus.emit('calendar:updated', { team });
+}
+
+// =========================================================================
+// CONVERSION DE DATES
+// =========================================================================
+
+/**
+ * Convertit une date ISO "YYYY-MM-DD" en Date locale (minuit)
+ * @param {string} isoDate
+ * @returns {Date|null}
+ */
+export function parseCalendarDate(isoDate) {
+  if (!isoDate) return null;
+
+  const match = String(isoDate).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (!match) return null;
+
+  const date = new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Convertit une Date en chaîne ISO "YYYY-MM-DD" (heure locale)
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatCalendarDate(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  const month = String(d.getMonth() + 1).padStart(2, '0');
+  const day = String(d.getDate()).padStart(2, '0');
+  return `${d.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Transforme une entrée stockée en objet utilisable
+ * @param {Object} entry - { number, start, end } (dates ISO)
+ * @returns {Object} - { number, start: Date, end: Date }
+ */
+function toSprint(entry) {
+  const start = parseCalendarDate(entry.start);
+  const end = parseCalendarDate(entry.end);
+  end.setHours(23, 59, 59, 999);
+
+  return { number: entry.number, start, end };
+}
+
+/**
+ * Normalise une entrée saisie ({ number, start, end } en ISO ou Date)
+ * @param {Object} entry
+ * @returns {Object} - { number, start, end } (dates ISO)
+ */
+function normalizeEntry(entry) {
+  return {
+    number: parseInt(entry.number, 10),
+    start: entry.start instanceof Date ? formatCalendarDate(entry.start) : entry.start,
+    end: entry.end instanceof Date ? formatCalendarDate(entry.end) : entry.end
+  };
+}
+
+/**
+ * Deux entrées (dates ISO) se chevauchent
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  return a.start <= b.end && a.end >= b.start;
+}
+
+/**
+ * Deux entrées désignent le même sprint : même numéro et périodes qui se
+ * recouvrent (sprint dont on corrige les dates)
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+function isSameSprint(a, b) {
+  return a.number === b.number && (a.start === b.start || overlaps(a, b));
+}
+
+// =========================================================================
+// ÉQUIPE ACTIVE
+// =========================================================================
+
+/**
+ * Définit l'équipe dont le calendrier est utilisé par défaut
+ * @param {string|null} team
+ */
+export function setActiveTeam(team) {
+  activeTeam = team || null;
+}
+
+/**
+ * Retourne l'équipe active
+ * @returns {string|null}
+ */
+export function getActiveTeam() {
+  return activeTeam;
+}
+
+// =========================================================================
+// LECTURE
+// =========================================================================
+
+/**
+ * Retourne le calendrier brut d'une équipe (trié par date de début)
+ * @param {string} team - Nom de l'équipe (ou DEFAULT_CALENDAR)
+ * @returns {Array<Object>} - [{ number, start, end }] (dates ISO)
+ */
+export function getCalendar(team = DEFAULT_CALENDAR) {
+  const entries = loadCalendars()[team] || [];
+  return [...entries].sort((a, b) => a.start.localeCompare(b.start));
+}
+
+/**
+ * Liste les équipes ayant un calendrier défini
+ * @returns {string[]}
+ */
+export function getCalendarTeams() {
+  return Object.keys(loadCalendars()).filter(team => (calendars[team] || []).length > 0);
+}
+
+/**
+ * Retourne la liste des calendriers à consulter pour une équipe
+ * (calendrier de l'équipe puis calendrier par défaut)
+ * @param {string|null} team
+ * @returns {Array<Object>}
+ */
+function getLookupEntries(team) {
+  const all = loadCalendars();
+  const teamEntries = team && team !== DEFAULT_CALENDAR ? (all[team] || []) : [];
+  return [...teamEntries, ...(all[DEFAULT_CALENDAR] || [])];
+}
+
+/**
+ * Distance en millisecondes entre une date et la période d'un sprint (0 si incluse)
+ * @param {Object} sprint - { start: Date, end: Date }
+ * @param {Date} date
+ * @returns {number}
+ */
+function distanceToSprint(sprint, date) {
+  if (date < sprint.start) return sprint.start - date;
+  if (date > sprint.end) return date - sprint.end;
+  return 0;
+}
+
+/**
+ * Cherche un sprint dans le calendrier
+ * Numérotation redémarrée (plusieurs sprints de même numéro) : le sprint
+ * contenant la date de référence, ou le plus proche ; sans date de
+ * référence, le plus récent. Le calendrier de l'équipe reste prioritaire.
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} team - Équipe (défaut: équipe active)
+ * @param {Date|null} [referenceDate] - Date du sprint recherché (dates des tickets)
+ * @returns {Object|null} - { number, start: Date, end: Date } ou null si non défini
+ */
+export function findSprint(sprintNumber, team = activeTeam, referenceDate = null) {
+  const all = loadCalendars();
+  const lists = [
+    team && team !== DEFAULT_CALENDAR ? (all[team] || []) : [],
+    all[DEFAULT_CALENDAR] || []
+  ];
+
+  for (const entries of lists) {
+    const candidates = entries.filter(e => e.number === sprintNumber).map(toSprint);
+    if (candidates.length === 0) continue;
+
+    return candidates.reduce((best, sprint) => {
+      if (referenceDate) {
+        return distanceToSprint(sprint, referenceDate) < distanceToSprint(best, referenceDate) ? sprint : best;
+      }
+      return sprint.start > best.start ? sprint : best;
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Date de référence d'un sprint d'après ses tickets : médiane des dates de
+ * fermeture des tickets fermés dans ce sprint, à défaut médiane des dates
+ * de création des tickets embarqués
+ * Distingue deux sprints de même numéro (numérotation redémarrée)
+ * @param {Array} tickets - Tickets parsés
+ * @param {number} sprintNumber - Numéro du sprint
+ * @returns {Date|null}
+ */
+export function getSprintReferenceDate(tickets, sprintNumber) {
+  const median = dates => {
+    const sorted = dates.map(d => new Date(d).getTime()).sort((a, b) => a - b);
+    return sorted.length > 0 ? new Date(sorted[Math.floor(sorted.length / 2)]) : null;
+  };
+
+  const list = tickets || [];
+
+  return median(list
+    .filter(t => t.sprint === sprintNumber && t.closedDate)
+    .map(t => t.closedDate)) ||
+    median(list
+      .filter(t => t.sprints?.includes(sprintNumber) && t.createdDate)
+      .map(t => t.createdDate));
+}
+
+/**
+ * Cherche le sprint contenant une date
+ * @param {Date} date - Date à analyser
+ * @param {string|null} team - Équipe (défaut: équipe active)
+ * @returns {Object|null} - { number, start: Date, end: Date } ou null
+ */
+export function findSprintForDate(date, team = activeTeam) {
+  const target = new Date(date);
+  target.setHours(12, 0, 0, 0);
+
+  for (const entry of getLookupEntries(team)) {
+    const sprint = toSprint(entry);
+    if (target >= sprint.start && target <= sprint.end) {
+      return sprint;
+    }
+  }
+
+  return null;
+}
+
+// =========================================================================
+// VALIDATION
+// =========================================================================
+
+/**
+ * Valide une entrée de calendrier
+ * @param {Object} entry - { number, start, end }
+ * @param {Array<Object>} existing - Entrées déjà présentes (même équipe)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateSprintEntry(entry, existing = []) {
+  const number = parseInt(entry.number, 10);
+  if (isNaN(number) || number < 0) {
+    return { valid: false, error: 'Numéro de sprint invalide' };
+  }
+
+  const start = parseCalendarDate(entry.start);
+  const end = parseCalendarDate(entry.end);
+  if (!start || !end) {
+    return { valid: false, error: 'Dates de début et de fin requises' };
+  }
+
+  if (end < start) {
+    return { valid: false, error: 'La date de fin doit être après la date de début' };
+  }
+
+  const candidate = { number, start: entry.start, end: entry.end };
+  const overlap = existing.find(e => !isSameSprint(e, candidate) && overlaps(candidate, e));
+  if (overlap) {
+    return { valid: false, error: `Chevauchement avec le Sprint ${overlap.number}` };
+  }
+
+  return { valid: true };
+}
+
+// =========================================================================
+// ÉCRITURE
+// =========================================================================
+
+/**
+ * Ajoute ou remplace un sprint dans le calendrier d'une équipe
+ * Remplace le sprint de même numéro dont les dates recouvrent l'entrée ;
+ * un sprint de même numéro à d'autres dates (numérotation redémarrée) est conservé
+ * @param {string} team - Équipe (ou DEFAULT_CALENDAR)
+ * @param {Object} entry - { number, start, end } (dates ISO ou Date)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function upsertSprint(team, entry) {
+  const key = team || DEFAULT_CALENDAR;
+  const normalized = normalizeEntry(entry);
+
+  const existing = loadCalendars()[key] || [];
+  const validation = validateSprintEntry(normalized, existing);
+  if (!validation.valid) {
+    return validation;
+  }
+
+  calendars[key] = [
+    ...existing.filter(e => !isSameSprint(e, normalized)),
+    normalized
+  ].sort((a, b) => a.start.localeCompare(b.start));
+
+  persist(key);
+  return { valid: true };
+}
+
+/**
+ * Ajoute plusieurs sprints en une seule fois (ex: calendrier déduit du CSV)
+ * Les entrées invalides ou en chevauchement sont ignorées
+ * @param {string} team - Équipe (ou DEFAULT_CALENDAR)
+ * @param {Array<Object>} entries - [{ number, start, end }]
+ * @returns {{ applied: number, skipped: Array<Object> }}
+ */
+export function upsertSprints(team, entries = []) {
+  const key = team || DEFAULT_CALENDAR;
+  const skipped = [];
+  let current = [...(loadCalendars()[key] || [])];
+  let applied = 0;
+
+  entries.forEach(entry => {
+    const normalized = normalizeEntry(entry);
+
+    const validation = validateSprintEntry(normalized, current);
+    if (!validation.valid) {
+      skipped.push({ ...normalized, error: validation.error });
+      return;
+    }
+
+    current = [...current.filter(e => !isSameSprint(e, normalized)), normalized];
+    applied++;
+  });
+
+  if (applied > 0) {
+    calendars[key] = current.sort((a, b) => a.start.localeCompare(b.start));
+    persist(key);
+  }
+
+  return { applied, skipped };
+}
+
+/**
+ * Supprime un sprint du calendrier d'une équipe
+ * @param {string} team
+ * @param {number} sprintNumber
+ * @param {string|null} [start] - Date de début ISO (sans : tous les sprints de ce numéro)
+ * @returns {boolean}
+ */
+export function removeSprint(team, sprintNumber, start = null) {
+  const key = team || DEFAULT_CALENDAR;
+  const existing = loadCalendars()[key] || [];
+  const filtered = existing.filter(e => e.number !== sprintNumber || (start !== null && e.start !== start));
+
+  if (filtered.length === existing.length) return false;
+
+  if (filtered.length > 0) {
+    calendars[key] = filtered;
+  } else {
+    delete calendars[key];
+  }
+
+  persist(key);
+  return true;
+}
+
+/**
+ * Efface tout le calendrier d'une équipe
+ * @param {string} team
+ * @returns {boolean}
+ */
+export function clearCalendar(team) {
+  const key = team || DEFAULT_CALENDAR;
+  if (!loadCalendars()[key]) return false;
+
+  delete calendars[key];
+  persist(key);
+  return true;
+}
+
+/**
+ * Propose l'entrée suivante à partir de la dernière du calendrier
+ * (numéro + 1, même durée, démarrage le lundi suivant la fin)
+ * @param {string} team
+ * @returns {Object|null} - { number, start, end } (dates ISO) ou null si calendrier vide
+ */
+export function suggestNextSprint(team = DEFAULT_CALENDAR) {
+  const entries = getCalendar(team);
+  if (entries.length === 0) return null;
+
+  const last = entries[entries.length - 1];
+  const lastStart = parseCalendarDate(last.start);
+  const lastEnd = parseCalendarDate(last.end);
+  const durationDays = Math.round((lastEnd - lastStart) / (1000 * 60 * 60 * 24));
+
+  const nextStart = new Date(lastEnd);
+  nextStart.setDate(nextStart.getDate() + 1);
+  while (nextStart.getDay() !== 1) {
+    nextStart.setDate(nextStart.getDate() + 1);
+  }
+
+  const nextEnd = new Date(nextStart);
+  nextEnd.setDate(nextEnd.getDate() + durationDays);
+
+  return {
+    number: last.number + 1,
+    start: formatCalendarDate(nextStart),
+    end: formatCalendarDate(nextEnd)
+  };
+}
+
+// =========================================================================
+// DATES DE SPRINT (CALENDRIER OU CONVENTION)
+// =========================================================================
+
+/**
+ * Calcule les dates de début et fin d'un sprint
+ * Utilise le calendrier de l'équipe s'il définit ce sprint, sinon la convention fixe
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} [team] - Équipe (défaut: équipe active du calendrier)
+ * @param {Date|null} [referenceDate] - Date du sprint recherché (numéro répété, voir findSprint)
+ * @returns {Object} - { start: Date, end: Date }
+ */
+export function getSprintDates(sprintNumber, team, referenceDate = null) {
+  const calendarSprint = findSprint(sprintNumber, team, referenceDate);
+  if (calendarSprint) {
+    return { start: calendarSprint.start, end: calendarSprint.end };
+  }
+
+  return getConventionSprintDates(sprintNumber);
+}
+
+/**
+ * Retourne un array de toutes les dates du sprint (14 jours par convention)
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} [team] - Équipe
+ * @param {Date|null} [referenceDate] - Date du sprint recherché (numéro répété)
+ * @returns {Date[]} - Array des dates du sprint
+ */
+export function getSprintDays(sprintNumber, team, referenceDate = null) {
+  const { start, end } = getSprintDates(sprintNumber, team, referenceDate);
+  return getPeriodDays(start, end);
+}
+
+/**
+ * Retourne la durée d'un sprint en jours calendaires
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} [team] - Équipe
+ * @param {Date|null} [referenceDate] - Date du sprint recherché (numéro répété)
+ * @returns {number}
+ */
+export function getSprintDuration(sprintNumber, team, referenceDate = null) {
+  return getSprintDays(sprintNumber, team, referenceDate).length;
+}
+
+/**
+ * Retourne le nombre de jours ouvrés du sprint (lundi-vendredi, hors jours fériés)
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} [team] - Équipe
+ * @param {Date|null} [referenceDate] - Date du sprint recherché (numéro répété)
+ * @returns {number}
+ */
+export function getSprintWorkdays(sprintNumber, team, referenceDate = null) {
+  return getSprintDays(sprintNumber, team, referenceDate).filter(isWorkday).length;
+}
+
+/**
+ * Formate les jours du sprint en labels pour l'axe X
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} [team] - Équipe
+ * @param {Date|null} [referenceDate] - Date du sprint recherché (numéro répété)
+ * @returns {string[]} - Array de labels formatés (ex: "19/01", "20/01", ...)
+ */
+export function getSprintDayLabels(sprintNumber, team, referenceDate = null) {
+  return getSprintDays(sprintNumber, team, referenceDate).map(d =>
+    d.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' })
+  );
+}
+
+/**
+ * Vérifie si une date est dans les bornes d'un sprint
+ * @param {Date} date - Date à vérifier
+ * @param {number} sprintNumber - Numéro du sprint
+ * @param {string|null} [team] - Équipe
+ * @param {Date|null} [referenceDate] - Date du sprint recherché (numéro répété)
+ * @returns {boolean}
+ */
+export function isDateInSprint(date, sprintNumber, team, referenceDate = null) {
+  const { start, end } = getSprintDates(sprintNumber, team, referenceDate);
+  return isDateInPeriod(date, start, end);
+}
+
+/**
+ * Liste les sprints qui suivent un sprint (forecast à plusieurs sprints)
+ * - Sprints suivants du calendrier de l'équipe (à défaut, calendrier par
+ *   défaut), dans l'ordre des dates : numérotation sautée ou redémarrée respectée
+ * - Au-delà du calendrier : cadence fixe (sprints de 14 jours démarrant le
+ *   lundi suivant la fin du précédent, numéro + 1)
+ * @param {number} sprintNumber - Dernier sprint connu
+ * @param {number} count - Nombre de sprints à lister
+ * @param {string|null} [team] - Équipe (défaut: équipe active)
+ * @param {Date|null} [referenceDate] - Date du dernier sprint (numéro répété)
+ * @returns {Array<Object>} - [{ number, start: Date, end: Date }]
+ */
+export function getFollowingSprints(sprintNumber, count, team = activeTeam, referenceDate = null) {
+  const all = loadCalendars();
+  const teamEntries = team && team !== DEFAULT_CALENDAR ? (all[team] || []) : [];
+  const entries = teamEntries.length > 0 ? teamEntries : (all[DEFAULT_CALENDAR] || []);
+
+  let current = { number: sprintNumber, ...getSprintDates(sprintNumber, team, referenceDate) };
+  const upcoming = entries
+    .map(toSprint)
+    .filter(sprint => sprint.start > current.end)
+    .sort((a, b) => a.start - b.start);
+
+  const sprints = [];
+  for (let i = 0; i < count; i++) {
+    if (i < upcoming.length) {
+      current = upcoming[i];
+    } else {
+      const start = new Date(current.end);
+      start.setHours(0, 0, 0, 0);
+      do {
+        start.setDate(start.getDate() + 1);
+      } while (start.getDay() !== 1);
+
+      const end = new Date(start);
+      end.setDate(end.getDate() + SPRINT_DURATION - 1);
+      current = { number: current.number + 1, start, end };
+    }
+    sprints.push(current);
+  }
+
+  return sprints;
+}
+
+/**
+ * Trouve le numéro de sprint pour une date donnée
+ * @param {Date} date - Date à analyser
+ * @param {string|null} [team] - Équipe
+ * @returns {number} - Numéro du sprint
+ */
+export function getSprintNumberForDate(date, team) {
+  const calendarSprint = findSprintForDate(date, team);
+  return calendarSprint ? calendarSprint.number : getConventionSprintNumberForDate(date);
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  DEFAULT_CALENDAR,
+  parseCalendarDate,
+  formatCalendarDate,
+  setActiveTeam,
+  getActiveTeam,
+  getCalendar,
+  getCalendarTeams,
+  findSprint,
+  findSprintForDate,
+  getSprintReferenceDate,
+  validateSprintEntry,
+  upsertSprint,
+  upsertSprints,
+  removeSprint,
+  clearCalendar,
+  suggestNextSprint,
+  getSprintDates,
+  getSprintDays,
+  getSprintDuration,
+  getSprintWorkdays,
+  getSprintDayLabels,
+  isDateInSprint,
+  getSprintNumberForDate,
+  getFollowingSprints
+};
@@ -0,0 +1,207 @@
+/**
+ * ==========================================================================
+ * STATUSTIMELINESERVICE.JS - Parcours des tickets dans le workflow
+ * ==========================================================================
+ *
+ * Reconstruit, depuis les transitions de statut d'un changelog, la
+ * chronologie complète de chaque ticket :
+ * - Périodes par statut (entrée / sortie / jours ouvrés)
+ * - Retours arrière (ex: "A tester" → "En cours")
+ * - Réouvertures (sortie d'un statut terminé)
+ *
+ * L'ordre du workflow est celui défini pour l'équipe (workflowService.js) ;
+ * les statuts non déclarés sont placés d'après les parcours observés
+ * (position moyenne). Un retour arrière est une transition vers un statut
+ * situé plus tôt dans cet ordre.
+ *
+ * Disponible uniquement avec une source contenant le changelog (export Jira JSON).
+ *
+ * ==========================================================================
+ */
+
+import { workdaysBetween } from '../utils/dateUtils.js';
+import workflow from './workflowService.js';
+
+// =========================================================================
+// CHRONOLOGIE D'UN TICKET
+// =========================================================================
+
+/**
+ * Construit la chronologie des statuts d'un ticket
+ * - Premier statut = statut de départ de la première transition (ou statut actuel)
+ * - La dernière période reste ouverte (leftAt = null)
+ * @param {Array<Object>} transitions - [{ at: Date, from, to }] (triées ou non)
+ * @param {Object} options - { createdDate, currentStatus, now }
+ * @returns {Array<Object>} - [{ status, enteredAt, leftAt, workdays }]
+ */
+export function buildStatusTimeline(transitions, options = {}) {
+  const { createdDate = null, currentStatus = '', now = new Date() } = options;
+  const sorted = [...transitions]
+    .filter(t => t.at)
+    .sort((a, b) => a.at - b.at);
+
+  const timeline = [];
+  let status = sorted.length > 0 ? sorted[0].from : currentStatus;
+  let since = createdDate || sorted[0]?.at || null;
+
+  sorted.forEach(transition => {
+    if (status && since) {
+      timeline.push({
+        status,
+        enteredAt: since,
+        leftAt: transition.at,
+        workdays: workdaysBetween(since, transition.at)
+      });
+    }
+    status = transition.to;
+    since = transition.at;
+  });
+
+  if (status && since) {
+    timeline.push({
+      status,
+      enteredAt: since,
+      leftAt: null,
+      workdays: workdaysBetween(since, now)
+    });
+  }
+
+  return timeline;
+}
+
+/**
+ * Calcule le temps passé par statut depuis une chronologie
+ * Le statut final d'un ticket terminé n'est pas compté
+ * @param {Array<Object>} timeline - Résultat de buildStatusTimeline
+ * @param {boolean} isFinished
+ * @returns {Object} - { [status]: jours ouvrés }
+ */
+export function sumStatusTimes(timeline, isFinished) {
+  const statusTimes = {};
+
+  timeline.forEach(period => {
+    if (period.leftAt === null && isFinished) return;
+    statusTimes[period.status] = (statusTimes[period.status] || 0) + period.workdays;
+  });
+
+  return statusTimes;
+}
+
+// =========================================================================
+// ORDRE DU WORKFLOW ET RETOURS ARRIÈRE
+// =========================================================================
+
+/**
+ * Déduit l'ordre du workflow depuis les parcours observés
+ * Les statuts déclarés dans le workflow de l'équipe gardent leur position configurée
+ * @param {Array<Array<Object>>} timelines - Chronologies des tickets
+ * @param {string} [team] - Équipe dont le workflow est utilisé
+ * @returns {string[]} - Statuts du plus amont au plus aval
+ */
+export function inferStatusOrder(timelines, team) {
+  const positions = {};
+
+  timelines.forEach(timeline => {
+    // Première apparition de chaque statut dans le parcours
+    const path = [];
+    timeline.forEach(period => {
+      if (!path.includes(period.status)) path.push(period.status);
+    });
+
+    path.forEach((status, idx) => {
+      if (!positions[status]) positions[status] = [];
+      positions[status].push(idx / Math.max(path.length - 1, 1));
+    });
+  });
+
+  // Position relative (0 → 1) : configurée si le statut est déclaré, observée sinon
+  const configured = workflow.getWorkflow(team);
+  const position = status => {
+    const declared = workflow.findStatus(status, team);
+    if (declared) return declared.order / Math.max(configured.length - 1, 1);
+    return positions[status].reduce((a, b) => a + b, 0) / positions[status].length;
+  };
+  const isDone = status => workflow.isFinishedStatus(status, team);
+
+  return Object.keys(positions).sort((a, b) => {
+    // Les statuts terminés sont toujours en fin de workflow
+    const doneDiff = Number(isDone(a)) - Number(isDone(b));
+    return doneDiff || position(a) - position(b);
+  });
+}
+
+/**
+ * Liste les transitions d'une chronologie en qualifiant les retours arrière
+ * @param {Array<Object>} timeline - Chronologie du ticket
+ * @param {string[]} statusOrder - Ordre du workflow
+ * @param {string} [team] - Équipe dont le workflow est utilisé
+ * @returns {Array<Object>} - [{ from, to, at, isBackflow, isReopen }]
+ */
+export function classifyTransitions(timeline, statusOrder, team) {
+  const rank = status => statusOrder.indexOf(status);
+  const transitions = [];
+
+  for (let i = 1; i < timeline.length; i++) {
+    const from = timeline[i - 1].status;
+    const to = timeline[i].status;
+    const isReopen = workflow.isFinishedStatus(from, team) && !workflow.isFinishedStatus(to, team);
+
+    transitions.push({
+      from,
+      to,
+      at: timeline[i].enteredAt,
+      isReopen,
+      isBackflow: isReopen || (rank(from) !== -1 && rank(to) !== -1 && rank(to) < rank(from))
+    });
+  }
+
+  return transitions;
+}
+
+// =========================================================================
+// AGRÉGATION PAR SPRINT
+// =========================================================================
+
+/**
+ * Compte les retours arrière par sprint (sprint de la transition si connu,
+ * sinon sprint de fermeture du ticket)
+ * @param {Array<Object>} tickets - Tickets Time in Status avec { lastSprint, transitions }
+ * @param {number[]} sprintNumbers - Sprints affichés
+ * @param {Function} sprintForDate - (date) => numéro de sprint ou null
+ * @returns {Array<Object>} - [{ sprint, backflows, reopens, tickets }]
+ */
+export function countBackflowsBySprint(tickets, sprintNumbers, sprintForDate = () => null) {
+  const bySprint = new Map(sprintNumbers.map(n => [n, { sprint: n, backflows: 0, reopens: 0, tickets: new Set() }]));
+
+  tickets.forEach(ticket => {
+    (ticket.transitions || [])
+      .filter(t => t.isBackflow)
+      .forEach(transition => {
+        const transitionSprint = sprintForDate(new Date(transition.at));
+        const sprint = bySprint.has(transitionSprint) ? transitionSprint : ticket.lastSprint;
+        const entry = bySprint.get(sprint);
+        if (!entry) return;
+
+        entry.backflows++;
+        if (transition.isReopen) entry.reopens++;
+        entry.tickets.add(ticket.key);
+      });
+  });
+
+  return sprintNumbers.map(n => {
+    const entry = bySprint.get(n);
+    return { ...entry, tickets: [...entry.tickets] };
+  });
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  buildStatusTimeline,
+  sumStatusTimes,
+  inferStatusOrder,
+  classifyTransitions,
+  countBackflowsBySprint
+};
@@ -8,6 +8,13 @@
  * - Gestion des erreurs
  * - Snapshots pour sauvegarder l'état
  * - Expiration des données (optionnel)
+ * - Chiffrement optionnel par phrase secrète (cryptoService)
+ *
+ * CHIFFREMENT : une fois activé, les valeurs sont chiffrées dans le
+ * localStorage et lues depuis une copie déchiffrée en mémoire, remplie au
+ * déverrouillage : get/set restent synchrones, l'écriture chiffrée se fait
+ * en arrière-plan. Verrouillé, get renvoie la valeur par défaut et set
+ * échoue. Activation et verrouillage : encryptionService.
  *
  * USAGE :
  *   import storage from './storageService.js';
@@ -20,11 +27,15 @@
  *   storage.saveSnapshot('sprint15', state);
  *   const snapshot = storage.loadSnapshot('sprint15');
  *
+ *   // Prévisions enregistrées (suivi de fiabilité)
+ *   storage.saveForecastRecord({ source: 'forecast', team, targetSprint: 20, percentiles });
+ *
  * ==========================================================================
  */
 
 import config from '../core/config.js';
 import eventBus from '../core/eventBus.js';
+import cryptoService from './cryptoService.js';
 
 // =========================================================================
 // CONSTANTES
@@ -43,6 +54,10 @@ class StorageService {
   constructor() {
     this.isAvailable = this._checkAvailability();
 
+    // Valeurs sérialisées déchiffrées (chiffrement activé) : clé → JSON
+    this._decrypted = new Map();
+    this._pendingWrites = Promise.resolve();
+
     if (!this.isAvailable) {
       console.warn('[StorageService] localStorage non disponible');
     }
@@ -71,7 +86,7 @@ class StorageService {
         value,
         timestamp: Date.now()
       });
-      localStorage.setItem(STORAGE_PREFIX + key, serialized);
+      this._writeItem(key, serialized);
       return true;
     } catch (error) {
       console.error(`[StorageService] Erreur écriture "${key}":`, error);
@@ -94,7 +109,7 @@ class StorageService {
     }
 
     try {
-      const item = localStorage.getItem(STORAGE_PREFIX + key);
+      const item = this._readItem(key);
 
       if (item === null) {
         return defaultValue;
@@ -119,6 +134,7 @@ class StorageService {
     }
 
     try {
+      this._decrypted.delete(key);
       localStorage.removeItem(STORAGE_PREFIX + key);
       return true;
     } catch (error) {
@@ -137,7 +153,7 @@ class StorageService {
       return false;
     }
 
-    return localStorage.getItem(STORAGE_PREFIX + key) !== null;
+    return this._readItem(key) !== null;
   }
 
   /**
@@ -150,8 +166,9 @@ class StorageService {
     }
 
     try {
-      const keys = Object.keys(localStorage).filter(k => k.startsWith(STORAGE_PREFIX));
+      const keys = this._getStorageKeys();
       keys.forEach(key => localStorage.removeItem(key));
+      this._decrypted.clear();
       return true;
     } catch (error) {
       console.error('[StorageService] Erreur clear:', error);
@@ -159,8 +176,73 @@ class StorageService {
     }
   }
 
+  // =========================================================================
+  // CHIFFREMENT
+  // =========================================================================
+
+  /**
+   * Déchiffre toutes les valeurs en mémoire (après déverrouillage)
+   * Une valeur encore en clair est reprise telle quelle
+   * @returns {Promise<number>} Nombre de valeurs chargées
+   */
+  async loadDecrypted() {
+    this._decrypted.clear();
+    if (!this.isAvailable) return 0;
+
+    for (const storageKey of this._getStorageKeys()) {
+      const item = localStorage.getItem(storageKey);
+      const key = storageKey.slice(STORAGE_PREFIX.length);
+
+      try {
+        const encrypted = JSON.parse(item)?.encrypted;
+        this._decrypted.set(key, encrypted ? await cryptoService.decrypt(encrypted) : item);
+      } catch (error) {
+        console.error(`[StorageService] Erreur déchiffrement "${key}":`, error);
+      }
+    }
+
+    return this._decrypted.size;
+  }
+
+  /**
+   * Réécrit toutes les valeurs chiffrées ou en clair
+   * (données déverrouillées requises)
+   * @param {boolean} [encrypt] - Chiffrer (par défaut : chiffrement activé)
+   * @returns {Promise<void>}
+   * @throws {Error} Écriture impossible (quota)
+   */
+  async applyEncryption(encrypt = cryptoService.isEnabled()) {
+    if (!this.isAvailable) return;
+    await this._pendingWrites;
+
+    if (encrypt) {
+      await this.loadDecrypted();
+      for (const [key, serialized] of this._decrypted) {
+        await this._writeEncrypted(key, serialized);
+      }
+      return;
+    }
+
+    // Copie en mémoire conservée : lue tant que le chiffrement reste activé
+    this._decrypted.forEach((serialized, key) => {
+      localStorage.setItem(STORAGE_PREFIX + key, serialized);
+    });
+  }
+
+  /**
+   * Vide les valeurs déchiffrées (verrouillage)
+   * Attend la fin des écritures chiffrées en cours
+   * @returns {Promise<void>}
+   */
+  async lock() {
+    await this._pendingWrites;
+    this._decrypted.clear();
+  }
+
   // =========================================================================
   // SNAPSHOTS
+  // Snapshots du localStorage (anciennes versions) : snapshotDatabase.js
+  // (IndexedDB) les migre et ne s'en sert qu'en l'absence d'IndexedDB
   // =========================================================================
 
   /**
@@ -323,6 +405,76 @@ class StorageService {
     return false;
   }
 
+  // =========================================================================
+  // PRÉVISIONS ENREGISTRÉES (suivi prévu / réalisé)
+  // =========================================================================
+
+  /**
+   * Récupère les prévisions enregistrées
+   * @returns {Array<Object>} Liste des prévisions (sprint cible décroissant)
+   */
+  getForecastRecords() {
+    return this.get('forecastRecords', []);
+  }
+
+  /**
+   * Ajoute une prévision
+   * Une seule prévision par source, équipe, sprint cible et métrique : une
+   * prévision existante n'est remplacée que sur demande explicite
+   * @param {Object} record - { source, team, targetSprint, metric, percentiles, options, seed }
+   * @param {Object} [options]
+   * @param {boolean} [options.replace=false] - Remplacer la prévision existante
+   * @returns {boolean} Succès de l'opération (false si une prévision existe déjà)
+   */
+  saveForecastRecord(record, { replace = false } = {}) {
+    const records = this.getForecastRecords();
+    const isSame = r =>
+      r.source === record.source &&
+      r.team === record.team &&
+      r.targetSprint === record.targetSprint &&
+      r.metric === record.metric;
+
+    const existing = records.find(isSame);
+    if (existing && !replace) return false;
+
+    const recordData = {
+      ...record,
+      id: existing?.id || this._generateId(),
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    const updated = [recordData, ...records.filter(r => !isSame(r))]
+      .sort((a, b) => b.targetSprint - a.targetSprint);
+
+    // Limiter la taille
+    const maxRecords = config.limits?.maxForecastRecords || 60;
+    if (updated.length > maxRecords) {
+      updated.length = maxRecords;
+    }
+
+    if (!this.set('forecastRecords', updated)) return false;
+
+    eventBus.emit('forecast:recorded', { record: recordData });
+    return true;
+  }
+
+  /**
+   * Supprime une prévision enregistrée
+   * @param {string} id - ID de la prévision
+   * @returns {boolean} Succès de l'opération
+   */
+  removeForecastRecord(id) {
+    const records = this.getForecastRecords();
+    const filtered = records.filter(r => r.id !== id);
+
+    if (filtered.length !== records.length) {
+      return this.set('forecastRecords', filtered);
+    }
+
+    return false;
+  }
+
   // =========================================================================
   // PRÉFÉRENCES UTILISATEUR
   // =========================================================================
@@ -362,6 +514,70 @@ class StorageService {
     return prefs[key] !== undefined ? prefs[key] : defaultValue;
   }
 
+  // =========================================================================
+  // PROFILS DE MAPPING DE COLONNES
+  // =========================================================================
+
+  /**
+   * Récupère les profils de mapping de colonnes CSV
+   * @returns {Array<Object>} Liste des profils { name, mapping, headers, updatedAt }
+   */
+  getColumnMappingProfiles() {
+    return this.get('columnMappings', []);
+  }
+
+  /**
+   * Enregistre (ou remplace) un profil de mapping de colonnes
+   * @param {string} name - Nom du profil (ex: "Jira FR")
+   * @param {Object} mapping - { champ canonique: en-tête CSV }
+   * @param {string[]} headers - En-têtes du fichier ayant servi au mapping
+   * @returns {boolean} Succès de l'opération
+   */
+  saveColumnMappingProfile(name, mapping, headers = []) {
+    const profiles = this.getColumnMappingProfiles().filter(p => p.name !== name);
+
+    profiles.unshift({
+      name,
+      mapping,
+      headers,
+      updatedAt: new Date().toISOString()
+    });
+
+    return this.set('columnMappings', profiles);
+  }
+
+  /**
+   * Supprime un profil de mapping
+   * @param {string} name - Nom du profil
+   * @returns {boolean} Succès de l'opération
+   */
+  deleteColumnMappingProfile(name) {
+    const profiles = this.getColumnMappingProfiles();
+    const filtered = profiles.filter(p => p.name !== name);
+
+    if (filtered.length !== profiles.length) {
+      return this.set('columnMappings', filtered);
+    }
+
+    return false;
+  }
+
+  /**
+   * Cherche un profil applicable à des en-têtes CSV
+   * (toutes les colonnes mappées par le profil doivent être présentes)
+   * @param {string[]} headers - En-têtes du fichier
+   * @returns {Object|null} Profil le plus récent applicable ou null
+   */
+  findColumnMappingProfile(headers) {
+    const normalized = headers.map(h => h.toLowerCase().trim());
+
+    return this.getColumnMappingProfiles().find(profile => {
+      const mapped = Object.values(profile.mapping || {}).filter(Boolean);
+      return mapped.length > 0 &&
+        mapped.every(header => normalized.includes(header.toLowerCase().trim()));
+    }) || null;
+  }
+
   // =========================================================================
   // MÉTHODES PRIVÉES
   // =========================================================================
@@ -382,6 +598,69 @@ class StorageService {
     }
   }
 
+  /**
+   * Lit une valeur sérialisée (copie déchiffrée si le chiffrement est activé)
+   * @private
+   * @param {string} key
+   * @returns {string|null}
+   */
+  _readItem(key) {
+    if (cryptoService.isEnabled()) {
+      return this._decrypted.get(key) ?? null;
+    }
+    return localStorage.getItem(STORAGE_PREFIX + key);
+  }
+
+  /**
+   * Écrit une valeur sérialisée (chiffrée en arrière-plan si activé)
+   * @private
+   * @param {string} key
+   * @param {string} serialized
+   * @throws {Error} Données verrouillées
+   */
+  _writeItem(key, serialized) {
+    if (!cryptoService.isEnabled()) {
+      localStorage.setItem(STORAGE_PREFIX + key, serialized);
+      return;
+    }
+
+    if (cryptoService.isLocked()) {
+      throw new Error('Données verrouillées : saisissez la phrase secrète');
+    }
+
+    this._decrypted.set(key, serialized);
+    this._pendingWrites = this._pendingWrites
+      .then(() => this._writeEncrypted(key, serialized))
+      .catch(error => console.error(`[StorageService] Erreur écriture chiffrée "${key}":`, error));
+  }
+
+  /**
+   * Chiffre et écrit une valeur, sauf si elle a été remplacée ou supprimée
+   * entre-temps (en clair si le chiffrement a été désactivé entre-temps)
+   * @private
+   * @param {string} key
+   * @param {string} serialized
+   * @returns {Promise<void>}
+   */
+  async _writeEncrypted(key, serialized) {
+    const encrypted = await cryptoService.encrypt(serialized);
+    if (this._decrypted.get(key) !== serialized) return;
+
+    localStorage.setItem(
+      STORAGE_PREFIX + key,
+      cryptoService.isEnabled() ? JSON.stringify({ encrypted }) : serialized
+    );
+  }
+
+  /**
+   * Clés du localStorage appartenant à l'application
+   * @private
+   * @returns {string[]}
+   */
+  _getStorageKeys() {
+    return Object.keys(localStorage).filter(k => k.startsWith(STORAGE_PREFIX));
+  }
+
   /**
    * Génère un ID unique
    * @private
@@ -441,7 +720,8 @@ class StorageService {
   }
 
   /**
-   * Récupère l'espace utilisé en localStorage
+   * Récupère l'espace utilisé en localStorage (quota estimé à 5 Mo)
+   * Quota réel du navigateur : snapshotDatabase.getStorageInfo()
    * @returns {Object} { used, total, percentage }
    */
   getStorageInfo() {
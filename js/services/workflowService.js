@@ -0,0 +1,492 @@
+/**
+ * ==========================================================================
+ * WORKFLOWSERVICE.JS - Modèle de workflow des statuts par équipe
+ * ==========================================================================
+ *
+ * Définit, pour chaque équipe, la liste ordonnée des statuts Jira avec :
+ * - Une catégorie (à faire, en cours, en attente, terminé, exclu)
+ * - Une couleur d'affichage
+ * - Un ordre (position dans la liste = ordre du workflow)
+ *
+ * Utilisé par les parsers (tickets terminés / exclus), l'enrichissement du
+ * Cycle Time (somme des statuts "en cours" + "en attente"), le Time in Status
+ * et le burndown. Persistance via storageService.
+ *
+ * Un statut absent du workflow est classé automatiquement d'après son nom
+ * (ex: "Terminé" → terminé, "Backlog" → exclu, autre → en cours).
+ *
+ * FORMAT STOCKÉ :
+ *   {
+ *     'IAML': [{ name: 'En cours', category: 'in-progress', color: '#6b9bd2' }, ...],
+ *     '*':    [...]   // Workflow par défaut (toutes équipes)
+ *   }
+ *
+ * USAGE :
+ *   import workflow from './workflowService.js';
+ *
+ *   workflow.getStatusCategory('A tester', 'IAML'); // 'wait'
+ *   workflow.isFinishedStatus('Terminé');           // true
+ *
+ * ==========================================================================
+ */
+
+import storageService from './storageService.js';
+import eventBus from '../core/eventBus.js';
+
+// =========================================================================
+// CONSTANTES
+// =========================================================================
+
+const STORAGE_KEY = 'workflows';
+
+/**
+ * Clé du workflow par défaut (appliqué à toutes les équipes)
+ */
+export const DEFAULT_WORKFLOW = '*';
+
+/**
+ * Catégories de statut (dans l'ordre d'affichage)
+ */
+export const STATUS_CATEGORIES = {
+  'todo': 'À faire',
+  'in-progress': 'En cours',
+  'wait': 'En attente',
+  'done': 'Terminé',
+  'excluded': 'Exclu'
+};
+
+// Catégories comptées dans le Cycle Time
+const WORK_CATEGORIES = ['in-progress', 'wait'];
+
+// Workflow par défaut tant qu'aucun n'est enregistré
+const BUILTIN_WORKFLOW = [
+  { name: 'Backlog', category: 'excluded', color: '#cbd5e1' },
+  { name: 'A affiner', category: 'excluded', color: '#cbd5e1' },
+  { name: 'A cadrer', category: 'excluded', color: '#cbd5e1' },
+  { name: 'A faire', category: 'todo', color: '#94a3b8' },
+  { name: 'En cours', category: 'in-progress', color: '#6b9bd2' },
+  { name: 'Code Review', category: 'in-progress', color: '#5bb5b0' },
+  { name: 'A déployer en env de recette', category: 'wait', color: '#f5c869' },
+  { name: 'A tester', category: 'wait', color: '#a78bda' },
+  { name: 'A déployer en PROD', category: 'wait', color: '#f5a962' },
+  { name: 'A valider', category: 'wait', color: '#7bc47f' },
+  { name: 'Terminé', category: 'done', color: '#64748b' }
+];
+
+// Classement automatique des statuts non déclarés
+const FALLBACK_PATTERNS = {
+  excluded: /^(backlog|a affiner|a cadrer)$/i,
+  done: /termin|done|fini|résolu|closed/i,
+  todo: /^(a faire|à faire|to do|todo|open|ouvert|nouveau|new)$/i
+};
+
+// Couleurs des statuts non déclarés (choisie selon le nom du statut)
+const STATUS_PALETTE = [
+  '#6b9bd2', '#5bb5b0', '#f5c869', '#a78bda', '#f5a962', '#7bc47f', '#f28b82', '#38bdf8', '#ec4899'
+];
+
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// =========================================================================
+// ÉTAT INTERNE
+// =========================================================================
+
+let workflows = null;
+
+/**
+ * Charge les workflows depuis le stockage (une seule fois)
+ * @returns {Object}
+ */
+function loadWorkflows() {
+  if (workflows === null) {
+    workflows = storageService.get(STORAGE_KEY, {}) || {};
+  }
+  return workflows;
+}
+
+/**
+ * Persiste les workflows et notifie l'application
+ * @param {string} team
+ */
+function persist(team) {
+  storageService.set(STORAGE_KEY, workflows);
+  eventBus.emit('workflow:updated', { team });
+}
+
+/**
+ * Normalise un nom de statut pour la comparaison
+ * @param {string} status
+ * @returns {string}
+ */
+function normalizeName(status) {
+  return String(status || '').trim().toLowerCase();
+}
+
+// =========================================================================
+// LECTURE
+// =========================================================================
+
+/**
+ * Indique si une équipe a son propre workflow
+ * @param {string} team
+ * @returns {boolean}
+ */
+export function hasCustomWorkflow(team) {
+  return (loadWorkflows()[team] || []).length > 0;
+}
+
+/**
+ * Liste les équipes ayant un workflow défini
+ * @returns {string[]}
+ */
+export function getWorkflowTeams() {
+  return Object.keys(loadWorkflows()).filter(team => hasCustomWorkflow(team));
+}
+
+/**
+ * Retourne le workflow appliqué à une équipe (le sien ou celui par défaut)
+ * @param {string} team - Nom de l'équipe (ou DEFAULT_WORKFLOW)
+ * @returns {Array<Object>} - [{ name, category, color }] dans l'ordre du workflow
+ */
+export function getWorkflow(team = DEFAULT_WORKFLOW) {
+  const all = loadWorkflows();
+  if (team && hasCustomWorkflow(team)) {
+    return all[team].map(entry => ({ ...entry }));
+  }
+  if (hasCustomWorkflow(DEFAULT_WORKFLOW)) {
+    return all[DEFAULT_WORKFLOW].map(entry => ({ ...entry }));
+  }
+  return BUILTIN_WORKFLOW.map(entry => ({ ...entry }));
+}
+
+/**
+ * Cherche un statut déclaré dans le workflow d'une équipe
+ * @param {string} status
+ * @param {string} [team]
+ * @returns {Object|null} - { name, category, color, order } ou null si non déclaré
+ */
+export function findStatus(status, team = DEFAULT_WORKFLOW) {
+  const name = normalizeName(status);
+  if (!name) return null;
+
+  const statuses = getWorkflow(team || DEFAULT_WORKFLOW);
+  const order = statuses.findIndex(entry => normalizeName(entry.name) === name);
+  return order === -1 ? null : { ...statuses[order], order };
+}
+
+/**
+ * Classe un statut d'après son nom (statut absent du workflow)
+ * @param {string} status
+ * @returns {string} - Catégorie
+ */
+export function guessStatusCategory(status) {
+  const name = String(status || '').trim();
+  if (FALLBACK_PATTERNS.excluded.test(name)) return 'excluded';
+  if (FALLBACK_PATTERNS.done.test(name)) return 'done';
+  if (FALLBACK_PATTERNS.todo.test(name)) return 'todo';
+  return 'in-progress';
+}
+
+/**
+ * Retourne la catégorie d'un statut
+ * @param {string} status
+ * @param {string} [team]
+ * @returns {string} - 'todo' | 'in-progress' | 'wait' | 'done' | 'excluded'
+ */
+export function getStatusCategory(status, team) {
+  return findStatus(status, team)?.category || guessStatusCategory(status);
+}
+
+/**
+ * Indique si un statut correspond à un ticket terminé
+ * @param {string} status
+ * @param {string} [team]
+ * @returns {boolean}
+ */
+export function isFinishedStatus(status, team) {
+  return getStatusCategory(status, team) === 'done';
+}
+
+/**
+ * Indique si un statut exclut le ticket (pas réellement dans le sprint)
+ * @param {string} status
+ * @param {string} [team]
+ * @returns {boolean}
+ */
+export function isExcludedStatus(status, team) {
+  return getStatusCategory(status, team) === 'excluded';
+}
+
+/**
+ * Indique si le temps passé dans un statut compte dans le Cycle Time
+ * @param {string} status
+ * @param {string} [team]
+ * @returns {boolean}
+ */
+export function isWorkStatus(status, team) {
+  return WORK_CATEGORIES.includes(getStatusCategory(status, team));
+}
+
+/**
+ * Somme les temps passés dans les statuts de travail (Cycle Time)
+ * @param {Object} statusTimes - { [status]: jours }
+ * @param {string} [team]
+ * @returns {number}
+ */
+export function sumWorkTime(statusTimes = {}, team) {
+  const total = Object.entries(statusTimes)
+    .filter(([status]) => isWorkStatus(status, team))
+    .reduce((sum, [, days]) => sum + (days || 0), 0);
+
+  return Math.round(total * 100) / 100;
+}
+
+/**
+ * Répartit les temps de travail entre temps actif et temps d'attente
+ * @param {Object} statusTimes - { [status]: jours }
+ * @param {string} [team]
+ * @returns {{ active: number, wait: number }}
+ */
+export function splitWorkTime(statusTimes = {}, team) {
+  return Object.entries(statusTimes).reduce((split, [status, days]) => {
+    const category = getStatusCategory(status, team);
+    if (category === 'in-progress') split.active += days || 0;
+    if (category === 'wait') split.wait += days || 0;
+    return split;
+  }, { active: 0, wait: 0 });
+}
+
+/**
+ * Retourne la couleur d'affichage d'un statut
+ * @param {string} status
+ * @param {string} [team]
+ * @returns {string} - Couleur hexadécimale
+ */
+export function getStatusColor(status, team) {
+  const declared = findStatus(status, team);
+  if (declared?.color) return declared.color;
+
+  const hash = [...normalizeName(status)].reduce((sum, char) => sum + char.charCodeAt(0), 0);
+  return STATUS_PALETTE[hash % STATUS_PALETTE.length];
+}
+
+/**
+ * Trie des statuts selon l'ordre du workflow
+ * Les statuts non déclarés gardent leur ordre relatif, après les statuts déclarés
+ * @param {string[]} statuses
+ * @param {string} [team]
+ * @returns {string[]}
+ */
+export function sortStatuses(statuses, team) {
+  const rank = status => {
+    const declared = findStatus(status, team);
+    return declared ? declared.order : Number.MAX_SAFE_INTEGER;
+  };
+
+  return statuses
+    .map((status, index) => ({ status, index, rank: rank(status) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(item => item.status);
+}
+
+// =========================================================================
+// VALIDATION
+// =========================================================================
+
+/**
+ * Valide une entrée de workflow
+ * @param {Object} entry - { name, category, color }
+ * @param {Array<Object>} existing - Statuts déjà présents (même équipe)
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateStatusEntry(entry, existing = []) {
+  const name = String(entry.name || '').trim();
+  if (!name) {
+    return { valid: false, error: 'Nom de statut requis' };
+  }
+
+  if (!STATUS_CATEGORIES[entry.category]) {
+    return { valid: false, error: `Catégorie inconnue pour "${name}"` };
+  }
+
+  if (entry.color && !COLOR_PATTERN.test(entry.color)) {
+    return { valid: false, error: `Couleur invalide pour "${name}"` };
+  }
+
+  const duplicate = existing.find(e => normalizeName(e.name) === normalizeName(name));
+  if (duplicate) {
+    return { valid: false, error: `Le statut "${duplicate.name}" existe déjà` };
+  }
+
+  return { valid: true };
+}
+
+// =========================================================================
+// ÉCRITURE
+// =========================================================================
+
+/**
+ * Enregistre le workflow complet d'une équipe
+ * @param {string} team - Équipe (ou DEFAULT_WORKFLOW)
+ * @param {Array<Object>} statuses - [{ name, category, color }] dans l'ordre
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function saveWorkflow(team, statuses) {
+  const key = team || DEFAULT_WORKFLOW;
+  const normalized = [];
+
+  for (const entry of statuses) {
+    const status = {
+      name: String(entry.name || '').trim(),
+      category: entry.category,
+      color: entry.color || getStatusColor(entry.name, key)
+    };
+
+    const validation = validateStatusEntry(status, normalized);
+    if (!validation.valid) {
+      return validation;
+    }
+    normalized.push(status);
+  }
+
+  loadWorkflows()[key] = normalized;
+  persist(key);
+  return { valid: true };
+}
+
+/**
+ * Ajoute ou modifie un statut du workflow d'une équipe
+ * Une équipe sans workflow propre part d'une copie du workflow par défaut
+ * @param {string} team
+ * @param {Object} entry - { name, category?, color? }
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function upsertStatus(team, entry) {
+  const key = team || DEFAULT_WORKFLOW;
+  const statuses = getWorkflow(key);
+  const index = statuses.findIndex(s => normalizeName(s.name) === normalizeName(entry.name));
+
+  if (index === -1) {
+    statuses.push({
+      name: entry.name,
+      category: entry.category || guessStatusCategory(entry.name),
+      color: entry.color || getStatusColor(entry.name, key)
+    });
+  } else {
+    statuses[index] = { ...statuses[index], ...entry, name: statuses[index].name };
+  }
+
+  return saveWorkflow(key, statuses);
+}
+
+/**
+ * Supprime un statut du workflow d'une équipe
+ * @param {string} team
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function removeStatus(team, status) {
+  const key = team || DEFAULT_WORKFLOW;
+  const statuses = getWorkflow(key);
+  const filtered = statuses.filter(s => normalizeName(s.name) !== normalizeName(status));
+
+  if (filtered.length === statuses.length) return false;
+
+  saveWorkflow(key, filtered);
+  return true;
+}
+
+/**
+ * Déplace un statut d'une position dans le workflow
+ * @param {string} team
+ * @param {string} status
+ * @param {number} direction - -1 (vers l'amont) ou 1 (vers l'aval)
+ * @returns {boolean}
+ */
+export function moveStatus(team, status, direction) {
+  const key = team || DEFAULT_WORKFLOW;
+  const statuses = getWorkflow(key);
+  const index = statuses.findIndex(s => normalizeName(s.name) === normalizeName(status));
+  const target = index + direction;
+
+  if (index === -1 || target < 0 || target >= statuses.length) return false;
+
+  [statuses[index], statuses[target]] = [statuses[target], statuses[index]];
+  saveWorkflow(key, statuses);
+  return true;
+}
+
+/**
+ * Ajoute au workflow les statuts rencontrés dans les données et non déclarés
+ * (catégorie déduite du nom)
+ * @param {string} team
+ * @param {string[]} statuses - Statuts détectés
+ * @returns {number} - Nombre de statuts ajoutés
+ */
+export function addDetectedStatuses(team, statuses = []) {
+  const key = team || DEFAULT_WORKFLOW;
+  const current = getWorkflow(key);
+  const known = new Set(current.map(s => normalizeName(s.name)));
+
+  const added = [...new Set(statuses.map(s => String(s || '').trim()).filter(Boolean))]
+    .filter(status => !known.has(normalizeName(status)))
+    .map(status => ({
+      name: status,
+      category: guessStatusCategory(status),
+      color: getStatusColor(status, key)
+    }));
+
+  if (added.length === 0) return 0;
+
+  // Nouveaux statuts actifs après le dernier statut actif, terminés/exclus en fin de workflow
+  const isTail = s => ['done', 'excluded'].includes(s.category);
+  const lastActive = current.map(isTail).lastIndexOf(false);
+  current.splice(lastActive + 1, 0, ...added.filter(s => !isTail(s)));
+  current.push(...added.filter(isTail));
+
+  saveWorkflow(key, current);
+  return added.length;
+}
+
+/**
+ * Supprime le workflow propre d'une équipe (retour au workflow par défaut)
+ * @param {string} team
+ * @returns {boolean}
+ */
+export function resetWorkflow(team) {
+  const key = team || DEFAULT_WORKFLOW;
+  if (!loadWorkflows()[key]) return false;
+
+  delete workflows[key];
+  persist(key);
+  return true;
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  DEFAULT_WORKFLOW,
+  STATUS_CATEGORIES,
+  hasCustomWorkflow,
+  getWorkflowTeams,
+  getWorkflow,
+  findStatus,
+  guessStatusCategory,
+  getStatusCategory,
+  isFinishedStatus,
+  isExcludedStatus,
+  isWorkStatus,
+  sumWorkTime,
+  splitWorkTime,
+  getStatusColor,
+  sortStatuses,
+  validateStatusEntry,
+  saveWorkflow,
+  upsertStatus,
+  removeStatus,
+  moveStatus,
+  addDetectedStatuses,
+  resetWorkflow
+};
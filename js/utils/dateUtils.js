@@ -143,6 +143,69 @@ export function daysBetween(startDate, endDate) {
   return Math.round(Math.abs((endDate - startDate) / oneDay));
 }
 
+/**
+ * Calcule le nombre de jours ouvrés (fractionnaires) entre deux instants
+ * Les samedis et dimanches ne sont pas comptés
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @returns {number} Jours ouvrés (0 si fin <= début)
+ */
+export function workdaysBetween(startDate, endDate) {
+  const start = startDate instanceof Date ? startDate : new Date(startDate);
+  const end = endDate instanceof Date ? endDate : new Date(endDate);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) return 0;
+
+  const oneDay = 24 * 60 * 60 * 1000;
+  let total = 0;
+  let cursor = start;
+
+  while (cursor < end) {
+    const nextMidnight = new Date(cursor);
+    nextMidnight.setHours(24, 0, 0, 0);
+    const segmentEnd = nextMidnight < end ? nextMidnight : end;
+
+    const day = cursor.getDay();
+    if (day !== 0 && day !== 6) {
+      total += (segmentEnd - cursor) / oneDay;
+    }
+    cursor = segmentEnd;
+  }
+
+  return total;
+}
+
+/**
+ * Recule d'un nombre de jours ouvrés (fractionnaires) depuis un instant
+ * Inverse de workdaysBetween : workdaysBetween(workdaysBefore(d, n), d) === n
+ * @param {Date|string} date - Instant de départ
+ * @param {number} workdays - Jours ouvrés à retrancher
+ * @returns {Date}
+ */
+export function workdaysBefore(date, workdays) {
+  const oneDay = 24 * 60 * 60 * 1000;
+  let cursor = new Date(date);
+  let remaining = workdays;
+
+  while (remaining > 0) {
+    const dayStart = new Date(cursor);
+    dayStart.setHours(0, 0, 0, 0);
+    if (dayStart.getTime() === cursor.getTime()) {
+      dayStart.setDate(dayStart.getDate() - 1);
+    }
+
+    const day = dayStart.getDay();
+    const available = day !== 0 && day !== 6 ? (cursor - dayStart) / oneDay : 0;
+    if (available >= remaining) {
+      return new Date(cursor.getTime() - remaining * oneDay);
+    }
+
+    remaining -= available;
+    cursor = dayStart;
+  }
+
+  return cursor;
+}
+
 /**
  * Formate un timestamp en temps relatif
  * @param {Date|number} date - Date ou timestamp
@@ -184,6 +247,8 @@ export default {
   getSunday,
   isSameDay,
   daysBetween,
+  workdaysBetween,
+  workdaysBefore,
   timeAgo,
   parseDate
 };
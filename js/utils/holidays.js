@@ -0,0 +1,191 @@
+/**
+ * ==========================================================================
+ * HOLIDAYS.JS - Jours fériés français et jours ouvrés
+ * ==========================================================================
+ *
+ * Calcul intégré des 11 jours fériés légaux en France métropolitaine :
+ * - Dates fixes : 1er janvier, 1er mai, 8 mai, 14 juillet, 15 août,
+ *   1er novembre, 11 novembre, 25 décembre
+ * - Dates mobiles dérivées de Pâques : lundi de Pâques (+1),
+ *   Ascension (+39), lundi de Pentecôte (+50)
+ *
+ * Un jour ouvré est un jour du lundi au vendredi qui n'est pas férié.
+ * Les congés individuels sont gérés par capacityCalendarService.js.
+ *
+ * ==========================================================================
+ */
+
+// =========================================================================
+// CONFIGURATION
+// =========================================================================
+
+/**
+ * Jours fériés à date fixe : [mois (0-indexed), jour, libellé]
+ */
+const FIXED_HOLIDAYS = [
+  [0, 1, "Jour de l'an"],
+  [4, 1, 'Fête du Travail'],
+  [4, 8, 'Victoire 1945'],
+  [6, 14, 'Fête nationale'],
+  [7, 15, 'Assomption'],
+  [10, 1, 'Toussaint'],
+  [10, 11, 'Armistice 1918'],
+  [11, 25, 'Noël']
+];
+
+/**
+ * Jours fériés mobiles : [décalage en jours depuis le dimanche de Pâques, libellé]
+ */
+const EASTER_HOLIDAYS = [
+  [1, 'Lundi de Pâques'],
+  [39, 'Ascension'],
+  [50, 'Lundi de Pentecôte']
+];
+
+// =========================================================================
+// CALCUL DES JOURS FÉRIÉS
+// =========================================================================
+
+/**
+ * Cache des jours fériés par année : Map<année, Map<'M-J', libellé>>
+ */
+const holidaysByYear = new Map();
+
+/**
+ * Calcule le dimanche de Pâques (algorithme de Meeus/Jones/Butcher, calendrier grégorien)
+ * @param {number} year
+ * @returns {Date} - Dimanche de Pâques (minuit, heure locale)
+ */
+export function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Liste les jours fériés d'une année
+ * @param {number} year
+ * @returns {Array<Object>} - [{ date: Date, label }] triés par date
+ */
+export function getFrenchHolidays(year) {
+  const easter = getEasterSunday(year);
+
+  const holidays = [
+    ...FIXED_HOLIDAYS.map(([month, day, label]) => ({ date: new Date(year, month, day), label })),
+    ...EASTER_HOLIDAYS.map(([offset, label]) => {
+      const date = new Date(easter);
+      date.setDate(date.getDate() + offset);
+      return { date, label };
+    })
+  ];
+
+  return holidays.sort((a, b) => a.date - b.date);
+}
+
+/**
+ * Retourne l'index des jours fériés d'une année (calculé une seule fois)
+ * @param {number} year
+ * @returns {Map<string, string>}
+ */
+function getHolidayIndex(year) {
+  if (!holidaysByYear.has(year)) {
+    holidaysByYear.set(year, new Map(
+      getFrenchHolidays(year).map(h => [`${h.date.getMonth()}-${h.date.getDate()}`, h.label])
+    ));
+  }
+  return holidaysByYear.get(year);
+}
+
+// =========================================================================
+// API
+// =========================================================================
+
+/**
+ * Retourne le libellé du jour férié tombant à une date
+ * @param {Date} date
+ * @returns {string|null} - Libellé, ou null si jour non férié
+ */
+export function getHoliday(date) {
+  const d = date instanceof Date ? date : new Date(date);
+  return getHolidayIndex(d.getFullYear()).get(`${d.getMonth()}-${d.getDate()}`) || null;
+}
+
+/**
+ * Vérifie si une date est un jour férié
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isHoliday(date) {
+  return getHoliday(date) !== null;
+}
+
+/**
+ * Vérifie si une date tombe en semaine (lundi-vendredi)
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isWeekday(date) {
+  const day = date.getDay();
+  return day !== 0 && day !== 6;
+}
+
+/**
+ * Vérifie si une date est un jour ouvré (lundi-vendredi, hors jours fériés)
+ * @param {Date} date
+ * @returns {boolean}
+ */
+export function isWorkday(date) {
+  return isWeekday(date) && !isHoliday(date);
+}
+
+/**
+ * Liste les jours fériés tombant en semaine dans une période
+ * @param {Date} startDate - Date de début (incluse)
+ * @param {Date} endDate - Date de fin (incluse)
+ * @returns {Array<Object>} - [{ date: Date, label }]
+ */
+export function getHolidaysInRange(startDate, endDate) {
+  const holidays = [];
+  const current = new Date(startDate);
+  current.setHours(0, 0, 0, 0);
+
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+
+  while (current <= end) {
+    const label = isWeekday(current) ? getHoliday(current) : null;
+    if (label) {
+      holidays.push({ date: new Date(current), label });
+    }
+    current.setDate(current.getDate() + 1);
+  }
+
+  return holidays;
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  getEasterSunday,
+  getFrenchHolidays,
+  getHoliday,
+  isHoliday,
+  isWeekday,
+  isWorkday,
+  getHolidaysInRange
+};
@@ -0,0 +1,103 @@
+/**
+ * ==========================================================================
+ * LIBRARIES.JS - Bibliothèques externes (Chart.js, jsPDF...)
+ * ==========================================================================
+ *
+ * Les bibliothèques sont chargées par index.html depuis vendor/ (hors ligne),
+ * sinon depuis le CDN. Ce module vérifie leur présence et fournit des
+ * messages explicites quand l'une d'elles manque :
+ * - Au démarrage : notification listant les fonctionnalités indisponibles
+ * - À l'usage : erreur lisible (export PDF, graphiques)
+ *
+ * ==========================================================================
+ */
+
+// =========================================================================
+// CONFIGURATION
+// =========================================================================
+
+/**
+ * Bibliothèques attendues : variable globale, fichier vendor/ et fonctionnalité
+ */
+export const LIBRARIES = {
+  chart: {
+    label: 'Chart.js',
+    file: 'vendor/chart.umd.min.js',
+    feature: 'affichage des graphiques',
+    isLoaded: () => typeof window.Chart !== 'undefined'
+  },
+  annotation: {
+    label: 'Chart.js Annotation',
+    file: 'vendor/chartjs-plugin-annotation.min.js',
+    feature: 'lignes de benchmark des graphiques',
+    isLoaded: () => !!window.Chart?.registry?.plugins.get('annotation')
+  },
+  html2canvas: {
+    label: 'html2canvas',
+    file: 'vendor/html2canvas.min.js',
+    feature: 'captures pour l\'export PDF',
+    isLoaded: () => typeof window.html2canvas !== 'undefined'
+  },
+  jspdf: {
+    label: 'jsPDF',
+    file: 'vendor/jspdf.umd.min.js',
+    feature: 'export PDF',
+    isLoaded: () => typeof window.jspdf !== 'undefined'
+  }
+};
+
+// =========================================================================
+// API
+// =========================================================================
+
+/**
+ * Vérifie si une bibliothèque est chargée
+ * @param {string} key - Clé de LIBRARIES
+ * @returns {boolean}
+ */
+export function isLibraryLoaded(key) {
+  return !!LIBRARIES[key]?.isLoaded();
+}
+
+/**
+ * Liste les bibliothèques manquantes
+ * @returns {Array<Object>} - [{ key, label, file, feature }]
+ */
+export function getMissingLibraries() {
+  return Object.entries(LIBRARIES)
+    .filter(([key]) => !isLibraryLoaded(key))
+    .map(([key, lib]) => ({ key, label: lib.label, file: lib.file, feature: lib.feature }));
+}
+
+/**
+ * Message expliquant l'absence d'une bibliothèque
+ * @param {string} key - Clé de LIBRARIES
+ * @returns {string}
+ */
+export function getLibraryError(key) {
+  const lib = LIBRARIES[key];
+  return `${lib.label} non chargé (${lib.file} absent, CDN injoignable) – ${lib.feature} : indisponible`;
+}
+
+/**
+ * Vérifie qu'une bibliothèque est chargée avant de l'utiliser
+ * @param {string} key - Clé de LIBRARIES
+ * @throws {Error} - Message lisible si la bibliothèque manque
+ */
+export function requireLibrary(key) {
+  if (!isLibraryLoaded(key)) {
+    throw new Error(getLibraryError(key));
+  }
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  LIBRARIES,
+  isLibraryLoaded,
+  getMissingLibraries,
+  getLibraryError,
+  requireLibrary
+};
@@ -0,0 +1,83 @@
+/**
+ * ==========================================================================
+ * RANDOM.JS - Générateur pseudo-aléatoire à graine
+ * ==========================================================================
+ *
+ * Générateur déterministe partagé par les simulations Monte Carlo
+ * (monteCarloService.js, howManyService.js) : une même graine produit
+ * exactement les mêmes tirages, donc les mêmes percentiles.
+ *
+ * Algorithme : mulberry32 (état 32 bits, période 2^32), suffisant pour
+ * 10 000 itérations et bien plus rapide qu'un générateur cryptographique.
+ *
+ * ==========================================================================
+ */
+
+// =========================================================================
+// CONFIGURATION
+// =========================================================================
+
+/**
+ * Graine maximale (entier non signé 32 bits)
+ */
+const MAX_SEED = 0xFFFFFFFF;
+
+// =========================================================================
+// GRAINES
+// =========================================================================
+
+/**
+ * Tire une nouvelle graine (crypto si disponible)
+ * @returns {number} - Entier entre 0 et MAX_SEED
+ */
+export function generateSeed() {
+  if (globalThis.crypto?.getRandomValues) {
+    return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+  }
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Lit une graine saisie ou importée
+ * @param {number|string} value
+ * @returns {number|null} - Graine valide ou null
+ */
+export function parseSeed(value) {
+  const text = String(value ?? '').trim();
+  if (!/^\d+$/.test(text)) return null;
+
+  const seed = Number(text);
+  return seed <= MAX_SEED ? seed : null;
+}
+
+// =========================================================================
+// GÉNÉRATEUR
+// =========================================================================
+
+/**
+ * Crée un générateur à graine (même interface que Math.random)
+ * @param {number} seed - Graine (entier 32 bits)
+ * @returns {Function} - () => nombre dans [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// =========================================================================
+// EXPORT
+// =========================================================================
+
+export default {
+  generateSeed,
+  parseSeed,
+  createRandom,
+  MAX_SEED
+};
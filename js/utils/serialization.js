@@ -0,0 +1,63 @@
+/**
+ * ==========================================================================
+ * SERIALIZATION.JS - Sérialisation JSON avec dates
+ * ==========================================================================
+ *
+ * JSON.stringify transforme les dates en chaînes que JSON.parse ne
+ * restaure pas. Les dates (createdDate, closedDate des tickets...) sont
+ * écrites { "$date": "ISO" } puis restaurées en Date.
+ *
+ * Utilisé par l'export des snapshots (snapshotBundle) et par leur
+ * chiffrement en IndexedDB (snapshotDatabase).
+ *
+ * ==========================================================================
+ */
+
+/**
+ * Remplace les dates par { $date } (JSON.stringify)
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+export function dateReplacer(key, value) {
+  const original = this[key];
+  return original instanceof Date ? { $date: original.toISOString() } : value;
+}
+
+/**
+ * Restaure les dates { $date } (JSON.parse)
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+export function dateReviver(key, value) {
+  if (value && typeof value === 'object' && typeof value.$date === 'string' && Object.keys(value).length === 1) {
+    return new Date(value.$date);
+  }
+  return value;
+}
+
+/**
+ * Sérialise une valeur en conservant les dates
+ * @param {*} value
+ * @returns {string}
+ */
+export function stringifyWithDates(value) {
+  return JSON.stringify(value, dateReplacer);
+}
+
+/**
+ * Désérialise une valeur écrite par stringifyWithDates
+ * @param {string} text
+ * @returns {*}
+ */
+export function parseWithDates(text) {
+  return JSON.parse(text, dateReviver);
+}
+
+export default {
+  dateReplacer,
+  dateReviver,
+  stringifyWithDates,
+  parseWithDates
+};
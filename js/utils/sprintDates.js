@@ -3,11 +3,15 @@
  * SPRINTDATES.JS - Utilitaire de calcul des dates de sprint
  * ==========================================================================
  *
- * Convention :
+ * Convention fixe, utilisée quand le calendrier de l'équipe ne définit
+ * pas le sprint :
  * - Les sprints commencent le lundi des semaines paires
  * - Ils durent 2 semaines (14 jours)
  * - Référence : Sprint 18 commence le 2 février 2026
  *
+ * Les dates tenant compte du calendrier (getSprintDates, getSprintDays...)
+ * sont fournies par sprintCalendarService.
+ *
  * ==========================================================================
  */
 
@@ -19,7 +23,7 @@
  * Sprint de référence pour le calcul des dates
  * Sprint 18 commence le lundi 2 février 2026 (semaine 6)
  */
-const SPRINT_REF = {
+export const SPRINT_REF = {
   number: 18,
   start: new Date(2026, 1, 2) // mois 0-indexed : 1 = février
 };
@@ -27,18 +31,18 @@ const SPRINT_REF = {
 /**
  * Durée d'un sprint en jours
  */
-const SPRINT_DURATION = 14;
+export const SPRINT_DURATION = 14;
 
 // =========================================================================
-// FONCTIONS PRINCIPALES
+// CONVENTION FIXE
 // =========================================================================
 
 /**
- * Calcule les dates de début et fin d'un sprint
+ * Calcule les dates de début et fin d'un sprint selon la convention fixe
  * @param {number} sprintNumber - Numéro du sprint
  * @returns {Object} - { start: Date, end: Date }
  */
-export function getSprintDates(sprintNumber) {
+export function getConventionSprintDates(sprintNumber) {
   const diffSprints = SPRINT_REF.number - sprintNumber;
 
   const startDate = new Date(SPRINT_REF.start);
@@ -51,15 +55,40 @@ export function getSprintDates(sprintNumber) {
 }
 
 /**
- * Retourne un array de toutes les dates du sprint (14 jours)
- * @param {number} sprintNumber - Numéro du sprint
- * @returns {Date[]} - Array de 14 dates
+ * Trouve le numéro de sprint d'une date selon la convention fixe
+ * @param {Date} date - Date à analyser
+ * @returns {number} - Numéro du sprint
+ */
+export function getConventionSprintNumberForDate(date) {
+  const refStart = new Date(SPRINT_REF.start);
+  refStart.setHours(0, 0, 0, 0);
+
+  const targetDate = new Date(date);
+  targetDate.setHours(0, 0, 0, 0);
+
+  const diffDays = Math.floor((targetDate - refStart) / (1000 * 60 * 60 * 24));
+  const diffSprints = Math.floor(diffDays / SPRINT_DURATION);
+
+  return SPRINT_REF.number + diffSprints;
+}
+
+// =========================================================================
+// PÉRIODES
+// =========================================================================
+
+/**
+ * Retourne toutes les dates d'une période (bornes incluses)
+ * @param {Date} start - Début
+ * @param {Date} end - Fin
+ * @returns {Date[]}
  */
-export function getSprintDays(sprintNumber) {
-  const { start } = getSprintDates(sprintNumber);
+export function getPeriodDays(start, end) {
+  const startDay = new Date(start.getFullYear(), start.getMonth(), start.getDate());
+  const endDay = new Date(end.getFullYear(), end.getMonth(), end.getDate());
+  const duration = Math.round((endDay - startDay) / (1000 * 60 * 60 * 24)) + 1;
   const days = [];
 
-  for (let i = 0; i < SPRINT_DURATION; i++) {
+  for (let i = 0; i < duration; i++) {
     const day = new Date(start);
     day.setDate(day.getDate() + i);
     days.push(day);
@@ -69,26 +98,13 @@ export function getSprintDays(sprintNumber) {
 }
 
 /**
- * Formate les jours du sprint en labels pour l'axe X
- * @param {number} sprintNumber - Numéro du sprint
- * @returns {string[]} - Array de labels formatés (ex: "19/01", "20/01", ...)
- */
-export function getSprintDayLabels(sprintNumber) {
-  const days = getSprintDays(sprintNumber);
-  return days.map(d =>
-    d.toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' })
-  );
-}
-
-/**
- * Vérifie si une date est dans les bornes d'un sprint
+ * Vérifie si une date est dans une période (jours entiers, bornes incluses)
  * @param {Date} date - Date à vérifier
- * @param {number} sprintNumber - Numéro du sprint
+ * @param {Date} start - Début
+ * @param {Date} end - Fin
  * @returns {boolean}
  */
-export function isDateInSprint(date, sprintNumber) {
-  const { start, end } = getSprintDates(sprintNumber);
-
+export function isDateInPeriod(date, start, end) {
   // Normaliser les dates à minuit pour comparaison
   const normalizedDate = new Date(date);
   normalizedDate.setHours(0, 0, 0, 0);
@@ -102,34 +118,15 @@ export function isDateInSprint(date, sprintNumber) {
   return normalizedDate >= normalizedStart && normalizedDate <= normalizedEnd;
 }
 
-/**
- * Trouve le numéro de sprint pour une date donnée
- * @param {Date} date - Date à analyser
- * @returns {number} - Numéro du sprint
- */
-export function getSprintNumberForDate(date) {
-  const refStart = new Date(SPRINT_REF.start);
-  refStart.setHours(0, 0, 0, 0);
-
-  const targetDate = new Date(date);
-  targetDate.setHours(0, 0, 0, 0);
-
-  const diffDays = Math.floor((targetDate - refStart) / (1000 * 60 * 60 * 24));
-  const diffSprints = Math.floor(diffDays / SPRINT_DURATION);
-
-  return SPRINT_REF.number + diffSprints;
-}
-
 // =========================================================================
 // EXPORT
 // =========================================================================
 
 export default {
-  getSprintDates,
-  getSprintDays,
-  getSprintDayLabels,
-  isDateInSprint,
-  getSprintNumberForDate,
+  getConventionSprintDates,
+  getConventionSprintNumberForDate,
+  getPeriodDays,
+  isDateInPeriod,
   SPRINT_REF,
   SPRINT_DURATION
 };
@@ -103,6 +103,30 @@ export function isValidCSVFile(file) {
   return { valid: true, error: null };
 }
 
+/**
+ * Vérifie si un fichier est un export JSON valide (export Jira)
+ * @param {File} file
+ * @returns {Object} { valid, error }
+ */
+export function isValidJSONFile(file) {
+  if (!file) {
+    return { valid: false, error: 'Aucun fichier sélectionné' };
+  }
+
+  const extension = '.' + file.name.split('.').pop().toLowerCase();
+  if (extension !== '.json') {
+    return { valid: false, error: 'Le fichier doit être au format JSON' };
+  }
+
+  // Les exports Jira avec changelog sont plus volumineux (max 20MB)
+  const maxSize = 20 * 1024 * 1024;
+  if (file.size > maxSize) {
+    return { valid: false, error: 'Le fichier est trop volumineux (max 20MB)' };
+  }
+
+  return { valid: true, error: null };
+}
+
 /**
  * Valide les données de saisie manuelle du sprint
  * @param {Object} data
@@ -209,6 +233,7 @@ export default {
   isInRange,
   isValidDate,
   isValidCSVFile,
+  isValidJSONFile,
   validateSprintInput,
   validateGoal,
   isValidEmail,
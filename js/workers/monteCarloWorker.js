@@ -0,0 +1,32 @@
+/**
+ * ==========================================================================
+ * MONTECARLOWORKER.JS - Web Worker de simulation Monte Carlo
+ * ==========================================================================
+ *
+ * Exécute runMonteCarloSimulation hors du thread principal (worker module,
+ * piloté par simulationRunner.js).
+ *
+ * Messages reçus :   { runId, contributorStats, options }
+ * Messages envoyés : { runId, type: 'progress', progress }
+ *                    { runId, type: 'result', result }
+ *                    { runId, type: 'error', error }
+ *
+ * ==========================================================================
+ */
+
+import { runMonteCarloSimulation } from '../services/monteCarloService.js';
+
+self.onmessage = (event) => {
+  const { runId, contributorStats, options } = event.data;
+
+  try {
+    const result = runMonteCarloSimulation(contributorStats, {
+      ...options,
+      onProgress: progress => self.postMessage({ runId, type: 'progress', progress })
+    });
+
+    self.postMessage({ runId, type: 'result', result });
+  } catch (error) {
+    self.postMessage({ runId, type: 'error', error: error.message });
+  }
+};
@@ -0,0 +1,218 @@
+/**
+ * ==========================================================================
+ * SW.JS - Service worker (fonctionnement hors ligne)
+ * ==========================================================================
+ *
+ * Met en cache l'application pour l'ouvrir sans réseau :
+ * - Installation : précache du shell (HTML, CSS, modules JS, worker,
+ *   manifeste) et des bibliothèques de vendor/
+ * - Fichiers de l'application : réseau d'abord (dernière version), cache
+ *   en repli hors ligne
+ * - CDN et polices : cache d'abord (versions figées), réseau en repli
+ *
+ * Incrémenter CACHE_VERSION à chaque livraison et compléter APP_SHELL
+ * quand un fichier est ajouté.
+ *
+ * ==========================================================================
+ */
+
+// =========================================================================
+// CONFIGURATION
+// =========================================================================
+
+const CACHE_VERSION = 'v2.29';
+const SHELL_CACHE = `sprint-review-shell-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `sprint-review-runtime-${CACHE_VERSION}`;
+
+/**
+ * Fichiers de l'application (tous requis : l'installation échoue si l'un manque)
+ */
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+
+  'css/variables.css',
+  'css/base.css',
+  'css/layout.css',
+  'css/components/card.css',
+  'css/components/button.css',
+  'css/components/input.css',
+  'css/components/badge.css',
+  'css/components/gauge.css',
+  'css/components/empty-state.css',
+  'css/components/toggle.css',
+  'css/components/file-upload.css',
+  'css/components/charts.css',
+  'css/components/loader.css',
+  'css/components/navigation.css',
+  'css/pages/admin.css',
+  'css/pages/review.css',
+  'css/pages/forecast.css',
+  'css/pages/portfolio.css',
+  'css/pages/epics.css',
+  'css/pages/shared.css',
+  'css/pages/howmany.css',
+
+  'js/main.js',
+  'js/core/config.js',
+  'js/core/eventBus.js',
+  'js/core/router.js',
+  'js/core/store.js',
+  'js/components/Component.js',
+  'js/components/FileUploader.js',
+  'js/components/Gauge.js',
+  'js/components/MetricCard.js',
+  'js/components/Navigation.js',
+  'js/components/SprintGoals.js',
+  'js/components/StoryPointsGauge.js',
+  'js/components/index.js',
+  'js/components/charts/BarChart.js',
+  'js/components/charts/BaseChart.js',
+  'js/components/charts/CFDChart.js',
+  'js/components/charts/DoughnutChart.js',
+  'js/components/charts/TrendChart.js',
+  'js/components/charts/index.js',
+  'js/pages/AdminPage.js',
+  'js/pages/EpicsPage.js',
+  'js/pages/ForecastPage.js',
+  'js/pages/HowManyPage.js',
+  'js/pages/PortfolioPage.js',
+  'js/pages/ReviewPage.js',
+  'js/pages/SharedContributorsPage.js',
+  'js/pages/index.js',
+  'js/services/burndownService.js',
+  'js/services/capacityCalendarService.js',
+  'js/services/cryptoService.js',
+  'js/services/csvParserV2.js',
+  'js/services/cumulativeFlowService.js',
+  'js/services/dataTransformerV2.js',
+  'js/services/encryptionService.js',
+  'js/services/epicService.js',
+  'js/services/forecastAccuracyService.js',
+  'js/services/forecastDataService.js',
+  'js/services/howManyService.js',
+  'js/services/jiraJsonParser.js',
+  'js/services/metricsCalculator.js',
+  'js/services/monteCarloService.js',
+  'js/services/pdfExporter.js',
+  'js/services/simulationRunner.js',
+  'js/services/snapshotBundle.js',
+  'js/services/snapshotDatabase.js',
+  'js/services/snapshotDiffService.js',
+  'js/services/sprintCalculator.js',
+  'js/services/sprintCalendarService.js',
+  'js/services/statusTimelineService.js',
+  'js/services/storageService.js',
+  'js/services/workflowService.js',
+  'js/utils/dateUtils.js',
+  'js/utils/domHelpers.js',
+  'js/utils/formatters.js',
+  'js/utils/holidays.js',
+  'js/utils/libraries.js',
+  'js/utils/random.js',
+  'js/utils/serialization.js',
+  'js/utils/sprintDates.js',
+  'js/utils/validators.js',
+  'js/workers/monteCarloWorker.js',
+
+  // Bibliothèques vendorisées (versions : vendor/README.md)
+  'vendor/chart.umd.min.js',
+  'vendor/chartjs-plugin-annotation.min.js',
+  'vendor/html2canvas.min.js',
+  'vendor/jspdf.umd.min.js'
+];
+
+/**
+ * Origines externes mises en cache à la première utilisation
+ */
+const CACHED_ORIGINS = [
+  'https://cdn.jsdelivr.net',
+  'https://fonts.googleapis.com',
+  'https://fonts.gstatic.com'
+];
+
+// =========================================================================
+// CYCLE DE VIE
+// =========================================================================
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(APP_SHELL);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    // Supprimer les caches des versions précédentes
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(key => key.startsWith('sprint-review-') && key !== SHELL_CACHE && key !== RUNTIME_CACHE)
+      .map(key => caches.delete(key)));
+
+    await self.clients.claim();
+  })());
+});
+
+// =========================================================================
+// STRATÉGIES DE CACHE
+// =========================================================================
+
+/**
+ * Réseau d'abord, cache en repli (fichiers de l'application)
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    // Navigation hors ligne : l'application est une page unique
+    if (request.mode === 'navigate') {
+      return cache.match('index.html');
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cache d'abord, réseau en repli (CDN et polices)
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(RUNTIME_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (CACHED_ORIGINS.includes(url.origin)) {
+    event.respondWith(cacheFirst(request));
+  }
+});